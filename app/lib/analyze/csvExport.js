@@ -37,9 +37,16 @@ export const NODE_ROW_FIELDS = [
   ["commentLines", "commentLines"],
   ["blankLines", "blankLines"],
   ["complexity", "complexity"],
+  ["cognitiveComplexity", "cognitiveComplexity"],
+  ["halsteadVolume", "halsteadVolume"],
+  ["halsteadDifficulty", "halsteadDifficulty"],
+  ["halsteadEffort", "halsteadEffort"],
+  ["maintainabilityIndex", "maintainabilityIndex"],
+  ["unresolvedMemberCalls", "unresolvedMemberCalls"],
   ["exported", "exported"],
   ["imported", "imported"],
   ["unused", "unused"],
+  ["archViolations", "archViolations"],
   ["hotspot", "hotspot"],
   ["hotspotRank", "_hotspotRank"],
   ["hotspotScore", "_hotspotScore"],
@@ -136,9 +143,16 @@ export function buildMetricsCsv(metrics) {
     "commentLines",
     "blankLines",
     "complexity",
+    "cognitiveComplexity",
+    "halsteadVolume",
+    "halsteadDifficulty",
+    "halsteadEffort",
+    "maintainabilityIndex",
+    "unresolvedMemberCalls",
     "exported",
     "imported",
     "unused",
+    "archViolations",
     "hotspot",
     "hotspotRank",
     "hotspotScore",
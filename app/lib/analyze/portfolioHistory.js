@@ -482,6 +482,8 @@ function createHistoryAggregate() {
     hotnessRows: 0,
     ccTotal: 0,
     ccRows: 0,
+    archViolationsTotal: 0,
+    archViolationRows: 0,
     lastTouchedEpoch: null
   };
 }
@@ -512,6 +514,13 @@ function mergeHistoryRow(aggregate, row) {
     aggregate.ccRows++;
   }
 
+  // Empty unless the app has architecture rules.
+  const archViolations = readNumberOrNull(row?.archViolations);
+  if (archViolations !== null) {
+    aggregate.archViolationsTotal += archViolations;
+    aggregate.archViolationRows++;
+  }
+
   const lastTouchedEpoch = readIsoDateEpoch(row?.lastTouchedAt);
   if (lastTouchedEpoch !== null && (
     aggregate.lastTouchedEpoch === null ||
@@ -526,6 +535,7 @@ function finalizeHistoryAggregate(aggregate) {
   const commentLinesTotal = aggregate.commentRows > 0 ? aggregate.commentLinesTotal : null;
   const hotnessTotal = aggregate.hotnessRows > 0 ? aggregate.hotnessTotal : null;
   const ccTotal = aggregate.ccRows > 0 ? aggregate.ccTotal : null;
+  const archViolationsTotal = aggregate.archViolationRows > 0 ? aggregate.archViolationsTotal : null;
   const lastTouchedEpoch = aggregate.lastTouchedEpoch;
   const totalAnnotatedLines = codeLinesTotal + (commentLinesTotal ?? 0);
 
@@ -540,6 +550,7 @@ function finalizeHistoryAggregate(aggregate) {
     hotnessCoverage: coverageRatio(aggregate.hotnessRows, aggregate.fileCount),
     ccTotal,
     ccCoverage: coverageRatio(aggregate.ccRows, aggregate.fileCount),
+    archViolationsTotal,
     lastTouchedEpoch,
     lastTouchedAt: lastTouchedEpoch !== null ? new Date(lastTouchedEpoch).toISOString() : "",
     commentRatio: commentLinesTotal !== null && totalAnnotatedLines > 0
@@ -3,6 +3,8 @@ import path from "node:path";
 
 import { normalizeFsPath } from "./fsPaths.js";
 import { findLatestProjectFreeze } from "./analyze/projectFreeze.js";
+import { readLatestCodeMetricsJson } from "./analyze/artifacts.js";
+import { collectDependencyInventory } from "./dependencyInventory.js";
 import { readGitValue, runGit } from "./gitShell.js";
 
 const COMMIT_HISTORY_MAX_BUFFER = 64 * 1024 * 1024;
@@ -324,6 +326,14 @@ export function collectGitHeadInfo(projectRootAbs) {
   };
 }
 
+function collectDependencyInfo(appId, rootAbs) {
+  if (!rootAbs) return { available: false, lockfile: "", packages: [], builtins: [] };
+
+  // Importers are only known when the latest analysis ran with externals enabled.
+  const metrics = appId ? readLatestCodeMetricsJson(appId) : null;
+  return collectDependencyInventory(rootAbs, metrics);
+}
+
 function collectFreezeInfo(appId, backupDirAbs) {
   const backupDir = normalizeFsPath(backupDirAbs);
   const latest = backupDir ? findLatestProjectFreeze({ appId, backupDirAbs: backupDir }) : null;
@@ -349,6 +359,7 @@ export function collectAppInfo({ app, appRootAbs, backupDirAbs }) {
     },
     rootExists: Boolean(rootAbs && fs.existsSync(rootAbs)),
     git: rootAbs ? collectGitInfo(rootAbs) : { available: false },
-    freeze: collectFreezeInfo(app?.id, backupDirAbs)
+    freeze: collectFreezeInfo(app?.id, backupDirAbs),
+    dependencies: collectDependencyInfo(app?.id, rootAbs)
   };
 }
@@ -309,11 +309,50 @@ export function resolveEntryAbs(appRootAbs, app) {
   return null;
 }
 
+/**
+ * Resolve all analyzer entry files of one application with their labels.
+ *
+ * Why this exists
+ * ---------------
+ * An app may run code in several runtimes (server, browser bundle, workers).
+ * `entries` lists them as relative paths or `{ path, label }` records and takes
+ * precedence over `entry`; without it the single resolved entry is used.
+ *
+ * @param {string} appRootAbs
+ *   Absolute application root directory.
+ * @param {object} app
+ *   Application config record.
+ * @returns {Array<{label: string, entryAbs: string}>}
+ *   Existing entry files in configured order; the label defaults to the relative path.
+ */
+export function resolveEntryList(appRootAbs, app) {
+  const entries = [];
+  const seen = new Set();
+
+  for (const item of Array.isArray(app?.entries) ? app.entries : []) {
+    const spec = typeof item === "string" ? { path: item } : item;
+    const entryAbs = resolveExistingAppFile(appRootAbs, spec?.path || spec?.entry);
+    if (!entryAbs || seen.has(entryAbs)) continue;
+
+    seen.add(entryAbs);
+    entries.push({
+      label: String(spec?.label || "").trim() || toRelativeAppPath(appRootAbs, entryAbs),
+      entryAbs
+    });
+  }
+  if (entries.length) return entries;
+
+  const entryAbs = resolveEntryAbs(appRootAbs, app);
+  return entryAbs ? [{ label: toRelativeAppPath(appRootAbs, entryAbs), entryAbs }] : [];
+}
+
 function normalizeConfiguredApp(app) {
   const rootDir = readAppRootDir(app);
   const appRootAbs = rootDir ? resolveAbsoluteOrProjectPath(rootDir) : "";
-  const entryAbs = appRootAbs ? resolveEntryAbs(appRootAbs, app) : null;
-  const entry = entryAbs && appRootAbs ? toRelativeAppPath(appRootAbs, entryAbs) : "";
+  const entryList = appRootAbs ? resolveEntryList(appRootAbs, app) : [];
+  const entries = entryList.map((e) => ({ label: e.label, entry: toRelativeAppPath(appRootAbs, e.entryAbs) }));
+  const entryAbs = entryList[0]?.entryAbs || null;
+  const entry = entries[0]?.entry || "";
   const configuredUrl = String(app?.url || "").trim();
   const configuredPort = parsePortFromUrl(configuredUrl);
   const pkg = appRootAbs ? readPackageJson(appRootAbs) : null;
@@ -327,6 +366,7 @@ function normalizeConfiguredApp(app) {
     ...app,
     rootDir,
     entry,
+    entries,
     url
   };
 }
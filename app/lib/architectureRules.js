@@ -0,0 +1,307 @@
+/**
+ * architectureRules
+ * ============================================================================
+ *
+ * Architecture conformance: a per-app rules file says which parts of the code
+ * may depend on which; violating dependencies end up in
+ * `meta.architecture.violations`.
+ *
+ * Purpose
+ * -------
+ * `nodeClassification.js` assigns every node a `layer`, but nothing checks the
+ * direction of dependencies between layers. After `finalizeGraphStats` the
+ * builder evaluates the app's rules against the final graph:
+ *
+ *   { "rules": [
+ *     { "id": "routes-use-lib", "type": "allow",  "from": "layer:http", "to": ["layer:app", "app/lib/**"] },
+ *     { "id": "lib-not-routes", "type": "forbid", "from": "app/lib/**", "to": "app/routes/**" },
+ *     { "id": "ui-not-lib",     "type": "forbid", "from": "app/public/**", "to": "app/lib/**" },
+ *     { "id": "routes-log",     "type": "require", "from": "app/routes/*.js", "to": "app/lib/logger.js" }
+ *   ] }
+ *
+ * Rules
+ * -----
+ * - selectors are `layer:<name>` (the node's `layer`) or globs over the
+ *   project-relative file id (`fsGlob.js` dialect: `*` and `?` stay inside one
+ *   directory, `**` spans any, including none); a list matches when one entry
+ *   matches
+ * - `allow`: files matching `from` may only depend on targets matching `to`
+ *   (or `from` itself)
+ * - `forbid`: no file matching `from` may depend on a target matching `to`
+ * - `require`: every file matching `from` must depend on a target matching `to`
+ * - dependencies are `use`, `type-use`, `dynamic-use`, `call`, `extends` and
+ *   `implements` edges between different files (symbols count for their file);
+ *   `edges: [...]` narrows a rule to some of these types
+ * - one violation per rule and file pair; every offending link gets the rule id
+ *   in `violatesRules`, every source file node an `archViolations` count
+ *
+ * Design notes
+ * ------------
+ * - fail-soft: a missing rules file means "no rules" (`meta.architecture` is
+ *   null); unreadable files and malformed rules become `architecture-rules`
+ *   warnings and are skipped
+ * - the rules file is `architectureRules` from `apps.json` (relative to the
+ *   app root), else `architecture-rules.json` in the app root
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { normalizeRelPosix } from "./fsPaths.js";
+import { globToRegExp } from "./fsGlob.js";
+import { owningFileId } from "./graphStore.js";
+
+export const DEFAULT_ARCHITECTURE_RULES_FILE = "architecture-rules.json";
+
+const RULE_TYPES = new Set(["allow", "forbid", "require"]);
+
+// Edges that make one file depend on another.
+const DEPENDENCY_LINK_TYPES = ["use", "type-use", "dynamic-use", "call", "extends", "implements"];
+
+/**
+ * Load and validate the rules file of one app.
+ *
+ * @param {{projectRootAbs: string, rulesFile?: string, warnings: Array<object>}} args
+ *   App root, configured rules file (relative to the root or absolute; empty
+ *   for the default file) and the builder warning list.
+ * @returns {{file: string, rules: Array<object>} | null}
+ *   Normalized rules, or `null` when the app has no rules file.
+ */
+export function loadArchitectureRules({ projectRootAbs, rulesFile = "", warnings }) {
+  const configured = String(rulesFile || "").trim();
+  const fileAbs = path.resolve(projectRootAbs, configured || DEFAULT_ARCHITECTURE_RULES_FILE);
+  const relative = path.relative(projectRootAbs, fileAbs);
+  const file = normalizeRelPosix(relative.startsWith("..") || path.isAbsolute(relative) ? fileAbs : relative);
+
+  if (!fs.existsSync(fileAbs)) {
+    if (configured) warnRules(warnings, `Architecture rules file '${file}' does not exist.`);
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(fileAbs, "utf8"));
+  } catch (err) {
+    warnRules(warnings, `Architecture rules file '${file}' is not valid JSON (${String(err?.message || err)}).`);
+    return null;
+  }
+
+  const list = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(list)) {
+    warnRules(warnings, `Architecture rules file '${file}' must be an array or an object with a 'rules' array.`);
+    return null;
+  }
+
+  const rules = [];
+  const seenIds = new Set();
+  list.forEach((raw, i) => {
+    const rule = normalizeRule(raw, i);
+    if (typeof rule === "string") {
+      warnRules(warnings, `Architecture rule #${i + 1} in '${file}' skipped: ${rule}.`);
+      return;
+    }
+    if (seenIds.has(rule.id)) {
+      warnRules(warnings, `Architecture rule #${i + 1} in '${file}' skipped: duplicate id '${rule.id}'.`);
+      return;
+    }
+    seenIds.add(rule.id);
+    rules.push(rule);
+  });
+
+  return { file, rules };
+}
+
+/**
+ * Evaluate rules against the final graph and mark violating links and files.
+ *
+ * @param {{nodes: any[], links: any[], ruleSet: {file: string, rules: Array<object>} | null}} args
+ *   Final graph arrays (mutated: `violatesRules`, `archViolations`) and the
+ *   result of `loadArchitectureRules()`.
+ * @returns {{
+ *   file: string,
+ *   rules: Array<{id: string, type: string, violations: number}>,
+ *   violations: Array<{rule: string, type: string, message: string, source: string, target: string, edges: number}>
+ * } | null}
+ *   Summary for `meta.architecture`; violations sorted by rule order, then
+ *   source and target. `null` without rules.
+ */
+export function evaluateArchitectureRules({ nodes, links, ruleSet }) {
+  if (!ruleSet) return null;
+
+  const byId = new Map();
+  for (const n of nodes || []) {
+    if (n?.id) byId.set(String(n.id), n);
+  }
+
+  const deps = collectFileDependencies(links, byId);
+  const sourceFiles = [...byId.values()].filter((n) => n.kind === "file").map((n) => String(n.id));
+
+  const violations = [];
+  const summary = ruleSet.rules.map((rule) => {
+    const found = rule.type === "require"
+      ? findMissingRequirements(rule, sourceFiles, deps, byId)
+      : findForbiddenDependencies(rule, deps, byId);
+    violations.push(...found);
+    return { id: rule.id, type: rule.type, violations: found.length };
+  });
+
+  markViolations(violations, byId);
+
+  return {
+    file: ruleSet.file,
+    rules: summary,
+    violations: violations.map(({ links: _links, ...v }) => v)
+  };
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function warnRules(warnings, message) {
+  warnings?.push({ kind: "architecture-rules", message, fromId: null, targetFileId: null, targetExport: null });
+}
+
+/**
+ * @returns {object | string} normalized rule, or the reason it is invalid
+ */
+function normalizeRule(raw, index) {
+  if (!raw || typeof raw !== "object") return "not an object";
+
+  const type = String(raw.type || "").trim().toLowerCase();
+  if (!RULE_TYPES.has(type)) return `unknown type '${String(raw.type ?? "")}' (use allow, forbid or require)`;
+
+  const from = compileSelectors(raw.from);
+  if (!from.length) return "'from' is empty";
+
+  const to = compileSelectors(raw.to);
+  if (!to.length) return "'to' is empty";
+
+  const edges = raw.edges === undefined
+    ? DEPENDENCY_LINK_TYPES
+    : (Array.isArray(raw.edges) ? raw.edges : [raw.edges]).map(String).filter((t) => DEPENDENCY_LINK_TYPES.includes(t));
+  if (!edges.length) return `'edges' lists no dependency edge type (${DEPENDENCY_LINK_TYPES.join(", ")})`;
+
+  return {
+    id: String(raw.id || "").trim() || `${type}-${index + 1}`,
+    type,
+    from,
+    to,
+    edges: new Set(edges),
+    message: String(raw.message || "").trim()
+  };
+}
+
+function compileSelectors(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map((s) => String(s ?? "").trim())
+    .filter(Boolean)
+    .map((s) => (s.startsWith("layer:")
+      ? { text: s, layer: s.slice("layer:".length) }
+      : { text: s, pattern: globToRegExp(s) }));
+}
+
+function matchesAny(selectors, fileId, byId) {
+  const layer = String(byId.get(fileId)?.layer || "");
+  return selectors.some((s) => (s.layer !== undefined ? s.layer === layer : s.pattern.test(fileId)));
+}
+
+/**
+ * @returns {Map<string, {source: string, target: string, links: any[]}>}
+ *   `source -> target` file pairs with the dependency links between them
+ */
+function collectFileDependencies(links, byId) {
+  const deps = new Map();
+
+  for (const link of links || []) {
+    if (!DEPENDENCY_LINK_TYPES.includes(link?.type)) continue;
+
+    const source = owningFileId(link.source);
+    const target = owningFileId(link.target);
+    if (!source || !target || source === target) continue;
+    if (!byId.has(source) || !byId.has(target)) continue;
+
+    const key = `${source}\u0000${target}`;
+    let dep = deps.get(key);
+    if (!dep) {
+      dep = { source, target, links: [] };
+      deps.set(key, dep);
+    }
+    dep.links.push(link);
+  }
+
+  return deps;
+}
+
+function findForbiddenDependencies(rule, deps, byId) {
+  const found = [];
+
+  for (const dep of deps.values()) {
+    if (!matchesAny(rule.from, dep.source, byId)) continue;
+
+    const links = dep.links.filter((l) => rule.edges.has(l.type));
+    if (!links.length) continue;
+
+    const hitsTarget = matchesAny(rule.to, dep.target, byId);
+    const violates = rule.type === "forbid"
+      ? hitsTarget
+      : !hitsTarget && !matchesAny(rule.from, dep.target, byId);
+    if (!violates) continue;
+
+    found.push({
+      rule: rule.id,
+      type: rule.type,
+      message: rule.message || (rule.type === "forbid"
+        ? `'${dep.source}' must not depend on '${dep.target}' (${describe(rule.to)}).`
+        : `'${dep.source}' may only depend on ${describe(rule.to)}, not on '${dep.target}'.`),
+      source: dep.source,
+      target: dep.target,
+      edges: links.length,
+      links
+    });
+  }
+
+  return found.sort((a, b) => a.source.localeCompare(b.source) || a.target.localeCompare(b.target));
+}
+
+function findMissingRequirements(rule, sourceFiles, deps, byId) {
+  const satisfied = new Set();
+  for (const dep of deps.values()) {
+    if (!dep.links.some((l) => rule.edges.has(l.type))) continue;
+    if (matchesAny(rule.to, dep.target, byId)) satisfied.add(dep.source);
+  }
+
+  return sourceFiles
+    .filter((fileId) => matchesAny(rule.from, fileId, byId) && !satisfied.has(fileId))
+    .sort((a, b) => a.localeCompare(b))
+    .map((fileId) => ({
+      rule: rule.id,
+      type: rule.type,
+      message: rule.message || `'${fileId}' must depend on ${describe(rule.to)}.`,
+      source: fileId,
+      target: "",
+      edges: 0,
+      links: []
+    }));
+}
+
+function describe(selectors) {
+  return selectors.map((s) => `'${s.text}'`).join(" or ");
+}
+
+function markViolations(violations, byId) {
+  for (const v of violations) {
+    for (const link of v.links) {
+      link.violatesRules = [...(link.violatesRules || []), v.rule];
+    }
+  }
+
+  // Files carry a count (0 when clean) so the CSV and the portfolio can sum it.
+  for (const node of byId.values()) {
+    if (node.kind === "file") node.archViolations = 0;
+  }
+  for (const v of violations) {
+    const node = byId.get(v.source);
+    if (node?.kind === "file") node.archViolations++;
+  }
+}
@@ -92,7 +92,7 @@ export const AUTO_SKIP_NAMES = new Set([
 // Keep conservative: the goal is to show structure, not every binary.
 export const AUTO_ASSET_EXT_ALLOW = new Set([
   // code
-  ".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx",
+  ".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx", ".vue", ".svelte",
   // data
   ".json", ".jsonc", ".csv", ".tsv", ".yml", ".yaml", ".env", ".env.local", ".sql","csv",
   // docs (also parseable)
@@ -104,7 +104,7 @@ export const AUTO_ASSET_EXT_ALLOW = new Set([
 const IMAGE_EXTS = new Set([".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp", ".ico"]);
 
 // Code extensions (used for classification in `classifyFileByExt`).
-const CODE_EXTS = new Set([".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx"]);
+const CODE_EXTS = new Set([".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx", ".vue", ".svelte"]);
 
 // Documentation / text extensions (used for classification in `classifyFileByExt`).
 const DOC_EXTS = new Set([".md", ".txt", ".html", ".htm", ".css"]);
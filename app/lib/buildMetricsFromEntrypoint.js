@@ -7,7 +7,8 @@
  * -----------------------------------------------------------------------------
  * ARCHITECTURAL ROLE
  * -----------------------------------------------------------------------------
- * Constructs a static dependency graph starting from a single entrypoint file.
+ * Constructs a static dependency graph starting from one or more entrypoint
+ * files (e.g. server, browser bundle, worker); all of them share one graph.
  *
  * Performs a breadth-first traversal (BFS) across resolvable internal imports
  * and emits a D3-compatible metrics payload.
@@ -15,7 +16,8 @@
  * -----------------------------------------------------------------------------
  * DESIGN PRINCIPLES
  * -----------------------------------------------------------------------------
- * • Deterministic traversal (BFS)
+ * • Deterministic traversal (BFS); parsing may run in worker threads, the
+ *   graph is still built file by file in queue order
  * • No runtime execution or evaluation
  * • Only local/relative imports are resolved
  * • Resilient parsing via parseFile()
@@ -28,26 +30,125 @@
  *
  * {
  *   meta: {
- *     entry: string,
+ *     entry: string,             // first entry
+ *     entries: Array<{ label: string, id: string }>,
  *     urlInfo: any,
  *     layerOrder?: string[],
- *     layerY?: Record<string, number>
+ *     layerY?: Record<string, number>,
+ *     workspaces?: Array<{ name: string, dir: string }>,
+ *     docDrift?: {
+ *       brokenReferences: Array<{ docId: string, path: string, kind: "link"|"code-span", line: number }>,
+ *       staleDocs: Array<object> // filled by the analyze route from git history
+ *     },
+ *     clones?: {                 // token clones (see cloneDetection.js)
+ *       minTokens: number,
+ *       groups: Array<{ id: string, tokens: number, fragments: Array<{ fileId, nodeId, startLine, endLine, tokens }> }>,
+ *       files: Array<{ fileId: string, tokens: number, duplicatedTokens: number, duplicatedLines: number, percentage: number }>,
+ *       totals: { files: number, tokens: number, duplicatedTokens: number, percentage: number }
+ *     },
+ *     reachability?: {           // file nodes reached from the entries (see reachability.js)
+ *       entries: string[],
+ *       perEntry: Array<{ label: string, id: string, reachable: number }>,
+ *       files: number,
+ *       reachable: number,
+ *       unreachable: number,
+ *       unreachableFiles: string[],
+ *       typeOnly: number,        // reachable only through `type-use` edges
+ *       typeOnlyFiles: string[]
+ *     },
+ *     cycles?: Array<{           // `use` / `call` strongly connected components (see graph/graphCycles.js)
+ *       id: string,              // "use-cycle-1", "call-cycle-1", ...
+ *       type: "use"|"call",
+ *       nodes: string[],
+ *       files: string[],         // owning files of the members
+ *       edges: Array<{ source: string, target: string }>,
+ *       closingEdges: Array<{ source: string, target: string }> // back edges; removing them breaks the cycle
+ *     }>,
+ *     architecture: null | {     // null without a rules file (see architectureRules.js)
+ *       file: string,            // rules file, relative to the project root
+ *       rules: Array<{ id: string, type: "allow"|"forbid"|"require", violations: number }>,
+ *       violations: Array<{ rule: string, type: string, message: string, source: string, target: string, edges: number }>
+ *     },
+ *     routes?: Array<{           // HTTP API surface, one entry per registration and path (see routeInventory.js)
+ *       id: string,              // route node id, "route:GET /api/output-files"
+ *       method: string,          // "GET", "POST", ..., "ALL"
+ *       path: string,            // full path incl. mount prefixes
+ *       file: string,            // registering file
+ *       line: number,
+ *       handler: string          // handling function node (enclosing function / file for inline handlers)
+ *     }>,
+ *     httpRequests?: Array<{     // browser requests matched against `routes` (see httpClientCalls.js)
+ *       file: string,
+ *       from: string,            // calling function node (file at top level)
+ *       line: number,
+ *       api: "fetch"|"xhr"|"eventsource"|"wrapper",
+ *       method: string,          // "*" when dynamic
+ *       url: string,             // path pattern, dynamic parts as "*"
+ *       routes: string[]         // matched route node ids; empty for unknown endpoints
+ *     }>,
+ *     events?: Array<{           // named event channels (see eventChannels.js)
+ *       id: string,              // event node id, "event:fs-change"
+ *       name: string,
+ *       publishers: Array<{ node: string, file: string, line: number, api: "emitter"|"dom"|"sse" }>,
+ *       subscribers: Array<{ node: string, file: string, line: number, api: "emitter"|"dom"|"sse" }>,
+ *       unhandled: boolean,      // emitted, never listened to
+ *       unemitted: boolean       // listened to, never emitted
+ *     }>,
+ *     parseCache: null | {       // null without `parseCacheFile` (see parseCache.js)
+ *       file: string,
+ *       version: string,        // analyzer version the entries belong to
+ *       hits: number,
+ *       misses: number,
+ *       parseMs: number,        // time spent parsing the misses
+ *       savedMs: number,        // recorded parse time of the hits
+ *       written: boolean
+ *     }
  *   },
  *   nodes: Array<{
  *     id: string,
  *     file: string,
- *     kind: "root"|"dir"|"file"|"asset"|"function",
- *     group: "root"|"dir"|"code"|"doc"|"data"|"image",
+ *     kind: "root"|"dir"|"file"|"asset"|"function"|"class"|"interface"|"type"|"enum"|"external"|"route"|"event",
+ *     group: "root"|"dir"|"code"|"doc"|"data"|"image"|"external"|"route"|"event",
  *     layer?: string,    // backend-assigned architecture layer (for hulls/forceY)
  *     ext: string,        // original extension incl dot (e.g. ".md")
  *     type: string,       // subtype (usually ext w/o dot: "md", "js", "png")
  *     subtype?: string,   // alias for type (kept for clarity)
  *     lines: number,
  *     complexity: number,
+ *     cognitiveComplexity: number, // nesting-weighted readability cost (see cognitiveComplexity.js)
+ *     halsteadVolume: number,       // Halstead volume / difficulty / effort (see halstead.js)
+ *     halsteadDifficulty: number,
+ *     halsteadEffort: number,
+ *     maintainabilityIndex: number, // 0..100, higher is easier to maintain (0 = not measured)
  *     headerComment: string,
  *     name?: string,
  *     exported?: boolean,
  *     startLine?: number,
+ *     workspacePackage?: string, // owning npm/yarn/pnpm workspace package (monorepos only)
+ *
+ *     // Class nodes and their methods
+ *     parentClass?: string,     // function nodes: id of the owning class node
+ *     superClass?: string,      // class nodes: superclass name as written (`Base`, `ns.Base`)
+ *     implements?: string[],    // class nodes: TypeScript `implements` names
+ *     defaultExport?: boolean,  // class nodes: module default export
+ *     children?: object[],      // file/class nodes: contained function nodes
+ *     unresolvedMemberCalls?: number, // file nodes: member calls whose receiver stays ambiguous
+ *     deadExports?: string[],   // file nodes with ESM exports: names no analyzed module imports
+ *     archViolations?: number,  // file nodes (only with architecture rules): violations starting here
+ *
+ *     // Exported TS declarations (only with `includeTypeNodes`)
+ *     extends?: string[],       // interface nodes: base interface names as written
+ *
+ *     // External dependency nodes (only with `includeExternals`)
+ *     packageName?: string,
+ *     builtin?: boolean,        // Node core module (`node:fs`)
+ *     declaredRange?: string,   // range from package.json (`engines.node` for builtins)
+ *     dependencySection?: string,
+ *     resolvedVersion?: string, // version from package-lock.json
+ *
+ *     // Route nodes (`file` is the registering file)
+ *     method?: string,          // HTTP method, "ALL" for `router.all()`
+ *     path?: string,            // full path incl. mount prefixes
  *
  *     // Derived stats (computed once on backend)
  *     _inbound?: number,
@@ -62,12 +163,30 @@
  *     _callees?: string[],
  *     _importance?: number, // backend importance score (degree-weighted)
  *     _radiusHint?: number,  // suggested node radius (UI may clamp)
- *     _unused?: boolean     // backend flag: true if function is likely unused (no inbound calls and not exported)
+ *     _unused?: boolean,    // backend flag: true if function is likely unused (no inbound calls and not exported)
+ *     _brokenDocRefs?: number, // Markdown docs: mentions of paths that no longer exist
+ *     _reachable?: boolean, // file nodes: reached from an entry over use / dynamic-use / call / type-use edges
+ *     _typeOnly?: boolean,  // file nodes: reachable, but only through type-use edges
+ *     _entries?: string[],  // labels of the entries reaching the node (symbols: their file)
+ *     _cycles?: string[],   // ids of the `meta.cycles` entries the node belongs to
+ *     _unhandled?: boolean, // event nodes (`file` is the first publisher's file): emitted, never listened to
+ *     _unemitted?: boolean  // event nodes: listened to, never emitted
  *   }>,
  *   links: Array<{
  *     source: string,
  *     target: string,
- *     type: "use" | "include" | "call"
+ *     type: "use" | "type-use" | "dynamic-use" | "include" | "call" | "extends" | "implements" | "documents" | "clone" | "handles" | "http" | "publishes" | "subscribes",
+ *     refKind?: string, // HTML/CSS `use` edges: "script" | "stylesheet" | ...; `documents`: "link" | "code-span"
+ *     line?: number,    // `use` / `documents` edges from markup: source line of the reference;
+ *                       // `http` / `publishes` / `subscribes`: line of the request, emit or listen site
+ *     method?: string,  // `http` edges (caller -> route handler): request method
+ *     url?: string,     // `http` edges: requested path pattern
+ *     route?: string,   // `http` edges: matched route node id
+ *     cloneGroup?: string, // `clone` edges (original -> copy): id in `meta.clones.groups`
+ *     tokens?: number,     // `clone` edges: duplicated tokens
+ *     cycle?: string,      // `use` / `call` edges inside a cycle: id in `meta.cycles`
+ *     cycleClosing?: true, // the edge closes its cycle (DFS back edge)
+ *     violatesRules?: string[] // ids of the architecture rules the dependency breaks
  *   }>
  * }
  */
@@ -77,11 +196,30 @@ import path from "node:path";
 
 import { scanProjectTree } from "./scanProjectTree.js";
 import { parseFile } from "./parseFile.js";
-import { resolveImports } from "./resolveImports.js";
+import { resolveImports, resetResolverCaches } from "./resolveImports.js";
+import { matchPathAliasPattern } from "./pathAliases.js";
+import { hasPackageImports } from "./packageMaps.js";
+import { discoverWorkspacePackages, owningWorkspacePackage } from "./workspaces.js";
+import { buildExternalNode, classifyExternalSpecifier, readDependencyManifest } from "./dependencyInventory.js";
+import { collectHeritageRefs, resolveHeritageRefs } from "./classHeritage.js";
+import { collectMemberCalls, resolveMemberCalls } from "./memberCalls.js";
+import { indexReExports, resolveExportChain } from "./reExports.js";
+import { describeDynamicImport, expandDynamicImport } from "./dynamicImports.js";
+import { collectDocRefs, resolveDocRefs } from "./docDrift.js";
+import { collectCloneInput, detectClones, DEFAULT_CLONE_MIN_TOKENS } from "./cloneDetection.js";
+import { collectExportUsage, markDeadExports } from "./deadExports.js";
+import { markReachability } from "./reachability.js";
+import { collectRouteInput, resolveRoutes } from "./routeInventory.js";
+import { collectHttpClientInput, resolveHttpClientCalls } from "./httpClientCalls.js";
+import { collectEventInput, resolveEventChannels } from "./eventChannels.js";
+import { evaluateArchitectureRules, loadArchitectureRules } from "./architectureRules.js";
+import { contentHash, openParseCache } from "./parseCache.js";
+import { createParsePool, DEFAULT_PARSE_TIMEOUT_MS, DEFAULT_PARSE_WORKERS } from "./parsePool.js";
 import { GraphStore } from "./graphStore.js";
 import { applyAutoRefs } from "./autoMode.js";
 import { ensureCanonicalNodeFields, DEFAULT_LAYER_ORDER, defaultLayerY } from "./nodeClassification.js";
 import { finalizeGraphStats } from "./graph/graphFinalize.js";
+import { markCycles } from "./graph/graphCycles.js";
 import { isInsideRoot } from "./fsPaths.js";
 import { toTrimmedString} from "../lib/stringUtils.js"
 
@@ -96,12 +234,13 @@ import { toTrimmedString} from "../lib/stringUtils.js"
 const PARSEABLE_EXTS = new Set([
   ".js", ".mjs", ".cjs",
   ".ts", ".tsx", ".jsx",
+  ".vue", ".svelte",
   ".json", ".md",
-  ".html", ".css"
+  ".html", ".htm", ".css"
 ]);
 
 // Code extensions (used to classify scanned files as "file" vs "asset").
-const CODE_EXTS = new Set([".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx"]);
+const CODE_EXTS = new Set([".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx", ".vue", ".svelte"]);
 
 /**
  * Normalize a file extension to lowercase string form.
@@ -190,7 +329,7 @@ function enqueueIfParseable(enqueue, ext, absPath) {
 /* ========================================================================== */
 
 /**
- * Build the canonical dependency graph and metrics payload from one entrypoint.
+ * Build the canonical dependency graph and metrics payload from the entrypoint(s).
  *
  * Architectural flow
  * ------------------
@@ -206,11 +345,36 @@ function enqueueIfParseable(enqueue, ext, absPath) {
  * @param {string} args.projectRoot
  *   Absolute path to the project root directory.
  * @param {string} args.entryAbs
- *   Absolute path to the entrypoint file.
+ *   Absolute path to the entrypoint file (ignored when `entries` is given).
+ * @param {Array<{label?: string, entryAbs: string}>} [args.entries]
+ *   Several labelled entrypoints traversed into one graph; nodes record the
+ *   labels of the entries reaching them in `_entries`. Labels default to the
+ *   project-relative path.
  * @param {any} args.urlInfo
  *   Optional runtime/app metadata to attach into `meta.urlInfo`.
  * @param {number} [args.maxDirDepth=3]
  *   Maximum directory scan depth for the initial include graph.
+ * @param {boolean} [args.includeExternals=false]
+ *   Opt-in: add one `external` node per npm package / Node builtin imported by
+ *   analyzed files, linked from the importers via `use` edges.
+ * @param {boolean} [args.includeTypeNodes=false]
+ *   Opt-in: add `interface` / `type` / `enum` nodes for exported TypeScript
+ *   declarations. Type-only imports become `type-use` edges either way.
+ * @param {number} [args.cloneMinTokens=DEFAULT_CLONE_MIN_TOKENS]
+ *   Smallest duplicated token run reported as a clone.
+ * @param {string} [args.parseCacheFile=""]
+ *   Persistent parse cache file; unchanged files reuse their cached
+ *   `parseFile()` result. Empty disables the cache.
+ * @param {number} [args.parseWorkers=DEFAULT_PARSE_WORKERS]
+ *   Worker threads parsing queued files in parallel (at most
+ *   `MAX_PARSE_WORKERS`); `0` parses in-process without a timeout and adds a
+ *   `parse-timeout-disabled` warning.
+ * @param {number} [args.parseTimeoutMs=DEFAULT_PARSE_TIMEOUT_MS]
+ *   Per-file parse limit (workers only); slower files become `parse-timeout`
+ *   warnings and are analyzed without their contents.
+ * @param {string} [args.architectureRulesFile=""]
+ *   Architecture rules file (relative to `projectRoot` or absolute); empty
+ *   looks for `architecture-rules.json` in the project root.
  * @returns {Promise<{meta: object, nodes: Array<object>, links: Array<object>}>
  * }
  *   Canonical graph payload consumed directly by the frontend.
@@ -221,14 +385,26 @@ function enqueueIfParseable(enqueue, ext, absPath) {
 export async function buildMetricsFromEntrypoint({
   projectRoot,
   entryAbs,
+  entries,
   urlInfo,
-  maxDirDepth = 3
+  maxDirDepth = 3,
+  includeExternals = false,
+  includeTypeNodes = false,
+  cloneMinTokens = DEFAULT_CLONE_MIN_TOKENS,
+  parseCacheFile = "",
+  parseWorkers = DEFAULT_PARSE_WORKERS,
+  parseTimeoutMs = DEFAULT_PARSE_TIMEOUT_MS,
+  architectureRulesFile = ""
 }) {
   /* ------------------------------------------------------------------------ */
   /* 1) INITIALIZATION                                                        */
   /* ------------------------------------------------------------------------ */
 
-  const { projectRootAbs, entryNorm } = validateEntrypointArgs(projectRoot, entryAbs);
+  const { projectRootAbs, entryList } = validateEntrypointArgs(projectRoot, entryAbs, entries);
+  const entryNorm = entryList[0].entryNorm;
+
+  // Alias configs and package.json maps may have changed since the last run.
+  resetResolverCaches();
 
   // BFS state
   const visited = new Set();
@@ -243,8 +419,8 @@ export async function buildMetricsFromEntrypoint({
     store.ensureNode(n);
   };
 
-  const addLink = (s, t, ty) => {
-    store.ensureLink(s, t, ty);
+  const addLink = (s, t, ty, attrs) => {
+    store.ensureLink(s, t, ty, attrs);
   };
 
   addStableRootNode(addNode);
@@ -257,41 +433,123 @@ export async function buildMetricsFromEntrypoint({
 
   scanStructure({ projectRootAbs, maxDirDepth, addNode, addLink, enqueue });
 
-  // Always ensure the entrypoint is analyzed, even if outside scan depth
-  enqueue(entryNorm);
+  // Always ensure the entrypoints are analyzed, even if outside scan depth
+  for (const entry of entryList) enqueue(entry.entryNorm);
 
   const toRelId = (absPath) => toProjectRelativeId(projectRootAbs, absPath);
+  const entryRefs = entryList.map((entry) => ({ label: entry.label, id: toRelId(entry.entryNorm) }));
 
   // Deferred calls (resolved after BFS when target modules/functions exist)
   /** @type {Array<{ fromId: string, targetFileId: string, targetExport: string|null }>} */
   const pendingCalls = [];
 
+  // Deferred `extends` / `implements` references (class nodes may live in files not yet parsed)
+  /** @type {Array<object>} */
+  const pendingHeritage = [];
+
+  // Deferred member calls (`this.m()`, `x.m()` with `x = new X()`); methods may live in files not yet parsed
+  /** @type {Array<object>} */
+  const pendingMemberCalls = [];
+
+  // Per-file re-exports (`export ... from`) used to follow barrel chains after BFS
+  /** @type {Map<string, {defaultExport: string, entries: Array<object>}>} */
+  const reExportIndex = new Map();
+
+  // Markdown path mentions (linked once every documented node exists)
+  /** @type {Array<object>} */
+  const pendingDocRefs = [];
+
+  // Token streams of parsed programs (clone detection runs once all are known)
+  /** @type {Array<object>} */
+  const cloneInputs = [];
+
+  // Export names and imported names per file (dead exports are known once all files are parsed)
+  /** @type {Map<string, {exportNames: string[], imports: Array<object>}>} */
+  const exportUsage = new Map();
+
+  // Route registrations and router mounts (paths compose across files once all are parsed)
+  /** @type {Array<object>} */
+  const routeInputs = [];
+
+  // Browser requests and fetch wrappers (matched against the routes once all are parsed)
+  /** @type {Array<object>} */
+  const httpClientInputs = [];
+
+  // Event emit / listen sites and wrappers (grouped by name once all files are parsed)
+  /** @type {Array<object>} */
+  const eventInputs = [];
+
   /** @type {Array<{ kind: string, message: string, fromId?: string, targetFileId?: string, targetExport?: string|null }>} */
   const warnings = [];
 
+  // Declared/locked versions for external nodes (only read when requested).
+  const dependencyManifest = includeExternals ? readDependencyManifest(projectRootAbs) : null;
+
+  // Parse results of unchanged files from earlier runs (opt-in).
+  const parseCache = parseCacheFile ? openParseCache({ cacheFile: parseCacheFile, projectRootAbs }) : null;
+
+  // Parallel parsing of queued files (opt-out with `parseWorkers: 0`).
+  const parsePool = parseWorkers > 0 ? createParsePool({ workers: parseWorkers, timeoutMs: parseTimeoutMs }) : null;
+  if (!parsePool) {
+    warnings.push({
+      kind: "parse-timeout-disabled",
+      message: `Parsing in-process (parseWorkers: 0); the ${parseTimeoutMs} ms per-file timeout does not apply.`,
+      fromId: null,
+      targetFileId: null,
+      targetExport: null
+    });
+  }
+
   /* ------------------------------------------------------------------------ */
   /* 2) BFS TRAVERSAL                                                         */
   /* ------------------------------------------------------------------------ */
 
-  bfsTraverse({
-    queue,
-    queued,
-    visited,
-    projectRootAbs,
-    store,
-    addNode,
-    addLink,
-    enqueue,
-    toRelId,
-    pendingCalls,
-    warnings
-  });
+  try {
+    await bfsTraverse({
+      queue,
+      queued,
+      visited,
+      projectRootAbs,
+      store,
+      addNode,
+      addLink,
+      enqueue,
+      toRelId,
+      pendingCalls,
+      pendingHeritage,
+      pendingMemberCalls,
+      reExportIndex,
+      pendingDocRefs,
+      cloneInputs,
+      exportUsage,
+      routeInputs,
+      httpClientInputs,
+      eventInputs,
+      warnings,
+      dependencyManifest,
+      includeTypeNodes,
+      parseCache,
+      parsePool
+    });
+  } finally {
+    await parsePool?.close();
+  }
 
   /* ------------------------------------------------------------------------ */
-  /* 3) RESOLVE DEFERRED CALL TARGETS                                          */
+  /* 3) RESOLVE DEFERRED CALL + INHERITANCE + MEMBER CALL + DOC TARGETS       */
   /* ------------------------------------------------------------------------ */
 
-  resolveDeferredCalls({ pendingCalls, store, addLink, warnings });
+  resolveDeferredCalls({ pendingCalls, store, reExportIndex, addLink, warnings });
+  resolveHeritageRefs({ pendingHeritage, store, reExportIndex, addLink, warnings });
+  resolveMemberCalls({ pendingMemberCalls, store, reExportIndex, addLink });
+  const routes = resolveRoutes({ routeInputs, store, reExportIndex, addNode, addLink });
+  const httpRequests = resolveHttpClientCalls({ httpClientInputs, routes, store, reExportIndex, addLink });
+  const events = resolveEventChannels({ eventInputs, store, reExportIndex, addNode, addLink });
+  const brokenDocReferences = resolveDocRefs({ pendingDocRefs, store, toRelId, addLink, warnings });
+  const clones = detectClones({ cloneInputs, minTokens: cloneMinTokens, store, addLink });
+  markDeadExports({ exportUsage, reExportIndex, entryIds: entryRefs.map((e) => e.id), store, warnings });
+  const reachability = markReachability({ store, entries: entryRefs });
+  const parseCacheStats = parseCache ? parseCache.save() : null;
 
   /* ------------------------------------------------------------------------ */
   /* 4) STRICT SANITY CHECK (NO FALLBACKS)                                     */
@@ -304,17 +562,40 @@ export async function buildMetricsFromEntrypoint({
   /* ------------------------------------------------------------------------ */
 
   finalizeGraphStats(store.nodes, store.links);
+  const cycles = markCycles({ nodes: store.nodes, links: store.links });
 
   attachFunctionChildren(store.nodes);
+  attachClassMethods(store.nodes);
   markUnusedFunctions(store.nodes);
   enforceCanonicalFields(store.nodes);
 
+  const workspacePackages = discoverWorkspacePackages(projectRootAbs);
+  tagWorkspacePackages(store.nodes, workspacePackages);
+
+  // Rules select by `layer`, which the canonical pass fills in.
+  const architecture = evaluateArchitectureRules({
+    nodes: store.nodes,
+    links: store.links,
+    ruleSet: loadArchitectureRules({ projectRootAbs, rulesFile: architectureRulesFile, warnings })
+  });
+
   return {
     meta: {
       entry: toRelId(entryNorm),
+      entries: entryRefs,
       urlInfo,
       layerOrder: DEFAULT_LAYER_ORDER,
       layerY: defaultLayerY(DEFAULT_LAYER_ORDER),
+      workspaces: workspacePackages.map((pkg) => ({ name: pkg.name, dir: pkg.dirId })),
+      docDrift: { brokenReferences: brokenDocReferences, staleDocs: [] },
+      clones,
+      reachability,
+      cycles,
+      architecture,
+      routes,
+      httpRequests,
+      events,
+      parseCache: parseCacheStats,
       warnings
     },
     nodes: store.nodes,
@@ -332,31 +613,46 @@ export async function buildMetricsFromEntrypoint({
  * Validation rules
  * ----------------
  * - `projectRoot` must be a non-empty string and an existing directory
- * - `entryAbs` must be a non-empty string and an existing file
- * - `entryAbs` must remain inside `projectRoot`
+ * - every entry (`entries[i].entryAbs`, else `entryAbs`) must be a non-empty
+ *   string and an existing file
+ * - every entry must remain inside `projectRoot`
+ * - duplicate entry files are dropped (first label wins)
  *
  * @param {string} projectRoot
  *   Candidate project root path.
  * @param {string} entryAbs
  *   Candidate absolute entry file path.
- * @returns {{projectRootAbs: string, entryNorm: string}}
- *   Normalized absolute root and entry paths.
+ * @param {Array<{label?: string, entryAbs: string}>|undefined} entries
+ *   Optional labelled entry files; replace `entryAbs` when non-empty.
+ * @returns {{projectRootAbs: string, entryList: Array<{label: string, entryNorm: string}>}}
+ *   Normalized absolute root and labelled entry paths (at least one).
  * @throws {Error}
  *   Thrown when validation or boundary checks fail.
  */
-function validateEntrypointArgs(projectRoot, entryAbs) {
+function validateEntrypointArgs(projectRoot, entryAbs, entries) {
   assertNonEmptyString(projectRoot, "projectRoot");
-  assertNonEmptyString(entryAbs, "entryAbs");
 
   const projectRootAbs = path.resolve(projectRoot);
   statDirOrThrow(projectRootAbs, "projectRoot");
 
-  const entryNorm = path.resolve(entryAbs);
-  statFileOrThrow(entryNorm);
+  const specs = Array.isArray(entries) && entries.length ? entries : [{ entryAbs }];
+  const entryList = [];
 
-  assertInsideRootOrThrow(projectRootAbs, entryNorm);
+  for (const spec of specs) {
+    assertNonEmptyString(spec?.entryAbs, "entryAbs");
+
+    const entryNorm = path.resolve(spec.entryAbs);
+    statFileOrThrow(entryNorm);
+    assertInsideRootOrThrow(projectRootAbs, entryNorm);
+
+    if (entryList.some((e) => e.entryNorm === entryNorm)) continue;
+    entryList.push({
+      label: String(spec.label || "").trim() || toProjectRelativeId(projectRootAbs, entryNorm),
+      entryNorm
+    });
+  }
 
-  return { projectRootAbs, entryNorm };
+  return { projectRootAbs, entryList };
 }
 
 /**
@@ -557,6 +853,8 @@ function readFunctionNodeId(fn) {
  *   Canonical function node ready for graph insertion.
  */
 function createFunctionNode({ fileId, functionId, fileExt, fn }) {
+  const classId = toTrimmedString(fn?.classId);
+
   return {
     id: `${fileId}::${functionId}`,
     file: fileId,
@@ -565,6 +863,11 @@ function createFunctionNode({ fileId, functionId, fileExt, fn }) {
     // Falls back to 1 so functions are not all identical in size.
     lines: positiveOrOne(fn?.locLines),
     complexity: toNonNegativeNumber(fn?.complexity),
+    cognitiveComplexity: toNonNegativeNumber(fn?.cognitiveComplexity),
+    halsteadVolume: toNonNegativeNumber(fn?.halsteadVolume),
+    halsteadDifficulty: toNonNegativeNumber(fn?.halsteadDifficulty),
+    halsteadEffort: toNonNegativeNumber(fn?.halsteadEffort),
+    maintainabilityIndex: toNonNegativeNumber(fn?.maintainabilityIndex),
     headerComment: "",
 
     kind: "function",
@@ -573,7 +876,8 @@ function createFunctionNode({ fileId, functionId, fileExt, fn }) {
     startLine: toNonNegativeNumber(fn?.startLine),
     ext: fileExt,
     type: "function",
-    subtype: subtypeFromExt(fileExt) || "function"
+    subtype: subtypeFromExt(fileExt) || "function",
+    ...(classId ? { parentClass: `${fileId}::${classId}` } : {})
   };
 }
 
@@ -591,6 +895,89 @@ function addFunctionNodes({ parsed, fileId, addNode }) {
   });
 }
 
+/**
+ * Add all parsed class nodes for one file.
+ *
+ * Class nodes share the `<fileId>::<name>@<line>` id scheme with functions so
+ * deferred export lookups (`<fileId>::<name>@` prefix) find them as well.
+ *
+ * @param {{parsed: Record<string, any>, fileId: string, addNode: Function}} args
+ *   Parsed file result and insertion callback.
+ */
+function addClassNodes({ parsed, fileId, addNode }) {
+  const fileExt = extFromFileId(fileId);
+
+  for (const cls of parsed?.classes || []) {
+    const classId = toTrimmedString(cls?.id);
+    if (!classId) continue;
+
+    addNode({
+      id: `${fileId}::${classId}`,
+      file: fileId,
+      lines: positiveOrOne(cls?.locLines),
+      complexity: toNonNegativeNumber(cls?.complexity),
+      cognitiveComplexity: toNonNegativeNumber(cls?.cognitiveComplexity),
+      halsteadVolume: toNonNegativeNumber(cls?.halsteadVolume),
+      halsteadDifficulty: toNonNegativeNumber(cls?.halsteadDifficulty),
+      halsteadEffort: toNonNegativeNumber(cls?.halsteadEffort),
+      maintainabilityIndex: toNonNegativeNumber(cls?.maintainabilityIndex),
+      headerComment: "",
+      kind: "class",
+      name: toTrimmedString(cls?.name),
+      exported: Boolean(cls?.exported),
+      defaultExport: Boolean(cls?.defaultExport),
+      superClass: toTrimmedString(cls?.superClass),
+      implements: Array.isArray(cls?.implements) ? cls.implements.slice() : [],
+      startLine: toNonNegativeNumber(cls?.startLine),
+      ext: fileExt,
+      type: "class",
+      subtype: subtypeFromExt(fileExt) || "class"
+    });
+  }
+}
+
+/**
+ * Add nodes for exported TypeScript declarations (`interface`, `type`, `enum`).
+ *
+ * Same id scheme as classes, so `implements` / `extends` and re-export chains
+ * resolve to them.
+ *
+ * @param {{parsed: Record<string, any>, fileId: string, addNode: Function, includeTypeNodes: boolean}} args
+ *   Parsed file result, insertion callback and the builder opt-in.
+ * @returns {Array<object>}
+ *   The parsed declarations that became nodes (empty without the opt-in).
+ */
+function addTypeNodes({ parsed, fileId, addNode, includeTypeNodes }) {
+  if (!includeTypeNodes) return [];
+
+  const fileExt = extFromFileId(fileId);
+  const emitted = [];
+
+  for (const decl of parsed?.types || []) {
+    const declId = toTrimmedString(decl?.id);
+    if (!declId || !decl.exported) continue;
+
+    addNode({
+      id: `${fileId}::${declId}`,
+      file: fileId,
+      lines: positiveOrOne(decl?.locLines),
+      complexity: 0,
+      headerComment: "",
+      kind: decl.kind,
+      name: toTrimmedString(decl?.name),
+      exported: true,
+      extends: Array.isArray(decl?.extends) ? decl.extends.slice() : [],
+      startLine: toNonNegativeNumber(decl?.startLine),
+      ext: fileExt,
+      type: decl.kind,
+      subtype: subtypeFromExt(fileExt) || decl.kind
+    });
+    emitted.push(decl);
+  }
+
+  return emitted;
+}
+
 /**
  * Add `use` edges for resolvable internal imports and enqueue discovered modules.
  *
@@ -602,15 +989,35 @@ function addFunctionNodes({ parsed, fileId, addNode }) {
  *   toRelId: Function,
  *   addLink: Function,
  *   enqueue: Function,
- *   visited: Set<string>
+ *   visited: Set<string>,
+ *   warnings: Array<object>,
+ *   addNode: Function,
+ *   dependencyManifest: object | null
  * }} args
- *   Import-edge resolution context.
+ *   Import-edge resolution context. `dependencyManifest` is only set when
+ *   external dependency nodes were requested.
  */
-function addImportEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addLink, enqueue, visited }) {
+function addImportEdges({
+  parsed,
+  absNorm,
+  projectRootAbs,
+  fileId,
+  toRelId,
+  addLink,
+  enqueue,
+  visited,
+  warnings,
+  addNode,
+  dependencyManifest
+}) {
   const specs = parsed?.imports || [];
   for (const spec of specs) {
     const resolvedAbs = resolveImports(absNorm, spec, projectRootAbs);
-    if (!resolvedAbs) continue;
+    if (!resolvedAbs) {
+      if (warnIfUnresolvedMappedImport({ spec, absNorm, projectRootAbs, fileId, warnings })) continue;
+      if (dependencyManifest) addExternalImportEdge({ spec, fileId, addNode, addLink, dependencyManifest });
+      continue;
+    }
 
     const targetAbs = path.resolve(resolvedAbs);
     if (!isInsideRoot(projectRootAbs, targetAbs)) continue;
@@ -622,6 +1029,187 @@ function addImportEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addL
   }
 }
 
+/**
+ * Add `type-use` edges for type-only imports (`import type`, `export type ... from`).
+ *
+ * Type coupling disappears at runtime, so it gets its own edge kind and never
+ * links to `external` nodes; targets are still traversed so their types exist.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   fileId: string,
+ *   toRelId: (absPath: string) => string,
+ *   addLink: Function,
+ *   enqueue: (absPath: string) => void,
+ *   visited: Set<string>,
+ *   warnings: Array<object>
+ * }} args
+ */
+function addTypeImportEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addLink, enqueue, visited, warnings }) {
+  for (const spec of parsed?.typeImports || []) {
+    const resolvedAbs = resolveImports(absNorm, spec, projectRootAbs);
+    if (!resolvedAbs) {
+      warnIfUnresolvedMappedImport({ spec, absNorm, projectRootAbs, fileId, warnings });
+      continue;
+    }
+
+    const targetAbs = path.resolve(resolvedAbs);
+    if (!isInsideRoot(projectRootAbs, targetAbs)) continue;
+
+    addLink(fileId, toRelId(targetAbs), "type-use");
+
+    if (!visited.has(targetAbs)) enqueue(targetAbs);
+  }
+}
+
+/**
+ * Add `dynamic-use` edges for lazy imports (`import()`, `import.meta.glob`,
+ * `require.context`) and traverse every matched file.
+ *
+ * Patterns that point into the project but match no file produce an
+ * `unresolved-dynamic-import` warning; package specifiers stay silent.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   fileId: string,
+ *   toRelId: (absPath: string) => string,
+ *   addLink: Function,
+ *   addNode: Function,
+ *   enqueue: (absPath: string) => void,
+ *   visited: Set<string>,
+ *   warnings: Array<object>
+ * }} args
+ */
+function addDynamicImportEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addLink, addNode, enqueue, visited, warnings }) {
+  for (const entry of parsed?.dynamicImports || []) {
+    const { local, targetsAbs } = expandDynamicImport({ entry, fromAbs: absNorm, projectRootAbs });
+
+    if (local && !targetsAbs.length) {
+      warnings.push({
+        kind: "unresolved-dynamic-import",
+        message: `Dynamic import ${describeDynamicImport(entry)} in '${fileId}' (line ${entry.line || "?"}) matches no project file.`,
+        fromId: fileId,
+        targetFileId: null,
+        targetExport: null
+      });
+      continue;
+    }
+
+    for (const targetAbs of targetsAbs) {
+      const targetId = toRelId(targetAbs);
+      addLink(fileId, targetId, "dynamic-use");
+      addReferencedTarget({ targetAbs, targetId, addNode, enqueue, visited });
+    }
+  }
+}
+
+/**
+ * Add typed `use` edges for HTML/CSS references (`<script src>`, `<link href>`,
+ * `<img src>`, `@import`, `url()`) and Vue/Svelte template components,
+ * carrying the reference kind and line.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   fileId: string,
+ *   toRelId: (absPath: string) => string,
+ *   addLink: Function,
+ *   addNode: Function,
+ *   enqueue: (absPath: string) => void,
+ *   visited: Set<string>
+ * }} args
+ */
+function addMarkupReferenceEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addLink, addNode, enqueue, visited }) {
+  for (const ref of parsed?.references || []) {
+    const resolvedAbs = resolveImports(absNorm, ref.spec, projectRootAbs);
+    if (!resolvedAbs) continue;
+
+    const targetAbs = path.resolve(resolvedAbs);
+    if (!isInsideRoot(projectRootAbs, targetAbs) || targetAbs === absNorm) continue;
+
+    const targetId = toRelId(targetAbs);
+    addLink(fileId, targetId, "use", { refKind: ref.kind, line: ref.line });
+    addReferencedTarget({ targetAbs, targetId, addNode, enqueue, visited });
+  }
+}
+
+/**
+ * Traverse a referenced file when it is parseable; otherwise materialize it as
+ * an `asset` node (images, fonts) so the edge has a target outside the scan depth.
+ *
+ * @param {{targetAbs: string, targetId: string, addNode: Function, enqueue: Function, visited: Set<string>}} args
+ */
+function addReferencedTarget({ targetAbs, targetId, addNode, enqueue, visited }) {
+  const ext = normalizeExt(path.extname(targetAbs));
+
+  if (PARSEABLE_EXTS.has(ext)) {
+    if (!visited.has(targetAbs)) enqueue(targetAbs);
+    return;
+  }
+
+  addScannedFileNode({ addNode, file: { id: targetId }, kind: kindFromExt(ext), ext });
+}
+
+/**
+ * Report an import that the project itself declared as internal but that
+ * resolves to no file: a configured path alias hit or a `#` subpath import.
+ *
+ * Bare package imports stay silent; they are expected to be external.
+ *
+ * @param {{spec: string, absNorm: string, projectRootAbs: string, fileId: string, warnings: Array<object>}} args
+ *   Unresolved import context.
+ * @returns {boolean}
+ *   `true` when the specifier is a project mapping (warned), not a package import.
+ */
+function warnIfUnresolvedMappedImport({ spec, absNorm, projectRootAbs, fileId, warnings }) {
+  const cleaned = toTrimmedString(spec);
+
+  if (cleaned.startsWith("#")) {
+    if (!hasPackageImports(absNorm, projectRootAbs)) return true;
+
+    warnings.push({
+      kind: "unresolved-subpath-import",
+      message: `Unresolved subpath import '${spec}' in '${fileId}' (no matching package.json "imports" target).`,
+      fromId: fileId,
+      targetFileId: null,
+      targetExport: null
+    });
+    return true;
+  }
+
+  const pattern = matchPathAliasPattern(absNorm, cleaned, projectRootAbs);
+  if (!pattern) return false;
+
+  warnings.push({
+    kind: "unresolved-alias-import",
+    message: `Unresolved alias import '${spec}' in '${fileId}' (matches alias '${pattern}', but no project file exists).`,
+    fromId: fileId,
+    targetFileId: null,
+    targetExport: null
+  });
+  return true;
+}
+
+/**
+ * Link an importing file to the `external` node of a package or Node builtin.
+ *
+ * @param {{spec: string, fileId: string, addNode: Function, addLink: Function, dependencyManifest: object}} args
+ *   Unresolved bare import context.
+ */
+function addExternalImportEdge({ spec, fileId, addNode, addLink, dependencyManifest }) {
+  const ref = classifyExternalSpecifier(spec);
+  if (!ref) return;
+
+  const node = buildExternalNode(ref, dependencyManifest);
+  addNode(node);
+  addLink(fileId, node.id, "use");
+}
+
 /**
  * Add `call` edges for local and cross-file function calls.
  *
@@ -630,7 +1218,10 @@ function addImportEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addL
  * 1. Try bare local function names in the same file
  * 2. Try qualified local ids in the same file
  * 3. Try imported bindings for cross-file calls
- * 4. Defer export-target resolution until BFS has materialized all nodes
+ * 4. Defer export-target resolution (named and default imports) until BFS has
+ *    materialized all nodes
+ *
+ * Member calls with a bound receiver are handled by `memberCalls.js`.
  *
  * @param {{
  *   parsed: Record<string, any>,
@@ -656,7 +1247,7 @@ function addCallEdges({ parsed, store, fileId, absNorm, projectRootAbs, toRelId,
     return store.findNodeIdByPrefix(prefix);
   };
 
-  const moduleLevelImportKinds = new Set(["*", "namespace", "default"]);
+  const moduleLevelImportKinds = new Set(["*", "namespace"]);
 
   const resolveFromId = (fromFnRaw) => {
     const raw = String(fromFnRaw || "").trim();
@@ -732,7 +1323,7 @@ function addCallEdges({ parsed, store, fileId, absNorm, projectRootAbs, toRelId,
 
   for (const call of parsed.calls) {
     const calleeRaw = String(call?.callee || "").trim();
-    if (!calleeRaw) continue;
+    if (!calleeRaw || call?.receiver) continue;
 
     const fromId = resolveFromId(call?.from);
 
@@ -746,27 +1337,40 @@ function addCallEdges({ parsed, store, fileId, absNorm, projectRootAbs, toRelId,
 /**
  * Resolve deferred cross-file call targets after BFS traversal.
  *
+ * Export names are followed through barrel re-exports (`export * from`,
+ * `export { a as b } from`) to the defining module. Default imports that do
+ * not land on a function (e.g. `export default router`) silently keep their
+ * module-level edge, as before.
+ *
  * @param {{
  *   pendingCalls: Array<{fromId: string, targetFileId: string, targetExport: string | null}>,
  *   store: GraphStore,
+ *   reExportIndex: Map<string, object>,
  *   addLink: Function,
  *   warnings: Array<object>
  * }} args
  *   Deferred call-resolution context.
  */
-function resolveDeferredCalls({ pendingCalls, store, addLink, warnings }) {
+function resolveDeferredCalls({ pendingCalls, store, reExportIndex, addLink, warnings }) {
   if (!pendingCalls.length) return;
 
+  const findLocal = (fileId, name) => store.findNodeIdByPrefix(`${fileId}::${name}@`);
+
   for (const c of pendingCalls) {
     const fromId = c.fromId;
     const targetFileId = c.targetFileId;
     const exp = c.targetExport;
 
     if (exp) {
-      const prefix = `${targetFileId}::${exp}@`;
-      const match = store.findNodeIdByPrefix(prefix);
-      if (match) {
-        addLink(fromId, match, "call");
+      const hit = resolveExportChain({ reExportIndex, fileId: targetFileId, exportName: exp, findLocal });
+      if (hit) {
+        // Namespace re-exports (`export * as ns`) end at a module, not a function.
+        addLink(fromId, hit.nodeId || hit.fileId, "call");
+        continue;
+      }
+
+      if (exp === "default") {
+        addLink(fromId, targetFileId, "call");
         continue;
       }
 
@@ -879,6 +1483,30 @@ function assignFunctionChildrenToFiles(fileNodes, functionsByFile) {
   }
 }
 
+/**
+ * Materialize method children on class nodes.
+ *
+ * Methods stay flat function nodes (and remain children of their file); the
+ * class node additionally lists its own methods so the renderer can size and
+ * ring it like a small module.
+ */
+function attachClassMethods(nodes) {
+  const classNodes = new Map();
+
+  for (const node of nodes) {
+    if (!isObjectNode(node) || node.kind !== "class") continue;
+    node.children = [];
+    classNodes.set(node.id, node);
+  }
+
+  for (const node of nodes) {
+    if (!isObjectNode(node) || node.kind !== "function") continue;
+
+    const owner = classNodes.get(String(node.parentClass || ""));
+    if (owner) owner.children.push(node);
+  }
+}
+
 /**
  * Guard helper for node-like values used during graph post-processing.
  */
@@ -928,6 +1556,51 @@ function enforceCanonicalFields(nodes) {
 
     delete n._radiusHint;
 
+    if (n.kind === "external") {
+      // `npm:socket.io` is an id, not a path: never derive an extension from it.
+      n.ext = "";
+      n.type = n.builtin ? "builtin" : "npm";
+      n.subtype = n.type;
+      continue;
+    }
+
+    if (n.kind === "route") {
+      // `route:GET /assets/app.js` is no file either.
+      n.ext = "";
+      n.type = "route";
+      n.subtype = String(n.method || "").toLowerCase() || "route";
+      continue;
+    }
+
+    if (n.kind === "event") {
+      // `event:fs-change` names a channel, not a file.
+      n.ext = "";
+      n.type = "event";
+      n.subtype = "event";
+      continue;
+    }
+
+    if (n.kind === "class") {
+      const fileExt = extFromFileId(n.file || "");
+
+      if (typeof n.exported !== "boolean") n.exported = false;
+      if (!Number.isFinite(n.startLine)) n.startLine = 0;
+
+      n.ext = fileExt;
+      n.type = "class";
+      n.subtype = subtypeFromExt(fileExt) || "class";
+      continue;
+    }
+
+    if (n.kind === "interface" || n.kind === "type" || n.kind === "enum") {
+      const fileExt = extFromFileId(n.file || "");
+
+      n.ext = fileExt;
+      n.type = n.kind;
+      n.subtype = subtypeFromExt(fileExt) || n.kind;
+      continue;
+    }
+
     if (n.kind === "function") {
       const fileExt = extFromFileId(n.file || n.id || "");
       const fileSubtype = subtypeFromExt(fileExt);
@@ -942,6 +1615,30 @@ function enforceCanonicalFields(nodes) {
   }
 }
 
+/**
+ * Tag every node with the workspace package that owns its file.
+ *
+ * Why this exists
+ * ---------------
+ * In monorepos the package boundary is the most important grouping level.
+ * The frontend clusters hulls by `workspacePackage` when it is present.
+ *
+ * @param {Array<object>} nodes
+ *   Canonical graph nodes mutated in place.
+ * @param {Array<{name: string, dirId: string}>} workspacePackages
+ *   Discovered workspace packages (empty for single-package projects).
+ */
+function tagWorkspacePackages(nodes, workspacePackages) {
+  if (!workspacePackages.length) return;
+
+  for (const n of nodes) {
+    if (!isObjectNode(n)) continue;
+
+    const owner = owningWorkspacePackage(workspacePackages, getNodeFileId(n));
+    if (owner) n.workspacePackage = owner;
+  }
+}
+
 /**
  * Pull the next unvisited absolute path from the BFS queue.
  *
@@ -972,24 +1669,116 @@ function dequeueNextAbs(queue, queued, visited) {
 }
 
 /**
- * Parse one queued file strictly.
+ * Parse one queued file strictly (or reuse its cached result).
  *
  * @param {string} absNorm
  *   Normalized absolute file path.
+ * @param {string} fileId
+ *   Canonical graph id of the file (parse cache key).
+ * @param {ReturnType<typeof openParseCache> | null} parseCache
+ *   Parse cache of this run, or `null` when disabled.
  * @returns {Record<string, any>}
  *   Parsed file descriptor returned by `parseFile()`.
  * @throws {Error}
  *   Thrown when the path is invalid or parsing returns no usable object.
  */
-function parseOrThrow(absNorm) {
+function parseOrThrow(absNorm, fileId, parseCache) {
   // Strict: queued paths must exist and be files.
   statFileOrThrow(absNorm);
 
   const code = readUtf8(absNorm);
+  const hash = parseCache ? contentHash(code) : "";
+  const cached = parseCache?.get(fileId, hash);
+  if (cached) return cached;
+
+  const startedAt = performance.now();
   const parsed = parseFile(code, absNorm);
   if (!parsed || typeof parsed !== "object") {
     throw new Error(`parseFile returned no result for: ${absNorm}`);
   }
+
+  parseCache?.set(fileId, hash, parsed, performance.now() - startedAt);
+  return parsed;
+}
+
+/**
+ * Parse every queued file in the worker pool before the BFS consumes it.
+ *
+ * Runs once per BFS wave: only when the next queued file has no result yet.
+ * Cache lookups, cache writes and warnings follow queue order, so worker
+ * timing never shows in the output. Timeouts become warnings plus an empty
+ * parse result; files a failed worker could not parse are parsed in-process.
+ *
+ * @param {{
+ *   queue: string[],
+ *   visited: Set<string>,
+ *   prefetched: Map<string, Record<string, any>>,
+ *   toRelId: Function,
+ *   parseCache: ReturnType<typeof openParseCache> | null,
+ *   parsePool: ReturnType<typeof createParsePool>,
+ *   warnings: Array<object>
+ * }} args
+ * @returns {Promise<void>}
+ * @throws {Error}
+ *   Thrown when a queued path is not a readable file (same as `parseOrThrow`).
+ */
+async function prefetchQueuedParses({ queue, visited, prefetched, toRelId, parseCache, parsePool, warnings }) {
+  const pending = [...new Set(queue.map((abs) => path.resolve(abs)))].filter((absNorm) => !visited.has(absNorm));
+  if (!pending.length || prefetched.has(pending[0])) return;
+
+  const jobs = pending
+    .filter((absNorm) => !prefetched.has(absNorm))
+    .map((absNorm) => {
+      statFileOrThrow(absNorm);
+
+      const code = readUtf8(absNorm);
+      const fileId = toRelId(absNorm);
+      const hash = parseCache ? contentHash(code) : "";
+      const cached = parseCache?.get(fileId, hash) || null;
+
+      return { absNorm, fileId, hash, cached, result: cached ? null : parsePool.parse(code, absNorm) };
+    });
+
+  for (const job of jobs) {
+    if (job.cached) {
+      prefetched.set(job.absNorm, job.cached);
+      continue;
+    }
+
+    const result = await job.result;
+    if (result.parsed && typeof result.parsed === "object") {
+      parseCache?.set(job.fileId, job.hash, result.parsed, result.parseMs);
+      prefetched.set(job.absNorm, result.parsed);
+      continue;
+    }
+
+    if (result.timedOut) {
+      warnings.push({
+        kind: "parse-timeout",
+        message: `Parsing '${job.fileId}' took longer than ${Math.round(result.parseMs)} ms; analyzed without its contents.`,
+        fromId: job.fileId,
+        targetFileId: null,
+        targetExport: null
+      });
+      prefetched.set(job.absNorm, parseFile("", job.absNorm));
+      continue;
+    }
+
+    // A crashed or unavailable worker is no verdict on the file: parse it here.
+    warnings.push({
+      kind: "parse-worker-failed",
+      message: `Parse worker failed on '${job.fileId}' (${result.error || "no result"}); parsed in-process instead.`,
+      fromId: job.fileId,
+      targetFileId: null,
+      targetExport: null
+    });
+    prefetched.set(job.absNorm, parseOrThrow(job.absNorm, job.fileId, null));
+  }
+}
+
+function takePrefetched(prefetched, absNorm) {
+  const parsed = prefetched.get(absNorm);
+  prefetched.delete(absNorm);
   return parsed;
 }
 
@@ -1008,6 +1797,11 @@ function addFileNode({ fileId, parsed, addNode }) {
     commentLines: Number(parsed?.commentLines || 0),
     blankLines: Number(parsed?.blankLines || 0),
     complexity: Number(parsed?.complexity || 0),
+    cognitiveComplexity: Number(parsed?.cognitiveComplexity || 0),
+    halsteadVolume: Number(parsed?.halsteadVolume || 0),
+    halsteadDifficulty: Number(parsed?.halsteadDifficulty || 0),
+    halsteadEffort: Number(parsed?.halsteadEffort || 0),
+    maintainabilityIndex: Number(parsed?.maintainabilityIndex || 0),
     headerComment: String(parsed?.headerComment || ""),
     kind: "file"
   });
@@ -1027,11 +1821,25 @@ function addFileNode({ fileId, parsed, addNode }) {
  *   enqueue: Function,
  *   toRelId: Function,
  *   pendingCalls: Array<object>,
- *   warnings: Array<object>
+ *   pendingHeritage: Array<object>,
+ *   pendingMemberCalls: Array<object>,
+ *   reExportIndex: Map<string, object>,
+ *   pendingDocRefs: Array<object>,
+ *   cloneInputs: Array<object>,
+ *   exportUsage: Map<string, object>,
+ *   routeInputs: Array<object>,
+ *   httpClientInputs: Array<object>,
+ *   eventInputs: Array<object>,
+ *   warnings: Array<object>,
+ *   dependencyManifest: object | null,
+ *   includeTypeNodes: boolean,
+ *   parseCache: object | null,
+ *   parsePool: object | null
  * }} args
  *   Full traversal state and callbacks.
+ * @returns {Promise<void>}
  */
-function bfsTraverse({
+async function bfsTraverse({
   queue,
   queued,
   visited,
@@ -1042,18 +1850,40 @@ function bfsTraverse({
   enqueue,
   toRelId,
   pendingCalls,
-  warnings
+  pendingHeritage,
+  pendingMemberCalls,
+  reExportIndex,
+  pendingDocRefs,
+  cloneInputs,
+  exportUsage,
+  routeInputs,
+  httpClientInputs,
+  eventInputs,
+  warnings,
+  dependencyManifest,
+  includeTypeNodes,
+  parseCache,
+  parsePool
 }) {
+  // Worker results by absolute path, consumed in queue order.
+  const prefetched = new Map();
+
   while (true) {
+    if (parsePool) {
+      await prefetchQueuedParses({ queue, visited, prefetched, toRelId, parseCache, parsePool, warnings });
+    }
+
     const absNorm = dequeueNextAbs(queue, queued, visited);
     if (!absNorm) break;
 
-    const parsed = parseOrThrow(absNorm);
     const fileId = toRelId(absNorm);
+    const parsed = takePrefetched(prefetched, absNorm) || parseOrThrow(absNorm, fileId, parseCache);
 
     addFileNode({ fileId, parsed, addNode });
 
     addFunctionNodes({ parsed, fileId, addNode });
+    addClassNodes({ parsed, fileId, addNode });
+    const typeDecls = addTypeNodes({ parsed, fileId, addNode, includeTypeNodes });
 
     applyAutoRefs({
       projectRootAbs,
@@ -1067,9 +1897,47 @@ function bfsTraverse({
       hasVisited: (absPath) => visited.has(path.resolve(absPath))
     });
 
-    addImportEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addLink, enqueue, visited });
+    // Before plain imports: a component import used in a template keeps its
+    // typed edge (`refKind: "component"`) instead of an untyped `use`.
+    addMarkupReferenceEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addLink, addNode, enqueue, visited });
+
+    addImportEdges({
+      parsed,
+      absNorm,
+      projectRootAbs,
+      fileId,
+      toRelId,
+      addLink,
+      enqueue,
+      visited,
+      warnings,
+      addNode,
+      dependencyManifest
+    });
+
+    addTypeImportEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addLink, enqueue, visited, warnings });
+
+    addDynamicImportEdges({ parsed, absNorm, projectRootAbs, fileId, toRelId, addLink, addNode, enqueue, visited, warnings });
+
+    indexReExports({ parsed, fileId, absNorm, projectRootAbs, toRelId, reExportIndex });
 
     addCallEdges({ parsed, store, fileId, absNorm, projectRootAbs, toRelId, addLink, pendingCalls, warnings });
+
+    collectMemberCalls({ parsed, store, fileId, absNorm, projectRootAbs, toRelId, addLink, pendingCalls, pendingMemberCalls });
+
+    collectHeritageRefs({ parsed, fileId, absNorm, projectRootAbs, toRelId, pendingHeritage, typeDecls });
+
+    collectDocRefs({ parsed, fileId, absNorm, projectRootAbs, pendingDocRefs });
+
+    collectCloneInput({ parsed, fileId, cloneInputs });
+
+    collectExportUsage({ parsed, fileId, absNorm, projectRootAbs, toRelId, exportUsage });
+
+    collectRouteInput({ parsed, fileId, absNorm, projectRootAbs, toRelId, routeInputs });
+
+    collectHttpClientInput({ parsed, fileId, absNorm, projectRootAbs, toRelId, httpClientInputs });
+
+    collectEventInput({ parsed, fileId, absNorm, projectRootAbs, toRelId, eventInputs });
   }
 }
 
@@ -0,0 +1,257 @@
+/**
+ * callSites
+ * ============================================================================
+ *
+ * Shared plumbing of the call-site recorders: `routeInventory.js`,
+ * `httpClientCalls.js` and `eventChannels.js`.
+ *
+ * Purpose
+ * -------
+ * All three recorders look at member calls while `parseJsTsAst` walks a file,
+ * attribute each site to the enclosing emitted function (`name@line`), bind
+ * handler / callee names to their defining file during BFS and resolve them
+ * to function nodes once the whole graph exists. HTTP and event sites also
+ * share the notion of a wrapper: a project function that forwards one of its
+ * parameters to the real API (`getJson(url)`, `broadcast(type, data)`).
+ * The pieces they have in common live here; what a site means stays in the
+ * recorder.
+ *
+ * Wrapper model
+ * -------------
+ * - wrapper:      `{name, param, ...}` in the defining file; `param` is the
+ *                 index of the forwarded parameter
+ * - wrapper call: `{callee, arg, param, from, line, calleeRef, ...}`; `param`
+ *                 is >= 0 when the call forwards a parameter of its own
+ *                 function, else the call carries a static value
+ * - a call forwarding a parameter into a wrapper argument makes its own
+ *   function a wrapper; this is repeated until stable (bounded rounds)
+ *
+ * Design notes
+ * ------------
+ * - the parse-time helpers run inside `parseFile()` (via the recorders), so
+ *   this file is part of the parser fingerprint in `parseCache.js`
+ * - recorder-specific payload (HTTP method, event role) is carried through
+ *   wrapper chains by the `inherit` callback of `expandWrapperCalls()`
+ */
+
+import { bindClassName } from "./classHeritage.js";
+import { resolveExportChain } from "./reExports.js";
+
+// Each round can only extend a chain by one function; real chains are short.
+const MAX_WRAPPER_ROUNDS = 8;
+
+/* ========================================================================== */
+/* PARSE TIME                                                                 */
+/* ========================================================================== */
+
+/**
+ * `obj.name` / `obj?.name` with a non-computed identifier property.
+ *
+ * @param {any} node
+ * @returns {boolean}
+ */
+export function isStaticMember(node) {
+  return (node?.type === "MemberExpression" || node?.type === "OptionalMemberExpression") &&
+    !node.computed &&
+    node.property?.type === "Identifier";
+}
+
+/**
+ * Function name of an emitted function id (`"load@12"` -> `"load"`).
+ *
+ * @param {string | null} fnId
+ * @returns {string}
+ */
+export function fnName(fnId) {
+  return String(fnId || "").split("@")[0];
+}
+
+/**
+ * Index of the parameter of the enclosing emitted function that `node` names.
+ *
+ * @param {any} p
+ *   Babel path inside the function.
+ * @param {any} node
+ *   Expression to test (only identifiers qualify).
+ * @param {string | null} from
+ *   Enclosing emitted function id (`name@line`).
+ * @returns {number}
+ *   Parameter index, or -1 (also for parameters of inline callbacks, which
+ *   are not emitted and therefore cannot be wrappers).
+ */
+export function enclosingParamIndex(p, node, from) {
+  if (!from || node?.type !== "Identifier") return -1;
+
+  const binding = p.scope?.getBinding?.(node.name);
+  if (binding?.kind !== "param") return -1;
+
+  let paramPath = binding.path;
+  if (paramPath.parentPath?.node?.type === "AssignmentPattern") paramPath = paramPath.parentPath;
+
+  const fnNode = paramPath.parentPath?.node;
+  const index = fnNode?.params?.indexOf(paramPath.node) ?? -1;
+  if (index < 0) return -1;
+
+  return String(from).endsWith(`@${fnNode.loc?.start?.line}`) ? index : -1;
+}
+
+/**
+ * Callee name of a call that may hit a project wrapper: `send(...)` for a
+ * project binding, `api.send(...)` for a namespace import.
+ *
+ * @param {any} p
+ *   Babel path of a `CallExpression`.
+ * @returns {string}
+ *   Name as bound in the calling file, or `""` (globals, parameters and
+ *   member calls on values never name a wrapper).
+ */
+export function wrapperCalleeName(p) {
+  const callee = p?.node?.callee;
+
+  if (callee?.type === "Identifier") {
+    const binding = p.scope?.getBinding?.(callee.name);
+    return binding && binding.kind !== "param" ? callee.name : "";
+  }
+
+  if (isStaticMember(callee) && callee.object?.type === "Identifier") {
+    return p.scope?.getBinding?.(callee.object.name)?.kind === "module"
+      ? `${callee.object.name}.${callee.property.name}`
+      : "";
+  }
+
+  return "";
+}
+
+/* ========================================================================== */
+/* BFS                                                                        */
+/* ========================================================================== */
+
+/**
+ * Bind a name used in a parsed file to the file and export defining it.
+ *
+ * @param {{
+ *   name: string,
+ *   parsed: Record<string, any>,
+ *   fileId: string,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   toRelId: (absPath: string) => string
+ * }} args
+ * @returns {{fileId: string, exportName: string} | null}
+ *   `null` for empty names, packages and unknown names.
+ */
+export function bindSiteName({ name, parsed, fileId, absNorm, projectRootAbs, toRelId }) {
+  if (!name) return null;
+  const target = bindClassName({ name, parsed, fileId, absNorm, projectRootAbs, toRelId });
+  return target?.targetFileId ? { fileId: target.targetFileId, exportName: target.targetExport } : null;
+}
+
+/* ========================================================================== */
+/* AFTER BFS                                                                  */
+/* ========================================================================== */
+
+/**
+ * Node id a site is attributed to: its enclosing function, else the file.
+ *
+ * @param {import("./graphStore.js").GraphStore} store
+ * @param {string} fileId
+ * @param {string | null} from
+ *   Enclosing emitted function id (`name@line`).
+ * @returns {string}
+ */
+export function callerId(store, fileId, from) {
+  const id = from ? `${fileId}::${from}` : "";
+  return id && store.getExistingNode(id) ? id : fileId;
+}
+
+/**
+ * Function node behind a bound handler / listener reference; inline
+ * callbacks run inside the registering function (or the module).
+ *
+ * @param {{
+ *   ref: {fileId: string, exportName: string} | null,
+ *   fileId: string,
+ *   from: string | null,
+ *   store: import("./graphStore.js").GraphStore,
+ *   reExportIndex: Map<string, object>
+ * }} args
+ * @returns {string}
+ */
+export function resolveSiteFunction({ ref, fileId, from, store, reExportIndex }) {
+  if (ref) {
+    const findLocal = (targetFileId, name) => {
+      const id = store.findNodeIdByPrefix(`${targetFileId}::${name}@`);
+      return id && store.getExistingNode(id) ? id : null;
+    };
+    const hit = resolveExportChain({ reExportIndex, fileId: ref.fileId, exportName: ref.exportName, findLocal });
+    if (hit?.nodeId) return hit.nodeId;
+  }
+
+  return callerId(store, fileId, from);
+}
+
+/**
+ * Resolve wrapper calls, growing the wrapper set through forwarding calls.
+ *
+ * @param {{
+ *   inputs: Array<{fileId: string, wrappers: Array<object>, calls: Array<object>}>,
+ *   reExportIndex: Map<string, object>,
+ *   inherit: (call: object, wrapper: object) => object
+ * }} args
+ *   `inherit` returns the recorder payload of a wrapper derived from
+ *   `wrapper` through `call`.
+ * @returns {Array<{fileId: string, call: object, wrapper: object}>}
+ *   Calls that pass a static value into a wrapper, with the wrapper they hit.
+ */
+export function expandWrapperCalls({ inputs, reExportIndex, inherit }) {
+  const wrappers = new Map();
+  for (const input of inputs) {
+    for (const w of input.wrappers) wrappers.set(wrapperKey(input.fileId, w.name), w);
+  }
+
+  const findLocal = (fileId, name) => (wrappers.has(wrapperKey(fileId, name)) ? name : null);
+  const targetOf = (call) => {
+    const hit = resolveExportChain({ reExportIndex, fileId: call.calleeRef.fileId, exportName: call.calleeRef.exportName, findLocal });
+    const wrapper = hit?.nodeId ? wrappers.get(wrapperKey(hit.fileId, hit.nodeId)) : null;
+    return wrapper?.param === call.arg ? wrapper : null;
+  };
+
+  for (let round = 0; round < MAX_WRAPPER_ROUNDS; round++) {
+    let added = false;
+    for (const input of inputs) {
+      for (const call of input.calls) {
+        if (call.param < 0 || !call.from) continue;
+
+        const name = fnName(call.from);
+        const key = wrapperKey(input.fileId, name);
+        if (wrappers.has(key)) continue;
+
+        const wrapper = targetOf(call);
+        if (!wrapper) continue;
+
+        wrappers.set(key, { ...inherit(call, wrapper), name, param: call.param });
+        added = true;
+      }
+    }
+    if (!added) break;
+  }
+
+  const hits = [];
+  for (const input of inputs) {
+    for (const call of input.calls) {
+      if (call.param >= 0) continue;
+
+      const wrapper = targetOf(call);
+      if (wrapper) hits.push({ fileId: input.fileId, call, wrapper });
+    }
+  }
+  return hits;
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function wrapperKey(fileId, name) {
+  return `${fileId}\u0000${name}`;
+}
@@ -0,0 +1,188 @@
+/**
+ * classHeritage
+ * ============================================================================
+ *
+ * `extends` / `implements` edges between class nodes.
+ *
+ * Purpose
+ * -------
+ * `parseJsTsAst` records each class with the *names* of its superclass and
+ * implemented interfaces. This module turns those names into graph edges:
+ *
+ *   class node ──extends──▶ superclass node
+ *   class node ──implements──▶ interface / class node
+ *   interface node ──extends──▶ interface node   (with `includeTypeNodes`)
+ *
+ * Resolution happens in two phases, mirroring deferred call resolution:
+ * 1. per file (during BFS): bind names to a target file via `importBindings`
+ * 2. after BFS: look up the target class node once every file is materialized,
+ *    following barrel re-exports (`reExports.js`)
+ *
+ * Supported references
+ * --------------------
+ * - local classes:           `class B extends A {}`
+ * - named / default imports: `import Base from "./base.js"`
+ * - namespace imports:       `import * as ns from "./ns.js"; extends ns.Base`
+ * - external packages:       `extends EventEmitter` (only when `external`
+ *                            nodes are present, see `dependencyInventory.js`)
+ *
+ * Design notes
+ * ------------
+ * - globals (`extends Error`) and local names without a node are skipped silently
+ * - imported names that resolve to a project file but not to a class there
+ *   fall back to a file-level edge plus an `unresolved-heritage-target` warning
+ */
+
+import { classifyExternalSpecifier, externalNodeId } from "./dependencyInventory.js";
+import { resolveExportChain, resolveSourceFileId } from "./reExports.js";
+
+// Node kinds that can be the target of an `extends` / `implements` edge
+// (interface nodes only exist with `includeTypeNodes`).
+const HERITAGE_TARGET_KINDS = new Set(["class", "interface"]);
+
+/**
+ * Collect unresolved heritage references for one parsed file.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   fileId: string,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   toRelId: (absPath: string) => string,
+ *   pendingHeritage: Array<object>,
+ *   typeDecls?: Array<object>
+ * }} args
+ *   Parsed file and the shared deferred-reference list (mutated). `typeDecls`
+ *   are the TS declarations emitted as nodes; their interface `extends` are
+ *   collected as well.
+ */
+export function collectHeritageRefs({ parsed, fileId, absNorm, projectRootAbs, toRelId, pendingHeritage, typeDecls = [] }) {
+  const refsByOwner = [
+    ...(parsed?.classes || []).map((cls) => ({
+      fromId: `${fileId}::${cls.id}`,
+      refs: [
+        ...(cls.superClass ? [{ type: "extends", name: cls.superClass }] : []),
+        ...(cls.implements || []).map((name) => ({ type: "implements", name }))
+      ]
+    })),
+    ...typeDecls.map((decl) => ({
+      fromId: `${fileId}::${decl.id}`,
+      refs: (decl.extends || []).map((name) => ({ type: "extends", name }))
+    }))
+  ];
+
+  for (const { fromId, refs } of refsByOwner) {
+    for (const ref of refs) {
+      const target = bindClassName({ name: ref.name, parsed, fileId, absNorm, projectRootAbs, toRelId });
+      if (target) pendingHeritage.push({ fromId, type: ref.type, name: ref.name, ...target });
+    }
+  }
+}
+
+/**
+ * Resolve deferred heritage references into `extends` / `implements` links.
+ *
+ * @param {{
+ *   pendingHeritage: Array<{fromId: string, type: string, name: string, targetFileId: string, targetExport: string, externalSpec: string}>,
+ *   store: import("./graphStore.js").GraphStore,
+ *   reExportIndex: Map<string, object>,
+ *   addLink: Function,
+ *   warnings: Array<object>
+ * }} args
+ */
+export function resolveHeritageRefs({ pendingHeritage, store, reExportIndex, addLink, warnings }) {
+  const findLocal = (fileId, name) => findClassNodeId(store, fileId, name);
+
+  for (const ref of pendingHeritage) {
+    if (ref.externalSpec) {
+      linkExternalHeritage(ref, store, addLink);
+      continue;
+    }
+
+    const hit = resolveExportChain({
+      reExportIndex,
+      fileId: ref.targetFileId,
+      exportName: ref.targetExport,
+      findLocal
+    });
+
+    if (hit) {
+      addLink(ref.fromId, hit.nodeId || hit.fileId, ref.type);
+      continue;
+    }
+
+    // Local names without a node are globals (`Error`) or type-only symbols.
+    if (!ref.crossFile) continue;
+
+    warnings.push({
+      kind: "unresolved-heritage-target",
+      message:
+        `Unresolved ${ref.type} target: cannot find '${ref.targetExport}' in '${ref.targetFileId}'. ` +
+        `Falling back to a module-level ${ref.type} edge.`,
+      fromId: ref.fromId,
+      targetFileId: ref.targetFileId,
+      targetExport: ref.targetExport
+    });
+
+    addLink(ref.fromId, ref.targetFileId, ref.type);
+  }
+}
+
+/**
+ * Bind a (possibly dotted) class name, as written in one file, to its defining
+ * file. Shared with member-call resolution (`memberCalls.js`).
+ *
+ * @param {{name: string, parsed: Record<string, any>, fileId: string, absNorm: string, projectRootAbs: string, toRelId: (absPath: string) => string}} args
+ * @returns {{targetFileId: string, targetExport: string, crossFile: boolean, externalSpec: string} | null}
+ */
+export function bindClassName({ name, parsed, fileId, absNorm, projectRootAbs, toRelId }) {
+  const [head, ...rest] = String(name || "").split(".");
+  const binding = parsed?.importBindings?.[head] ?? null;
+
+  if (!binding?.source) {
+    // Dotted local names (`this.Base`, `window.X`) are not statically bindable.
+    if (rest.length) return null;
+    return { targetFileId: fileId, targetExport: head, crossFile: false, externalSpec: "" };
+  }
+
+  const targetFileId = resolveSourceFileId(binding.source, absNorm, projectRootAbs, toRelId);
+  if (!targetFileId) {
+    return { targetFileId: "", targetExport: "", crossFile: true, externalSpec: binding.source };
+  }
+
+  const imported = String(binding.imported || "");
+  if (imported === "*") {
+    // `ns.Base` names an export of the namespace module; plain `ns` is the module itself.
+    if (rest.length !== 1) return null;
+    return { targetFileId, targetExport: rest[0], crossFile: true, externalSpec: "" };
+  }
+
+  if (rest.length) return null;
+  return { targetFileId, targetExport: imported || head, crossFile: true, externalSpec: "" };
+}
+
+/**
+ * Find a class node by local name inside one file.
+ *
+ * @returns {string | null} node id
+ */
+export function findClassNodeId(store, targetFileId, localName) {
+  if (!targetFileId || !localName) return null;
+
+  const id = store.findNodeIdByPrefix(`${targetFileId}::${localName}@`);
+  const node = id ? store.getExistingNode(id) : null;
+  return node && HERITAGE_TARGET_KINDS.has(node.kind) ? id : null;
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function linkExternalHeritage(ref, store, addLink) {
+  const external = classifyExternalSpecifier(ref.externalSpec);
+  if (!external) return;
+
+  // External nodes only exist when the analysis runs with `includeExternals`.
+  const id = externalNodeId(external);
+  if (store.getExistingNode(id)) addLink(ref.fromId, id, ref.type);
+}
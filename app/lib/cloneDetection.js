@@ -0,0 +1,337 @@
+/**
+ * cloneDetection
+ * ============================================================================
+ *
+ * Token-based code clone detection across the analyzed JS/TS files, plus the
+ * duplication report and `clone` edges.
+ *
+ * Purpose
+ * -------
+ * Copy-pasted helpers (`clamp`, `hexToRgb`, `toPositiveInt`, ...) are invisible
+ * in a dependency graph: copies do not import each other. `parseJsTsAst` keeps
+ * the token stream of every parsed program; after BFS this module looks for
+ * token runs of at least `minTokens` that occur more than once and records:
+ *
+ *   clone groups     meta.clones.groups (one original, its copies, line ranges)
+ *   clone edges      original ──clone──▶ copy (innermost function, else file)
+ *   duplication      meta.clones.files (duplicated tokens / lines and % per file)
+ *
+ * Rules
+ * -----
+ * - exact token clones: whitespace, comments and formatting are ignored,
+ *   renamed identifiers or changed literals end a clone
+ * - files are scanned in id order; the first occurrence of a token run is the
+ *   original, later occurrences become copies of it
+ * - a clone is extended as far as the tokens keep matching; inside one file
+ *   the copy never overlaps its original
+ *
+ * Design notes
+ * ------------
+ * - windows of `minTokens` tokens are indexed by a rolling hash and verified
+ *   token by token, so hash collisions never produce clones
+ * - a fragment is attributed to the innermost parsed function containing it
+ *   (line spans from the parser, the store does not keep them); fragments in
+ *   top-level code or on shared minified lines stay on the file node
+ */
+
+// Below this many tokens matches are mostly boilerplate (imports, short calls).
+export const DEFAULT_CLONE_MIN_TOKENS = 50;
+
+const HASH_BASE = 0x01000193;
+
+/**
+ * Reduce Babel tokens (`parse(..., { tokens: true })`) to comparable values.
+ *
+ * @param {Array<any>} tokens
+ * @returns {{values: string[], lines: number[]}}
+ *   Token keys (type + value) and their start lines, comments and EOF dropped.
+ */
+export function cloneTokensFromBabel(tokens) {
+  const values = [];
+  const lines = [];
+
+  for (const t of Array.isArray(tokens) ? tokens : []) {
+    const label = typeof t?.type === "object" ? t.type?.label : t?.type;
+    if (!label || label === "eof" || label === "CommentBlock" || label === "CommentLine") continue;
+
+    values.push(tokenKey(label, t.value));
+    lines.push(Number(t.loc?.start?.line) || 0);
+  }
+
+  return { values, lines };
+}
+
+/**
+ * Keep the token stream and function spans of one parsed file for detection.
+ *
+ * @param {{parsed: Record<string, any>, fileId: string, cloneInputs: Array<object>}} args
+ *   Parsed file and the shared input list (mutated).
+ */
+export function collectCloneInput({ parsed, fileId, cloneInputs }) {
+  const values = parsed?.cloneTokens?.values;
+  if (!Array.isArray(values) || !values.length) return;
+
+  cloneInputs.push({
+    fileId,
+    values,
+    lines: parsed.cloneTokens.lines || [],
+    functions: (parsed.functions || [])
+      .filter((fn) => fn?.id && Number(fn.startLine) > 0)
+      .map((fn) => ({
+        nodeId: `${fileId}::${fn.id}`,
+        startLine: Number(fn.startLine),
+        endLine: Number(fn.endLine) || Number(fn.startLine)
+      }))
+  });
+}
+
+/**
+ * Detect clones, add `clone` links and build the duplication report.
+ *
+ * @param {{
+ *   cloneInputs: Array<{fileId: string, values: string[], lines: number[], functions: Array<object>}>,
+ *   minTokens?: number,
+ *   store: import("./graphStore.js").GraphStore,
+ *   addLink: Function
+ * }} args
+ * @returns {{
+ *   minTokens: number,
+ *   groups: Array<{id: string, tokens: number, fragments: Array<{fileId: string, nodeId: string, startLine: number, endLine: number, tokens: number}>}>,
+ *   files: Array<{fileId: string, tokens: number, duplicatedTokens: number, duplicatedLines: number, percentage: number}>,
+ *   totals: {files: number, tokens: number, duplicatedTokens: number, percentage: number}
+ * }}
+ *   Report for `meta.clones`; groups largest first, files by percentage.
+ */
+export function detectClones({ cloneInputs, minTokens = DEFAULT_CLONE_MIN_TOKENS, store, addLink }) {
+  const windowSize = Math.max(2, Math.floor(Number(minTokens)) || DEFAULT_CLONE_MIN_TOKENS);
+  const inputs = [...(cloneInputs || [])].sort((a, b) => a.fileId.localeCompare(b.fileId));
+  const streams = internTokens(inputs);
+
+  const pairs = findClonePairs(streams, windowSize);
+  const groups = buildCloneGroups(pairs, inputs, store);
+
+  for (const group of groups) {
+    const [original, ...copies] = group.fragments;
+    for (const copy of copies) {
+      if (copy.nodeId === original.nodeId) continue;
+      addLink(original.nodeId, copy.nodeId, "clone", { cloneGroup: group.id, tokens: copy.tokens });
+    }
+  }
+
+  const files = summarizeDuplication(pairs, inputs);
+  const tokens = inputs.reduce((sum, input) => sum + input.values.length, 0);
+  const duplicatedTokens = files.reduce((sum, f) => sum + f.duplicatedTokens, 0);
+
+  return {
+    minTokens: windowSize,
+    groups,
+    files: files.filter((f) => f.duplicatedTokens > 0),
+    totals: { files: inputs.length, tokens, duplicatedTokens, percentage: percent(duplicatedTokens, tokens) }
+  };
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function tokenKey(label, value) {
+  if (value === undefined || value === null) return label;
+  if (label === "regexp") return `regexp /${value.pattern}/${value.flags || ""}`;
+  if (label === "string" || label === "template") return `${label} ${JSON.stringify(value)}`;
+  return `${label} ${value}`;
+}
+
+/**
+ * @returns {Int32Array[]} token ids per input (same order)
+ */
+function internTokens(inputs) {
+  const ids = new Map();
+
+  return inputs.map((input) => {
+    const out = new Int32Array(input.values.length);
+    input.values.forEach((value, i) => {
+      let id = ids.get(value);
+      if (id === undefined) {
+        id = ids.size;
+        ids.set(value, id);
+      }
+      out[i] = id;
+    });
+    return out;
+  });
+}
+
+/**
+ * Rolling hashes of all windows of `size` tokens (index = window start).
+ */
+function windowHashes(tokens, size) {
+  const count = tokens.length - size + 1;
+  if (count <= 0) return new Int32Array(0);
+
+  let drop = 1;
+  for (let i = 1; i < size; i++) drop = Math.imul(drop, HASH_BASE);
+
+  const hashes = new Int32Array(count);
+  let h = 0;
+  for (let i = 0; i < size; i++) h = (Math.imul(h, HASH_BASE) + tokens[i] + 1) | 0;
+  hashes[0] = h;
+
+  for (let i = 1; i < count; i++) {
+    h = (h - Math.imul(tokens[i - 1] + 1, drop)) | 0;
+    h = (Math.imul(h, HASH_BASE) + tokens[i + size - 1] + 1) | 0;
+    hashes[i] = h;
+  }
+
+  return hashes;
+}
+
+/**
+ * Scan all files once; every window either extends into a clone of an earlier
+ * window or is indexed as a potential original.
+ *
+ * @returns {Array<{a: {file: number, start: number}, b: {file: number, start: number}, length: number}>}
+ *   `a` is the original, `b` the copy; `length` in tokens.
+ */
+function findClonePairs(streams, size) {
+  const firstByHash = new Map();
+  const pairs = [];
+
+  streams.forEach((tokens, file) => {
+    const hashes = windowHashes(tokens, size);
+    let i = 0;
+
+    while (i < hashes.length) {
+      const hit = firstByHash.get(hashes[i]);
+      const length = hit ? matchLength(streams, hit, { file, start: i }) : 0;
+
+      if (length >= size) {
+        pairs.push({ a: hit, b: { file, start: i }, length });
+        i += length;
+        continue;
+      }
+
+      if (!hit) firstByHash.set(hashes[i], { file, start: i });
+      i++;
+    }
+  });
+
+  return pairs;
+}
+
+function matchLength(streams, a, b) {
+  const ta = streams[a.file];
+  const tb = streams[b.file];
+  // Inside one file the copy must start after the original ends.
+  const limit = a.file === b.file ? b.start - a.start : Infinity;
+
+  let n = 0;
+  while (n < limit && a.start + n < ta.length && b.start + n < tb.length && ta[a.start + n] === tb[b.start + n]) n++;
+  return n;
+}
+
+/**
+ * Group pairs by their original window; the original spans its longest match.
+ */
+function buildCloneGroups(pairs, inputs, store) {
+  const byOriginal = new Map();
+
+  for (const pair of pairs) {
+    const key = `${pair.a.file}:${pair.a.start}`;
+    let group = byOriginal.get(key);
+    if (!group) {
+      group = { original: pair.a, length: 0, copies: [] };
+      byOriginal.set(key, group);
+    }
+    group.length = Math.max(group.length, pair.length);
+    group.copies.push({ ...pair.b, length: pair.length });
+  }
+
+  const groups = [...byOriginal.values()]
+    .map((g) => ({
+      tokens: g.length,
+      fragments: [
+        toFragment(inputs, store, { ...g.original, length: g.length }),
+        ...g.copies.map((c) => toFragment(inputs, store, c))
+      ]
+    }))
+    .sort((a, b) => b.tokens - a.tokens || a.fragments[0].fileId.localeCompare(b.fragments[0].fileId) ||
+      a.fragments[0].startLine - b.fragments[0].startLine);
+
+  return groups.map((g, i) => ({ id: `clone-${i + 1}`, ...g }));
+}
+
+function toFragment(inputs, store, { file, start, length }) {
+  const input = inputs[file];
+  const startLine = input.lines[start] || 0;
+  const endLine = input.lines[start + length - 1] || startLine;
+
+  return {
+    fileId: input.fileId,
+    nodeId: innermostFunctionId(input, startLine, endLine, store) || input.fileId,
+    startLine,
+    endLine,
+    tokens: length
+  };
+}
+
+/**
+ * Lines are the only span information, so two equally small candidates
+ * (several functions on one minified line) are ambiguous: "" (file level).
+ */
+function innermostFunctionId(input, startLine, endLine, store) {
+  let best = null;
+  let ambiguous = false;
+
+  for (const fn of input.functions) {
+    if (fn.startLine > startLine || fn.endLine < endLine) continue;
+    if (!store.getExistingNode(fn.nodeId)) continue;
+
+    const span = fn.endLine - fn.startLine;
+    const bestSpan = best ? best.endLine - best.startLine : Infinity;
+    if (span > bestSpan) continue;
+
+    ambiguous = span === bestSpan && best.nodeId !== fn.nodeId;
+    best = fn;
+  }
+
+  return best && !ambiguous ? best.nodeId : "";
+}
+
+/**
+ * Union of duplicated token positions and lines per file (originals and copies).
+ */
+function summarizeDuplication(pairs, inputs) {
+  const marks = inputs.map((input) => new Uint8Array(input.values.length));
+
+  const mark = (file, start, length) => {
+    marks[file].fill(1, start, start + length);
+  };
+  for (const pair of pairs) {
+    mark(pair.a.file, pair.a.start, pair.length);
+    mark(pair.b.file, pair.b.start, pair.length);
+  }
+
+  return inputs
+    .map((input, file) => {
+      const lines = new Set();
+      let duplicatedTokens = 0;
+      marks[file].forEach((m, i) => {
+        if (!m) return;
+        duplicatedTokens++;
+        lines.add(input.lines[i]);
+      });
+
+      return {
+        fileId: input.fileId,
+        tokens: input.values.length,
+        duplicatedTokens,
+        duplicatedLines: lines.size,
+        percentage: percent(duplicatedTokens, input.values.length)
+      };
+    })
+    .sort((a, b) => b.percentage - a.percentage || a.fileId.localeCompare(b.fileId));
+}
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
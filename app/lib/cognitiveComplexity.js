@@ -0,0 +1,141 @@
+/**
+ * cognitiveComplexity
+ * ============================================================================
+ *
+ * Cognitive complexity increments for Babel paths (SonarSource model).
+ *
+ * Purpose
+ * -------
+ * The cyclomatic counter in `parseJsTsAst` adds 1 per branch, no matter how
+ * deeply it is nested. Cognitive complexity measures how hard code is to
+ * *read*: flat `switch` statements stay cheap, nested conditions get expensive.
+ * `parseJsTsAst` calls `cognitiveIncrement()` for every structure it visits
+ * and sums the result per function and per file.
+ *
+ * Rules
+ * -----
+ * - +1 plus the nesting level: `if`, `?:`, `switch`, loops, `catch`
+ * - +1 without nesting: `else if`, `else`, each run of equal logical operators
+ *   (`a && b && c` = 1, `a && b || c` = 2), labeled `break` / `continue`
+ * - +1 per recursive call (counted by the parser, which knows the function)
+ * - nesting grows inside the bodies of the structures above and inside inline
+ *   callbacks; a function that becomes its own node starts again at 0
+ *
+ * Design notes
+ * ------------
+ * - conditions are not nested: a ternary in an `if` test counts at the `if`
+ *   level, not one deeper
+ * - `??` is not counted, matching the cyclomatic counter
+ */
+
+// Structures that add 1 + nesting and raise the nesting of their bodies.
+const NESTING_STRUCTURE_TYPES = new Set([
+  "IfStatement",
+  "ConditionalExpression",
+  "SwitchStatement",
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+  "CatchClause"
+]);
+
+// Child keys whose contents are nested one level deeper than the structure.
+const NESTED_BODY_KEYS = Object.freeze({
+  IfStatement: ["consequent", "alternate"],
+  ConditionalExpression: ["consequent", "alternate"],
+  SwitchStatement: ["cases"],
+  ForStatement: ["body"],
+  ForInStatement: ["body"],
+  ForOfStatement: ["body"],
+  WhileStatement: ["body"],
+  DoWhileStatement: ["body"],
+  CatchClause: ["body"]
+});
+
+const COUNTED_LOGICAL_OPERATORS = new Set(["&&", "||"]);
+
+/**
+ * Cognitive complexity added by one visited node.
+ *
+ * @param {any} p
+ *   Babel path of the visited node.
+ * @param {(fnNode: any) => boolean} isInlineFunction
+ *   `true` for functions folded into their enclosing function (inline
+ *   callbacks); any other function ends the nesting walk.
+ * @returns {number}
+ *   Increment (0 for nodes that are not cognitive structures).
+ */
+export function cognitiveIncrement(p, isInlineFunction) {
+  const node = p?.node;
+  const type = node?.type;
+
+  if (type === "LogicalExpression") return isLogicalSequenceStart(p) ? 1 : 0;
+  if (type === "BreakStatement" || type === "ContinueStatement") return node.label ? 1 : 0;
+  if (!NESTING_STRUCTURE_TYPES.has(type)) return 0;
+
+  if (type === "IfStatement") {
+    const elseBranch = node.alternate && node.alternate.type !== "IfStatement" ? 1 : 0;
+    if (isElseIf(p)) return 1 + elseBranch;
+    return 1 + nestingLevel(p, isInlineFunction) + elseBranch;
+  }
+
+  return 1 + nestingLevel(p, isInlineFunction);
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function isElseIf(p) {
+  return p.node?.type === "IfStatement" && p.key === "alternate" && p.parentPath?.node?.type === "IfStatement";
+}
+
+/**
+ * A logical operator starts a new sequence unless its parent continues the
+ * same operator (`(a && b) && c`).
+ */
+function isLogicalSequenceStart(p) {
+  const op = p.node.operator;
+  if (!COUNTED_LOGICAL_OPERATORS.has(op)) return false;
+
+  const parent = p.parentPath?.node;
+  return !(parent?.type === "LogicalExpression" && parent.operator === op);
+}
+
+/**
+ * Count enclosing nesting structures up to the owning function.
+ *
+ * `else if` chains share one level: an `if` in the `alternate` of another `if`
+ * does not nest its own branches deeper than its parent's.
+ */
+function nestingLevel(p, isInlineFunction) {
+  let level = 0;
+  let child = p;
+  let parent = p.parentPath;
+
+  while (parent) {
+    const node = parent.node;
+
+    if (parent.isFunction?.()) {
+      if (!isInlineFunction(node)) break;
+      level++;
+    } else if (isNestedBody(node, child) && !isElseIf(child)) {
+      level++;
+    }
+
+    child = parent;
+    parent = parent.parentPath;
+  }
+
+  return level;
+}
+
+function isNestedBody(node, childPath) {
+  const keys = NESTED_BODY_KEYS[node?.type];
+  if (!keys) return false;
+
+  // Switch cases are list entries: `listKey` is "cases", `key` is the index.
+  return keys.includes(childPath.listKey || childPath.key);
+}
@@ -0,0 +1,181 @@
+/**
+ * deadExports
+ * ============================================================================
+ *
+ * Exports that no other analyzed module imports (`deadExports` on file nodes
+ * plus `dead-export` warnings).
+ *
+ * Purpose
+ * -------
+ * `markUnusedFunctions` only sees call edges and treats every export as used.
+ * This module collects which names each file imports from which project file
+ * during BFS; after BFS it follows the imports through barrel re-exports (see
+ * `reExports.js`) and reports, per file, the exported names nobody reaches.
+ *
+ * Rules
+ * -----
+ * - named and default imports use exactly the imported name
+ * - namespace imports (`import * as ns`, `export * as ns from`), `require()`,
+ *   side-effect imports and dynamic `import()` targets use the whole module
+ * - a re-export only passes usage on: `export { a } from "./x"` keeps `a` of
+ *   `./x` alive only while someone imports `a` from the barrel
+ * - the analysis entries are the public surface: all of their exports count as used
+ *
+ * Design notes
+ * ------------
+ * - conservative on purpose: a namespace import keeps every export alive even
+ *   when only `ns.one()` is called
+ * - only ESM exports are tracked; CommonJS files never get a `deadExports` list
+ */
+
+import { resolveSourceFileId } from "./reExports.js";
+
+/**
+ * Record the export names and the project-internal imports of one parsed file.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   fileId: string,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   toRelId: (absPath: string) => string,
+ *   exportUsage: Map<string, {exportNames: string[], imports: Array<{targetFileId: string, name: string}>}>
+ * }} args
+ *   Parsed file and the shared per-file usage index (mutated).
+ */
+export function collectExportUsage({ parsed, fileId, absNorm, projectRootAbs, toRelId, exportUsage }) {
+  const imports = [];
+  const boundSources = new Set();
+  const resolve = (source) => resolveSourceFileId(source, absNorm, projectRootAbs, toRelId);
+
+  for (const binding of Object.values(parsed?.importBindings || {})) {
+    const source = String(binding?.source || "");
+    boundSources.add(source);
+
+    const targetFileId = resolve(source);
+    if (targetFileId) imports.push({ targetFileId, name: String(binding.imported || "*") });
+  }
+
+  // Re-exports pass usage on after BFS (via the re-export index); they are no use by themselves.
+  for (const r of parsed?.reExports || []) boundSources.add(String(r?.source || ""));
+
+  for (const source of [...(parsed?.imports || []), ...(parsed?.typeImports || [])]) {
+    if (boundSources.has(source)) continue;
+
+    const targetFileId = resolve(source);
+    if (targetFileId) imports.push({ targetFileId, name: "*" });
+  }
+
+  exportUsage.set(fileId, {
+    exportNames: Array.isArray(parsed?.exportNames) ? parsed.exportNames.map(String) : [],
+    imports
+  });
+}
+
+/**
+ * Resolve export usage across the project and flag dead exports.
+ *
+ * Sets `deadExports` (possibly empty) on every file node with ESM exports and
+ * pushes one `dead-export` warning per unused name.
+ *
+ * @param {{
+ *   exportUsage: Map<string, {exportNames: string[], imports: Array<{targetFileId: string, name: string}>}>,
+ *   reExportIndex: Map<string, {defaultExport: string, entries: Array<{targetFileId: string, imported: string, exported: string}>}>,
+ *   entryIds: string[],
+ *   store: import("./graphStore.js").GraphStore,
+ *   warnings: Array<object>
+ * }} args
+ * @returns {number}
+ *   Number of dead exports across all files.
+ */
+export function markDeadExports({ exportUsage, reExportIndex, entryIds, store, warnings }) {
+  const usage = createUsageTracker(exportUsage, reExportIndex);
+
+  for (const entryId of entryIds || []) usage.markAll(entryId);
+  for (const { imports } of exportUsage.values()) {
+    for (const ref of imports) {
+      if (ref.name === "*") usage.markAll(ref.targetFileId);
+      else usage.markUsed(ref.targetFileId, ref.name);
+    }
+  }
+
+  // `import()` and glob targets are loaded as whole modules.
+  for (const link of store.links) {
+    if (link.type === "dynamic-use") usage.markAll(String(link.target));
+  }
+
+  let total = 0;
+  for (const [fileId, info] of [...exportUsage.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const node = store.getExistingNode(fileId);
+    if (!node || !info.exportNames.length) continue;
+
+    const dead = info.exportNames.filter((name) => !usage.isUsed(fileId, name));
+    node.deadExports = dead;
+    total += dead.length;
+
+    for (const name of dead) {
+      warnings.push({
+        kind: "dead-export",
+        message: `Export '${name}' of '${fileId}' is not imported by any analyzed module.`,
+        fromId: fileId,
+        targetFileId: null,
+        targetExport: name
+      });
+    }
+  }
+
+  return total;
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+/**
+ * Usage marks per file; marking a barrel export marks what it re-exports.
+ */
+function createUsageTracker(exportUsage, reExportIndex) {
+  const usedNames = new Map();
+  const wholeModules = new Set();
+
+  const entriesOf = (fileId) => reExportIndex.get(fileId)?.entries || [];
+  const declares = (fileId, name) => (exportUsage.get(fileId)?.exportNames || []).includes(name);
+
+  function markUsed(fileId, name) {
+    if (!fileId || !name) return;
+
+    let names = usedNames.get(fileId);
+    if (!names) {
+      names = new Set();
+      usedNames.set(fileId, names);
+    }
+    if (names.has(name)) return;
+    names.add(name);
+
+    for (const e of entriesOf(fileId)) {
+      if (e.exported !== name) continue;
+      if (e.imported === "*") markAll(e.targetFileId);
+      else markUsed(e.targetFileId, e.imported);
+    }
+
+    // Star re-exports never forward `default` and lose against own names.
+    if (name === "default" || declares(fileId, name)) return;
+    for (const e of entriesOf(fileId)) {
+      if (e.exported === "*") markUsed(e.targetFileId, name);
+    }
+  }
+
+  function markAll(fileId) {
+    if (!fileId || wholeModules.has(fileId)) return;
+    wholeModules.add(fileId);
+
+    for (const name of exportUsage.get(fileId)?.exportNames || []) markUsed(fileId, name);
+    for (const e of entriesOf(fileId)) {
+      if (e.exported === "*") markAll(e.targetFileId);
+    }
+  }
+
+  const isUsed = (fileId, name) => wholeModules.has(fileId) || Boolean(usedNames.get(fileId)?.has(name));
+
+  return { markUsed, markAll, isUsed };
+}
@@ -0,0 +1,249 @@
+/**
+ * dependencyInventory
+ * ============================================================================
+ *
+ * Third-party dependency facts for one analyzed project.
+ *
+ * Purpose
+ * -------
+ * `resolveImports` deliberately ignores bare package imports. This module
+ * classifies those specifiers instead, so the graph builder can optionally
+ * materialize `external` nodes ("who uses puppeteer?") and `/apps/:appId/info`
+ * can list a per-app dependency inventory.
+ *
+ * Data sources
+ * ------------
+ * - `package.json`: declared range + dependency section; `engines.node` is
+ *   the declared range of every builtin
+ * - `package-lock.json` / `npm-shrinkwrap.json`: resolved version
+ *   (lockfile v1 `dependencies` and v2/v3 `packages` layouts)
+ * - `node:module` `builtinModules`: Node core modules (`fs`, `node:path`)
+ *
+ * Design notes
+ * ------------
+ * - read-only, fail-soft: missing or broken manifests yield empty maps
+ * - one node per package (subpaths like `lodash/fp` collapse to `lodash`)
+ * - builtins are normalized to their `node:` form; they never carry a
+ *   resolved version, since the runtime of the analyzed app is unknown
+ */
+
+import path from "node:path";
+import { builtinModules } from "node:module";
+import { readJsonFileSafe } from "./jsonFiles.js";
+import { splitPackageSpecifier } from "./packageMaps.js";
+
+const DEPENDENCY_SECTIONS = Object.freeze([
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies"
+]);
+
+const LOCKFILE_NAMES = Object.freeze(["package-lock.json", "npm-shrinkwrap.json"]);
+
+const BUILTIN_MODULES = new Set(builtinModules.map((m) => m.replace(/^node:/, "").split("/")[0]));
+
+// npm package names: optional scope, no leading dot/underscore/tilde, no path-like prefixes.
+const PACKAGE_NAME_RE = /^(?:@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*$/i;
+
+/**
+ * Classify a bare import specifier as Node builtin or npm package.
+ *
+ * @param {string} spec
+ *   Raw import specifier.
+ * @returns {{kind: "builtin"|"package", name: string} | null}
+ *   Classification, or `null` for path-like / URL / alias specifiers.
+ */
+export function classifyExternalSpecifier(spec) {
+  const s = String(spec || "").trim().split(/[?#]/)[0];
+  if (!s) return null;
+
+  if (s.startsWith("node:")) {
+    const name = s.slice("node:".length).split("/")[0];
+    return name ? { kind: "builtin", name } : null;
+  }
+
+  const { name } = splitPackageSpecifier(s);
+  if (!PACKAGE_NAME_RE.test(name)) return null;
+
+  if (BUILTIN_MODULES.has(name)) return { kind: "builtin", name };
+  return { kind: "package", name };
+}
+
+/**
+ * Canonical graph id for an external dependency.
+ *
+ * @param {{kind: "builtin"|"package", name: string}} ref
+ * @returns {string}
+ *   `node:<name>` for builtins, `npm:<name>` for packages.
+ */
+export function externalNodeId(ref) {
+  return ref.kind === "builtin" ? `node:${ref.name}` : `npm:${ref.name}`;
+}
+
+/**
+ * Read declared ranges and locked versions for one project root.
+ *
+ * @param {string} projectRootAbs
+ *   Absolute project root.
+ * @returns {{
+ *   declared: Map<string, {range: string, section: string}>,
+ *   locked: Map<string, string>,
+ *   lockfile: string,
+ *   nodeEngine: string
+ * }}
+ */
+export function readDependencyManifest(projectRootAbs) {
+  const pkg = readJsonFileSafe(path.join(projectRootAbs, "package.json"));
+  const { lock, lockfile } = readLockfile(projectRootAbs);
+
+  return {
+    declared: readDeclaredDependencies(pkg),
+    locked: readLockedVersions(lock),
+    lockfile,
+    nodeEngine: typeof pkg?.engines?.node === "string" ? pkg.engines.node.trim() : ""
+  };
+}
+
+/**
+ * Build the canonical `external` node for one dependency.
+ *
+ * @param {{kind: "builtin"|"package", name: string}} ref
+ * @param {{declared: Map<string, {range: string, section: string}>, locked: Map<string, string>, nodeEngine: string}} manifest
+ * @returns {object}
+ */
+export function buildExternalNode(ref, manifest) {
+  const id = externalNodeId(ref);
+  const isBuiltin = ref.kind === "builtin";
+  const declared = isBuiltin ? null : manifest.declared.get(ref.name);
+
+  return {
+    id,
+    file: id,
+    lines: 0,
+    complexity: 0,
+    headerComment: "",
+    kind: "external",
+    name: ref.name,
+    packageName: ref.name,
+    builtin: isBuiltin,
+    declaredRange: isBuiltin ? manifest.nodeEngine : (declared?.range || ""),
+    dependencySection: declared?.section || "",
+    resolvedVersion: isBuiltin ? "" : (manifest.locked.get(ref.name) || "")
+  };
+}
+
+/**
+ * Collect the dependency inventory shown in `/apps/:appId/info`.
+ *
+ * When a metrics payload with `external` nodes is available (analysis ran
+ * with externals enabled), each entry also lists the importing files.
+ *
+ * @param {string} projectRootAbs
+ *   Absolute project root.
+ * @param {{nodes?: Array<object>, links?: Array<object>} | null} [metrics]
+ *   Latest metrics payload, optional.
+ * @returns {{
+ *   available: boolean,
+ *   lockfile: string,
+ *   packages: Array<{name: string, section: string, declaredRange: string, resolvedVersion: string, importedBy: string[]}>,
+ *   builtins: Array<{name: string, declaredRange: string, importedBy: string[]}>
+ * }}
+ */
+export function collectDependencyInventory(projectRootAbs, metrics = null) {
+  const manifest = readDependencyManifest(projectRootAbs);
+  const importers = indexExternalImporters(metrics);
+
+  const packages = [...manifest.declared.entries()]
+    .map(([name, info]) => ({
+      name,
+      section: info.section,
+      declaredRange: info.range,
+      resolvedVersion: manifest.locked.get(name) || "",
+      importedBy: importers.get(`npm:${name}`) || []
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const builtins = [...importers.entries()]
+    .filter(([id]) => id.startsWith("node:"))
+    .map(([id, importedBy]) => ({ name: id.slice("node:".length), declaredRange: manifest.nodeEngine, importedBy }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    available: manifest.declared.size > 0 || manifest.lockfile !== "",
+    lockfile: manifest.lockfile,
+    packages,
+    builtins
+  };
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function readDeclaredDependencies(pkg) {
+  const declared = new Map();
+
+  for (const section of DEPENDENCY_SECTIONS) {
+    const deps = pkg?.[section];
+    if (!deps || typeof deps !== "object") continue;
+
+    for (const [name, range] of Object.entries(deps)) {
+      // First section wins: runtime `dependencies` outrank dev/peer duplicates.
+      if (declared.has(name)) continue;
+      declared.set(name, { range: String(range || ""), section });
+    }
+  }
+
+  return declared;
+}
+
+function readLockfile(projectRootAbs) {
+  for (const name of LOCKFILE_NAMES) {
+    const lock = readJsonFileSafe(path.join(projectRootAbs, name));
+    if (lock) return { lock, lockfile: name };
+  }
+  return { lock: null, lockfile: "" };
+}
+
+/**
+ * Read top-level resolved versions from an npm lockfile.
+ *
+ * Only the hoisted `node_modules/<name>` entries are used; nested copies are
+ * transitive duplicates and not what the project imports directly.
+ */
+function readLockedVersions(lock) {
+  const locked = new Map();
+  if (!lock) return locked;
+
+  for (const [key, entry] of Object.entries(lock.packages || {})) {
+    const m = key.match(/^node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+    if (m && entry?.version) locked.set(m[1], String(entry.version));
+  }
+
+  // lockfileVersion 1
+  for (const [name, entry] of Object.entries(lock.dependencies || {})) {
+    if (!locked.has(name) && entry?.version) locked.set(name, String(entry.version));
+  }
+
+  return locked;
+}
+
+function indexExternalImporters(metrics) {
+  const importers = new Map();
+  const externalIds = new Set(
+    (metrics?.nodes || []).filter((n) => n?.kind === "external").map((n) => String(n.id))
+  );
+
+  for (const l of metrics?.links || []) {
+    const target = String(l?.target || "");
+    if (!externalIds.has(target)) continue;
+
+    const bucket = importers.get(target) || [];
+    if (!bucket.includes(l.source)) bucket.push(String(l.source));
+    importers.set(target, bucket);
+  }
+
+  for (const bucket of importers.values()) bucket.sort();
+  return importers;
+}
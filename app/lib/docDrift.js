@@ -0,0 +1,202 @@
+/**
+ * docDrift
+ * ============================================================================
+ *
+ * `documents` edges from Markdown docs to the code they mention, plus drift
+ * reports for references that rotted.
+ *
+ * Purpose
+ * -------
+ * READMEs and `Doku.md` name source files in links (`[parser](app/lib/parseAst.js)`)
+ * and code spans (`` `app/lib/parseAst.js` ``). `parseMarkdownRefs` records
+ * those mentions; this module turns them into graph facts:
+ *
+ *   doc node ──documents──▶ file / dir node
+ *
+ * Reports
+ * -------
+ * - broken references: the mentioned path no longer exists on disk
+ *   (builder, `meta.docDrift.brokenReferences` + `broken-doc-reference` warnings)
+ * - stale docs: the doc's last git change is much older than the newest change
+ *   of the code it documents (analyze route, `meta.docDrift.staleDocs`)
+ *
+ * Design notes
+ * ------------
+ * - links resolve relative to the doc (`/x` = project root); code spans also
+ *   fall back to the project root, since docs usually quote root-relative paths
+ * - code spans are weaker evidence than links: a missing span only counts as
+ *   broken when it looks like a file path (`dir/name.ext`)
+ * - edges only target nodes that exist in the graph; mentions of existing files
+ *   outside the scanned area are neither linked nor reported
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { isInsideRoot } from "./fsPaths.js";
+
+// Docs may lag behind code for a while; beyond this many days they count as stale.
+export const STALE_DOC_LAG_DAYS = 90;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+const FILE_PATH_RE = /\/[^/]*\.[a-z][a-z0-9]{0,5}$/i;
+
+/**
+ * Resolve the Markdown mentions of one parsed doc against the filesystem.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   fileId: string,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   pendingDocRefs: Array<object>
+ * }} args
+ *   Parsed doc and the shared deferred-reference list (mutated).
+ */
+export function collectDocRefs({ parsed, fileId, absNorm, projectRootAbs, pendingDocRefs }) {
+  for (const ref of parsed?.docRefs || []) {
+    const targetAbs = resolveDocPath(ref, absNorm, projectRootAbs);
+
+    pendingDocRefs.push({
+      fromId: fileId,
+      path: String(ref.path || ""),
+      kind: ref.kind,
+      line: Number(ref.line) || 0,
+      targetAbs
+    });
+  }
+}
+
+/**
+ * Turn resolved doc mentions into `documents` links and collect broken ones.
+ *
+ * Runs after BFS so that links only target nodes that made it into the graph.
+ *
+ * @param {{
+ *   pendingDocRefs: Array<{fromId: string, path: string, kind: string, line: number, targetAbs: string}>,
+ *   store: import("./graphStore.js").GraphStore,
+ *   toRelId: (absPath: string) => string,
+ *   addLink: Function,
+ *   warnings: Array<object>
+ * }} args
+ * @returns {Array<{docId: string, path: string, kind: string, line: number}>}
+ *   Broken references in doc / line order.
+ */
+export function resolveDocRefs({ pendingDocRefs, store, toRelId, addLink, warnings }) {
+  const broken = [];
+
+  for (const ref of pendingDocRefs) {
+    if (ref.targetAbs) {
+      const targetId = toRelId(ref.targetAbs);
+      if (targetId !== ref.fromId && store.getExistingNode(targetId)) {
+        addLink(ref.fromId, targetId, "documents", { refKind: ref.kind, line: ref.line });
+      }
+      continue;
+    }
+
+    if (ref.kind === "code-span" && !FILE_PATH_RE.test(ref.path)) continue;
+
+    broken.push({ docId: ref.fromId, path: ref.path, kind: ref.kind, line: ref.line });
+    warnings.push({
+      kind: "broken-doc-reference",
+      message: `Broken doc reference '${ref.path}' in '${ref.fromId}' (line ${ref.line || "?"}): no such file or directory.`,
+      fromId: ref.fromId,
+      targetFileId: null,
+      targetExport: null
+    });
+  }
+
+  markBrokenDocCounts(store, broken);
+  return broken;
+}
+
+/**
+ * Flag docs whose last change is much older than the code they document.
+ *
+ * Mutates doc nodes (`_staleDoc`, `_docLagDays`) and returns the report rows.
+ *
+ * @param {{
+ *   nodes: Array<object>,
+ *   links: Array<object>,
+ *   lastTouchedEpochById: (fileId: string) => number,
+ *   maxLagDays?: number
+ * }} args
+ * @returns {Array<{docId: string, docLastTouchedAt: string, newestTargetId: string, targetLastTouchedAt: string, lagDays: number}>}
+ *   Stale docs, largest lag first.
+ */
+export function detectStaleDocs({ nodes, links, lastTouchedEpochById, maxLagDays = STALE_DOC_LAG_DAYS }) {
+  const newestTargetByDoc = new Map();
+
+  for (const l of links || []) {
+    if (l?.type !== "documents") continue;
+
+    const epoch = lastTouchedEpochById(String(l.target));
+    const current = newestTargetByDoc.get(l.source);
+    if (epoch > 0 && (!current || epoch > current.epoch)) {
+      newestTargetByDoc.set(l.source, { id: String(l.target), epoch });
+    }
+  }
+
+  const nodeById = new Map((nodes || []).map((n) => [String(n?.id), n]));
+  const stale = [];
+
+  for (const [docId, newest] of newestTargetByDoc) {
+    const docEpoch = lastTouchedEpochById(docId);
+    if (!(docEpoch > 0)) continue;
+
+    const lagDays = Math.floor((newest.epoch - docEpoch) / SECONDS_PER_DAY);
+    if (lagDays <= maxLagDays) continue;
+
+    const docNode = nodeById.get(docId);
+    if (docNode) {
+      docNode._staleDoc = true;
+      docNode._docLagDays = lagDays;
+    }
+
+    stale.push({
+      docId,
+      docLastTouchedAt: new Date(docEpoch * 1000).toISOString(),
+      newestTargetId: newest.id,
+      targetLastTouchedAt: new Date(newest.epoch * 1000).toISOString(),
+      lagDays
+    });
+  }
+
+  return stale.sort((a, b) => b.lagDays - a.lagDays || a.docId.localeCompare(b.docId));
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+/**
+ * @returns {string} absolute existing path inside the root, or ""
+ */
+function resolveDocPath(ref, docAbs, projectRootAbs) {
+  const p = String(ref?.path || "").replace(/\/+$/, "");
+  if (!p) return "";
+
+  const candidates = p.startsWith("/")
+    ? [path.join(projectRootAbs, p)]
+    : [path.resolve(path.dirname(docAbs), p)];
+
+  if (ref.kind === "code-span" && !p.startsWith("/") && !p.startsWith(".")) {
+    candidates.push(path.resolve(projectRootAbs, p));
+  }
+
+  for (const abs of candidates) {
+    if (isInsideRoot(projectRootAbs, abs) && fs.existsSync(abs)) return abs;
+  }
+
+  return "";
+}
+
+function markBrokenDocCounts(store, broken) {
+  const counts = new Map();
+  for (const b of broken) counts.set(b.docId, (counts.get(b.docId) || 0) + 1);
+
+  for (const [docId, count] of counts) {
+    const node = store.getExistingNode(docId);
+    if (node) node._brokenDocRefs = count;
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * dynamicImports
+ * ============================================================================
+ *
+ * Static expansion of dynamic import patterns into concrete project files.
+ *
+ * Purpose
+ * -------
+ * Lazy-loaded routes, locale bundles and plugin folders are loaded through
+ * `import()` with computed specifiers or through bundler globs. Without them
+ * the graph shows those modules as unreachable. `parseJsTsAst` records the
+ * static shape of each call (`out.dynamicImports`); this module expands that
+ * shape against the filesystem so the builder can draw `dynamic-use` edges.
+ *
+ * Supported forms
+ * ---------------
+ * - `import("./pages/about.js")`          literal, resolved like a static import
+ * - `import(\`./locales/${lang}.json\`)`   `*` per dynamic part, one path segment
+ * - `import("./views/" + name)`           same as template literals
+ * - `import.meta.glob("./modules/*.js")`  Vite globs: `*`, `**`, `?`, `{a,b}`,
+ *                                         arrays and `!` negations
+ * - `require.context("./icons", true, /\.svg$/)`
+ *                                         webpack contexts (regex on `./rel/path`)
+ *
+ * Design notes
+ * ------------
+ * - relative patterns are anchored at the importer, `/...` at the project root,
+ *   everything else goes through the project's path aliases
+ * - bare package patterns are not expanded (they stay external)
+ * - globs and walks come from `fsGlob.js`; walks skip the usual build/vendor
+ *   directories and are capped in depth and match count, so one broad glob
+ *   cannot flood the graph
+ * - results are sorted, so edges are deterministic across runs
+ */
+
+import path from "node:path";
+import { resolveImports } from "./resolveImports.js";
+import { expandPathAlias } from "./pathAliases.js";
+import { isInsideRoot, normalizeRelPosix, toRelPosix } from "./fsPaths.js";
+import { globToRegExp, walkTree } from "./fsGlob.js";
+
+// `**` patterns stop here; real lazy-load folders are shallow.
+const MAX_DYNAMIC_SCAN_DEPTH = 8;
+
+// One dynamic import should never turn into hundreds of edges.
+const MAX_DYNAMIC_MATCHES = 200;
+
+// Extensionless `import()` templates (`./views/${name}`) match these files.
+const IMPLICIT_EXTENSIONS = Object.freeze([".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx", ".json"]);
+
+/**
+ * Expand one recorded dynamic import into matching project files.
+ *
+ * @param {{
+ *   entry: {kind: "import"|"glob"|"context", patterns: string[], recursive?: boolean, regex?: {pattern: string, flags: string}},
+ *   fromAbs: string,
+ *   projectRootAbs: string
+ * }} args
+ * @returns {{local: boolean, targetsAbs: string[]}}
+ *   `local` is `false` for package specifiers that are not expanded at all;
+ *   `targetsAbs` lists matched files (sorted, possibly empty).
+ */
+export function expandDynamicImport({ entry, fromAbs, projectRootAbs }) {
+  const kind = String(entry?.kind || "");
+  const patterns = Array.isArray(entry?.patterns) ? entry.patterns.map(String) : [];
+
+  if (kind === "context") return expandRequireContext(entry, patterns[0], fromAbs, projectRootAbs);
+  if (kind === "glob") return expandGlobList(patterns, fromAbs, projectRootAbs, false);
+
+  const spec = patterns[0] || "";
+  if (!spec.includes("*")) return expandLiteralImport(spec, fromAbs, projectRootAbs);
+
+  return expandGlobList([spec], fromAbs, projectRootAbs, true);
+}
+
+/**
+ * Human-readable form of a dynamic import for warnings and tooltips.
+ *
+ * @param {{kind: string, patterns: string[]}} entry
+ * @returns {string}
+ */
+export function describeDynamicImport(entry) {
+  const patterns = (entry?.patterns || []).join(", ");
+  if (entry?.kind === "glob") return `import.meta.glob(${patterns})`;
+  if (entry?.kind === "context") return `require.context(${patterns})`;
+  return `import(${patterns})`;
+}
+
+/* ========================================================================== */
+/* EXPANSION                                                                  */
+/* ========================================================================== */
+
+function expandLiteralImport(spec, fromAbs, projectRootAbs) {
+  const resolvedAbs = resolveImports(fromAbs, spec, projectRootAbs);
+  if (resolvedAbs) {
+    const targetAbs = path.resolve(resolvedAbs);
+    return { local: true, targetsAbs: isInsideRoot(projectRootAbs, targetAbs) ? [targetAbs] : [] };
+  }
+
+  return { local: anchorPattern(spec, fromAbs, projectRootAbs).length > 0, targetsAbs: [] };
+}
+
+/**
+ * Expand include / `!` exclude globs; `implicitExt` enables extension-less
+ * matches for `import()` templates.
+ */
+function expandGlobList(patterns, fromAbs, projectRootAbs, implicitExt) {
+  const include = patterns.filter((p) => !p.startsWith("!"));
+  const exclude = patterns
+    .filter((p) => p.startsWith("!"))
+    .flatMap((p) => anchorPattern(p.slice(1), fromAbs, projectRootAbs))
+    .map((abs) => globToRegExp(normalizeRelPosix(abs)));
+
+  const anchored = include.flatMap((p) => anchorPattern(p, fromAbs, projectRootAbs));
+  if (!anchored.length) return { local: false, targetsAbs: [] };
+
+  const matches = new Set();
+
+  for (const absPattern of anchored) {
+    const posixPattern = normalizeRelPosix(absPattern);
+    const matcher = globToRegExp(posixPattern, implicitExt ? IMPLICIT_EXTENSIONS : []);
+    const { baseAbs, depth } = staticBaseOf(posixPattern);
+
+    walkTree(baseAbs, depth, (fileAbs, ent) => {
+      if (!ent.isFile() || matches.size >= MAX_DYNAMIC_MATCHES) return;
+      if (fileAbs === path.resolve(fromAbs) || !isInsideRoot(projectRootAbs, fileAbs)) return;
+
+      const posix = normalizeRelPosix(fileAbs);
+      if (!matcher.test(posix) || exclude.some((re) => re.test(posix))) return;
+      matches.add(fileAbs);
+    });
+  }
+
+  return { local: true, targetsAbs: [...matches].sort() };
+}
+
+function expandRequireContext(entry, dir, fromAbs, projectRootAbs) {
+  const baseAbs = dir ? path.resolve(path.dirname(fromAbs), dir) : "";
+  if (!baseAbs || !isRelativeSpec(dir) || !isInsideRoot(projectRootAbs, baseAbs)) {
+    return { local: Boolean(dir) && isRelativeSpec(dir), targetsAbs: [] };
+  }
+
+  const regex = compileRegexSafe(entry?.regex);
+  const depth = entry?.recursive === false ? 0 : MAX_DYNAMIC_SCAN_DEPTH;
+  const matches = [];
+
+  walkTree(baseAbs, depth, (fileAbs, ent) => {
+    if (!ent.isFile() || matches.length >= MAX_DYNAMIC_MATCHES || fileAbs === path.resolve(fromAbs)) return;
+    if (regex && regex.test(`./${toRelPosix(baseAbs, fileAbs)}`)) matches.push(fileAbs);
+  });
+
+  return { local: true, targetsAbs: matches.sort() };
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+/**
+ * Anchor a specifier pattern to absolute filesystem patterns.
+ *
+ * @returns {string[]}
+ *   Absolute patterns (empty for bare package specifiers).
+ */
+function anchorPattern(spec, fromAbs, projectRootAbs) {
+  if (isRelativeSpec(spec)) return [path.resolve(path.dirname(fromAbs), spec)];
+  if (spec.startsWith("/")) return [path.join(projectRootAbs, spec)];
+
+  const alias = expandPathAlias(fromAbs, spec, projectRootAbs);
+  return alias ? alias.candidates : [];
+}
+
+function isRelativeSpec(spec) {
+  return spec === "." || spec === ".." || spec.startsWith("./") || spec.startsWith("../");
+}
+
+/**
+ * Split an absolute glob into its static directory and the walk depth needed.
+ */
+function staticBaseOf(posixPattern) {
+  const segs = posixPattern.split("/");
+  const firstGlob = segs.findIndex((s) => /[*?{]/.test(s));
+  if (firstGlob < 0) return { baseAbs: path.dirname(posixPattern), depth: 0 };
+
+  const rest = segs.slice(firstGlob);
+  const depth = rest.includes("**") ? MAX_DYNAMIC_SCAN_DEPTH : rest.length - 1;
+  return { baseAbs: segs.slice(0, firstGlob).join("/") || "/", depth };
+}
+
+function compileRegexSafe(regex) {
+  try {
+    // Drop stateful flags so `test()` stays repeatable.
+    return new RegExp(String(regex?.pattern ?? ""), String(regex?.flags || "").replace(/[gy]/g, ""));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,378 @@
+/**
+ * eventChannels
+ * ============================================================================
+ *
+ * Named event channels: emit and listen sites of the same event name meet in
+ * one `event` node.
+ *
+ * Purpose
+ * -------
+ * Much coupling goes through event names instead of calls: the server
+ * broadcasts `fs-change` over SSE and the browser listens for it, views talk
+ * through `CustomEvent`s, Node modules through `EventEmitter`s. Sites are
+ * recorded per file and only grouped once every file is parsed, because the
+ * two ends of a channel usually live in different files (often in different
+ * runtimes):
+ *
+ * 1. parse time (`recordEventCall`, called by `parseJsTsAst`): record
+ *      emitter.emit("saved", data)                   -> out.events (emit)
+ *      el.dispatchEvent(new CustomEvent("x:changed")) -> out.events (emit)
+ *      res.write(`event: fs-change\n`)                -> out.events (emit, SSE)
+ *      emitter.on("saved", onSaved)                   -> out.events (listen)
+ *      source.addEventListener("fs-change", handler)  -> out.events (listen)
+ *      function send(res, type) { res.write(`event: ${type}\n`); }
+ *                                                     -> out.eventWrappers
+ *      send(res, "analysis")                          -> out.eventWrapperCalls
+ * 2. after BFS (`resolveEventChannels`): group the sites by name and emit
+ *      event node   `event:<name>` (`kind: "event"`)
+ *      publisher ──publishes──▶ event node
+ *      subscriber ──subscribes──▶ event node
+ *
+ * Rules
+ * -----
+ * - names must be static (literals, constants, templates without dynamic
+ *   parts); one namespace per analysis, whatever the emitter object
+ * - emitters: `.emit()`, `.dispatchEvent(new CustomEvent/Event(name))` and
+ *   SSE frames written as `event: <name>`; listeners: `.on()`, `.once()`,
+ *   `.addListener()`, `.prependListener()`, `.prependOnceListener()` and
+ *   `.addEventListener()`
+ * - a function passing one of its parameters as the event name is a wrapper;
+ *   calls to it (also through imports, re-exports and other wrappers) are
+ *   emit or listen sites of the calling function
+ * - publishers are the enclosing functions (or files); subscribers are the
+ *   named listener functions, else the enclosing function (or file)
+ * - platform events (DOM, Node core, file watcher, d3 and Bootstrap events,
+ *   also with a `.namespace` suffix) only get a node when the code emits them
+ *   itself; listening to `click` couples nothing
+ * - space-separated names (`"mouseenter mouseleave"`) are several events;
+ *   `.on(name, null)` removes listeners and is no site
+ * - event nodes carry `_unhandled` (emitted, never listened to) and
+ *   `_unemitted` (listened to, never emitted)
+ *
+ * Design notes
+ * ------------
+ * - nothing is executed: which emitter instance a listener sits on is not
+ *   tracked, so equal names on unrelated emitters share one node
+ * - event wrappers use the wrapper model of `callSites.js`; a derived wrapper
+ *   inherits role (emit / listen) and API of the wrapper it calls
+ */
+
+import {
+  bindSiteName,
+  callerId,
+  enclosingParamIndex,
+  expandWrapperCalls,
+  fnName,
+  isStaticMember,
+  resolveSiteFunction,
+  wrapperCalleeName
+} from "./callSites.js";
+
+// Methods that publish an event named by their first argument.
+const EMIT_METHODS = new Set(["emit"]);
+
+// Methods that subscribe to an event named by their first argument.
+const LISTEN_METHODS = new Set([
+  "on",
+  "once",
+  "addListener",
+  "prependListener",
+  "prependOnceListener",
+  "addEventListener"
+]);
+
+// Event constructors `dispatchEvent()` takes the name from.
+const EVENT_CONSTRUCTORS = new Set(["CustomEvent", "Event"]);
+
+// DOM, Node core, file watcher (chokidar), d3 behaviour and Bootstrap component events.
+const PLATFORM_EVENTS = new Set([
+  "abort", "animationend", "beforeunload", "blur", "change", "click", "close", "contextmenu", "copy", "cut",
+  "dblclick", "DOMContentLoaded", "drag", "dragend", "dragenter", "dragleave", "dragover", "dragstart", "drop",
+  "error", "focus", "focusin", "focusout", "hashchange", "input", "keydown", "keypress", "keyup", "load",
+  "message", "mousedown", "mouseenter", "mouseleave", "mousemove", "mouseout", "mouseover", "mouseup",
+  "offline", "online", "open", "paste", "pointercancel", "pointerdown", "pointerenter", "pointerleave",
+  "pointermove", "pointerout", "pointerover", "pointerup", "popstate", "reset", "resize", "scroll", "select",
+  "storage", "submit", "toggle", "touchcancel", "touchend", "touchmove", "touchstart", "transitionend",
+  "unload", "visibilitychange", "wheel",
+  "beforeExit", "connection", "data", "drain", "end", "exit", "finish", "listening", "pipe", "readable",
+  "request", "response", "SIGINT", "SIGTERM", "socket", "timeout", "uncaughtException", "unhandledRejection",
+  "unpipe", "upgrade", "warning",
+  "add", "addDir", "all", "raw", "ready", "unlink", "unlinkDir",
+  "brush", "interrupt", "selectstart", "start", "tick", "zoom",
+  "hidden", "hide", "show", "shown"
+]);
+
+// Static strings that can be an event name (filters wrapper call arguments).
+const EVENT_NAME_RE = /^[\w$:.\-/]{1,80}$/;
+
+/**
+ * Record an emit or listen site, wrapper or wrapper call found at a call
+ * expression.
+ *
+ * @param {any} p
+ *   Babel path of a `CallExpression`.
+ * @param {{events: Array<object>, eventWrappers: Array<object>, eventWrapperCalls: Array<object>}} out
+ *   Parser output (mutated).
+ * @param {{from: string | null, line: number}} site
+ *   Enclosing emitted function id (`name@line`, `null` at top level) and the
+ *   line of the call.
+ */
+export function recordEventCall(p, out, { from, line }) {
+  const site = readEventSite(p);
+  if (!site) {
+    recordWrapperCall(p, out, { from, line });
+    return;
+  }
+
+  const param = enclosingParamIndex(p, site.nameNode, from);
+  if (param >= 0) {
+    out.eventWrappers.push({ role: site.role, api: site.api, name: fnName(from), param, line });
+    return;
+  }
+
+  // `.on(".zoom", null)` removes listeners.
+  if (site.handlerNode?.type === "NullLiteral") return;
+
+  // d3 / jQuery style: `.on("mouseenter mouseleave", fn)` is two events.
+  const names = String(site.name ?? readEventName(p, site.nameNode)).split(/\s+/).filter(Boolean);
+
+  for (const name of names) {
+    out.events.push({
+      role: site.role,
+      api: site.api,
+      name,
+      handler: site.role === "listen" ? readHandlerName(site.handlerNode) : "",
+      from: from || null,
+      line
+    });
+  }
+}
+
+/**
+ * Collect the event inputs of one parsed file (during BFS).
+ *
+ * Listener and wrapper names are bound to their defining file here, while
+ * the file's path is at hand.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   fileId: string,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   toRelId: (absPath: string) => string,
+ *   eventInputs: Array<object>
+ * }} args
+ *   Parsed file and the shared input list (mutated).
+ */
+export function collectEventInput({ parsed, fileId, absNorm, projectRootAbs, toRelId, eventInputs }) {
+  const events = Array.isArray(parsed?.events) ? parsed.events : [];
+  const wrappers = Array.isArray(parsed?.eventWrappers) ? parsed.eventWrappers : [];
+  const calls = Array.isArray(parsed?.eventWrapperCalls) ? parsed.eventWrapperCalls : [];
+  if (!events.length && !wrappers.length && !calls.length) return;
+
+  const bind = (name) => bindSiteName({ name, parsed, fileId, absNorm, projectRootAbs, toRelId });
+
+  eventInputs.push({
+    fileId,
+    events: events.map((e) => ({ ...e, handlerRef: bind(e.handler) })),
+    wrappers,
+    calls: calls.map((c) => ({ ...c, calleeRef: bind(c.callee) })).filter((c) => c.calleeRef)
+  });
+}
+
+/**
+ * Group sites by event name, emit event nodes and `publishes` / `subscribes`
+ * links.
+ *
+ * @param {{
+ *   eventInputs: Array<object>,
+ *   store: import("./graphStore.js").GraphStore,
+ *   reExportIndex: Map<string, object>,
+ *   addNode: Function,
+ *   addLink: Function
+ * }} args
+ * @returns {Array<{
+ *   id: string,
+ *   name: string,
+ *   publishers: Array<{node: string, file: string, line: number, api: string}>,
+ *   subscribers: Array<{node: string, file: string, line: number, api: string}>,
+ *   unhandled: boolean,
+ *   unemitted: boolean
+ * }>}
+ *   One entry per event node (for `meta.events`), sorted by name.
+ */
+export function resolveEventChannels({ eventInputs, store, reExportIndex, addNode, addLink }) {
+  const byName = new Map();
+  const addSite = (name, role, site) => {
+    if (!byName.has(name)) byName.set(name, { publishers: [], subscribers: [] });
+    const entry = byName.get(name);
+    const list = role === "emit" ? entry.publishers : entry.subscribers;
+    if (!list.some((s) => s.node === site.node && s.line === site.line)) list.push(site);
+  };
+
+  for (const input of eventInputs) {
+    for (const e of input.events) {
+      // Named listeners subscribe themselves; inline ones their registering function.
+      const node = e.role === "listen"
+        ? resolveSiteFunction({ ref: e.handlerRef, fileId: input.fileId, from: e.from, store, reExportIndex })
+        : callerId(store, input.fileId, e.from);
+      addSite(e.name, e.role, { node, file: input.fileId, line: e.line, api: e.api });
+    }
+  }
+
+  const wrapped = expandWrapperCalls({
+    inputs: eventInputs,
+    reExportIndex,
+    inherit: (call, wrapper) => ({ role: wrapper.role, api: wrapper.api })
+  });
+  for (const { fileId, call, wrapper } of wrapped) {
+    addSite(call.event, wrapper.role, { node: callerId(store, fileId, call.from), file: fileId, line: call.line, api: wrapper.api });
+  }
+
+  const channels = [];
+  for (const [name, { publishers, subscribers }] of [...byName.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+    if (!publishers.length && isPlatformEvent(name)) continue;
+
+    const id = `event:${name}`;
+    const home = publishers[0] || subscribers[0];
+    addNode({ id, file: home.file, lines: 0, complexity: 0, headerComment: "", kind: "event", name });
+
+    for (const s of publishers) addLink(s.node, id, "publishes", { line: s.line });
+    for (const s of subscribers) addLink(s.node, id, "subscribes", { line: s.line });
+
+    const node = store.getExistingNode(id);
+    const unhandled = !subscribers.length;
+    const unemitted = !publishers.length;
+    if (node) {
+      node._unhandled = unhandled;
+      node._unemitted = unemitted;
+    }
+
+    channels.push({ id, name, publishers, subscribers, unhandled, unemitted });
+  }
+
+  return channels;
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function isPlatformEvent(name) {
+  return PLATFORM_EVENTS.has(name) || PLATFORM_EVENTS.has(name.split(".")[0]);
+}
+
+/**
+ * The event API behind a member call, with the node naming the event.
+ *
+ * @returns {{role: "emit"|"listen", api: string, nameNode: any, name?: string, handlerNode?: any} | null}
+ */
+function readEventSite(p) {
+  const callee = p?.node?.callee;
+  const args = p?.node?.arguments || [];
+  if (!isStaticMember(callee) || !args.length) return null;
+
+  const method = callee.property.name;
+
+  if (EMIT_METHODS.has(method)) return { role: "emit", api: "emitter", nameNode: args[0] };
+
+  if (LISTEN_METHODS.has(method) && args.length >= 2) {
+    return { role: "listen", api: method === "addEventListener" ? "dom" : "emitter", nameNode: args[0], handlerNode: args[1] };
+  }
+
+  if (method === "dispatchEvent") {
+    const event = readEventConstruction(p, args[0]);
+    return event ? { role: "emit", api: "dom", nameNode: event.arguments?.[0] } : null;
+  }
+
+  if (method === "write") return readSseFrame(p, args[0]);
+
+  return null;
+}
+
+/**
+ * `new CustomEvent(...)`, directly or behind a constant.
+ */
+function readEventConstruction(p, node) {
+  let expr = node;
+  if (expr?.type === "Identifier") {
+    const binding = p.scope?.getBinding?.(expr.name);
+    expr = binding?.kind === "const" ? binding.path.node?.init : null;
+  }
+  const isEvent = expr?.type === "NewExpression" &&
+    expr.callee?.type === "Identifier" &&
+    EVENT_CONSTRUCTORS.has(expr.callee.name);
+  return isEvent ? expr : null;
+}
+
+/**
+ * SSE frame `event: <name>\n...` written to a response; a template whose
+ * name is one expression yields that expression as the name node.
+ */
+function readSseFrame(p, node) {
+  if (node?.type === "StringLiteral") {
+    const match = /^event:\s*([^\s]+)\s*(?:\n|$)/.exec(String(node.value));
+    return match ? { role: "emit", api: "sse", nameNode: node, name: match[1] } : null;
+  }
+
+  if (node?.type !== "TemplateLiteral") return null;
+
+  const head = String(node.quasis[0]?.value?.cooked ?? "");
+  if (!/^event:/.test(head)) return null;
+
+  if (node.expressions.length) {
+    const tail = String(node.quasis[1]?.value?.cooked ?? "");
+    if (!/^event:\s*$/.test(head) || !/^\s*(?:\n|$)/.test(tail)) return null;
+    return { role: "emit", api: "sse", nameNode: node.expressions[0] };
+  }
+
+  const match = /^event:\s*([^\s]+)/.exec(head);
+  return match ? { role: "emit", api: "sse", nameNode: node, name: match[1] } : null;
+}
+
+/**
+ * Static event name of an expression ("" when dynamic).
+ */
+function readEventName(p, node, depth = 0) {
+  if (!node || depth > 4) return "";
+
+  if (node.type === "StringLiteral") return String(node.value);
+  if (node.type === "TemplateLiteral" && !node.expressions.length) {
+    return String(node.quasis[0]?.value?.cooked ?? "");
+  }
+  if (node.type === "Identifier") {
+    const binding = p.scope?.getBinding?.(node.name);
+    const init = binding?.kind === "const" ? binding.path.node?.init : null;
+    return init ? readEventName(binding.path, init, depth + 1) : "";
+  }
+  return "";
+}
+
+/**
+ * Name of a listener function as written ("" for inline callbacks):
+ * `handler`, `ctrl.onSaved`, `function named() {}`.
+ */
+function readHandlerName(node) {
+  if (node?.type === "Identifier") return node.name;
+  if (isStaticMember(node) && node.object?.type === "Identifier") return `${node.object.name}.${node.property.name}`;
+  if (node?.type === "FunctionExpression") return node.id?.name || "";
+  return "";
+}
+
+/**
+ * `broadcast("analysis", data)`, `events.notify(type)`: calls of project
+ * functions that may be wrappers, with an event-like name or a forwarded
+ * parameter as one of their arguments.
+ */
+function recordWrapperCall(p, out, { from, line }) {
+  const name = wrapperCalleeName(p);
+  if (!name) return;
+
+  (p.node.arguments || []).forEach((arg, index) => {
+    const param = enclosingParamIndex(p, arg, from);
+    const event = param >= 0 ? "" : readEventName(p, arg);
+    if (param < 0 && !EVENT_NAME_RE.test(event)) return;
+
+    out.eventWrapperCalls.push({ callee: name, arg: index, event, param, from: from || null, line });
+  });
+}
@@ -0,0 +1,124 @@
+/**
+ * fsGlob (lowlevel Utility)
+ * ---------------------------------------------------------------------------
+ * Glob matching and bounded directory walks over an analysed app.
+ *
+ * Purpose
+ * -------
+ * Workspace discovery, dynamic import expansion and architecture rules all
+ * match globs against paths and (the first two) walk the app's directories.
+ * They share one glob dialect and one list of directories never worth
+ * walking, so a pattern means the same thing wherever it is written.
+ *
+ * Rules
+ * -----
+ * - `*` and `?` stay inside one path segment
+ * - `**` spans any number of segments, including none: a leading `**`
+ *   segment also matches files at the top level, and `src/**` matches `src`
+ *   itself
+ * - `{a,b}` lists alternatives
+ * - patterns are matched against POSIX paths (relative or absolute, as the
+ *   caller passes them)
+ *
+ * Design notes
+ * ------------
+ * - walks are depth-bounded, visit entries in name order and skip
+ *   `SCAN_IGNORE_DIRS`; unreadable directories are skipped silently
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+// Build output, vendor and tool directories: never part of an app's sources.
+const SCAN_IGNORE_DIRS = new Set(["node_modules", ".git", "dist", "build", ".next", ".cache", "coverage"]);
+
+/**
+ * Convert a glob into an anchored RegExp.
+ *
+ * @param {string} glob
+ *   POSIX glob.
+ * @param {readonly string[]} [implicitExtensions]
+ *   Optional extensions the match may add when the last segment has none
+ *   (extension-less `import()` templates).
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob, implicitExtensions = []) {
+  const src = String(glob);
+  let source = "";
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (ch === "*" && src[i + 1] === "*") {
+      if (src[i + 2] === "/") {
+        source += "(?:[^/]+/)*";
+        i += 2;
+      } else if (i + 2 === src.length && source.endsWith("/")) {
+        source = `${source.slice(0, -1)}(?:/.*)?`;
+        i += 1;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else if (ch === "{") {
+      const close = src.indexOf("}", i);
+      if (close < 0) {
+        source += "\\{";
+        continue;
+      }
+      const alts = src.slice(i + 1, close).split(",").map(escapeRegExp);
+      source += `(?:${alts.join("|")})`;
+      i = close;
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+
+  const lastSeg = src.slice(src.lastIndexOf("/") + 1);
+  if (implicitExtensions.length && !path.extname(lastSeg.replace(/\*/g, ""))) {
+    source += `(?:${implicitExtensions.map(escapeRegExp).join("|")})?`;
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Walk a directory tree, visiting files and directories in name order.
+ *
+ * @param {string} dirAbs
+ *   Absolute directory to start in (not visited itself).
+ * @param {number} depth
+ *   Directory levels to descend below `dirAbs` (0 = its entries only).
+ * @param {(entryAbs: string, ent: import("node:fs").Dirent) => void} visit
+ *   Called for every entry except ignored directories.
+ */
+export function walkTree(dirAbs, depth, visit) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dirAbs, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const ent of entries) {
+    if (ent.isDirectory() && SCAN_IGNORE_DIRS.has(ent.name)) continue;
+
+    const childAbs = path.join(dirAbs, ent.name);
+    visit(childAbs, ent);
+    if (ent.isDirectory() && depth > 0) walkTree(childAbs, depth - 1, visit);
+  }
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.+^${}()|[\]\\*?]/g, "\\$&");
+}
@@ -13,6 +13,7 @@
  *   - enforcing project-root boundaries
  *   - normalizing Windows / POSIX separators
  *   - sanitizing user supplied path input
+ *   - probing whether a resolver candidate is an existing file
  *
  * This module centralizes those primitives so routing, metrics building,
  * import resolution, and live change feeds all behave consistently.
@@ -22,9 +23,10 @@
  * 1. Deterministic path normalization
  * 2. Safe root-boundary checks
  * 3. Stable POSIX-style ids for graph nodes
- * 4. Minimal dependencies (only Node core `path`)
+ * 4. Minimal dependencies (only Node core `path` and `fs`)
  */
 
+import fs from "node:fs";
 import path from "node:path";
 
 /**
@@ -104,6 +106,20 @@ export function toRelPosix(rootAbs, fileAbs) {
   return normalizeRelPosix(rel);
 }
 
+/**
+ * Check whether one path exists and is a regular file.
+ *
+ * Resolvers probe many candidates per specifier; unreadable paths simply
+ * count as missing.
+ */
+export function existsFile(p) {
+  try {
+    return fs.existsSync(p) && fs.statSync(p).isFile();
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Resolve a user provided relative path safely within a root directory.
  *
@@ -128,5 +144,6 @@ export default {
   normalizeRelPosix,
   isInsideRoot,
   toRelPosix,
+  existsFile,
   resolveWithinRoot
 };
\ No newline at end of file
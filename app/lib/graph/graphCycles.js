@@ -0,0 +1,246 @@
+/**
+ * graphCycles
+ * ============================================================================
+ *
+ * Circular dependencies: strongly connected components over `use` edges
+ * (import cycles between files) and, separately, over `call` edges (mutual
+ * recursion between functions).
+ *
+ * Purpose
+ * -------
+ * Import cycles are the first thing to untangle before a refactor. After
+ * `finalizeGraphStats` this module finds every component in which each member
+ * reaches every other one and records it in `meta.cycles`:
+ *
+ *   cycle      { id, type, nodes, files, edges, closingEdges }
+ *   nodes      `_cycles: string[]` (ids of the cycles the node belongs to)
+ *   links      `cycle: string`, plus `cycleClosing: true` on closing edges
+ *
+ * Rules
+ * -----
+ * - only components with two or more members count; a file importing itself
+ *   or a directly recursive function is no cycle here
+ * - `edges` are all links of the cycle's type inside the component (each of
+ *   them lies on a cycle); `closingEdges` are the back edges of a depth-first
+ *   walk in id order, i.e. one set of edges whose removal breaks every cycle
+ * - cycle ids are `<type>-cycle-<n>`, numbered by size (largest first), then
+ *   by first member id
+ *
+ * Design notes
+ * ------------
+ * - Tarjan's algorithm and the closing-edge walk are iterative: call graphs
+ *   of large projects are too deep for recursion
+ * - neighbours are visited in id order, so ids and closing edges are stable
+ *   across runs
+ */
+
+import { owningFileId } from "../graphStore.js";
+
+// Edge types analyzed separately (a `use` edge never closes a call cycle).
+export const CYCLE_LINK_TYPES = ["use", "call"];
+
+/**
+ * Detect cycles, mark their nodes and links, and return the cycle list.
+ *
+ * @param {{nodes: any[], links: any[]}} args
+ *   Final graph arrays (mutated: `_cycles`, `cycle`, `cycleClosing`).
+ * @returns {Array<{
+ *   id: string,
+ *   type: "use"|"call",
+ *   nodes: string[],
+ *   files: string[],
+ *   edges: Array<{source: string, target: string}>,
+ *   closingEdges: Array<{source: string, target: string}>
+ * }>}
+ *   Cycles for `meta.cycles`, `use` cycles first.
+ */
+export function markCycles({ nodes, links }) {
+  const byId = new Map();
+  for (const n of nodes || []) {
+    if (n?.id) byId.set(String(n.id), n);
+  }
+
+  const cycles = [];
+  for (const type of CYCLE_LINK_TYPES) {
+    const typed = (links || []).filter((l) => l?.type === type && isInnerLink(l, byId));
+    const adjacency = buildAdjacency(typed);
+
+    const components = stronglyConnectedComponents(adjacency)
+      .filter((members) => members.length > 1)
+      .sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+
+    components.forEach((members, i) => {
+      const id = `${type}-cycle-${i + 1}`;
+      const memberSet = new Set(members);
+      const closing = closingEdgeKeys(members, adjacency, memberSet);
+
+      const edges = [];
+      const closingEdges = [];
+      for (const link of typed) {
+        const source = String(link.source);
+        const target = String(link.target);
+        if (!memberSet.has(source) || !memberSet.has(target)) continue;
+
+        link.cycle = id;
+        edges.push({ source, target });
+        if (closing.has(edgeKey(source, target))) {
+          link.cycleClosing = true;
+          closingEdges.push({ source, target });
+        }
+      }
+
+      for (const memberId of members) {
+        const node = byId.get(memberId);
+        node._cycles = [...(node._cycles || []), id];
+      }
+
+      cycles.push({
+        id,
+        type,
+        nodes: members,
+        files: [...new Set(members.map(owningFileId))].sort((a, b) => a.localeCompare(b)),
+        edges: sortEdges(edges),
+        closingEdges: sortEdges(closingEdges)
+      });
+    });
+  }
+
+  return cycles;
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function isInnerLink(link, byId) {
+  const source = String(link.source || "");
+  const target = String(link.target || "");
+  return source !== target && byId.has(source) && byId.has(target);
+}
+
+function edgeKey(source, target) {
+  return `${source}\u0000${target}`;
+}
+
+function sortEdges(edges) {
+  return edges.sort((a, b) => a.source.localeCompare(b.source) || a.target.localeCompare(b.target));
+}
+
+/**
+ * @returns {Map<string, string[]>} node id -> distinct targets in id order
+ */
+function buildAdjacency(links) {
+  const sets = new Map();
+  for (const link of links) {
+    const source = String(link.source);
+    const target = String(link.target);
+    if (!sets.has(source)) sets.set(source, new Set());
+    if (!sets.has(target)) sets.set(target, new Set());
+    sets.get(source).add(target);
+  }
+
+  const adjacency = new Map();
+  for (const id of [...sets.keys()].sort((a, b) => a.localeCompare(b))) {
+    adjacency.set(id, [...sets.get(id)].sort((a, b) => a.localeCompare(b)));
+  }
+  return adjacency;
+}
+
+/**
+ * Iterative Tarjan; every component is returned with its members in id order.
+ */
+function stronglyConnectedComponents(adjacency) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of adjacency.keys()) {
+    if (index.has(start)) continue;
+
+    const frames = [{ id: start, next: 0 }];
+    index.set(start, counter);
+    lowLink.set(start, counter++);
+    stack.push(start);
+    onStack.add(start);
+
+    while (frames.length) {
+      const frame = frames[frames.length - 1];
+      const targets = adjacency.get(frame.id) || [];
+
+      if (frame.next < targets.length) {
+        const target = targets[frame.next++];
+        if (!index.has(target)) {
+          index.set(target, counter);
+          lowLink.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          frames.push({ id: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(target)));
+        }
+        continue;
+      }
+
+      frames.pop();
+      const parent = frames[frames.length - 1];
+      if (parent) lowLink.set(parent.id, Math.min(lowLink.get(parent.id), lowLink.get(frame.id)));
+
+      if (lowLink.get(frame.id) !== index.get(frame.id)) continue;
+
+      const members = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        members.push(member);
+      } while (member !== frame.id);
+      components.push(members.sort((a, b) => a.localeCompare(b)));
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Back edges of a depth-first walk restricted to one component.
+ *
+ * @returns {Set<string>} edge keys (`edgeKey(source, target)`)
+ */
+function closingEdgeKeys(members, adjacency, memberSet) {
+  const closing = new Set();
+  const done = new Set();
+  const onPath = new Set();
+
+  for (const start of members) {
+    if (done.has(start)) continue;
+
+    const frames = [{ id: start, next: 0 }];
+    onPath.add(start);
+
+    while (frames.length) {
+      const frame = frames[frames.length - 1];
+      const targets = adjacency.get(frame.id) || [];
+
+      if (frame.next < targets.length) {
+        const target = targets[frame.next++];
+        if (!memberSet.has(target) || done.has(target)) continue;
+        if (onPath.has(target)) {
+          closing.add(edgeKey(frame.id, target));
+          continue;
+        }
+        onPath.add(target);
+        frames.push({ id: target, next: 0 });
+        continue;
+      }
+
+      frames.pop();
+      onPath.delete(frame.id);
+      done.add(frame.id);
+    }
+  }
+
+  return closing;
+}
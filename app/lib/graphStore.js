@@ -17,7 +17,47 @@
  * - No traversal strategy (BFS/DFS) knowledge
  */
 
-const NUMERIC_NODE_METRIC_KEYS = ["lines", "codeLines", "commentLines", "blankLines", "complexity"];
+const NUMERIC_NODE_METRIC_KEYS = [
+  "lines",
+  "codeLines",
+  "commentLines",
+  "blankLines",
+  "complexity",
+  "cognitiveComplexity",
+  "halsteadVolume",
+  "halsteadDifficulty",
+  "halsteadEffort",
+  "maintainabilityIndex"
+];
+
+// Kind-specific descriptive fields copied verbatim when present (e.g. `external` / `class` / `interface` / `route` nodes).
+const PRESERVED_NODE_FIELD_KEYS = [
+  "packageName",
+  "builtin",
+  "declaredRange",
+  "dependencySection",
+  "resolvedVersion",
+  "parentClass",
+  "superClass",
+  "implements",
+  "defaultExport",
+  "extends",
+  "method",
+  "path"
+];
+
+/**
+ * File id a node belongs to: symbol ids are `<fileId>::<name>@<line>`; any
+ * other id (file, route, event, external package, ...) is its own owner.
+ *
+ * @param {string} nodeId
+ * @returns {string}
+ */
+export function owningFileId(nodeId) {
+  const id = String(nodeId || "");
+  const cut = id.indexOf("::");
+  return cut > 0 ? id.slice(0, cut) : id;
+}
 
 export class GraphStore {
   constructor() {
@@ -136,6 +176,10 @@ export class GraphStore {
 
     // exported: preserve explicit boolean-ish value if present
     if (node.exported != null) out.exported = Boolean(node.exported);
+
+    for (const key of PRESERVED_NODE_FIELD_KEYS) {
+      if (node[key] !== undefined) out[key] = node[key];
+    }
   }
 
   buildNormalizedNode(id, node) {
@@ -172,10 +216,11 @@ export class GraphStore {
   
   /**
    * Ensure a link exists; returns true if added.
+   *
+   * Optional `attrs` (e.g. `{ refKind, line }`) are copied onto the link when
+   * it is first created; duplicates keep the first occurrence.
    */
-
-  
-  ensureLink(sourceId, targetId, type) {
+  ensureLink(sourceId, targetId, type, attrs = null) {
     const s = String(sourceId || "").trim();
     const t = String(targetId || "").trim();
     const ty = String(type || "use").trim();
@@ -184,7 +229,7 @@ export class GraphStore {
     const key = `${s}|${ty}|${t}`;
     if (this._linkIndex.has(key)) return false;
 
-    this.links.push({ source: s, target: t, type: ty });
+    this.links.push(attrs ? { ...attrs, source: s, target: t, type: ty } : { source: s, target: t, type: ty });
     this._linkIndex.add(key);
     return true;
   }
@@ -0,0 +1,246 @@
+/**
+ * halstead
+ * ============================================================================
+ *
+ * Halstead operator / operand counting for Babel paths, plus the derived
+ * volume, difficulty, effort and maintainability index.
+ *
+ * Purpose
+ * -------
+ * Line counts and branch counters say how big and how branchy code is, not how
+ * dense it is. Halstead metrics count the vocabulary a reader has to keep in
+ * mind; the maintainability index folds volume, cyclomatic complexity and size
+ * into one 0..100 score. `parseJsTsAst` feeds every visited node into a tally
+ * per function and per file and derives the metrics after traversal.
+ *
+ * Rules
+ * -----
+ * - operators: binary, logical, assignment, unary and update operators, keyword
+ *   statements (`if`, `for`, `return`, `throw`, `new`, ...), calls, member
+ *   access, `?:`, spread, declarations (`const`, `function`, `=>`, `class`)
+ * - operands: identifiers (incl. `#private` names), `this` / `super` and literal values
+ * - volume      V = N · log2(n)           (N = all tokens, n = distinct tokens)
+ * - difficulty  D = (n1 / 2) · (N2 / n2)  (n1/n2 distinct operators/operands, N2 all operands)
+ * - effort      E = D · V
+ * - maintainability index = max(0, (171 − 5.2·ln V − 0.23·CC − 16.2·ln LOC) · 100 / 171)
+ *
+ * Design notes
+ * ------------
+ * - TypeScript type syntax is not counted: types carry no runtime logic
+ * - structural punctuation (blocks, parentheses, `;`) is not counted; tools
+ *   disagree on it and it mostly adds a constant
+ * - LOC for the index is the function span (files: code lines), so comments
+ *   inside a function weigh in; scores are comparable within one project
+ */
+
+// Statement and expression nodes that count as one keyword operator each.
+const KEYWORD_OPERATORS = Object.freeze({
+  IfStatement: "if",
+  ForStatement: "for",
+  ForInStatement: "for-in",
+  ForOfStatement: "for-of",
+  WhileStatement: "while",
+  DoWhileStatement: "do-while",
+  SwitchStatement: "switch",
+  ReturnStatement: "return",
+  ThrowStatement: "throw",
+  TryStatement: "try",
+  CatchClause: "catch",
+  BreakStatement: "break",
+  ContinueStatement: "continue",
+  NewExpression: "new",
+  CallExpression: "()",
+  OptionalCallExpression: "?.()",
+  ConditionalExpression: "?:",
+  AwaitExpression: "await",
+  YieldExpression: "yield",
+  SpreadElement: "...",
+  RestElement: "...",
+  ArrayExpression: "[]",
+  ObjectExpression: "{}",
+  TemplateLiteral: "``",
+  ArrowFunctionExpression: "=>",
+  FunctionDeclaration: "function",
+  FunctionExpression: "function",
+  ClassDeclaration: "class",
+  ClassExpression: "class"
+});
+
+const OPERATOR_FIELD_TYPES = new Set([
+  "BinaryExpression",
+  "LogicalExpression",
+  "AssignmentExpression",
+  "UnaryExpression",
+  "UpdateExpression"
+]);
+
+// TS nodes whose children are runtime expressions.
+const RUNTIME_TS_WRAPPER_TYPES = new Set([
+  "TSNonNullExpression",
+  "TSAsExpression",
+  "TSSatisfiesExpression",
+  "TSTypeAssertion",
+  "TSParameterProperty",
+  "TSEnumMember",
+  "TSExportAssignment"
+]);
+
+/**
+ * Create an empty token tally.
+ *
+ * @returns {{operators: Map<string, number>, operands: Map<string, number>}}
+ */
+export function createHalsteadTally() {
+  return { operators: new Map(), operands: new Map() };
+}
+
+/**
+ * Count one visited node into the given tallies.
+ *
+ * @param {any} p
+ *   Babel path of the visited node.
+ * @param {Array<ReturnType<typeof createHalsteadTally>|null|undefined>} tallies
+ *   Tallies that receive the token (e.g. file and current function).
+ */
+export function countHalsteadToken(p, tallies) {
+  const token = halsteadToken(p);
+  if (!token) return;
+
+  for (const tally of tallies) {
+    if (!tally) continue;
+    const bucket = token.operand ? tally.operands : tally.operators;
+    bucket.set(token.value, (bucket.get(token.value) || 0) + 1);
+  }
+}
+
+/**
+ * Merge tallies (e.g. the methods of a class) into a new one.
+ *
+ * @param {Array<ReturnType<typeof createHalsteadTally>|null|undefined>} tallies
+ * @returns {ReturnType<typeof createHalsteadTally>}
+ */
+export function mergeHalsteadTallies(tallies) {
+  const merged = createHalsteadTally();
+
+  for (const tally of tallies) {
+    if (!tally) continue;
+    for (const [k, v] of tally.operators) merged.operators.set(k, (merged.operators.get(k) || 0) + v);
+    for (const [k, v] of tally.operands) merged.operands.set(k, (merged.operands.get(k) || 0) + v);
+  }
+
+  return merged;
+}
+
+/**
+ * Derive Halstead metrics and the maintainability index from a tally.
+ *
+ * @param {ReturnType<typeof createHalsteadTally>|null|undefined} tally
+ * @param {{complexity?: number, lines?: number}} size
+ *   Cyclomatic complexity and LOC of the measured unit.
+ * @returns {{halsteadVolume: number, halsteadDifficulty: number, halsteadEffort: number, maintainabilityIndex: number}}
+ *   All 0 for units without tokens.
+ */
+export function halsteadMetrics(tally, { complexity = 0, lines = 0 } = {}) {
+  const n1 = tally?.operators.size || 0;
+  const n2 = tally?.operands.size || 0;
+  const N1 = sumCounts(tally?.operators);
+  const N2 = sumCounts(tally?.operands);
+
+  const vocabulary = n1 + n2;
+  const length = N1 + N2;
+  if (vocabulary < 2) {
+    return { halsteadVolume: 0, halsteadDifficulty: 0, halsteadEffort: 0, maintainabilityIndex: 0 };
+  }
+
+  const volume = length * Math.log2(vocabulary);
+  const difficulty = n2 ? (n1 / 2) * (N2 / n2) : 0;
+  const effort = difficulty * volume;
+
+  return {
+    halsteadVolume: round2(volume),
+    halsteadDifficulty: round2(difficulty),
+    halsteadEffort: Math.round(effort),
+    maintainabilityIndex: maintainabilityIndex(volume, complexity, lines)
+  };
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+/**
+ * @returns {{value: string, operand: boolean} | null}
+ */
+function halsteadToken(p) {
+  const node = p?.node;
+  const type = node?.type;
+  if (!type || type.startsWith("TS") || isInTypeSyntax(p)) return null;
+
+  if (OPERATOR_FIELD_TYPES.has(type)) return { value: String(node.operator), operand: false };
+  if (type === "MemberExpression" || type === "OptionalMemberExpression") {
+    const op = node.computed ? "[]" : ".";
+    return { value: node.optional ? `?${op}` : op, operand: false };
+  }
+  if (type === "VariableDeclaration") return { value: String(node.kind), operand: false };
+  if (type === "ClassMethod" || type === "ClassPrivateMethod" || type === "ObjectMethod") {
+    return { value: "function", operand: false };
+  }
+  if (type === "SwitchCase") return { value: node.test ? "case" : "default", operand: false };
+
+  const keyword = KEYWORD_OPERATORS[type];
+  if (keyword) return { value: keyword, operand: false };
+
+  const operand = operandValue(node);
+  return operand === null ? null : { value: operand, operand: true };
+}
+
+function operandValue(node) {
+  switch (node.type) {
+    case "Identifier":
+    case "JSXIdentifier":
+      return node.name;
+    case "ThisExpression":
+      return "this";
+    case "Super":
+      return "super";
+    case "StringLiteral":
+      return JSON.stringify(node.value);
+    case "NumericLiteral":
+    case "BooleanLiteral":
+      return String(node.value);
+    case "BigIntLiteral":
+      return `${node.value}n`;
+    case "NullLiteral":
+      return "null";
+    case "RegExpLiteral":
+      return `/${node.pattern}/${node.flags || ""}`;
+    case "TemplateElement":
+      return node.value?.cooked ? JSON.stringify(node.value.cooked) : null;
+    default:
+      return null;
+  }
+}
+
+// Names and literals inside type syntax (`x: Foo`, `implements Bar`, `"a" | "b"`).
+// Runtime wrappers (`x!`, `x as T`, constructor parameter properties) still count.
+function isInTypeSyntax(p) {
+  const parentType = p.parentPath?.node?.type || "";
+  return parentType.startsWith("TS") && !RUNTIME_TS_WRAPPER_TYPES.has(parentType);
+}
+
+function maintainabilityIndex(volume, complexity, lines) {
+  const loc = Math.max(1, Number(lines) || 0);
+  const cc = Math.max(0, Number(complexity) || 0);
+  const raw = 171 - 5.2 * Math.log(volume) - 0.23 * cc - 16.2 * Math.log(loc);
+  return round2(Math.max(0, (raw * 100) / 171));
+}
+
+function sumCounts(map) {
+  let sum = 0;
+  for (const v of map?.values() || []) sum += v;
+  return sum;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,425 @@
+/**
+ * httpClientCalls
+ * ============================================================================
+ *
+ * Client-to-server edges: browser `fetch` / `XMLHttpRequest` / `EventSource`
+ * requests are matched against the route table of `routeInventory.js`.
+ *
+ * Purpose
+ * -------
+ * Frontend and backend are two islands in the graph: nothing links the button
+ * handler that posts to `/analyze` to the function serving it. Requests are
+ * recorded while parsing and matched once the route table is complete:
+ *
+ * 1. parse time (`recordHttpClientCall`, called by `parseJsTsAst`): record
+ *      fetch(`/apps/${id}/info`)                     -> out.httpRequests
+ *      xhr.open("POST", "/analyze")                  -> out.httpRequests
+ *      new EventSource("/events")                    -> out.httpRequests
+ *      function getJson(url) { return fetch(url); }  -> out.httpWrappers
+ *      getJson("/apps")                              -> out.httpWrapperCalls
+ * 2. after `resolveRoutes` (`resolveHttpClientCalls`): match every request
+ *    against the routes and emit
+ *      calling function ──http──▶ route handler
+ *
+ * Rules
+ * -----
+ * - URLs are string literals, templates, `+` concatenations and constants;
+ *   dynamic parts become `*`, query string and fragment are dropped
+ * - only same-origin paths (`/...`) count: a relative URL only makes sense
+ *   in the browser, so server-side `fetch("https://...")` stays out
+ * - the method comes from a static `method` in the init object (`open()`'s
+ *   first argument for XHR), else GET; a dynamic method matches any route
+ * - a function passing one of its parameters as the URL is a wrapper; calls
+ *   to it (also through imports, re-exports and other wrappers) are requests
+ *   of the calling function, with the init argument the wrapper forwards
+ * - a `*` in a request matches one path segment, or part of a literal one;
+ *   `:param` route segments match any segment, a trailing `*` the rest
+ * - of several matching routes only the most specific ones (most literal
+ *   segments) are linked; `ALL` routes match every method
+ *
+ * Design notes
+ * ------------
+ * - requests without a matching route are kept in `meta.httpRequests` with an
+ *   empty `routes` list; they usually point at a typo or a missing endpoint
+ * - matching is purely textual: a request to a path served by a proxy or
+ *   another app stays unmatched rather than guessing
+ * - wrappers ride on the shared wrapper model of `callSites.js`; the HTTP
+ *   method is what a derived wrapper inherits
+ */
+
+import {
+  bindSiteName,
+  callerId,
+  enclosingParamIndex,
+  expandWrapperCalls,
+  fnName,
+  isStaticMember,
+  wrapperCalleeName
+} from "./callSites.js";
+
+const HTTP_METHODS = new Set(["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"]);
+
+// Global objects `fetch` may be called on.
+const FETCH_GLOBALS = new Set(["window", "globalThis", "self"]);
+
+/**
+ * Record a request, wrapper or wrapper call found at a call or `new`
+ * expression.
+ *
+ * @param {any} p
+ *   Babel path of a `CallExpression` or `NewExpression`.
+ * @param {{httpRequests: Array<object>, httpWrappers: Array<object>, httpWrapperCalls: Array<object>}} out
+ *   Parser output (mutated).
+ * @param {{from: string | null, line: number}} site
+ *   Enclosing emitted function id (`name@line`, `null` at top level) and the
+ *   line of the expression.
+ */
+export function recordHttpClientCall(p, out, { from, line }) {
+  const request = readRequestSite(p);
+  if (!request) {
+    if (p?.node?.type === "CallExpression") recordWrapperCall(p, out, { from, line });
+    return;
+  }
+
+  const param = enclosingParamIndex(p, request.urlNode, from);
+  if (param >= 0) {
+    const init = request.api === "fetch" ? readInit(p, request.initNode, from) : { method: request.method, initParam: -1 };
+    out.httpWrappers.push({ name: fnName(from), param, method: init.method, initParam: init.initParam, line });
+    return;
+  }
+
+  const url = readUrlPattern(p, request.urlNode);
+  if (!url) return;
+
+  const method = request.api === "fetch" ? readInit(p, request.initNode, null).method : request.method;
+  out.httpRequests.push({ api: request.api, method, url, from: from || null, line });
+}
+
+/**
+ * Collect the client inputs of one parsed file (during BFS).
+ *
+ * Wrapper call callees are bound to their defining file here, while the
+ * calling file's path is at hand.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   fileId: string,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   toRelId: (absPath: string) => string,
+ *   httpClientInputs: Array<object>
+ * }} args
+ *   Parsed file and the shared input list (mutated).
+ */
+export function collectHttpClientInput({ parsed, fileId, absNorm, projectRootAbs, toRelId, httpClientInputs }) {
+  const requests = Array.isArray(parsed?.httpRequests) ? parsed.httpRequests : [];
+  const wrappers = Array.isArray(parsed?.httpWrappers) ? parsed.httpWrappers : [];
+  const calls = Array.isArray(parsed?.httpWrapperCalls) ? parsed.httpWrapperCalls : [];
+  if (!requests.length && !wrappers.length && !calls.length) return;
+
+  const bind = (name) => bindSiteName({ name, parsed, fileId, absNorm, projectRootAbs, toRelId });
+
+  httpClientInputs.push({
+    fileId,
+    requests,
+    wrappers,
+    calls: calls.map((c) => ({ ...c, calleeRef: bind(c.callee) })).filter((c) => c.calleeRef)
+  });
+}
+
+/**
+ * Match requests against the route table and emit `http` links.
+ *
+ * @param {{
+ *   httpClientInputs: Array<object>,
+ *   routes: Array<{id: string, method: string, path: string, handler: string}>,
+ *   store: import("./graphStore.js").GraphStore,
+ *   reExportIndex: Map<string, object>,
+ *   addLink: Function
+ * }} args
+ *   `routes` is the result of `resolveRoutes()`.
+ * @returns {Array<{file: string, from: string, line: number, api: string, method: string, url: string, routes: string[]}>}
+ *   One entry per request (for `meta.httpRequests`), sorted by file and line;
+ *   `from` is the calling node id, `routes` the matched route ids.
+ */
+export function resolveHttpClientCalls({ httpClientInputs, routes, store, reExportIndex, addLink }) {
+  const requests = [];
+  for (const input of httpClientInputs) {
+    for (const r of input.requests) requests.push({ ...r, fileId: input.fileId });
+  }
+  requests.push(...expandHttpWrapperCalls({ httpClientInputs, reExportIndex }));
+
+  const compiled = (routes || []).map((route) => ({ route, segments: splitPath(route.path) }));
+
+  const report = [];
+  const seen = new Set();
+  for (const request of requests) {
+    const fromId = callerId(store, request.fileId, request.from);
+    const key = `${fromId}\u0000${request.line}\u0000${request.method}\u0000${request.url}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const matched = bestRoutes(request, compiled);
+    for (const { route } of matched) {
+      if (!route.handler || route.handler === fromId) continue;
+      addLink(fromId, route.handler, "http", {
+        method: request.method || route.method,
+        url: request.url,
+        route: route.id,
+        line: request.line
+      });
+    }
+
+    report.push({
+      file: request.fileId,
+      from: fromId,
+      line: request.line,
+      api: request.api,
+      method: request.method || "*",
+      url: request.url,
+      routes: matched.map(({ route }) => route.id)
+    });
+  }
+
+  return report.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.url.localeCompare(b.url));
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+/**
+ * The request API behind an expression, with its URL and init/method.
+ *
+ * @returns {{api: string, urlNode: any, initNode?: any, method?: string | null} | null}
+ */
+function readRequestSite(p) {
+  const node = p?.node;
+  const callee = node?.callee;
+  const args = node?.arguments || [];
+  if (!args.length) return null;
+
+  if (node.type === "NewExpression") {
+    return callee?.type === "Identifier" && callee.name === "EventSource"
+      ? { api: "eventsource", urlNode: args[0], method: "GET" }
+      : null;
+  }
+
+  if (isFetchCallee(callee)) return { api: "fetch", urlNode: args[0], initNode: args[1] };
+
+  if (isStaticMember(callee) && callee.property.name === "open" && args.length >= 2) {
+    const method = readStaticString(p, args[0]).toUpperCase();
+    return HTTP_METHODS.has(method) ? { api: "xhr", urlNode: args[1], method } : null;
+  }
+
+  return null;
+}
+
+function isFetchCallee(callee) {
+  if (callee?.type === "Identifier") return callee.name === "fetch";
+  return isStaticMember(callee) &&
+    callee.property.name === "fetch" &&
+    callee.object?.type === "Identifier" &&
+    FETCH_GLOBALS.has(callee.object.name);
+}
+
+/**
+ * Method of a fetch init argument; `initParam` when the enclosing function
+ * forwards one of its parameters (as `init` or `{ ...init }`).
+ *
+ * @returns {{method: string | null, initParam: number}}
+ */
+function readInit(p, node, from) {
+  if (!node) return { method: "GET", initParam: -1 };
+
+  const forwarded = enclosingParamIndex(p, node, from);
+  if (forwarded >= 0) return { method: "GET", initParam: forwarded };
+
+  if (node.type !== "ObjectExpression") return { method: null, initParam: -1 };
+
+  let initParam = -1;
+  for (const prop of node.properties || []) {
+    if (prop?.type === "SpreadElement") {
+      const index = enclosingParamIndex(p, prop.argument, from);
+      if (index >= 0) initParam = index;
+      continue;
+    }
+    if (prop?.type !== "ObjectProperty" || prop.computed) continue;
+
+    const name = prop.key?.type === "Identifier" ? prop.key.name : prop.key?.value;
+    if (name !== "method") continue;
+
+    const method = readStaticString(p, prop.value).toUpperCase();
+    return { method: HTTP_METHODS.has(method) ? method : null, initParam: -1 };
+  }
+
+  return { method: "GET", initParam };
+}
+
+/**
+ * Method of a call argument as seen by a wrapper forwarding it as `init`:
+ * a string for object literals and absent arguments, `null` when dynamic.
+ */
+function readArgMethod(p, node) {
+  if (!node) return "GET";
+  return node.type === "ObjectExpression" ? readInit(p, node, null).method : null;
+}
+
+function readStaticString(p, node) {
+  const pattern = urlExpression(p, node, 0);
+  return pattern && !pattern.includes("*") ? pattern : "";
+}
+
+/**
+ * Same-origin path pattern of a URL expression ("" when not a `/...` path).
+ */
+function readUrlPattern(p, node) {
+  const raw = urlExpression(p, node, 0);
+  const path = raw.split(/[?#]/)[0].replace(/\*+/g, "*");
+  if (!path.startsWith("/") || path.startsWith("//")) return "";
+  if (!/[^/*]/.test(path)) return "";
+  return path.length > 1 ? path.replace(/\/+$/, "") : path;
+}
+
+function urlExpression(p, node, depth) {
+  if (!node || depth > 8) return "*";
+
+  switch (node.type) {
+    case "StringLiteral":
+      return String(node.value);
+
+    case "TemplateLiteral":
+      return node.quasis
+        .map((quasi, i) => String(quasi.value?.cooked ?? "") + (node.expressions[i] ? urlExpression(p, node.expressions[i], depth + 1) : ""))
+        .join("");
+
+    case "BinaryExpression":
+      return node.operator === "+"
+        ? urlExpression(p, node.left, depth + 1) + urlExpression(p, node.right, depth + 1)
+        : "*";
+
+    case "Identifier": {
+      const binding = p.scope?.getBinding?.(node.name);
+      const init = binding?.kind === "const" ? binding.path.node?.init : null;
+      return init ? urlExpression(binding.path, init, depth + 1) : "*";
+    }
+
+    default:
+      return "*";
+  }
+}
+
+/**
+ * `getJson("/apps")`, `api.getJson(url)`: calls that may hit a wrapper, with
+ * a path pattern or a forwarded parameter as one of their arguments.
+ */
+function recordWrapperCall(p, out, { from, line }) {
+  const name = wrapperCalleeName(p);
+  if (!name) return;
+
+  const args = p.node.arguments || [];
+  let argMethods = null;
+
+  args.forEach((arg, index) => {
+    const param = enclosingParamIndex(p, arg, from);
+    const url = param >= 0 ? "" : readUrlPattern(p, arg);
+    if (param < 0 && !url) return;
+
+    argMethods ??= args.map((a) => readArgMethod(p, a));
+    out.httpWrapperCalls.push({ callee: name, arg: index, url, param, argMethods, from: from || null, line });
+  });
+}
+
+/**
+ * Requests made through wrappers; a derived wrapper keeps the method its
+ * target uses, or the one of the init argument it forwards.
+ */
+function expandHttpWrapperCalls({ httpClientInputs, reExportIndex }) {
+  const methodOf = (call, wrapper) => {
+    if (wrapper.initParam < 0 || wrapper.initParam >= call.argMethods.length) return wrapper.method;
+    return call.argMethods[wrapper.initParam];
+  };
+
+  const hits = expandWrapperCalls({
+    inputs: httpClientInputs,
+    reExportIndex,
+    inherit: (call, wrapper) => ({ method: methodOf(call, wrapper), initParam: -1 })
+  });
+
+  return hits.map(({ fileId, call, wrapper }) => ({
+    api: "wrapper",
+    method: methodOf(call, wrapper),
+    url: call.url,
+    from: call.from,
+    line: call.line,
+    fileId
+  }));
+}
+
+function splitPath(path) {
+  return String(path || "").split("/").filter(Boolean);
+}
+
+/**
+ * Routes matching a request, restricted to the most specific ones.
+ */
+function bestRoutes(request, compiled) {
+  const segments = splitPath(request.url);
+
+  let best = -1;
+  let hits = [];
+  for (const entry of compiled) {
+    if (!methodMatches(request.method, entry.route.method)) continue;
+
+    const score = matchScore(segments, entry.segments);
+    if (score < 0 || score < best) continue;
+    if (score > best) {
+      best = score;
+      hits = [];
+    }
+    hits.push(entry);
+  }
+  return hits;
+}
+
+function methodMatches(requestMethod, routeMethod) {
+  return !requestMethod || routeMethod === "ALL" || requestMethod === routeMethod;
+}
+
+/**
+ * Two points per literal segment matched exactly, one per partial match;
+ * -1 when the request cannot reach the route.
+ */
+function matchScore(request, route) {
+  let score = 0;
+  let i = 0;
+
+  for (const seg of route) {
+    // `*`, `(.*)` and `:rest*` swallow the remaining segments.
+    if (seg === "*" || seg === "(.*)" || /^:\w+[*+]$/.test(seg)) return score;
+
+    if (i >= request.length) {
+      if (/^:\w+\?$/.test(seg)) continue;
+      return -1;
+    }
+
+    const part = request[i++];
+    if (seg.startsWith(":")) continue;
+
+    if (!part.includes("*")) {
+      if (part !== seg) return -1;
+      score += 2;
+    } else if (part === "*" || wildcardRegExp(part).test(seg)) {
+      score += part === "*" ? 0 : 1;
+    } else {
+      return -1;
+    }
+  }
+
+  return i === request.length ? score : -1;
+}
+
+function wildcardRegExp(pattern) {
+  const source = pattern.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${source}$`);
+}
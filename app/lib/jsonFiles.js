@@ -0,0 +1,113 @@
+/**
+ * jsonFiles (lowlevel Utility)
+ * ---------------------------------------------------------------------------
+ * Fail-soft readers for the JSON manifests the analyzer inspects inside an
+ * analysed app (`package.json`, lockfiles, `tsconfig.json`, ...).
+ *
+ * Purpose
+ * -------
+ * Manifest lookups happen in several resolver modules. A missing, unreadable
+ * or malformed manifest must never abort an analysis; it simply means "no
+ * information". Both readers therefore return `null` instead of throwing.
+ *
+ * Rules
+ * -----
+ * - only plain objects count as a valid manifest; arrays and primitives
+ *   yield `null`
+ * - `readJsoncFileSafe()` additionally accepts `//` and block comments and
+ *   trailing commas, as allowed in tsconfig / jsconfig files
+ */
+
+import fs from "node:fs";
+
+/**
+ * Read a JSON file whose top-level value is an object.
+ *
+ * @param {string} fileAbs
+ *   Absolute file path.
+ * @returns {Record<string, any> | null}
+ *   Parsed object, or `null` when the file is missing or not a JSON object.
+ */
+export function readJsonFileSafe(fileAbs) {
+  try {
+    if (!fs.existsSync(fileAbs)) return null;
+    const json = JSON.parse(fs.readFileSync(fileAbs, "utf8"));
+    return isPlainObject(json) ? json : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a JSON-with-comments file (tsconfig flavour).
+ *
+ * @param {string} fileAbs
+ *   Absolute file path.
+ * @returns {Record<string, any> | null}
+ *   Parsed object, or `null` when the file is missing or not a JSON object.
+ */
+export function readJsoncFileSafe(fileAbs) {
+  try {
+    if (!fs.existsSync(fileAbs)) return null;
+    const raw = fs.readFileSync(fileAbs, "utf8");
+    const json = JSON.parse(stripTrailingCommas(stripJsonComments(raw)));
+    return isPlainObject(json) ? json : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a parsed JSON value is an object (not an array, `null` or a
+ * primitive); manifest fields such as `paths` or `exports` are checked with it.
+ *
+ * @param {unknown} v
+ * @returns {boolean}
+ */
+export function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+/**
+ * Remove `//` and `/* *\/` comments while leaving string contents untouched.
+ */
+function stripJsonComments(src) {
+  let out = "";
+  let inString = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    const next = src[i + 1];
+
+    if (inString) {
+      out += ch;
+      if (ch === "\\") out += src[++i] ?? "";
+      else if (ch === "\"") inString = false;
+      continue;
+    }
+
+    if (ch === "\"") {
+      inString = true;
+      out += ch;
+    } else if (ch === "/" && next === "/") {
+      while (i < src.length && src[i] !== "\n") i++;
+      out += "\n";
+    } else if (ch === "/" && next === "*") {
+      i += 2;
+      while (i < src.length && !(src[i] === "*" && src[i + 1] === "/")) i++;
+      i++;
+    } else {
+      out += ch;
+    }
+  }
+
+  return out;
+}
+
+function stripTrailingCommas(src) {
+  return src.replace(/,(\s*[}\]])/g, "$1");
+}
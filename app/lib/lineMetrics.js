@@ -17,11 +17,14 @@ const HTML_LIKE_EXTS = new Set([
   ".html",
   ".htm",
   ".xml",
-  ".svg",
-  ".vue",
-  ".svelte"
+  ".svg"
 ]);
 
+// Single-file components: markup template plus JS-like `<script>` / `<style>` blocks.
+const SFC_EXTS = new Set([".vue", ".svelte"]);
+
+const SFC_BLOCK_OPEN_RE = /^\s*<(script|style)\b[^>]*>/i;
+
 export function summarizeLineMetrics(source, fileExt) {
   const ext = String(fileExt || "").toLowerCase();
   const lines = splitLines(source);
@@ -34,6 +37,10 @@ export function summarizeLineMetrics(source, fileExt) {
     return summarizeHtmlLikeLines(lines);
   }
 
+  if (SFC_EXTS.has(ext)) {
+    return summarizeSfcLines(lines);
+  }
+
   return summarizePlainTextLines(lines);
 }
 
@@ -102,6 +109,40 @@ function summarizeHtmlLikeLines(lines) {
   return summary;
 }
 
+function summarizeSfcLines(lines) {
+  const summary = emptyLineMetrics();
+  let blockTag = "";
+  let inComment = false;
+  let inBlockComment = false;
+
+  summary.lines = lines.length;
+
+  for (const line of lines) {
+    if (blockTag) {
+      if (new RegExp(`</${blockTag}\\s*>`, "i").test(line)) {
+        blockTag = "";
+        inBlockComment = false;
+        summary.codeLines++;
+        continue;
+      }
+
+      const state = classifyJsLikeLine(line, inBlockComment);
+      inBlockComment = state.inBlockComment;
+      applyLineState(summary, state);
+      continue;
+    }
+
+    const state = classifyHtmlLikeLine(line, inComment);
+    inComment = state.inComment;
+    applyLineState(summary, state);
+
+    const open = inComment ? null : String(line || "").match(SFC_BLOCK_OPEN_RE);
+    if (open && !new RegExp(`</${open[1]}\\s*>`, "i").test(line)) blockTag = open[1].toLowerCase();
+  }
+
+  return summary;
+}
+
 function applyLineState(summary, state) {
   if (state.hasCode) {
     summary.codeLines++;
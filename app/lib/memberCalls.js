@@ -0,0 +1,196 @@
+/**
+ * memberCalls
+ * ============================================================================
+ *
+ * `call` edges for member calls (`this.render()`, `store.ensureNode()`,
+ * `ns.parse()`), plus the per-file count of calls that stay ambiguous.
+ *
+ * Purpose
+ * -------
+ * Plain call resolution only follows bare identifiers and import bindings, so
+ * class-heavy files looked like they called nothing. `parseJsTsAst` binds the
+ * receiver of each member call statically (see `out.calls[].receiver`); this
+ * module turns those receivers into edges:
+ *
+ *   caller ──call──▶ method function node       (class receivers)
+ *   caller ──call──▶ object literal method      (object receivers)
+ *   caller ──call──▶ exported function          (namespace imports)
+ *
+ * Resolution mirrors `classHeritage.js`: class names are bound to a file per
+ * file during BFS, methods are looked up once every node exists, following
+ * barrel re-exports and `extends` edges to inherited methods.
+ *
+ * Design notes
+ * ------------
+ * - receivers bound to package imports or globals (`new Map()`) are external:
+ *   neither linked nor counted
+ * - a project class without the called method (accessors, arrow fields,
+ *   methods of an external base class) counts as unresolved; an imported
+ *   receiver that is no class at all keeps a module-level `call` edge
+ * - the count lands on the file node as `unresolvedMemberCalls`, together
+ *   with the ambiguous receivers counted by the parser
+ */
+
+import { resolveExportChain } from "./reExports.js";
+import { bindClassName, findClassNodeId } from "./classHeritage.js";
+
+// Inheritance chains are short; the cap only guards against cyclic `extends`.
+const MAX_EXTENDS_DEPTH = 16;
+
+/**
+ * Link or defer the member calls of one parsed file.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   store: import("./graphStore.js").GraphStore,
+ *   fileId: string,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   toRelId: (absPath: string) => string,
+ *   addLink: Function,
+ *   pendingCalls: Array<object>,
+ *   pendingMemberCalls: Array<object>
+ * }} args
+ *   Parsed file, the shared deferred call lists (mutated) and the store.
+ */
+export function collectMemberCalls({
+  parsed,
+  store,
+  fileId,
+  absNorm,
+  projectRootAbs,
+  toRelId,
+  addLink,
+  pendingCalls,
+  pendingMemberCalls
+}) {
+  let unresolved = Number(parsed?.unresolvedMemberCalls) || 0;
+
+  for (const call of parsed?.calls || []) {
+    const receiver = call?.receiver;
+    if (!receiver) continue;
+
+    const fromId = call.from ? `${fileId}::${call.from}` : fileId;
+    const method = String(call.callee || "");
+
+    if (receiver.kind === "object") {
+      const targetId = receiver.target ? `${fileId}::${receiver.target}` : "";
+      if (targetId && store.getExistingNode(targetId)) addLink(fromId, targetId, "call");
+      else unresolved++;
+      continue;
+    }
+
+    if (receiver.kind === "namespace") {
+      const bound = bindClassName({ name: `${receiver.name}.${method}`, parsed, fileId, absNorm, projectRootAbs, toRelId });
+      if (bound?.targetFileId) pendingCalls.push({ fromId, targetFileId: bound.targetFileId, targetExport: bound.targetExport });
+      continue;
+    }
+
+    if (receiver.classId) {
+      pendingMemberCalls.push({ fromId, fileId, method, classNodeId: `${fileId}::${receiver.classId}` });
+      continue;
+    }
+
+    const bound = bindClassName({ name: receiver.name, parsed, fileId, absNorm, projectRootAbs, toRelId });
+    if (!bound) {
+      unresolved++;
+      continue;
+    }
+
+    if (bound.externalSpec) continue;
+    pendingMemberCalls.push({ fromId, fileId, method, ...bound });
+  }
+
+  const fileNode = store.getExistingNode(fileId);
+  if (fileNode) fileNode.unresolvedMemberCalls = unresolved;
+}
+
+/**
+ * Resolve deferred member calls into `call` links to method nodes.
+ *
+ * Runs after heritage resolution so inherited methods can follow `extends`.
+ *
+ * @param {{
+ *   pendingMemberCalls: Array<{fromId: string, fileId: string, method: string, classNodeId?: string, targetFileId?: string, targetExport?: string, crossFile?: boolean}>,
+ *   store: import("./graphStore.js").GraphStore,
+ *   reExportIndex: Map<string, object>,
+ *   addLink: Function
+ * }} args
+ */
+export function resolveMemberCalls({ pendingMemberCalls, store, reExportIndex, addLink }) {
+  if (!pendingMemberCalls.length) return;
+
+  const methodsByClass = indexClassMethods(store.nodes);
+  const superByClass = new Map(
+    store.links.filter((l) => l.type === "extends").map((l) => [String(l.source), String(l.target)])
+  );
+  const findLocal = (fileId, name) => findClassNodeId(store, fileId, name);
+
+  for (const ref of pendingMemberCalls) {
+    const classNodeId = ref.classNodeId || findReceiverClass(ref, reExportIndex, findLocal);
+
+    if (!classNodeId) {
+      // Local names without a class node are globals (`new Map()`); imported
+      // non-class values (`export default new Store()`) keep a module edge.
+      if (!ref.crossFile) continue;
+      addLink(ref.fromId, ref.targetFileId, "call");
+      countUnresolved(store, ref.fileId);
+      continue;
+    }
+
+    const methodId = findMethod(classNodeId, ref.method, methodsByClass, superByClass);
+    if (methodId) addLink(ref.fromId, methodId, "call");
+    else countUnresolved(store, ref.fileId);
+  }
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function findReceiverClass(ref, reExportIndex, findLocal) {
+  const hit = resolveExportChain({
+    reExportIndex,
+    fileId: ref.targetFileId,
+    exportName: ref.targetExport,
+    findLocal
+  });
+  return hit?.nodeId || "";
+}
+
+/**
+ * @returns {Map<string, Map<string, string>>} class node id -> method name -> function node id
+ */
+function indexClassMethods(nodes) {
+  const index = new Map();
+
+  for (const n of nodes) {
+    if (n?.kind !== "function" || !n.parentClass) continue;
+
+    let methods = index.get(n.parentClass);
+    if (!methods) {
+      methods = new Map();
+      index.set(n.parentClass, methods);
+    }
+    if (!methods.has(n.name)) methods.set(n.name, n.id);
+  }
+
+  return index;
+}
+
+function findMethod(classNodeId, method, methodsByClass, superByClass) {
+  let current = classNodeId;
+
+  for (let depth = 0; current && depth <= MAX_EXTENDS_DEPTH; depth++) {
+    const hit = methodsByClass.get(current)?.get(method);
+    if (hit) return hit;
+    current = superByClass.get(current) || "";
+  }
+
+  return "";
+}
+
+function countUnresolved(store, fileId) {
+  const node = store.getExistingNode(fileId);
+  if (node) node.unresolvedMemberCalls = (Number(node.unresolvedMemberCalls) || 0) + 1;
+}
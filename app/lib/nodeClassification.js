@@ -48,7 +48,7 @@ function typeFromExt(ext) {
 const GROUP_DOC_EXTS = new Set([".md", ".txt"]);
 const GROUP_DATA_EXTS = new Set([".json", ".jsonc", ".csv", ".tsv", ".yml", ".yaml", ".sql", ".env"]);
 const GROUP_IMAGE_EXTS = new Set([".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp", ".ico"]);
-const GROUP_CODE_EXTS = new Set([".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx"]);
+const GROUP_CODE_EXTS = new Set([".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx", ".vue", ".svelte"]);
 
 function inExtSet(set, ext) {
   return set.has(String(ext || "").toLowerCase());
@@ -58,7 +58,14 @@ function inExtSet(set, ext) {
 const KIND_TO_GROUP = Object.freeze({
   root: "root",
   dir: "dir",
-  function: "code"
+  function: "code",
+  class: "code",
+  interface: "code",
+  type: "code",
+  enum: "code",
+  external: "external",
+  route: "route",
+  event: "event"
 });
 
 // Ordered extension → group rules (first match wins).
@@ -89,11 +96,11 @@ function defaultGroupForKind(kind) {
 /**
  * Map a node kind + extension to the user-visible group.
  *
- * Groups are intentionally coarse: root, dir, code, doc, data, image.
+ * Groups are intentionally coarse: root, dir, code, doc, data, image, external, route, event.
  *
  * Precedence
  * ----------
- * 1) Structural kinds win (root/dir/function) to keep the UI stable.
+ * 1) Structural kinds win (root/dir/function/class/external/route/event) to keep the UI stable.
  * 2) Otherwise classify by extension via ordered rules (first match wins).
  * 3) Fallback is conservative: kind "file" => "code", else "data".
  */
@@ -209,7 +216,8 @@ const LAYER_RULES = [
  * This is deterministic and conservative: the backend decides once,
  * the UI only renders.
  *
- * 1) Root/dir are structural layers.
+ * 1) Root/dir are structural layers; external dependencies get their own layer;
+ *    route nodes belong to `http`, event channels to `app`.
  * 2) Non-code assets/docs/data are layered deterministically by extension.
  * 3) Code is layered by ordered heuristics over the project-relative path.
  */
@@ -218,6 +226,9 @@ export function layerFromKindExtAndFile(kind, ext, fileId) {
 
   if (ctx.k === "root") return "root";
   if (ctx.k === "dir") return "structure";
+  if (ctx.k === "external") return "external";
+  if (ctx.k === "route") return "http";
+  if (ctx.k === "event") return "app";
 
   // Non-code assets/docs/data
   if (inSet(DOC_EXTS, ctx.e)) return "doc";
@@ -249,7 +260,8 @@ export const DEFAULT_LAYER_ORDER = [
   "app",
   "doc",
   "data",
-  "asset"
+  "asset",
+  "external"
 ];
 
 /**
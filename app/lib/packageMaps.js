@@ -0,0 +1,277 @@
+/**
+ * packageMaps
+ * ============================================================================
+ *
+ * Static evaluation of `package.json` subpath maps for import resolution.
+ *
+ * Purpose
+ * -------
+ * Modern packages route their internal imports through the `imports` field
+ * (`#internal/*`) and publish entrypoints through conditional `exports` maps.
+ * Both are plain data in `package.json`, so they can be evaluated without
+ * running Node's resolver.
+ *
+ * Supported forms
+ * ---------------
+ * - `imports`: `{ "#db": "./src/db.js", "#internal/*": "./src/internal/*.js" }`
+ * - `exports`: string / array shorthand, `"."` + subpath keys, `*` patterns
+ *   and legacy trailing-slash folder mappings
+ * - conditions: `node`, `import`, `require`, `default` (first listed wins,
+ *   as in Node; unknown conditions such as `browser` or `types` are skipped)
+ *
+ * Design notes
+ * ------------
+ * - only targets that stay inside the package (`./...`) are produced
+ * - `imports` targets pointing to external packages are ignored
+ * - results are candidates; `resolveImports` still probes the filesystem and
+ *   enforces the project root boundary
+ */
+
+import path from "node:path";
+import { isInsideRoot, normalizeFsPath } from "./fsPaths.js";
+import { isPlainObject, readJsonFileSafe } from "./jsonFiles.js";
+
+const RESOLVE_CONDITIONS = Object.freeze(new Set(["node", "import", "require", "default"]));
+
+/** @type {Map<string, {dirAbs: string, json: Record<string, any>} | null>} */
+const packageScopeByDir = new Map();
+
+/**
+ * Drop all cached package scopes (call once per analysis run).
+ */
+export function resetPackageMapCache() {
+  packageScopeByDir.clear();
+}
+
+/**
+ * Find the nearest `package.json` governing a file (its "package scope").
+ *
+ * @param {string} fromAbs
+ *   Absolute path of the importing file.
+ * @param {string} rootAbs
+ *   Absolute project root; scopes above it are never used.
+ * @returns {{dirAbs: string, json: Record<string, any>} | null}
+ */
+export function findPackageScope(fromAbs, rootAbs) {
+  const root = normalizeFsPath(rootAbs);
+  return findPackageScopeFromDir(path.dirname(normalizeFsPath(fromAbs)), root);
+}
+
+/**
+ * Expand a `#` subpath import using the importer's package scope.
+ *
+ * @param {string} fromAbs
+ * @param {string} spec
+ *   Specifier starting with `#`.
+ * @param {string} rootAbs
+ * @returns {string[]}
+ *   Absolute candidate paths (possibly empty).
+ */
+export function expandPackageImports(fromAbs, spec, rootAbs) {
+  if (!spec.startsWith("#")) return [];
+
+  const scope = findPackageScope(fromAbs, rootAbs);
+  const map = scope?.json?.imports;
+  if (!isPlainObject(map)) return [];
+
+  const target = matchSubpathMap(map, spec);
+  return toPackageRelativeCandidates(scope.dirAbs, target);
+}
+
+/**
+ * Report whether the importer's package declares any `imports` map.
+ *
+ * @param {string} fromAbs
+ * @param {string} rootAbs
+ * @returns {boolean}
+ */
+export function hasPackageImports(fromAbs, rootAbs) {
+  return isPlainObject(findPackageScope(fromAbs, rootAbs)?.json?.imports);
+}
+
+/**
+ * Expand `<pkgName>[/subpath]` against a package's `exports` map.
+ *
+ * Without an `exports` field the classic `main` / directory layout applies:
+ * the bare name maps to `main` (or the package dir), subpaths map 1:1.
+ *
+ * @param {{dirAbs: string, json: Record<string, any>}} pkg
+ *   Package directory and parsed manifest.
+ * @param {string} subpath
+ *   Node-style subpath: `"."` or `"./feature"`.
+ * @returns {string[]}
+ *   Absolute candidate paths (possibly empty).
+ */
+export function expandPackageExports(pkg, subpath) {
+  const exp = pkg?.json?.exports;
+
+  if (exp === undefined || exp === null) {
+    return subpath === "."
+      ? [path.resolve(pkg.dirAbs, String(pkg.json?.main || "."))]
+      : [path.resolve(pkg.dirAbs, subpath)];
+  }
+
+  const map = normalizeExportsMap(exp);
+  const target = map ? matchSubpathMap(map, subpath) : null;
+
+  return toPackageRelativeCandidates(pkg.dirAbs, target);
+}
+
+/**
+ * Split `name/sub/path` (or `@scope/name/sub`) into package name and subpath.
+ *
+ * @param {string} spec
+ * @returns {{name: string, subpath: string}}
+ *   `subpath` is `"."` for the bare package and `"./x"` otherwise.
+ */
+export function splitPackageSpecifier(spec) {
+  const parts = String(spec || "").split("/");
+  const nameLen = parts[0].startsWith("@") ? 2 : 1;
+
+  const name = parts.slice(0, nameLen).join("/");
+  const rest = parts.slice(nameLen).join("/");
+
+  return { name, subpath: rest ? `./${rest}` : "." };
+}
+
+/* ========================================================================== */
+/* SUBPATH MATCHING                                                           */
+/* ========================================================================== */
+
+/**
+ * Normalize the `exports` shorthand forms into a `"."`-keyed subpath map.
+ *
+ * - `"./index.js"` / `[...]`       -> `{ ".": value }`
+ * - `{ "import": ..., "node": ...}` -> `{ ".": value }` (pure condition object)
+ * - `{ ".": ..., "./x": ... }`     -> unchanged
+ */
+function normalizeExportsMap(exp) {
+  if (typeof exp === "string" || Array.isArray(exp)) return { ".": exp };
+  if (!isPlainObject(exp)) return null;
+
+  const keys = Object.keys(exp);
+  const isSubpathMap = keys.length > 0 && keys.every((k) => k.startsWith("."));
+  return isSubpathMap ? exp : { ".": exp };
+}
+
+/**
+ * Match a key against a subpath map following Node's precedence:
+ * exact key, then the `*` pattern with the longest prefix, then legacy
+ * trailing-slash folder keys.
+ *
+ * @returns {string|null}
+ *   Concrete relative target (pattern already substituted), or `null`.
+ */
+function matchSubpathMap(map, key) {
+  if (Object.prototype.hasOwnProperty.call(map, key) && !key.includes("*")) {
+    return pickConditionalTarget(map[key], "");
+  }
+
+  const patternHit = matchSubpathPattern(map, key);
+  if (patternHit) return pickConditionalTarget(map[patternHit.key], patternHit.wildcard);
+
+  const folderHit = matchFolderMapping(map, key);
+  if (folderHit) return pickConditionalTarget(map[folderHit.key], "", folderHit.rest);
+
+  return null;
+}
+
+function matchSubpathPattern(map, key) {
+  let best = null;
+
+  for (const candidate of Object.keys(map)) {
+    const star = candidate.indexOf("*");
+    if (star < 0) continue;
+
+    const prefix = candidate.slice(0, star);
+    const suffix = candidate.slice(star + 1);
+    if (!key.startsWith(prefix) || !key.endsWith(suffix)) continue;
+    if (key.length < prefix.length + suffix.length) continue;
+    if (best && prefix.length <= best.prefixLen) continue;
+
+    best = {
+      key: candidate,
+      prefixLen: prefix.length,
+      wildcard: key.slice(prefix.length, key.length - suffix.length)
+    };
+  }
+
+  return best;
+}
+
+function matchFolderMapping(map, key) {
+  let best = null;
+
+  for (const candidate of Object.keys(map)) {
+    if (!candidate.endsWith("/") || !key.startsWith(candidate)) continue;
+    if (best && candidate.length <= best.key.length) continue;
+    best = { key: candidate, rest: key.slice(candidate.length) };
+  }
+
+  return best;
+}
+
+/**
+ * Walk a conditional target (string, array fallback list or condition object)
+ * and return the first concrete relative path.
+ *
+ * @param {unknown} target
+ * @param {string} wildcard
+ *   Replacement for `*` in pattern targets.
+ * @param {string} [folderRest=""]
+ *   Remainder appended to legacy folder targets.
+ * @returns {string|null}
+ */
+function pickConditionalTarget(target, wildcard, folderRest = "") {
+  if (typeof target === "string") {
+    if (!target.startsWith("./")) return null;
+    return target.replace(/\*/g, () => wildcard) + folderRest;
+  }
+
+  if (Array.isArray(target)) {
+    for (const alt of target) {
+      const hit = pickConditionalTarget(alt, wildcard, folderRest);
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  if (isPlainObject(target)) {
+    for (const [condition, value] of Object.entries(target)) {
+      if (!RESOLVE_CONDITIONS.has(condition)) continue;
+      const hit = pickConditionalTarget(value, wildcard, folderRest);
+      if (hit) return hit;
+    }
+  }
+
+  // `null` targets explicitly exclude a subpath.
+  return null;
+}
+
+function toPackageRelativeCandidates(pkgDirAbs, target) {
+  if (!target) return [];
+
+  const abs = path.resolve(pkgDirAbs, target);
+  return abs === pkgDirAbs || isInsideRoot(pkgDirAbs, abs) ? [abs] : [];
+}
+
+/* ========================================================================== */
+/* PACKAGE SCOPE LOOKUP                                                       */
+/* ========================================================================== */
+
+function findPackageScopeFromDir(dirAbs, rootAbs) {
+  if (packageScopeByDir.has(dirAbs)) return packageScopeByDir.get(dirAbs);
+
+  let scope = null;
+  const manifestAbs = path.join(dirAbs, "package.json");
+  const json = readJsonFileSafe(manifestAbs);
+
+  if (json) {
+    scope = { dirAbs, json };
+  } else if (dirAbs !== rootAbs && isInsideRoot(rootAbs, dirAbs)) {
+    scope = findPackageScopeFromDir(path.dirname(dirAbs), rootAbs);
+  }
+
+  packageScopeByDir.set(dirAbs, scope);
+  return scope;
+}
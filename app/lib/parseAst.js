@@ -7,11 +7,60 @@
  * Contract (mutates `out`)
  * ------------------------
  * - out.imports:        string[]
+ * - out.typeImports:    string[]  (`import type` / `export type ... from` specifiers;
+ *                       sources that are also imported at runtime stay in `imports` only)
  * - out.importBindings: Record<localName, { source: string, imported: string }>
- * - out.functions:      Array<{ id, name, exported, complexity, startLine, endLine, locLines }>
- * - out.calls:          Array<{ from: string|null, callee: string }>
+ * - out.functions:      Array<{ id, name, exported, complexity, cognitiveComplexity, startLine, endLine,
+ *                               locLines, classId?, ...halstead }>
+ * - out.classes:        Array<{ id, name, exported, defaultExport, complexity, cognitiveComplexity,
+ *                               startLine, endLine, locLines, superClass, implements, methods,
+ *                               ...halstead }>
+ * - out.calls:          Array<{ from: string|null, callee: string, receiver? }>
+ *                       (member calls carry the statically bound receiver:
+ *                        `{kind: "class", name, classId?}` for `this.m()`, `super.m()`,
+ *                        `new X().m()`, `x.m()` with `x = new X()` / `x: X`, `X.m()`;
+ *                        `{kind: "object", name, target}` for object literal methods;
+ *                        `{kind: "namespace", name}` for `ns.fn()` on namespace imports)
+ * - out.unresolvedMemberCalls: number of member calls on local values whose
+ *                       receiver stays ambiguous (builtin-looking methods such as
+ *                       `.map()` / `.then()` and calls on globals are not counted)
+ * - out.types:         Array<{ id, name, kind: "interface"|"type"|"enum", exported, startLine, endLine,
+ *                               locLines, extends }>
+ *                       (TS declarations; `extends` lists interface base names)
+ * - out.reExports:      Array<{ source: string, imported: string, exported: string }>
+ *                       (`export * from` uses imported/exported "*"; `export * as ns` uses imported "*")
+ * - out.defaultExport:  local name behind `export default` ("" when anonymous/unknown)
+ * - out.exportNames:    names importers can use (`default` for default exports, explicit
+ *                       and namespace re-exports included, `export * from` not)
+ * - out.dynamicImports: Array<{ kind: "import"|"glob"|"context", patterns: string[], line,
+ *                               recursive?, regex? }>
+ *                       (`import()` with literal/template specifiers, `import.meta.glob`,
+ *                        webpack `require.context`; dynamic parts become `*`)
  * - out.symbols:        optional legacy list (safe to keep)
  * - out.complexity:     file-level heuristic counter (incremental)
+ * - out.cognitiveComplexity: file-level cognitive complexity (all functions plus
+ *                       top-level code, see `cognitiveComplexity.js`)
+ * - ...halstead:        halsteadVolume, halsteadDifficulty, halsteadEffort and
+ *                       maintainabilityIndex on the file (`out`), each function
+ *                       and each class (methods merged), see `halstead.js`
+ * - out.cloneTokens:    { values: string[], lines: number[] } token stream without
+ *                       comments, input for `cloneDetection.js`
+ * - out.routes:         Array<{ method, path, receiver, injected, from, handler, routerPrefix, line }>
+ * - out.routeMounts:    Array<{ receiver, prefix, targets, from, line }>
+ *                       (Express / Koa / Fastify registrations and `use` / `register`
+ *                        mounts, see `routeInventory.js`)
+ * - out.httpRequests:   Array<{ api, method, url, from, line }>
+ * - out.httpWrappers:   Array<{ name, param, method, initParam, line }>
+ * - out.httpWrapperCalls: Array<{ callee, arg, url, param, argMethods, from, line }>
+ *                       (`fetch` / XHR / `EventSource` requests with their path
+ *                        pattern, functions forwarding a parameter as the URL and
+ *                        calls that may hit them, see `httpClientCalls.js`)
+ * - out.events:         Array<{ role: "emit"|"listen", api, name, handler, from, line }>
+ * - out.eventWrappers:  Array<{ role, api, name, param, line }>
+ * - out.eventWrapperCalls: Array<{ callee, arg, event, param, from, line }>
+ *                       (EventEmitter / DOM / SSE event sites by name, functions
+ *                        forwarding a parameter as the event name and calls that
+ *                        may hit them, see `eventChannels.js`)
  *
  * Design
  * ------
@@ -27,6 +76,12 @@
 
 import { parse } from "@babel/parser";
 import traverse from "@babel/traverse";
+import { cognitiveIncrement } from "./cognitiveComplexity.js";
+import { countHalsteadToken, createHalsteadTally, halsteadMetrics, mergeHalsteadTallies } from "./halstead.js";
+import { cloneTokensFromBabel } from "./cloneDetection.js";
+import { recordRouteCall } from "./routeInventory.js";
+import { recordHttpClientCall } from "./httpClientCalls.js";
+import { recordEventCall } from "./eventChannels.js";
 
 // -----------------------------------------------------------------------------
 // Babel traverse interop (ESM/CJS)
@@ -38,6 +93,29 @@ const traverseAst = (typeof traverse === "function")
   ? traverse
   : (typeof traverse?.default === "function" ? traverse.default : null);
 
+// Methods of builtin values (arrays, strings, promises, maps, functions). A call
+// to one of these on an unbound receiver is not counted as an ambiguous member call.
+const BUILTIN_MEMBER_METHODS = new Set([
+  "push", "pop", "shift", "unshift", "slice", "splice", "concat", "join", "reverse", "sort",
+  "map", "filter", "reduce", "reduceRight", "forEach", "some", "every", "find", "findIndex",
+  "findLast", "findLastIndex", "flat", "flatMap", "fill", "includes", "indexOf", "lastIndexOf",
+  "at", "keys", "values", "entries",
+  "split", "trim", "trimStart", "trimEnd", "padStart", "padEnd", "startsWith", "endsWith",
+  "replace", "replaceAll", "match", "matchAll", "toLowerCase", "toUpperCase", "charAt",
+  "charCodeAt", "codePointAt", "substring", "localeCompare", "normalize", "repeat", "search",
+  "toString", "toFixed", "valueOf", "toISOString", "getTime", "toJSON",
+  "then", "catch", "finally",
+  "get", "set", "has", "add", "delete", "clear",
+  "call", "apply", "bind", "test", "exec"
+]);
+
+// TypeScript declarations recorded in `out.types`, by Babel node type.
+const TS_TYPE_DECLARATION_KINDS = Object.freeze({
+  TSInterfaceDeclaration: "interface",
+  TSTypeAliasDeclaration: "type",
+  TSEnumDeclaration: "enum"
+});
+
 /**
  * parseJsTsAst
  * ------------
@@ -52,11 +130,32 @@ const traverseAst = (typeof traverse === "function")
 // Helper: ensure output structure shape
 function ensureOutShape(out) {
   if (!Array.isArray(out.imports)) out.imports = [];
+  if (!Array.isArray(out.typeImports)) out.typeImports = [];
   if (!Array.isArray(out.symbols)) out.symbols = [];
   if (!Array.isArray(out.functions)) out.functions = [];
   if (!Array.isArray(out.calls)) out.calls = [];
+  if (!Array.isArray(out.classes)) out.classes = [];
+  if (!Array.isArray(out.types)) out.types = [];
+  if (!Array.isArray(out.reExports)) out.reExports = [];
+  if (!Array.isArray(out.dynamicImports)) out.dynamicImports = [];
+  if (!Array.isArray(out.routes)) out.routes = [];
+  if (!Array.isArray(out.routeMounts)) out.routeMounts = [];
+  if (!Array.isArray(out.httpRequests)) out.httpRequests = [];
+  if (!Array.isArray(out.httpWrappers)) out.httpWrappers = [];
+  if (!Array.isArray(out.httpWrapperCalls)) out.httpWrapperCalls = [];
+  if (!Array.isArray(out.events)) out.events = [];
+  if (!Array.isArray(out.eventWrappers)) out.eventWrappers = [];
+  if (!Array.isArray(out.eventWrapperCalls)) out.eventWrapperCalls = [];
+  if (typeof out.defaultExport !== "string") out.defaultExport = "";
+  if (!Array.isArray(out.exportNames)) out.exportNames = [];
   if (!out.importBindings || typeof out.importBindings !== "object") out.importBindings = {};
   if (!Number.isFinite(out.complexity)) out.complexity = 0;
+  if (!Number.isFinite(out.cognitiveComplexity)) out.cognitiveComplexity = 0;
+  if (!Number.isFinite(out.halsteadVolume)) out.halsteadVolume = 0;
+  if (!Number.isFinite(out.halsteadDifficulty)) out.halsteadDifficulty = 0;
+  if (!Number.isFinite(out.halsteadEffort)) out.halsteadEffort = 0;
+  if (!Number.isFinite(out.maintainabilityIndex)) out.maintainabilityIndex = 0;
+  if (!Number.isFinite(out.unresolvedMemberCalls)) out.unresolvedMemberCalls = 0;
 }
 
 // Helper: read parser config from helpers
@@ -111,6 +210,7 @@ function tryParseAst(code, filename) {
       allowReturnOutsideFunction: true,
       allowImportExportEverywhere: true,
       errorRecovery: true,
+      tokens: true,
       plugins: [
         "jsx",
         "typescript",
@@ -163,6 +263,8 @@ function normalizeFnComplexity(fn) {
 
   const cc = Number(fn?.cc);
   if (!Number.isFinite(cc) || cc <= 0) fn.cc = fn.complexity;
+
+  if (!Number.isFinite(fn.cognitiveComplexity)) fn.cognitiveComplexity = 0;
 }
 
 // Helper: finalize exported flags and cc normalization
@@ -179,6 +281,168 @@ function finalizeExportFlags(out, exportedNames) {
   }
 }
 
+/**
+ * Finalize class records once all methods are known.
+ *
+ * - exported / default-export flags from the collected export names
+ * - class complexity = sum of its emitted method complexities (at least 1)
+ * - class cognitive complexity = sum of its method cognitive complexities
+ */
+function finalizeClasses(out, exportedNames, defaultExportName) {
+  const fnById = new Map((out.functions || []).map((fn) => [String(fn?.id || ""), fn]));
+
+  for (const cls of out.classes || []) {
+    if (!isObj(cls)) continue;
+
+    const name = fnNameTrimmed(cls);
+    if (name && exportedNames.has(name)) cls.exported = true;
+    if (name && (name === defaultExportName || name === "default")) {
+      cls.exported = true;
+      cls.defaultExport = true;
+    }
+
+    const methods = (cls.methods || []).map((id) => fnById.get(id));
+    const methodCx = methods.reduce((sum, fn) => sum + (Number(fn?.complexity) || 0), 0);
+    cls.complexity = Math.max(1, methodCx);
+    cls.cognitiveComplexity = methods.reduce((sum, fn) => sum + (Number(fn?.cognitiveComplexity) || 0), 0);
+  }
+}
+
+/**
+ * Derive Halstead metrics and the maintainability index once complexities
+ * and spans are final.
+ *
+ * - functions: their own tally (inline callbacks included)
+ * - classes: the merged tallies of their methods
+ * - file: every token, measured against its code lines
+ */
+function finalizeHalstead(out, fileTally, fnTallies) {
+  for (const fn of out.functions || []) {
+    if (!isObj(fn)) continue;
+    Object.assign(fn, halsteadMetrics(fnTallies.get(fn.id), { complexity: fn.complexity, lines: fn.locLines }));
+  }
+
+  for (const cls of out.classes || []) {
+    if (!isObj(cls)) continue;
+    const tally = mergeHalsteadTallies((cls.methods || []).map((id) => fnTallies.get(id)));
+    Object.assign(cls, halsteadMetrics(tally, { complexity: cls.complexity, lines: cls.locLines }));
+  }
+
+  Object.assign(out, halsteadMetrics(fileTally, {
+    complexity: out.complexity,
+    lines: Number(out.codeLines) || Number(out.lines) || 0
+  }));
+}
+
+/**
+ * Mark exported TS declarations (`export interface`, `export { Foo }`,
+ * `export default interface`).
+ */
+function finalizeTypes(out, exportedNames, defaultExportName) {
+  for (const t of out.types || []) {
+    if (!isObj(t)) continue;
+
+    const name = fnNameTrimmed(t);
+    if (name && (exportedNames.has(name) || name === defaultExportName)) t.exported = true;
+  }
+}
+
+/**
+ * Dedupe type-only import sources; a source that is also imported at runtime
+ * is runtime coupling and stays in `out.imports` only.
+ */
+function finalizeTypeImports(out) {
+  const runtime = new Set(out.imports);
+  out.typeImports = [...new Set(out.typeImports)].filter((spec) => !runtime.has(spec));
+}
+
+/**
+ * `import type {...}`, `import typeof x` and imports whose specifiers are all
+ * inline `type` specifiers (`import { type A, type B }`).
+ */
+function isTypeOnlyImport(node) {
+  if (node?.importKind === "type" || node?.importKind === "typeof") return true;
+
+  const specs = node?.specifiers || [];
+  return specs.length > 0 && specs.every((s) => s?.importKind === "type" || s?.importKind === "typeof");
+}
+
+/**
+ * `export type {...} from`, `export type * from` and re-exports whose
+ * specifiers are all inline `type` specifiers.
+ */
+function isTypeOnlyReExport(node) {
+  if (node?.exportKind === "type") return true;
+
+  const specs = node?.specifiers || [];
+  return specs.length > 0 && specs.every((s) => s?.exportKind === "type");
+}
+
+/**
+ * Only module-level declarations (optionally behind `export`) become type
+ * records; declarations inside namespaces or `declare module` blocks do not.
+ */
+function isModuleLevelDeclaration(p) {
+  const parent = p?.parentPath;
+  if (parent?.isProgram?.()) return true;
+
+  const isExport = parent?.isExportNamedDeclaration?.() || parent?.isExportDefaultDeclaration?.();
+  return Boolean(isExport && parent.parentPath?.isProgram?.());
+}
+
+/**
+ * Read a dotted name from a superclass / heritage expression.
+ *
+ * Supports `Base`, `ns.Base` (MemberExpression) and `ns.Base` (TSQualifiedName).
+ * Computed expressions such as `mixin(Base)` yield an empty string.
+ */
+function readHeritageName(node) {
+  if (!node) return "";
+  if (node.type === "Identifier") return node.name;
+
+  if (node.type === "TSQualifiedName") {
+    const left = readHeritageName(node.left);
+    return left && node.right?.name ? `${left}.${node.right.name}` : "";
+  }
+
+  if (node.type === "MemberExpression" && !node.computed) {
+    const obj = readHeritageName(node.object);
+    return obj && node.property?.type === "Identifier" ? `${obj}.${node.property.name}` : "";
+  }
+
+  return "";
+}
+
+/**
+ * Read `implements` clause names (TypeScript `TSExpressionWithTypeArguments`,
+ * Flow `ClassImplements`).
+ */
+function readImplementsNames(list) {
+  const names = [];
+  for (const item of Array.isArray(list) ? list : []) {
+    const name = readHeritageName(item?.expression || item?.id);
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+/**
+ * Read the class name behind a TS type annotation (`x: Store`, `x: ns.Store`).
+ *
+ * Generic, union and builtin-shaped types yield their reference name or "".
+ */
+function readTypeReferenceName(annotation) {
+  const t = annotation?.type === "TSTypeAnnotation" ? annotation.typeAnnotation : annotation;
+  return t?.type === "TSTypeReference" ? readHeritageName(t.typeName) : "";
+}
+
+/**
+ * Read the class name of a `new X()` / `new ns.X()` expression ("" otherwise).
+ */
+function readNewClassName(expr) {
+  return expr?.type === "NewExpression" ? readHeritageName(expr.callee) : "";
+}
+
 // Helper: build visitors for traverseAst
 function buildVisitors(api) {
   return {
@@ -188,34 +452,66 @@ function buildVisitors(api) {
     CallExpression(p) {
       api.handleCallExpression(p);
     },
+    NewExpression(p) {
+      api.handleNewExpression(p);
+    },
     ExportNamedDeclaration(p) {
       api.handleExportNamedDeclaration(p);
     },
     ExportDefaultDeclaration(p) {
       api.handleExportDefaultDeclaration(p);
     },
+    ExportAllDeclaration(p) {
+      api.handleExportAllDeclaration(p);
+    },
     VariableDeclarator(p) {
       api.handleVariableDeclarator(p);
     },
     AssignmentExpression(p) {
       api.handleAssignmentExpression(p);
     },
-    IfStatement() { api.bumpCx(1); },
-    ForStatement() { api.bumpCx(1); },
-    WhileStatement() { api.bumpCx(1); },
-    DoWhileStatement() { api.bumpCx(1); },
-    ForInStatement() { api.bumpCx(1); },
-    ForOfStatement() { api.bumpCx(1); },
+    ClassProperty(p) {
+      api.handleClassProperty(p);
+    },
+    TSParameterProperty(p) {
+      api.handleParameterProperty(p);
+    },
+    TSInterfaceDeclaration(p) {
+      api.handleTypeDeclaration(p);
+    },
+    TSTypeAliasDeclaration(p) {
+      api.handleTypeDeclaration(p);
+    },
+    TSEnumDeclaration(p) {
+      api.handleTypeDeclaration(p);
+    },
+    Class: {
+      enter(p) { api.enterClass(p); },
+      exit(p) { api.exitClass(p); }
+    },
+    IfStatement(p) { api.bumpCx(1); api.bumpCognitive(p); },
+    ForStatement(p) { api.bumpCx(1); api.bumpCognitive(p); },
+    WhileStatement(p) { api.bumpCx(1); api.bumpCognitive(p); },
+    DoWhileStatement(p) { api.bumpCx(1); api.bumpCognitive(p); },
+    ForInStatement(p) { api.bumpCx(1); api.bumpCognitive(p); },
+    ForOfStatement(p) { api.bumpCx(1); api.bumpCognitive(p); },
+    SwitchStatement(p) { api.bumpCognitive(p); },
     SwitchCase() { api.bumpCx(1); },
-    CatchClause() { api.bumpCx(1); },
-    ConditionalExpression() { api.bumpCx(1); },
+    CatchClause(p) { api.bumpCx(1); api.bumpCognitive(p); },
+    ConditionalExpression(p) { api.bumpCx(1); api.bumpCognitive(p); },
+    BreakStatement(p) { api.bumpCognitive(p); },
+    ContinueStatement(p) { api.bumpCognitive(p); },
     LogicalExpression(p) {
       const op = p.node?.operator;
       if (op === "&&" || op === "||") api.bumpCx(1);
+      api.bumpCognitive(p);
     },
     Function: {
       enter(p) { api.enterFunction(p); },
       exit(p) { api.exitFunction(p); }
+    },
+    enter(p) {
+      api.countHalstead(p);
     }
   };
 }
@@ -237,9 +533,29 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
   /** @type {Set<string>} */
   const exportedNames = new Set();
 
+  // Names as seen by importers (`export default function foo` is "default", not "foo").
+  /** @type {Set<string>} */
+  const moduleExportNames = new Set();
+
   /** @type {string[]} */
   const fnStack = [];
 
+  /**
+   * Enclosing classes (innermost last). `null` marks classes without a
+   * stable name so nesting stays correct.
+   *
+   * @type {Array<{node: any, record: any} | null>}
+   */
+  const classStack = [];
+
+  // Local name of the default export (`export default Foo`, `export { Foo as default }`).
+  let defaultExportName = "";
+
+  // Source-less export specifiers (`export { foo as bar }`); resolved against
+  // import bindings after traversal to detect re-exported imports.
+  /** @type {Array<{local: string, exported: string}>} */
+  const localExportSpecifiers = [];
+
   const { fnById, fnIdSeen } = seedFunctionIndex(out);
 
   /**
@@ -312,6 +628,49 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
     fnObj.cc = next; // explicit alias for cyclomatic complexity
   };
 
+  const addCognitive = (inc) => {
+    if (!inc) return;
+    out.cognitiveComplexity += inc;
+
+    const fnObj = fnById.get(currentFn());
+    if (fnObj) fnObj.cognitiveComplexity = (Number(fnObj.cognitiveComplexity) || 0) + inc;
+  };
+
+  // Inline callbacks are folded into their enclosing function and nest it.
+  const isInlineFunction = (fnNode) => skippedFnNodes.has(fnNode);
+
+  const bumpCognitive = (p) => {
+    addCognitive(cognitiveIncrement(p, isInlineFunction));
+  };
+
+  // Halstead tokens: one tally for the file, one per emitted function.
+  const fileHalstead = createHalsteadTally();
+  const fnHalstead = new Map();
+
+  const countHalstead = (p) => {
+    const fnId = currentFn();
+    let fnTally = null;
+    if (fnId) {
+      fnTally = fnHalstead.get(fnId) || createHalsteadTally();
+      fnHalstead.set(fnId, fnTally);
+    }
+    countHalsteadToken(p, [fileHalstead, fnTally]);
+  };
+
+  /**
+   * Recursion adds one cognitive point per call: `walk()` inside `walk`, or
+   * `this.walk()` inside the method `walk`.
+   */
+  const bumpRecursion = (callee) => {
+    const fnObj = fnById.get(currentFn());
+    const name = fnObj?.name;
+    if (!name) return;
+
+    const direct = callee?.type === "Identifier" && callee.name === name;
+    const viaThis = Boolean(fnObj.classId) && isThisMember(callee) && readMemberName(callee) === name;
+    if (direct || viaThis) addCognitive(1);
+  };
+
   const getKeyName = (key) => {
     if (!key) return null;
     if (key.type === "Identifier") return key.name;
@@ -579,6 +938,7 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
     exported: false,
     complexity: 1,
     cc: 1,
+    cognitiveComplexity: 0,
     startLine: Number(line) || 0,
     endLine: Number(line) || 0,
     locLines: 0
@@ -639,11 +999,90 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
     }
 
     registerFunctionIfNew(info.fnId, info.name, info.line);
+    attachMethodToClass(p, info.fnId);
     pushFnStackMarker(info.fnId);
   };
 
   const peekFnStack = () => (fnStack.length ? fnStack[fnStack.length - 1] : null);
 
+  // -------------------------------------------------------------------------
+  // Class helpers
+  // -------------------------------------------------------------------------
+
+  const isClassMethodNode = (n) => n?.type === "ClassMethod" || n?.type === "ClassPrivateMethod";
+
+  /**
+   * Link a method function record to its directly enclosing class record.
+   *
+   * Only real class methods count; functions nested inside a method body
+   * stay plain functions of the file.
+   */
+  function attachMethodToClass(p, fnId) {
+    if (!isClassMethodNode(p?.node)) return;
+
+    const top = classStack.length ? classStack[classStack.length - 1] : null;
+    const classNode = p?.parentPath?.parentPath?.node;
+    if (!top || top.node !== classNode) return;
+
+    const fnObj = fnById.get(fnId);
+    if (fnObj) fnObj.classId = top.record.id;
+    if (!top.record.methods.includes(fnId)) top.record.methods.push(fnId);
+  }
+
+  /**
+   * Infer a class name: declaration id, `const Foo = class {}`, or
+   * `"default"` for anonymous `export default class {}`.
+   */
+  const inferClassName = (p) => {
+    const direct = p?.node?.id?.name;
+    if (direct) return direct;
+
+    const parent = p?.parentPath?.node;
+    if (parent?.type === "ExportDefaultDeclaration") return "default";
+    return inferNameFromParent(parent);
+  };
+
+  const createClassRecord = (id, name, node) => ({
+    id,
+    name,
+    exported: false,
+    defaultExport: false,
+    complexity: 1,
+    startLine: lineOf(node),
+    endLine: lineOf(node),
+    locLines: 0,
+    superClass: readHeritageName(node?.superClass),
+    implements: readImplementsNames(node?.implements),
+    methods: []
+  });
+
+  const enterClass = (p) => {
+    const name = inferClassName(p);
+    if (!name) {
+      classStack.push(null);
+      return;
+    }
+
+    const id = mkFnId(name, lineOf(p.node));
+    let record = out.classes.find((c) => c?.id === id) || null;
+    if (!record) {
+      record = createClassRecord(id, name, p.node);
+      out.classes.push(record);
+      out.symbols.push({ name, kind: "class" });
+    }
+
+    classStack.push({ node: p.node, record });
+  };
+
+  const exitClass = (p) => {
+    const top = classStack.pop();
+    if (!top) return;
+
+    const end = Number(p?.node?.loc?.end?.line) || 0;
+    if (end) top.record.endLine = end;
+    top.record.locLines = computeLocLines(top.record.startLine, top.record.endLine);
+  };
+
   const popFnStack = () => {
     fnStack.pop();
   };
@@ -715,7 +1154,7 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
 
   const handleImportDeclaration = (p) => {
     const spec = getImportSourceSpec(p);
-    if (spec) out.imports.push(spec);
+    if (spec) (isTypeOnlyImport(p.node) ? out.typeImports : out.imports).push(spec);
 
     for (const s of p?.node?.specifiers || []) {
       applyImportSpecifier(s, spec);
@@ -727,10 +1166,22 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
     if (id?.type !== "Identifier") return;
 
     updateAliasTargets(id.name, p?.node?.init);
+    if (p.node.init?.type === "ObjectExpression") recordObjectLiteralMembers(p, id.name, p.node.init);
   };
 
   const handleAssignmentExpression = (p) => {
     const left = p?.node?.left;
+
+    if (isThisMember(left)) {
+      recordFieldAssignment(p, left, p.node.right);
+      return;
+    }
+
+    if (isMemberLike(left) && left.object?.type === "Identifier") {
+      recordObjectMemberAssignment(p, left, p.node.right);
+      return;
+    }
+
     if (left?.type !== "Identifier") return;
 
     updateAliasTargets(left.name, p?.node?.right);
@@ -761,6 +1212,94 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
     return true;
   };
 
+  /**
+   * Turn a dynamic specifier expression into a glob-like pattern.
+   *
+   * String literals stay as-is, template literals and `+` concatenations keep
+   * their static parts and replace every dynamic part with `*`.
+   *
+   * @returns {string} pattern, or "" when nothing static is left
+   */
+  const specifierPatternOf = (expr) => {
+    if (expr?.type === "StringLiteral") return String(expr.value || "");
+
+    if (expr?.type === "TemplateLiteral") {
+      const parts = (expr.quasis || []).map((q) => String(q?.value?.cooked ?? q?.value?.raw ?? ""));
+      return parts.join("*");
+    }
+
+    if (expr?.type === "BinaryExpression" && expr.operator === "+") {
+      const left = specifierPatternOf(expr.left) || "*";
+      const right = specifierPatternOf(expr.right) || "*";
+      return left + right;
+    }
+
+    return "";
+  };
+
+  const isStaticPattern = (pattern) => /[^*]/.test(pattern);
+
+  const recordDynamicImport = (kind, patterns, node, extra = {}) => {
+    const list = patterns.map((pt) => String(pt || "").trim()).filter(isStaticPattern);
+    if (!list.length) return;
+    out.dynamicImports.push({ kind, patterns: list, line: lineOf(node), ...extra });
+  };
+
+  const isImportMetaGlob = (callee) =>
+    isMemberLike(callee) &&
+    callee.object?.type === "MetaProperty" &&
+    callee.object.meta?.name === "import" &&
+    callee.object.property?.name === "meta" &&
+    (getKeyName(callee.property) === "glob" || getKeyName(callee.property) === "globEager");
+
+  const isRequireContext = (callee) =>
+    isMemberLike(callee) &&
+    callee.object?.type === "Identifier" &&
+    callee.object.name === "require" &&
+    getKeyName(callee.property) === "context";
+
+  const readGlobPatterns = (arg0) => {
+    if (arg0?.type === "StringLiteral") return [String(arg0.value || "")];
+    if (arg0?.type !== "ArrayExpression") return [];
+
+    return (arg0.elements || [])
+      .filter((el) => el?.type === "StringLiteral")
+      .map((el) => String(el.value || ""));
+  };
+
+  const maybeRecordDynamicImport = (p) => {
+    const node = p?.node;
+    const { callee, arg0 } = getCalleeAndFirstArg(p);
+
+    if (callee?.type === "Import") {
+      // Adjacent dynamic parts (`${a}${b}`) still match a single segment.
+      const pattern = specifierPatternOf(arg0).replace(/\*+/g, "*");
+      recordDynamicImport("import", pattern ? [pattern] : [], node);
+      return true;
+    }
+
+    if (isImportMetaGlob(callee)) {
+      recordDynamicImport("glob", readGlobPatterns(arg0), node);
+      return true;
+    }
+
+    if (isRequireContext(callee)) {
+      const [dirArg, recursiveArg, regexArg] = node.arguments || [];
+      if (dirArg?.type !== "StringLiteral") return true;
+
+      // webpack defaults: recursive, every file (`/^\.\/.*$/`).
+      recordDynamicImport("context", [String(dirArg.value || "")], node, {
+        recursive: recursiveArg?.type === "BooleanLiteral" ? recursiveArg.value : true,
+        regex: regexArg?.type === "RegExpLiteral"
+          ? { pattern: regexArg.pattern, flags: regexArg.flags || "" }
+          : { pattern: "^\\.\\/.*$", flags: "" }
+      });
+      return true;
+    }
+
+    return false;
+  };
+
   const maybeRecordAliasedIdentifierCall = (callee) => {
     if (callee?.type !== "Identifier") return false;
 
@@ -786,44 +1325,320 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
   const hasOwn = (obj, key) =>
     Boolean(obj) && Boolean(key) && Object.prototype.hasOwnProperty.call(obj, key);
 
-  const maybeRecordMemberCall = (callee) => {
-    if (!isMemberLike(callee)) return false;
+  // -------------------------------------------------------------------------
+  // Member call receivers
+  // -------------------------------------------------------------------------
 
-    const obj = callee.object;
-    const prop = callee.property;
+  /**
+   * Field types per class record id, from `this.f = new X()`, `f = new X()`,
+   * `f: X` and `constructor(private f: X)`. `null` marks conflicting types.
+   *
+   * Filled during traversal and read at the end: fields are often assigned
+   * (constructor) after the methods that use them.
+   *
+   * @type {Map<string, Map<string, string | null>>}
+   */
+  const classFieldTypes = new Map();
 
-    const objName = obj?.type === "Identifier" ? obj.name : "";
+  /** @type {Array<{call: {from: string|null, callee: string, receiver?: object}, classId: string, field: string}>} */
+  const pendingFieldCalls = [];
 
-    // Imported namespace call: keep attribution on the namespace identifier.
-    if (hasOwn(out.importBindings, objName)) {
-      recordCall(objName);
-      return true;
+  const isThisMember = (node) =>
+    isMemberLike(node) && node.object?.type === "ThisExpression" && !node.computed &&
+    node.property?.type === "Identifier";
+
+  /**
+   * Static method name of a member callee (`a.b()`, `a["b"]()`); "" when computed.
+   */
+  const readMemberName = (callee) => {
+    const prop = callee?.property;
+    if (!callee?.computed) return prop?.type === "Identifier" ? prop.name : "";
+    return prop?.type === "StringLiteral" ? String(prop.value || "") : "";
+  };
+
+  /**
+   * Class record whose instance `this` refers to at `p` (methods and field
+   * initializers; arrow functions keep the outer `this`).
+   */
+  const enclosingClassRecord = (p) => {
+    const owner = p?.findParent?.((pp) =>
+      (pp.isFunction() && !pp.isArrowFunctionExpression()) || pp.isClassProperty() || pp.isClassPrivateProperty());
+
+    const ownerType = owner?.node?.type || "";
+    if (!/^Class(Private)?(Method|Property)$/.test(ownerType)) return null;
+
+    const classNode = owner.parentPath?.parentPath?.node;
+    const entry = classStack.find((e) => e?.node === classNode);
+    return entry ? entry.record : null;
+  };
+
+  const setFieldType = (classId, field, className) => {
+    if (!classId || !field || !className) return;
+
+    let fields = classFieldTypes.get(classId);
+    if (!fields) {
+      fields = new Map();
+      classFieldTypes.set(classId, fields);
+    }
+
+    const known = fields.get(field);
+    fields.set(field, known === undefined || known === className ? className : null);
+  };
+
+  /**
+   * Class name of a local binding: `new X()` initializers / assignments or a
+   * TS annotation (variables and parameters). "" when unknown or conflicting.
+   */
+  const bindingClassName = (binding) => {
+    const node = binding?.path?.node;
+    if (!node) return "";
+
+    if (binding.kind === "param") {
+      const param = node.type === "AssignmentPattern" ? node.left : (node.parameter || node);
+      return readTypeReferenceName(param?.typeAnnotation);
+    }
+
+    if (node.type !== "VariableDeclarator") return "";
+
+    const annotated = readTypeReferenceName(node.id?.typeAnnotation);
+    if (annotated) return annotated;
+
+    const sources = [node.init, ...(binding.constantViolations || []).map((v) => v.node?.right)].filter(Boolean);
+    const names = new Set(sources.map(readNewClassName));
+    return names.size === 1 ? [...names][0] : "";
+  };
+
+  const expressionClassName = (p, expr) => {
+    const direct = readNewClassName(expr);
+    if (direct) return direct;
+    return expr?.type === "Identifier" ? bindingClassName(p.scope?.getBinding(expr.name)) : "";
+  };
+
+  const recordFieldAssignment = (p, left, right) => {
+    const record = enclosingClassRecord(p);
+    if (record) setFieldType(record.id, left.property.name, expressionClassName(p, right));
+  };
+
+  const handleClassProperty = (p) => {
+    const node = p?.node;
+    if (node?.computed || node?.static || node?.key?.type !== "Identifier") return;
+
+    const top = classStack.length ? classStack[classStack.length - 1] : null;
+    if (!top || top.node !== p.parentPath?.parentPath?.node) return;
+
+    const className = readTypeReferenceName(node.typeAnnotation) || expressionClassName(p, node.value);
+    setFieldType(top.record.id, node.key.name, className);
+  };
+
+  // `constructor(private store: Store)` declares and assigns `this.store`.
+  const handleParameterProperty = (p) => {
+    const param = p?.node?.parameter;
+    const record = enclosingClassRecord(p);
+    if (record && param?.type === "Identifier") {
+      setFieldType(record.id, param.name, readTypeReferenceName(param.typeAnnotation));
+    }
+  };
+
+  /**
+   * Known members of object bindings: literal methods (`{ load() {} }`),
+   * shorthand / named function values (`{ save: persist }`) and later member
+   * assignments (`api.load = function () {}`).
+   *
+   * @type {Map<object, Map<string, {target: string} | {callee: string}>>}
+   */
+  const objectMembers = new Map();
+
+  /** @type {Array<{call: {from: string|null, callee: string}, binding: object, name: string}>} */
+  const pendingObjectCalls = [];
+
+  const setObjectMember = (binding, method, member) => {
+    if (!binding || !method) return;
+
+    let members = objectMembers.get(binding);
+    if (!members) {
+      members = new Map();
+      objectMembers.set(binding, members);
+    }
+    if (!members.has(method)) members.set(method, member);
+  };
+
+  // Function values become nodes named after their key / assignment target.
+  const objectMemberOf = (method, value, fallbackNode) => {
+    if (value?.type === "Identifier") return { callee: value.name };
+    if (value?.type === "FunctionExpression" || value?.type === "ArrowFunctionExpression") {
+      return { target: mkFnId(method, lineOf(value)) };
+    }
+    return fallbackNode ? { target: mkFnId(method, lineOf(fallbackNode)) } : null;
+  };
+
+  const recordObjectLiteralMembers = (p, name, objectExpr) => {
+    const binding = p.scope?.getBinding(name);
+
+    for (const prop of objectExpr.properties || []) {
+      const method = prop?.computed ? "" : getKeyName(prop?.key);
+      const member = prop?.type === "ObjectMethod"
+        ? objectMemberOf(method, null, prop)
+        : objectMemberOf(method, prop?.value, null);
+
+      // Arrow / function values of literal properties are not emitted as nodes.
+      if (member && !(prop.type === "ObjectProperty" && member.target)) setObjectMember(binding, method, member);
+    }
+  };
+
+  const recordObjectMemberAssignment = (p, left, right) => {
+    const method = readMemberName(left);
+    const member = objectMemberOf(method, right, null);
+    if (member) setObjectMember(p.scope?.getBinding(left.object.name), method, member);
+  };
+
+  /**
+   * Receiver for an identifier (`x.m()`).
+   *
+   * @returns {object | null} receiver descriptor; `null` for globals (`console`, `JSON`)
+   */
+  const identifierReceiver = (p, name, method) => {
+    const binding = p.scope?.getBinding(name);
+    if (!binding) return null;
+
+    if (binding.kind === "module") {
+      const imported = hasOwn(out.importBindings, name) ? out.importBindings[name].imported : "";
+      return imported === "*" ? { kind: "namespace", name } : { kind: "class", name };
+    }
+
+    const node = binding.path?.node;
+    if (node?.type === "ClassDeclaration") return { kind: "class", name };
+
+    // `fn.call(...)` / `fn.apply(...)` invoke the function itself.
+    if (node?.type === "FunctionDeclaration" && (method === "call" || method === "apply")) {
+      return { kind: "function", name };
+    }
+
+    if (node?.type === "VariableDeclarator" && binding.constant) {
+      // CommonJS module objects (`const fs = require("fs")`) behave like imports.
+      if (isRequireCall(node.init?.callee, node.init?.arguments?.[0])) return null;
+      if (node.init?.type === "ObjectExpression") return { kind: "object", name, binding };
+      if (node.init?.type === "ClassExpression") return { kind: "class", name };
+    }
+
+    const className = bindingClassName(binding);
+    return className ? { kind: "class", name: className } : { kind: "unknown" };
+  };
+
+  /**
+   * Statically bind the receiver of a member call.
+   *
+   * @returns {object | null} receiver descriptor; `null` when the receiver is a global
+   */
+  const describeReceiver = (p, obj, method) => {
+    if (obj?.type === "ThisExpression") {
+      const record = enclosingClassRecord(p);
+      return record ? { kind: "class", name: record.name, classId: record.id } : { kind: "unknown" };
+    }
+
+    if (obj?.type === "Super") {
+      const record = enclosingClassRecord(p);
+      return record?.superClass ? { kind: "class", name: record.superClass } : { kind: "unknown" };
     }
 
-    // Local object method call: attribute to the property.
-    const propName = getKeyName(prop);
-    if (propName) {
-      recordCall(propName);
+    if (isThisMember(obj)) {
+      const record = enclosingClassRecord(p);
+      return record ? { kind: "field", classId: record.id, field: obj.property.name } : { kind: "unknown" };
+    }
+
+    if (obj?.type === "NewExpression") {
+      const className = readNewClassName(obj);
+      return className ? { kind: "class", name: className } : { kind: "unknown" };
+    }
+
+    if (obj?.type === "Identifier") return identifierReceiver(p, obj.name, method);
+
+    // `ns.Store.create()` on a namespace import.
+    const dotted = readHeritageName(obj);
+    const head = dotted.split(".")[0];
+    if (dotted.includes(".") && out.importBindings[head]?.imported === "*" && p.scope?.getBinding(head)?.kind === "module") {
+      return { kind: "class", name: dotted };
+    }
+
+    return { kind: "unknown" };
+  };
+
+  const countUnresolvedMemberCall = (method) => {
+    if (!BUILTIN_MEMBER_METHODS.has(method)) out.unresolvedMemberCalls += 1;
+  };
+
+  /**
+   * Record a member call with its statically bound receiver.
+   *
+   * Unbound receivers keep the name-based attribution (`x.load()` -> `load`),
+   * which the builder links to a same-file function or import of that name.
+   */
+  const maybeRecordMemberCall = (p, callee) => {
+    if (!isMemberLike(callee)) return false;
+
+    const method = readMemberName(callee);
+    const receiver = method ? describeReceiver(p, callee.object, method) : { kind: "unknown" };
+
+    if (!receiver || receiver.kind === "unknown") {
+      if (receiver) countUnresolvedMemberCall(method);
+      recordCall(method);
       return true;
     }
 
-    // Fallback: if we only have an object identifier, keep old behavior.
-    if (objName) {
-      recordCall(objName);
+    if (receiver.kind === "function") {
+      recordCall(receiver.name);
       return true;
     }
 
+    const call = { from: currentFn(), callee: method };
+    if (receiver.kind === "field") pendingFieldCalls.push({ call, classId: receiver.classId, field: receiver.field });
+    else if (receiver.kind === "object") pendingObjectCalls.push({ call, binding: receiver.binding, name: receiver.name });
+    else out.calls.push({ ...call, receiver });
     return true;
   };
 
+  const recordUnboundMemberCall = (call) => {
+    countUnresolvedMemberCall(call.callee);
+    out.calls.push(call);
+  };
+
+  /**
+   * Bind `this.f.m()` and `obj.m()` calls once all field assignments and
+   * object members of the file are known.
+   */
+  const finalizeDeferredMemberCalls = () => {
+    for (const { call, classId, field } of pendingFieldCalls) {
+      const className = classFieldTypes.get(classId)?.get(field) || "";
+      if (className) out.calls.push({ ...call, receiver: { kind: "class", name: className } });
+      else recordUnboundMemberCall(call);
+    }
+
+    for (const { call, binding, name } of pendingObjectCalls) {
+      const member = objectMembers.get(binding)?.get(call.callee) || null;
+      if (member?.callee) out.calls.push({ from: call.from, callee: member.callee });
+      else if (member?.target) out.calls.push({ ...call, receiver: { kind: "object", name, target: member.target } });
+      else recordUnboundMemberCall(call);
+    }
+  };
+
   const handleCallExpression = (p) => {
     const { callee, arg0 } = getCalleeAndFirstArg(p);
 
+    bumpRecursion(callee);
+    recordRouteCall(p, out, { from: currentFn(), line: lineOf(p.node) });
+    recordHttpClientCall(p, out, { from: currentFn(), line: lineOf(p.node) });
+    recordEventCall(p, out, { from: currentFn(), line: lineOf(p.node) });
+
+    if (maybeRecordDynamicImport(p)) return;
     if (maybeRecordRequireImport(callee, arg0)) return;
     if (maybeRecordAliasedIdentifierCall(callee)) return;
     if (maybeRecordIdentifierCall(callee)) return;
 
-    maybeRecordMemberCall(callee);
+    maybeRecordMemberCall(p, callee);
+  };
+
+  // `new EventSource(url)` is a request too (see `httpClientCalls.js`).
+  const handleNewExpression = (p) => {
+    recordHttpClientCall(p, out, { from: currentFn(), line: lineOf(p.node) });
   };
 
   const getExportedFromSpecifier = (s) => s?.exported?.name || s?.exported?.value || "";
@@ -834,6 +1649,22 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
       const nm = decl?.id?.name;
       return nm ? [nm] : [];
     },
+    ClassDeclaration: (decl) => {
+      const nm = decl?.id?.name;
+      return nm ? [nm] : [];
+    },
+    TSInterfaceDeclaration: (decl) => {
+      const nm = decl?.id?.name;
+      return nm ? [nm] : [];
+    },
+    TSTypeAliasDeclaration: (decl) => {
+      const nm = decl?.id?.name;
+      return nm ? [nm] : [];
+    },
+    TSEnumDeclaration: (decl) => {
+      const nm = decl?.id?.name;
+      return nm ? [nm] : [];
+    },
     VariableDeclaration: (decl) => {
       const names = [];
       for (const d of decl?.declarations || []) {
@@ -887,8 +1718,9 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
    * - `export { foo as bar }`               -> "bar" (exported name)
    * - `export { foo }`                      -> "foo"
    *
-   * Note: we intentionally ignore re-exports with `from "..."` here because
-   * they do not define local functions in this file.
+   * Re-exports with `from "..."` do not define local functions; they are
+   * recorded in `out.reExports` (and as imports) so the builder can follow
+   * barrel chains to the defining module.
    */
   const handleExportNamedDeclaration = (p) => {
     const node = p?.node;
@@ -896,39 +1728,162 @@ export function parseJsTsAst(src, filename, baseDir, out, helpers) {
 
     addExportedNamesFromDeclaration(exportedNames, node.declaration);
     addExportedNamesFromSpecifiers(exportedNames, node.specifiers);
+    addExportedNamesFromDeclaration(moduleExportNames, node.declaration);
+    addExportedNamesFromSpecifiers(moduleExportNames, node.specifiers);
+
+    const source = String(node.source?.value || "").trim();
+    if (source) {
+      recordReExportSpecifiers(source, node.specifiers, isTypeOnlyReExport(node));
+      return;
+    }
+
+    for (const s of node.specifiers || []) {
+      const local = getLocalFromSpecifier(s);
+      const exported = getExportedFromSpecifier(s) || local;
+
+      // `export { Foo as default }` names the default export of this module.
+      if (exported === "default") defaultExportName = local;
+      if (local) localExportSpecifiers.push({ local, exported });
+    }
+  };
+
+  const recordReExport = (source, imported, exported) => {
+    if (!source || !imported || !exported) return;
+    out.reExports.push({ source, imported, exported });
+  };
+
+  /**
+   * `export { foo, default as Bar } from "./x"` / `export * as ns from "./x"`.
+   */
+  const recordReExportSpecifiers = (source, specifiers, typeOnly) => {
+    (typeOnly ? out.typeImports : out.imports).push(source);
+
+    for (const s of specifiers || []) {
+      const exported = getExportedFromSpecifier(s);
+      if (s?.type === "ExportNamespaceSpecifier") {
+        recordReExport(source, "*", exported);
+        continue;
+      }
+
+      const imported = getLocalFromSpecifier(s);
+      recordReExport(source, imported, exported || imported);
+    }
+  };
+
+  /**
+   * `export * from "./x"` and `export * as ns from "./x"`.
+   */
+  const handleExportAllDeclaration = (p) => {
+    const node = p?.node;
+    const source = String(node?.source?.value || "").trim();
+    if (!source) return;
+
+    (isTypeOnlyReExport(node) ? out.typeImports : out.imports).push(source);
+
+    const exported = node.exported ? (node.exported.name || node.exported.value || "") : "*";
+    recordReExport(source, "*", exported);
+    if (exported !== "*") addExportedNameToSet(moduleExportNames, exported);
+  };
+
+  /**
+   * Turn `import { a } from "./a"; export { a }` (and `export default a`)
+   * into re-export records once all import bindings are known.
+   */
+  const collectReExportedBindings = () => {
+    const specifiers = defaultExportName
+      ? [...localExportSpecifiers, { local: defaultExportName, exported: "default" }]
+      : localExportSpecifiers;
+
+    for (const { local, exported } of specifiers) {
+      const binding = hasOwn(out.importBindings, local) ? out.importBindings[local] : null;
+      if (!binding?.source) continue;
+
+      const key = `${binding.source}|${binding.imported}|${exported}`;
+      if (out.reExports.some((r) => `${r.source}|${r.imported}|${r.exported}` === key)) continue;
+      recordReExport(binding.source, binding.imported || "*", exported);
+    }
   };
 
   const handleExportDefaultDeclaration = (p) => {
     const decl = p.node.declaration;
+    moduleExportNames.add("default");
 
-    if (decl?.type === "FunctionDeclaration" && decl.id?.name) {
+    const isNamedDecl = decl?.type === "FunctionDeclaration" || decl?.type === "ClassDeclaration" ||
+      decl?.type === "TSInterfaceDeclaration";
+    if (isNamedDecl && decl.id?.name) {
       exportedNames.add(decl.id.name);
+      defaultExportName = decl.id.name;
       return;
     }
 
+    if (decl?.type === "Identifier") defaultExportName = decl.name;
+
     exportedNames.add("default");
   };
 
+  /**
+   * Record a module-level `interface`, `type` alias or `enum` declaration.
+   * Export flags are applied in `finalizeTypes`.
+   */
+  const handleTypeDeclaration = (p) => {
+    const node = p?.node;
+    const kind = TS_TYPE_DECLARATION_KINDS[node?.type];
+    const name = node?.id?.name;
+    if (!kind || !name || !isModuleLevelDeclaration(p)) return;
+
+    const startLine = lineOf(node);
+    const endLine = Number(node.loc?.end?.line) || startLine;
+
+    out.types.push({
+      id: mkFnId(name, startLine),
+      name,
+      kind,
+      exported: false,
+      startLine,
+      endLine,
+      locLines: computeLocLines(startLine, endLine),
+      extends: kind === "interface" ? readImplementsNames(node.extends) : []
+    });
+  };
+
   // -------------------------------------------------------------------------
   // 4) Traverse
   // -------------------------------------------------------------------------
 
   const api = {
     bumpCx,
+    bumpCognitive,
+    countHalstead,
     enterFunction,
     exitFunction,
+    enterClass,
+    exitClass,
     handleImportDeclaration,
     handleCallExpression,
+    handleNewExpression,
     handleExportNamedDeclaration,
     handleExportDefaultDeclaration,
+    handleExportAllDeclaration,
     handleVariableDeclarator,
-    handleAssignmentExpression
+    handleAssignmentExpression,
+    handleClassProperty,
+    handleParameterProperty,
+    handleTypeDeclaration
   };
 
   traverseAst(ast, buildVisitors(api));
+  finalizeDeferredMemberCalls();
 
   // 5) Finalize: mark exported functions + normalize cc
   finalizeExportFlags(out, exportedNames);
+  finalizeClasses(out, exportedNames, defaultExportName);
+  finalizeHalstead(out, fileHalstead, fnHalstead);
+  finalizeTypes(out, exportedNames, defaultExportName);
+  finalizeTypeImports(out);
+  collectReExportedBindings();
+  out.defaultExport = defaultExportName;
+  out.exportNames = [...moduleExportNames];
+  out.cloneTokens = cloneTokensFromBabel(ast.tokens);
 
   // Reserved parameters (kept for future AST-based path extraction)
   void baseDir;
@@ -0,0 +1,201 @@
+/**
+ * parseCache
+ * ============================================================================
+ *
+ * Persistent per-app cache of `parseFile()` results, keyed by file id, content
+ * hash and analyzer version (`meta.parseCache` reports hits and time saved).
+ *
+ * Purpose
+ * -------
+ * Parsing dominates an analysis run, yet between two runs usually only a few
+ * files change. The builder looks every file up here before parsing it and
+ * stores fresh results; the cache file is rewritten once per run.
+ *
+ * Rules
+ * -----
+ * - a hit needs the same file id, the same SHA-1 of the source text and the
+ *   same analyzer version; anything else is a miss and is parsed again
+ * - the analyzer version combines the package version and a fingerprint of the
+ *   parser modules, so parser changes invalidate the whole cache
+ * - a different project root invalidates the cache (results hold absolute paths)
+ * - only files parsed or hit in the current run are written back, so deleted
+ *   and no longer reachable files drop out
+ *
+ * Design notes
+ * ------------
+ * - fail-soft: a missing, corrupt or unwritable cache file only costs speed
+ * - results are cloned when stored; the builder may enrich parsed objects
+ * - "time saved" is the parse time recorded when the hit was first parsed
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { normalizeId } from "./stringUtils.js";
+
+// Modules whose code shapes a `parseFile()` result (parseFile.js and its imports).
+const PARSER_MODULES = [
+  "parseFile.js",
+  "parseAst.js",
+  "parseMarkup.js",
+  "parseSfc.js",
+  "lineMetrics.js",
+  "cognitiveComplexity.js",
+  "halstead.js",
+  "cloneDetection.js",
+  "callSites.js",
+  "routeInventory.js",
+  "httpClientCalls.js",
+  "eventChannels.js"
+];
+
+const LIB_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+let analyzerVersionMemo = "";
+
+/**
+ * Analyzer version stored with every cache file.
+ *
+ * @returns {string}
+ *   `<package version>+<parser fingerprint>`, computed once per process.
+ */
+export function analyzerVersion() {
+  if (analyzerVersionMemo) return analyzerVersionMemo;
+
+  const hash = crypto.createHash("sha1");
+  for (const name of PARSER_MODULES) {
+    hash.update(name);
+    hash.update(readTextOrEmpty(path.join(LIB_DIR, name)));
+  }
+
+  const pkg = readJsonOrNull(path.join(LIB_DIR, "..", "..", "package.json"));
+  analyzerVersionMemo = `${String(pkg?.version || "0.0.0")}+${hash.digest("hex").slice(0, 12)}`;
+  return analyzerVersionMemo;
+}
+
+/**
+ * Default cache file of one app (outside the public output directory).
+ *
+ * @param {string} appId
+ * @returns {string}
+ *   Absolute path `<cwd>/.cache/parse/<appId>.json`.
+ */
+export function parseCacheFileForApp(appId) {
+  const safeAppId = normalizeId(appId) || "app";
+  return path.join(process.cwd(), ".cache", "parse", `${safeAppId}.json`);
+}
+
+/**
+ * SHA-1 of one source text, the content part of the cache key.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function contentHash(code) {
+  return crypto.createHash("sha1").update(String(code ?? "")).digest("hex");
+}
+
+/**
+ * Load (or start) the cache of one analysis run.
+ *
+ * @param {{cacheFile: string, projectRootAbs: string}} args
+ *   Cache file path and the analyzed project root.
+ * @returns {{
+ *   get: (fileId: string, hash: string) => Record<string, any> | null,
+ *   set: (fileId: string, hash: string, parsed: Record<string, any>, parseMs: number) => void,
+ *   save: () => {file: string, version: string, hits: number, misses: number, parseMs: number, savedMs: number, written: boolean}
+ * }}
+ */
+export function openParseCache({ cacheFile, projectRootAbs }) {
+  const file = path.resolve(cacheFile);
+  const version = analyzerVersion();
+  const previous = loadEntries(file, version, projectRootAbs);
+  const current = new Map();
+
+  let hits = 0;
+  let misses = 0;
+  let parseMs = 0;
+  let savedMs = 0;
+
+  function get(fileId, hash) {
+    const entry = previous.get(fileId);
+    if (!entry || entry.hash !== hash) {
+      misses++;
+      return null;
+    }
+
+    hits++;
+    savedMs += entry.parseMs;
+    current.set(fileId, entry);
+    return structuredClone(entry.parsed);
+  }
+
+  function set(fileId, hash, parsed, ms) {
+    const entry = { hash, parseMs: round1(ms), parsed: structuredClone(parsed) };
+    parseMs += entry.parseMs;
+    current.set(fileId, entry);
+  }
+
+  function save() {
+    const written = writeEntries(file, { version, projectRoot: projectRootAbs, files: Object.fromEntries(current) });
+    return { file, version, hits, misses, parseMs: round1(parseMs), savedMs: round1(savedMs), written };
+  }
+
+  return { get, set, save };
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+/**
+ * @returns {Map<string, {hash: string, parseMs: number, parsed: Record<string, any>}>}
+ *   Entries of a compatible cache file, else an empty map.
+ */
+function loadEntries(file, version, projectRootAbs) {
+  const data = readJsonOrNull(file);
+  if (!data || data.version !== version || data.projectRoot !== projectRootAbs) return new Map();
+  if (!data.files || typeof data.files !== "object") return new Map();
+
+  const entries = new Map();
+  for (const [fileId, entry] of Object.entries(data.files)) {
+    if (typeof entry?.hash !== "string" || !entry.parsed || typeof entry.parsed !== "object") continue;
+    entries.set(fileId, { hash: entry.hash, parseMs: Number(entry.parseMs) || 0, parsed: entry.parsed });
+  }
+  return entries;
+}
+
+// Write to a temp file first so an interrupted run never leaves a torn cache.
+function writeEntries(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(data), "utf8");
+    fs.renameSync(tmp, file);
+    return true;
+  } catch {
+    fs.rmSync(tmp, { force: true });
+    return false;
+  }
+}
+
+function readJsonOrNull(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function readTextOrEmpty(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch {
+    return "";
+  }
+}
+
+function round1(n) {
+  return Math.round((Number(n) || 0) * 10) / 10;
+}
@@ -9,6 +9,8 @@
  * - Never throw
  * - Always return a consistent result shape
  * - Delegate JS/TS AST extraction to `parseJsTsAst` (app/lib/parseAst.js)
+ * - Delegate HTML/CSS/Markdown reference extraction to `parseMarkup.js`
+ * - Split Vue/Svelte components into script and template via `parseSfc.js`
  *
  * Notes
  * -----
@@ -17,6 +19,8 @@
  */
 import path from "node:path";
 import { parseJsTsAst } from "./parseAst.js";
+import { parseCssRefs, parseHtmlRefs, parseMarkdownRefs } from "./parseMarkup.js";
+import { extractSfcScript, parseSfcRefs } from "./parseSfc.js";
 import { summarizeLineMetrics } from "./lineMetrics.js";
 
 /* ========================================================================== */
@@ -37,14 +41,38 @@ import { summarizeLineMetrics } from "./lineMetrics.js";
  * @param {string} filenameAbs
  * @returns {{
  *   imports: string[],
+ *   typeImports: string[],
  *   importBindings: Record<string, {source: string, imported: string}>,
- *   functions: Array<{id: string, name: string, exported: boolean, complexity: number, startLine: number, endLine: number, locLines: number}>,
- *   calls: Array<{from: string|null, callee: string}>,
+ *   functions: Array<{id: string, name: string, exported: boolean, complexity: number, cognitiveComplexity: number, halsteadVolume: number, halsteadDifficulty: number, halsteadEffort: number, maintainabilityIndex: number, startLine: number, endLine: number, locLines: number, classId?: string}>,
+ *   classes: Array<{id: string, name: string, exported: boolean, defaultExport: boolean, complexity: number, cognitiveComplexity: number, halsteadVolume: number, halsteadDifficulty: number, halsteadEffort: number, maintainabilityIndex: number, startLine: number, endLine: number, locLines: number, superClass: string, implements: string[], methods: string[]}>,
+ *   types: Array<{id: string, name: string, kind: "interface"|"type"|"enum", exported: boolean, startLine: number, endLine: number, locLines: number, extends: string[]}>,
+ *   calls: Array<{from: string|null, callee: string, receiver?: {kind: "class"|"object"|"namespace", name: string, classId?: string, target?: string}}>,
+ *   reExports: Array<{source: string, imported: string, exported: string}>,
+ *   references: Array<{spec: string, kind: string, line: number}>,
+ *   docRefs: Array<{path: string, kind: "link"|"code-span", line: number}>,
+ *   dynamicImports: Array<{kind: "import"|"glob"|"context", patterns: string[], line: number, recursive?: boolean, regex?: {pattern: string, flags: string}}>,
+ *   routes: Array<{method: string, path: string, receiver: string, injected: boolean, from: string|null, handler: string, routerPrefix: string, line: number}>,
+ *   routeMounts: Array<{receiver: string, prefix: string, targets: string[], from: string|null, line: number}>,
+ *   httpRequests: Array<{api: string, method: string|null, url: string, from: string|null, line: number}>,
+ *   httpWrappers: Array<{name: string, param: number, method: string|null, initParam: number, line: number}>,
+ *   httpWrapperCalls: Array<{callee: string, arg: number, url: string, param: number, argMethods: Array<string|null>, from: string|null, line: number}>,
+ *   events: Array<{role: "emit"|"listen", api: string, name: string, handler: string, from: string|null, line: number}>,
+ *   eventWrappers: Array<{role: "emit"|"listen", api: string, name: string, param: number, line: number}>,
+ *   eventWrapperCalls: Array<{callee: string, arg: number, event: string, param: number, from: string|null, line: number}>,
+ *   defaultExport: string,
+ *   exportNames: string[],
  *   lines: number,
  *   codeLines: number,
  *   commentLines: number,
  *   blankLines: number,
  *   complexity: number,
+ *   cognitiveComplexity: number,
+ *   halsteadVolume: number,
+ *   halsteadDifficulty: number,
+ *   halsteadEffort: number,
+ *   maintainabilityIndex: number,
+ *   unresolvedMemberCalls: number,
+ *   cloneTokens: {values: string[], lines: number[]},
  *   headerComment: string,
  *   fileRefsAbs: string[],
  *   fileRefsRel: string[],
@@ -61,14 +89,34 @@ export function parseFile(src, filenameAbs) {
   const ext = String(path.extname(filename)).toLowerCase();
   const lineMetrics = summarizeLineMetrics(code, ext);
 
+  // Components: the script blocks form the JS/TS program (line layout kept).
+  const scriptCode = isSfcExt(ext) ? extractSfcScript(code) : code;
+
   // -----------------------------------------------------------------------
   // 1) Stable output contract (always return this shape)
   // -----------------------------------------------------------------------
   const out = {
     imports: [],
+    typeImports: [],
     importBindings: {},
     functions: [],
     calls: [],
+    classes: [],
+    types: [],
+    reExports: [],
+    dynamicImports: [],
+    routes: [],
+    routeMounts: [],
+    httpRequests: [],
+    httpWrappers: [],
+    httpWrapperCalls: [],
+    events: [],
+    eventWrappers: [],
+    eventWrapperCalls: [],
+    references: [],
+    docRefs: [],
+    defaultExport: "",
+    exportNames: [],
     symbols: [],
 
     lines: lineMetrics.lines,
@@ -76,7 +124,14 @@ export function parseFile(src, filenameAbs) {
     commentLines: lineMetrics.commentLines,
     blankLines: lineMetrics.blankLines,
     complexity: 0,
-    headerComment: extractHeaderComment(code),
+    cognitiveComplexity: 0,
+    halsteadVolume: 0,
+    halsteadDifficulty: 0,
+    halsteadEffort: 0,
+    maintainabilityIndex: 0,
+    unresolvedMemberCalls: 0,
+    cloneTokens: { values: [], lines: [] },
+    headerComment: extractHeaderComment(scriptCode),
 
     // Auto-mode reference buckets (may stay empty)
     fileRefsAbs: [],
@@ -86,12 +141,12 @@ export function parseFile(src, filenameAbs) {
   };
 
   // -----------------------------------------------------------------------
-  // 2) JS/TS: enrich using AST extractor
+  // 2) JS/TS (incl. component scripts): enrich using AST extractor
   // -----------------------------------------------------------------------
-  if (isJsTsExt(ext)) {
+  if (isJsTsExt(ext) || (isSfcExt(ext) && scriptCode)) {
     try {
       const baseDir = filename ? path.dirname(filename) : "";
-      parseJsTsAst(code, filename, baseDir, out, {
+      parseJsTsAst(scriptCode, filename, baseDir, out, {
         // AST extraction config (architecture-first)
         // - keeps the graph high-signal
         // - avoids synthetic fragment nodes (inline callbacks)
@@ -108,6 +163,19 @@ export function parseFile(src, filenameAbs) {
     }
   }
 
+  // -----------------------------------------------------------------------
+  // 3) HTML/CSS/Markdown/components: typed references (scripts, stylesheets,
+  //    docs, template components)
+  // -----------------------------------------------------------------------
+  try {
+    if (isHtmlExt(ext)) parseHtmlRefs(code, filename, out);
+    else if (isSfcExt(ext)) parseSfcRefs(code, out);
+    else if (ext === ".css") parseCssRefs(code, out);
+    else if (ext === ".md" || ext === ".markdown") parseMarkdownRefs(code, out);
+  } catch {
+    // Never throw – references are optional enrichment.
+  }
+
   return out;
 }
 
@@ -120,6 +188,14 @@ function isJsTsExt(ext) {
     ext === ".ts" || ext === ".tsx";
 }
 
+function isSfcExt(ext) {
+  return ext === ".vue" || ext === ".svelte";
+}
+
+function isHtmlExt(ext) {
+  return ext === ".html" || ext === ".htm";
+}
+
 function stripUtf8Bom(src) {
   // Strip UTF-8 BOM if present
   return String(src || "").replace(/^\ufeff?/, "");
@@ -0,0 +1,328 @@
+/**
+ * parseMarkup
+ * ============================================================================
+ *
+ * Reference extraction for HTML, CSS and Markdown files.
+ *
+ * Purpose
+ * -------
+ * The frontend shell of a project is wired in markup, not in JS imports:
+ * `index.html` loads `main.js` and `style.css`, the stylesheet pulls in fonts
+ * and images. This module records those references with their source line so
+ * the graph builder can emit typed `use` edges for them.
+ *
+ * Markdown docs mention code instead of loading it; their links and path-like
+ * code spans are recorded separately so the builder can add `documents` edges.
+ *
+ * Contract (mutates `out`)
+ * ------------------------
+ * - out.references: Array<{ spec: string, kind: string, line: number }>  (HTML / CSS)
+ * - out.docRefs:    Array<{ path: string, kind: "link"|"code-span", line: number }>  (Markdown)
+ *
+ * Reference kinds
+ * ---------------
+ * HTML: `script` (`<script src>`), `module-import` (imports of inline
+ *       `<script type="module">`), `stylesheet`, `icon`, `preload`, `manifest`,
+ *       `link` (other `<link href>`), `image` (`<img src>`), `srcset`,
+ *       `media` (`<source>` / `<video>` / `<audio>` `src`), plus the CSS kinds
+ *       for inline `<style>` blocks
+ * CSS:  `css-import` (`@import`), `css-url` (`url(...)`)
+ * MD:   `link` (`[text](path)`, `![img](path)`, `[id]: path`), `code-span`
+ *       (`` `app/lib/parseAst.js` ``; only path-like spans)
+ *
+ * Design notes
+ * ------------
+ * - regex-based scanning over comment-blanked text: best-effort, never throws
+ *   and keeps line numbers intact
+ * - remote (`https:`, `//cdn`), `data:` and template (`{{ }}`, `<%`) URLs are
+ *   skipped; query strings and fragments are dropped
+ * - document-relative paths (`main.js`) are normalized to `./main.js` so
+ *   `resolveImports` treats them like relative imports
+ */
+
+import { parseJsTsAst } from "./parseAst.js";
+
+const TAG_RE = /<(script|link|img|source|video|audio|style)\b([^>]*)>/gi;
+const ATTR_RE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const CSS_IMPORT_RE = /@import\s+(?:url\(\s*)?(?:"([^"]*)"|'([^']*)'|([^\s"')]+))/g;
+const CSS_URL_RE = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^\s"')]+))\s*\)/g;
+
+const SKIPPED_URL_RE = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#|~)/i;
+const TEMPLATE_URL_RE = /\{\{|\{%|<%|\$\{/;
+
+const MD_FENCE_RE = /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^ {0,3}\1[ \t]*$|(?![\s\S]))/gm;
+const MD_LINK_RE = /!?\[[^\]\n]*\]\(\s*(?:<([^>\n]+)>|([^)\s]+))(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+const MD_LINK_DEF_RE = /^ {0,3}\[[^\]\n]+\]:\s*(?:<([^>\n]+)>|(\S+))/gm;
+const MD_CODE_SPAN_RE = /(`+)([^`\n]+?)\1(?!`)/g;
+
+// A code span counts as a path when it has a separator or a file extension.
+const PATH_LIKE_RE = /^(?:\.{1,2}\/)?[\w@.-]+(?:\/[\w@.-]+)*\/?$/;
+const FILE_EXT_RE = /\.[a-z][a-z0-9]{0,5}$/i;
+
+/**
+ * Extract references from an HTML document.
+ *
+ * @param {string} src
+ * @param {string} filename
+ * @param {{references: Array<{spec: string, kind: string, line: number}>}} out
+ */
+export function parseHtmlRefs(src, filename, out) {
+  const code = String(src || "");
+  const text = blankRanges(code, /<!--[\s\S]*?-->/g);
+  const lineAt = createLineLookup(text);
+  const refs = ensureReferences(out);
+
+  for (const m of text.matchAll(TAG_RE)) {
+    const tag = m[1].toLowerCase();
+    const attrs = readAttributes(m[2]);
+    const line = lineAt(m.index);
+    const bodyStart = m.index + m[0].length;
+
+    if (tag === "script") {
+      if (attrs.src) pushRef(refs, attrs.src, "script", line);
+      else if (String(attrs.type || "").toLowerCase() === "module") {
+        collectInlineModuleImports(readElementBody(text, bodyStart, "script"), filename, lineAt(bodyStart), refs);
+      }
+      continue;
+    }
+
+    if (tag === "style") {
+      const body = readElementBody(text, bodyStart, "style");
+      collectCssRefs(body, lineAt(bodyStart), refs);
+      continue;
+    }
+
+    if (tag === "link") {
+      if (attrs.href) pushRef(refs, attrs.href, linkKindOf(attrs.rel), line);
+      continue;
+    }
+
+    if (tag === "img" && attrs.src) pushRef(refs, attrs.src, "image", line);
+    if (tag !== "img" && attrs.src) pushRef(refs, attrs.src, "media", line);
+
+    for (const url of splitSrcset(attrs.srcset)) pushRef(refs, url, "srcset", line);
+  }
+
+  dedupeReferences(out);
+}
+
+/**
+ * Extract references from a stylesheet.
+ *
+ * @param {string} src
+ * @param {{references: Array<{spec: string, kind: string, line: number}>}} out
+ */
+export function parseCssRefs(src, out) {
+  collectCssRefs(String(src || ""), 1, ensureReferences(out));
+  dedupeReferences(out);
+}
+
+/**
+ * Extract documentation references from a Markdown file.
+ *
+ * Fenced code blocks are ignored; inline code spans only count when they look
+ * like a project path (`src/app.js`, `lib/`, `config.json`).
+ *
+ * @param {string} src
+ * @param {{docRefs: Array<{path: string, kind: "link"|"code-span", line: number}>}} out
+ */
+export function parseMarkdownRefs(src, out) {
+  const text = blankRanges(String(src || ""), MD_FENCE_RE);
+  const lineAt = createLineLookup(text);
+  const refs = [];
+
+  for (const m of text.matchAll(MD_LINK_RE)) pushDocRef(refs, m[1] ?? m[2], "link", lineAt(m.index));
+  for (const m of text.matchAll(MD_LINK_DEF_RE)) pushDocRef(refs, m[1] ?? m[2], "link", lineAt(m.index));
+
+  // Links may contain backticks in their text; scan spans outside of link syntax only.
+  const spansText = blankRanges(text, MD_LINK_RE);
+  for (const m of spansText.matchAll(MD_CODE_SPAN_RE)) {
+    const span = m[2].trim();
+    if (isPathLikeSpan(span)) pushDocRef(refs, span, "code-span", lineAt(m.index));
+  }
+
+  const seen = new Set();
+  out.docRefs = refs
+    .sort((a, b) => a.line - b.line)
+    .filter((r) => {
+      const key = `${r.path}@${r.line}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function pushDocRef(refs, raw, kind, line) {
+  const url = String(raw || "").trim();
+  if (!url || SKIPPED_URL_RE.test(url) || TEMPLATE_URL_RE.test(url)) return;
+
+  let docPath = url.split(/[?#]/)[0];
+  try {
+    docPath = decodeURI(docPath);
+  } catch {
+    // keep the raw path
+  }
+
+  if (docPath) refs.push({ path: docPath, kind, line: Number(line) || 0 });
+}
+
+function isPathLikeSpan(span) {
+  if (!PATH_LIKE_RE.test(span) || /^\.+$/.test(span)) return false;
+  return span.includes("/") || FILE_EXT_RE.test(span);
+}
+
+function ensureReferences(out) {
+  if (!Array.isArray(out.references)) out.references = [];
+  return out.references;
+}
+
+/**
+ * Collect `@import` and `url()` references; `firstLine` offsets inline blocks.
+ */
+function collectCssRefs(css, firstLine, refs) {
+  const text = blankRanges(css, /\/\*[\s\S]*?\*\//g);
+  const lineAt = createLineLookup(text);
+  const at = (index) => firstLine + lineAt(index) - 1;
+
+  for (const m of text.matchAll(CSS_IMPORT_RE)) {
+    pushRef(refs, m[1] ?? m[2] ?? m[3], "css-import", at(m.index));
+  }
+
+  for (const m of text.matchAll(CSS_URL_RE)) {
+    pushRef(refs, m[1] ?? m[2] ?? m[3], "css-url", at(m.index));
+  }
+}
+
+function collectInlineModuleImports(code, filename, firstLine, refs) {
+  const scratch = { imports: [], dynamicImports: [] };
+
+  try {
+    parseJsTsAst(code, filename, "", scratch, { config: { mode: "architecture" } });
+  } catch {
+    return;
+  }
+
+  const lineAt = createLineLookup(code);
+
+  // Static import specifiers carry no location; find their first quoted use.
+  for (const spec of scratch.imports) {
+    const index = Math.max(code.indexOf(`"${spec}"`), code.indexOf(`'${spec}'`), 0);
+    pushModuleRef(refs, spec, firstLine + lineAt(index) - 1);
+  }
+
+  for (const d of scratch.dynamicImports) {
+    if (d.kind !== "import" || d.patterns[0]?.includes("*")) continue;
+    pushModuleRef(refs, d.patterns[0], firstLine + Math.max(1, d.line) - 1);
+  }
+}
+
+function pushRef(refs, raw, kind, line) {
+  const spec = normalizeUrlSpec(raw);
+  if (spec) refs.push({ spec, kind, line: Number(line) || 0 });
+}
+
+/**
+ * Module specifiers keep ES semantics: bare names stay bare (packages, aliases).
+ */
+function pushModuleRef(refs, raw, line) {
+  const spec = String(raw || "").trim();
+  if (spec) refs.push({ spec, kind: "module-import", line: Number(line) || 0 });
+}
+
+/**
+ * Normalize an HTML/CSS URL into an import-like specifier.
+ *
+ * @returns {string} specifier, or "" for URLs that cannot point into the project
+ */
+function normalizeUrlSpec(raw) {
+  const url = String(raw || "").trim();
+  if (!url || SKIPPED_URL_RE.test(url) || TEMPLATE_URL_RE.test(url)) return "";
+
+  const cleaned = url.split(/[?#]/)[0];
+  if (!cleaned) return "";
+
+  if (cleaned.startsWith("/") || cleaned.startsWith("./") || cleaned.startsWith("../")) return cleaned;
+  return `./${cleaned}`;
+}
+
+function linkKindOf(rel) {
+  const tokens = String(rel || "").toLowerCase().split(/\s+/);
+
+  if (tokens.includes("stylesheet")) return "stylesheet";
+  if (tokens.some((t) => t === "icon" || t === "apple-touch-icon" || t === "mask-icon")) return "icon";
+  if (tokens.includes("modulepreload") || tokens.includes("preload") || tokens.includes("prefetch")) return "preload";
+  if (tokens.includes("manifest")) return "manifest";
+  return "link";
+}
+
+function readAttributes(raw) {
+  const attrs = {};
+
+  for (const m of String(raw || "").matchAll(ATTR_RE)) {
+    const name = m[1].toLowerCase();
+    if (!(name in attrs)) attrs[name] = m[2] ?? m[3] ?? m[4] ?? "";
+  }
+
+  return attrs;
+}
+
+function readElementBody(text, start, tag) {
+  const close = text.toLowerCase().indexOf(`</${tag}`, start);
+  return text.slice(start, close < 0 ? text.length : close);
+}
+
+function splitSrcset(srcset) {
+  return String(srcset || "")
+    .split(",")
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+/**
+ * Replace matched ranges with spaces while keeping newlines (stable lines).
+ * Shared with `parseSfc.js`.
+ */
+export function blankRanges(text, re) {
+  return text.replace(re, (m) => m.replace(/[^\n]/g, " "));
+}
+
+/**
+ * Build an index -> 1-based line lookup for one text.
+ * Shared with `parseSfc.js`.
+ */
+export function createLineLookup(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+
+  return (index) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= index) lo = mid;
+      else hi = mid - 1;
+    }
+
+    return lo + 1;
+  };
+}
+
+function dedupeReferences(out) {
+  const seen = new Set();
+
+  // `@import url(x)` also matches the `url()` scan; keep the first (typed) hit.
+  out.references = out.references.filter((r) => {
+    const key = `${r.spec}@${r.line}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,187 @@
+/**
+ * parsePool
+ * ============================================================================
+ *
+ * Fixed-size `worker_threads` pool running `parseFile()` (Babel parse plus
+ * traversal) off the main thread, with a per-file timeout.
+ *
+ * Purpose
+ * -------
+ * Parsing is the expensive, side-effect free part of a BFS step. The builder
+ * hands the parses of all queued files to this pool and still builds the graph
+ * one file at a time in queue order, so the output does not depend on which
+ * worker finishes first.
+ *
+ * Rules
+ * -----
+ * - `workers: 0` disables the pool; the builder then parses in-process,
+ *   cannot interrupt pathological files and says so in a warning
+ * - the pool never runs more than `MAX_PARSE_WORKERS` threads, whatever the
+ *   caller asks for (each worker holds its own Babel instance)
+ * - a task that runs longer than `timeoutMs` terminates its worker, resolves
+ *   with `timedOut: true` and a fresh worker takes the slot
+ * - a crashed or exited worker resolves its task with `error` and is
+ *   replaced; a worker that fails or exits before it is ready marks the pool
+ *   broken and every task resolves with `error` (no respawn loop)
+ *
+ * Design notes
+ * ------------
+ * - workers start lazily, so small analyses never pay for idle threads
+ * - the timeout starts when a ready worker picks the task, so neither waiting
+ *   nor worker start-up (loading Babel) counts against it
+ */
+
+import os from "node:os";
+import { Worker } from "node:worker_threads";
+
+const WORKER_URL = new URL("./parseWorker.js", import.meta.url);
+
+// One thread per core at most; more workers only add memory, not speed.
+export const MAX_PARSE_WORKERS = Math.max(1, os.availableParallelism());
+
+// Leave one core to the main thread (graph building, I/O), but keep one worker
+// on single-core hosts so the per-file timeout still applies.
+export const DEFAULT_PARSE_WORKERS = Math.min(4, Math.max(1, MAX_PARSE_WORKERS - 1));
+export const DEFAULT_PARSE_TIMEOUT_MS = 30_000;
+
+/**
+ * Create a parse pool.
+ *
+ * @param {{workers?: number, timeoutMs?: number}} [options]
+ *   `workers` is clamped to `1..MAX_PARSE_WORKERS`.
+ * @returns {{
+ *   parse: (code: string, filenameAbs: string) => Promise<{parsed: Record<string, any> | null, parseMs: number, timedOut: boolean, error: string}>,
+ *   close: () => Promise<void>
+ * }}
+ */
+export function createParsePool({ workers = DEFAULT_PARSE_WORKERS, timeoutMs = DEFAULT_PARSE_TIMEOUT_MS } = {}) {
+  const size = Math.min(MAX_PARSE_WORKERS, Math.max(1, Math.floor(Number(workers)) || 1));
+  const limitMs = Math.max(1, Number(timeoutMs) || DEFAULT_PARSE_TIMEOUT_MS);
+
+  /** @type {Array<{worker: Worker, ready: boolean, task: object | null, timer: NodeJS.Timeout | null}>} */
+  const slots = [];
+  const waiting = [];
+  let nextId = 1;
+  let closed = false;
+  let brokenError = "";
+
+  function parse(code, filenameAbs) {
+    if (closed) return Promise.reject(new Error("parse pool is closed"));
+
+    return new Promise((resolve) => {
+      waiting.push({ id: nextId++, code: String(code ?? ""), filenameAbs: String(filenameAbs || ""), resolve });
+      dispatch();
+    });
+  }
+
+  function dispatch() {
+    if (brokenError) {
+      for (const task of waiting.splice(0)) task.resolve({ parsed: null, parseMs: 0, timedOut: false, error: brokenError });
+      return;
+    }
+
+    // Start workers for tasks that no idle or starting worker will take.
+    let free = slots.filter((s) => !s.task).length;
+    while (slots.length < size && waiting.length > free) {
+      spawnSlot();
+      free++;
+    }
+
+    while (waiting.length) {
+      const slot = slots.find((s) => s.ready && !s.task);
+      if (!slot) return;
+
+      const task = waiting.shift();
+      slot.task = task;
+      slot.timer = setTimeout(() => onTimeout(slot), limitMs);
+      slot.worker.postMessage({ id: task.id, code: task.code, filenameAbs: task.filenameAbs });
+    }
+  }
+
+  function spawnSlot() {
+    const slot = { worker: null, ready: false, task: null, timer: null };
+    attachWorker(slot);
+    slots.push(slot);
+    return slot;
+  }
+
+  function attachWorker(slot) {
+    const worker = new Worker(WORKER_URL);
+    slot.worker = worker;
+    slot.ready = false;
+
+    worker.on("message", (msg) => {
+      if (slot.worker !== worker) return;
+      if (msg?.ready) {
+        slot.ready = true;
+        dispatch();
+        return;
+      }
+      if (msg?.id !== slot.task?.id) return;
+      finish(slot, { parsed: msg.parsed || null, parseMs: Number(msg.parseMs) || 0, timedOut: false, error: String(msg.error || "") });
+    });
+
+    worker.on("error", (err) => {
+      if (slot.worker !== worker) return;
+      if (!slot.ready) brokenError = `parse worker failed to start: ${String(err?.message || err)}`;
+      replaceWorker(slot, { parsed: null, parseMs: 0, timedOut: false, error: String(err?.message || err) });
+    });
+
+    // Exits without an `error` event (process.exit(), OOM kill) would otherwise
+    // leave the slot starting or busy forever.
+    worker.on("exit", (code) => {
+      if (slot.worker !== worker || closed || brokenError) return;
+      if (!slot.ready) brokenError = `parse worker exited before it was ready (code ${code})`;
+      replaceWorker(slot, { parsed: null, parseMs: 0, timedOut: false, error: `parse worker exited (code ${code})` });
+    });
+  }
+
+  function onTimeout(slot) {
+    replaceWorker(slot, { parsed: null, parseMs: limitMs, timedOut: true, error: "" });
+  }
+
+  function replaceWorker(slot, result) {
+    const old = slot.worker;
+    old.terminate().catch(() => {});
+
+    const task = slot.task;
+    clearSlot(slot);
+    if (closed || brokenError) {
+      task?.resolve(result);
+      dispatch();
+      return;
+    }
+
+    attachWorker(slot);
+    task?.resolve(result);
+    dispatch();
+  }
+
+  function finish(slot, result) {
+    const task = slot.task;
+    clearSlot(slot);
+    task.resolve(result);
+    dispatch();
+  }
+
+  function clearSlot(slot) {
+    clearTimeout(slot.timer);
+    slot.timer = null;
+    slot.task = null;
+  }
+
+  async function close() {
+    closed = true;
+    const closedResult = { parsed: null, parseMs: 0, timedOut: false, error: "parse pool closed" };
+
+    for (const task of waiting.splice(0)) task.resolve(closedResult);
+    await Promise.all(slots.map((slot) => {
+      const task = slot.task;
+      clearSlot(slot);
+      task?.resolve(closedResult);
+      return slot.worker.terminate().catch(() => {});
+    }));
+  }
+
+  return { parse, close };
+}
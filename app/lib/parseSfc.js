@@ -0,0 +1,139 @@
+/**
+ * parseSfc
+ * ============================================================================
+ *
+ * Script and template extraction for Vue / Svelte single-file components.
+ *
+ * Purpose
+ * -------
+ * `.vue` and `.svelte` files keep a component's logic in `<script>` blocks and
+ * its child components in the template. Treated as plain assets, their imports,
+ * functions and complexity never reach the graph. This module splits a
+ * component so the regular pipeline can handle it:
+ *
+ * - the script blocks go through `parseJsTsAst` like any JS/TS module
+ * - template tags that render an imported component become references
+ *
+ * Contract
+ * --------
+ * - extractSfcScript(src) -> JS/TS source with the same line layout as the
+ *   component; everything outside `<script>` bodies is blanked, so AST line
+ *   numbers (functions, classes, dynamic imports) point into the `.vue` file
+ * - parseSfcRefs(src, out) -> out.references += `script` (`<script src>`) and
+ *   `component` (template tags bound to an import) entries
+ *
+ * Design notes
+ * ------------
+ * - Vue `<script>` + `<script setup>` and Svelte `<script context="module">` +
+ *   instance script share one module scope, so they are parsed as one program
+ * - `lang="ts"` needs no switch: the AST parser always enables TypeScript
+ * - component tags are PascalCase (`<UserCard>`) or, in Vue, kebab-case
+ *   (`<user-card>`); globally registered components have no import and are
+ *   not linked
+ */
+
+import { blankRanges, createLineLookup } from "./parseMarkup.js";
+
+const SCRIPT_BLOCK_RE = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+const STYLE_BLOCK_RE = /<style\b[^>]*>[\s\S]*?<\/style\s*>/gi;
+const COMMENT_RE = /<!--[\s\S]*?-->/g;
+
+const SRC_ATTR_RE = /\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)')/i;
+const COMPONENT_TAG_RE = /<([A-Za-z][\w.-]*)/g;
+
+/**
+ * Build the JS/TS program of a component from its `<script>` blocks.
+ *
+ * @param {string} src
+ * @returns {string}
+ *   Script source padded to the component's line layout ("" without scripts).
+ */
+export function extractSfcScript(src) {
+  const text = blankRanges(String(src || ""), COMMENT_RE);
+  let script = "";
+  let cursor = 0;
+
+  for (const m of text.matchAll(SCRIPT_BLOCK_RE)) {
+    if (SRC_ATTR_RE.test(m[1])) continue;
+
+    const bodyStart = m.index + m[0].indexOf(">") + 1;
+    script += blankText(text.slice(cursor, bodyStart)) + m[2];
+    cursor = bodyStart + m[2].length;
+  }
+
+  return script ? script + blankText(text.slice(cursor)) : "";
+}
+
+/**
+ * Record external scripts and template component usage of a component.
+ *
+ * Must run after the script was parsed: component tags are matched against
+ * `out.importBindings`.
+ *
+ * @param {string} src
+ * @param {{references: Array<{spec: string, kind: string, line: number}>, importBindings: Record<string, {source: string, imported: string}>}} out
+ */
+export function parseSfcRefs(src, out) {
+  const text = blankRanges(String(src || ""), COMMENT_RE);
+  const lineAt = createLineLookup(text);
+  if (!Array.isArray(out.references)) out.references = [];
+
+  for (const m of text.matchAll(SCRIPT_BLOCK_RE)) {
+    const srcAttr = m[1].match(SRC_ATTR_RE);
+    const spec = normalizeScriptSrc(srcAttr?.[1] ?? srcAttr?.[2]);
+    if (spec) out.references.push({ spec, kind: "script", line: lineAt(m.index) });
+  }
+
+  // Tags inside scripts and styles (JSX, strings, selectors) are not template usage.
+  const template = blankRanges(blankRanges(text, SCRIPT_BLOCK_RE), STYLE_BLOCK_RE);
+  const seen = new Set();
+
+  for (const m of template.matchAll(COMPONENT_TAG_RE)) {
+    const source = componentImportSource(m[1], out.importBindings);
+    if (!source || seen.has(source)) continue;
+
+    seen.add(source);
+    out.references.push({ spec: source, kind: "component", line: lineAt(m.index) });
+  }
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function blankText(text) {
+  return text.replace(/[^\n]/g, " ");
+}
+
+/**
+ * Map a template tag to the import that provides it.
+ *
+ * @returns {string} import specifier, or "" for HTML elements / unknown tags
+ */
+function componentImportSource(tag, importBindings) {
+  // `<ui.Button>` (namespace import) resolves through its head binding.
+  const head = String(tag || "").split(".")[0];
+
+  let name = "";
+  if (/^[A-Z]/.test(head)) name = head;
+  else if (head.includes("-")) name = kebabToPascal(head);
+  if (!name) return "";
+
+  const binding = importBindings?.[name] ?? null;
+  return binding?.source ? String(binding.source) : "";
+}
+
+function kebabToPascal(name) {
+  return name
+    .split("-")
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+}
+
+function normalizeScriptSrc(raw) {
+  const spec = String(raw || "").trim().split(/[?#]/)[0];
+  if (!spec || /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(spec)) return "";
+  if (spec.startsWith("/") || spec.startsWith("./") || spec.startsWith("../")) return spec;
+  return `./${spec}`;
+}
@@ -0,0 +1,34 @@
+/**
+ * parseWorker
+ * ============================================================================
+ *
+ * Worker thread entry of the parse pool (see `parsePool.js`).
+ *
+ * Protocol
+ * --------
+ *   out  { ready: true }                  once, after the parser modules loaded
+ *   in   { id, code, filenameAbs }
+ *   out  { id, parsed, parseMs, error }
+ *
+ * `parseFile()` never throws by contract; `error` only reports a broken
+ * contract so the pool can turn it into a warning instead of a crash.
+ */
+
+import { parentPort } from "node:worker_threads";
+import { parseFile } from "./parseFile.js";
+
+parentPort.on("message", ({ id, code, filenameAbs }) => {
+  const startedAt = performance.now();
+  let parsed = null;
+  let error = "";
+
+  try {
+    parsed = parseFile(code, filenameAbs);
+  } catch (err) {
+    error = String(err?.message || err);
+  }
+
+  parentPort.postMessage({ id, parsed, parseMs: performance.now() - startedAt, error });
+});
+
+parentPort.postMessage({ ready: true });
@@ -0,0 +1,547 @@
+/**
+ * pathAliases
+ * ============================================================================
+ *
+ * Static discovery of project-defined import aliases used by `resolveImports`.
+ *
+ * Purpose
+ * -------
+ * TypeScript and bundler-based projects import most of their own modules via
+ * aliases such as `@/lib/foo` or `~components/Bar`. Without knowing those
+ * aliases the resolver treats them like bare package imports and the graph
+ * loses most of its `use` edges.
+ *
+ * This module reads the alias configuration that applies to one importing
+ * file and expands an aliased specifier into absolute candidate paths. The
+ * actual on-disk probing (extensions, `index.*`, root boundary) stays in
+ * `resolveImports`.
+ *
+ * Supported sources
+ * -----------------
+ * 1. `tsconfig.json` / `jsconfig.json`
+ *    - `compilerOptions.paths` (exact and single-`*` wildcard patterns)
+ *    - `compilerOptions.baseUrl` (non-relative lookups against the base dir)
+ *    - `extends` chains (relative files, packages in `node_modules`, arrays)
+ *
+ * 2. Bundler configs (read statically, never executed)
+ *    - `vite.config.*` / `vitest.config.*`  -> `resolve.alias`
+ *    - `webpack.config.*`                   -> `resolve.alias`
+ *    - `rollup.config.*`                    -> `alias({ entries })`
+ *
+ * Design notes
+ * ------------
+ * - the nearest config walking up from the importer wins (like `tsc`)
+ * - configs above the project root are never consulted
+ * - alias values are only understood when they are statically evaluable
+ *   (string literals, `path.resolve(__dirname, ...)`, `new URL(..., import.meta.url)`)
+ * - results are cached per directory; call `resetPathAliasCache()` before
+ *   a new analysis run so edited configs are picked up
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { parse } from "@babel/parser";
+import { existsFile, isInsideRoot, normalizeFsPath } from "./fsPaths.js";
+import { isPlainObject, readJsoncFileSafe } from "./jsonFiles.js";
+
+const TS_CONFIG_FILES = Object.freeze(["tsconfig.json", "jsconfig.json"]);
+
+const BUNDLER_CONFIG_FILES = Object.freeze(
+  ["vite.config", "vitest.config", "webpack.config", "rollup.config"].flatMap((base) =>
+    [".js", ".mjs", ".cjs", ".ts", ".mts", ".cts"].map((ext) => base + ext)
+  )
+);
+
+// Guard against pathological `extends` chains.
+const MAX_EXTENDS_DEPTH = 16;
+
+/** @type {Map<string, {entries: Array<{pattern: string, targets: string[], source: string}>, baseUrlAbs: string}>} */
+const aliasConfigByDir = new Map();
+
+/**
+ * Drop all cached alias configurations.
+ *
+ * The graph builder calls this once per analysis run so config edits between
+ * runs are honored without paying the lookup cost for every single import.
+ */
+export function resetPathAliasCache() {
+  aliasConfigByDir.clear();
+}
+
+/**
+ * Expand an aliased specifier into absolute candidate base paths.
+ *
+ * The returned candidates are not probed yet; callers apply their own
+ * extension / index resolution and root boundary checks.
+ *
+ * @param {string} fromAbs
+ *   Absolute path of the importing file.
+ * @param {string} cleaned
+ *   Normalized import specifier (no query / hash).
+ * @param {string} rootAbs
+ *   Absolute project root.
+ * @returns {{pattern: string, source: string, candidates: string[]} | null}
+ *   Matching alias and its expanded candidates, or `null` when no alias applies.
+ */
+export function expandPathAlias(fromAbs, cleaned, rootAbs) {
+  const config = readAliasConfigFor(fromAbs, rootAbs);
+  const match = findBestAliasMatch(config.entries, cleaned);
+  if (!match) return null;
+
+  const { entry, wildcard } = match;
+  const candidates = entry.targets.map((t) => t.replace("*", () => wildcard));
+
+  return { pattern: entry.pattern, source: entry.source, candidates };
+}
+
+/**
+ * Build the `baseUrl` candidate for a non-relative specifier.
+ *
+ * @param {string} fromAbs
+ *   Absolute path of the importing file.
+ * @param {string} cleaned
+ *   Normalized import specifier.
+ * @param {string} rootAbs
+ *   Absolute project root.
+ * @returns {string|null}
+ *   Absolute candidate path, or `null` when no `baseUrl` is configured.
+ */
+export function expandBaseUrl(fromAbs, cleaned, rootAbs) {
+  const config = readAliasConfigFor(fromAbs, rootAbs);
+  if (!config.baseUrlAbs) return null;
+  return path.resolve(config.baseUrlAbs, cleaned);
+}
+
+/**
+ * Report which alias pattern a specifier matches (resolved or not).
+ *
+ * Used by the graph builder to turn unresolvable alias imports into warnings
+ * instead of silently dropping them like bare package imports.
+ *
+ * @param {string} fromAbs
+ * @param {string} cleaned
+ * @param {string} rootAbs
+ * @returns {string}
+ *   Matching alias pattern, or an empty string.
+ */
+export function matchPathAliasPattern(fromAbs, cleaned, rootAbs) {
+  const hit = expandPathAlias(fromAbs, cleaned, rootAbs);
+  return hit ? hit.pattern : "";
+}
+
+/* ========================================================================== */
+/* ALIAS MATCHING                                                             */
+/* ========================================================================== */
+
+/**
+ * Pick the alias entry for a specifier using TypeScript's precedence rules:
+ * exact patterns first, then the wildcard pattern with the longest prefix.
+ */
+function findBestAliasMatch(entries, spec) {
+  let best = null;
+  let bestPrefixLen = -1;
+
+  for (const entry of entries) {
+    const star = entry.pattern.indexOf("*");
+
+    if (star < 0) {
+      if (entry.pattern === spec) return { entry, wildcard: "" };
+      continue;
+    }
+
+    const prefix = entry.pattern.slice(0, star);
+    const suffix = entry.pattern.slice(star + 1);
+    if (!spec.startsWith(prefix) || !spec.endsWith(suffix)) continue;
+    if (spec.length < prefix.length + suffix.length) continue;
+    if (prefix.length <= bestPrefixLen) continue;
+
+    best = { entry, wildcard: spec.slice(prefix.length, spec.length - suffix.length) };
+    bestPrefixLen = prefix.length;
+  }
+
+  return best;
+}
+
+/* ========================================================================== */
+/* CONFIG LOOKUP                                                              */
+/* ========================================================================== */
+
+/**
+ * Read (and cache) the merged alias configuration for an importing file.
+ */
+function readAliasConfigFor(fromAbs, rootAbs) {
+  const root = normalizeFsPath(rootAbs);
+  const dir = path.dirname(normalizeFsPath(fromAbs));
+
+  const cached = aliasConfigByDir.get(dir);
+  if (cached) return cached;
+
+  const tsConfigAbs = findNearestConfig(dir, root, TS_CONFIG_FILES);
+  const bundlerConfigAbs = findNearestConfig(dir, root, BUNDLER_CONFIG_FILES);
+
+  const ts = tsConfigAbs ? readTsConfigAliases(tsConfigAbs, root) : { entries: [], baseUrlAbs: "" };
+  const bundler = bundlerConfigAbs ? readBundlerAliases(bundlerConfigAbs, root) : [];
+
+  const config = {
+    // tsconfig paths come first: they are the more precise source of truth
+    entries: [...ts.entries, ...bundler],
+    baseUrlAbs: ts.baseUrlAbs
+  };
+
+  aliasConfigByDir.set(dir, config);
+  return config;
+}
+
+/**
+ * Walk up from `startDir` to `rootAbs` and return the first existing config.
+ */
+function findNearestConfig(startDir, rootAbs, fileNames) {
+  let dir = startDir;
+
+  while (dir === rootAbs || isInsideRoot(rootAbs, dir)) {
+    for (const name of fileNames) {
+      const cand = path.join(dir, name);
+      if (existsFile(cand)) return cand;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  return "";
+}
+
+/* ========================================================================== */
+/* TSCONFIG / JSCONFIG                                                        */
+/* ========================================================================== */
+
+/**
+ * Convert `compilerOptions.paths` / `baseUrl` of one tsconfig chain into
+ * alias entries with absolute target patterns.
+ */
+function readTsConfigAliases(configAbs, rootAbs) {
+  const merged = readTsConfigChain(configAbs, rootAbs, new Set(), 0);
+  const source = path.basename(configAbs);
+
+  const pathsBaseAbs = merged.baseUrlAbs || merged.pathsDirAbs;
+  const entries = [];
+
+  for (const [pattern, targets] of Object.entries(merged.paths || {})) {
+    if (!Array.isArray(targets) || countStars(pattern) > 1) continue;
+
+    const absTargets = targets
+      .filter((t) => typeof t === "string" && countStars(t) <= 1)
+      .map((t) => path.resolve(pathsBaseAbs, t));
+
+    if (absTargets.length) entries.push({ pattern, targets: absTargets, source });
+  }
+
+  return { entries, baseUrlAbs: merged.baseUrlAbs };
+}
+
+/**
+ * Read one tsconfig and its `extends` parents.
+ *
+ * Child options override inherited ones. `baseUrl` is relative to the config
+ * declaring it; `paths` without `baseUrl` are relative to their own config.
+ */
+function readTsConfigChain(configAbs, rootAbs, seen, depth) {
+  const empty = { baseUrlAbs: "", paths: null, pathsDirAbs: "" };
+  if (seen.has(configAbs) || depth > MAX_EXTENDS_DEPTH) return empty;
+  seen.add(configAbs);
+
+  const json = readJsoncFileSafe(configAbs);
+  if (!json || typeof json !== "object") return empty;
+
+  const inherited = readExtendedTsConfigs(json.extends, configAbs, rootAbs, seen, depth);
+  const dir = path.dirname(configAbs);
+  const opts = json.compilerOptions || {};
+
+  return {
+    baseUrlAbs: typeof opts.baseUrl === "string" ? path.resolve(dir, opts.baseUrl) : inherited.baseUrlAbs,
+    paths: isPlainObject(opts.paths) ? opts.paths : inherited.paths,
+    pathsDirAbs: isPlainObject(opts.paths) ? dir : inherited.pathsDirAbs
+  };
+}
+
+/**
+ * Merge all configs named by `extends` (string or array, later wins).
+ */
+function readExtendedTsConfigs(ext, configAbs, rootAbs, seen, depth) {
+  let merged = { baseUrlAbs: "", paths: null, pathsDirAbs: "" };
+  const list = Array.isArray(ext) ? ext : (typeof ext === "string" ? [ext] : []);
+
+  for (const spec of list) {
+    const parentAbs = resolveTsConfigExtends(spec, path.dirname(configAbs), rootAbs);
+    if (!parentAbs) continue;
+
+    const parent = readTsConfigChain(parentAbs, rootAbs, seen, depth + 1);
+    merged = {
+      baseUrlAbs: parent.baseUrlAbs || merged.baseUrlAbs,
+      paths: parent.paths || merged.paths,
+      pathsDirAbs: parent.paths ? parent.pathsDirAbs : merged.pathsDirAbs
+    };
+  }
+
+  return merged;
+}
+
+/**
+ * Resolve an `extends` value to a config file inside the project root.
+ *
+ * Relative values are resolved against the extending config; package values
+ * are looked up in the project's own `node_modules`.
+ */
+function resolveTsConfigExtends(spec, configDir, rootAbs) {
+  const s = String(spec || "").trim();
+  if (!s) return "";
+
+  const base = s.startsWith(".") || path.isAbsolute(s)
+    ? path.resolve(configDir, s)
+    : path.join(rootAbs, "node_modules", s);
+
+  const candidates = [base, base + ".json", path.join(base, "tsconfig.json")];
+  const hit = candidates.find(existsFile) || "";
+
+  return hit && isInsideRoot(rootAbs, hit) ? hit : "";
+}
+
+function countStars(s) {
+  return String(s).split("*").length - 1;
+}
+
+/* ========================================================================== */
+/* BUNDLER CONFIGS                                                            */
+/* ========================================================================== */
+
+/**
+ * Statically extract alias entries from a Vite / webpack / Rollup config.
+ *
+ * Only string-keyed aliases are supported; RegExp `find` patterns are skipped
+ * because they cannot be mapped onto path patterns reliably.
+ */
+function readBundlerAliases(configAbs, rootAbs) {
+  const ast = parseConfigAst(configAbs);
+  if (!ast) return [];
+
+  const ctx = { configDir: path.dirname(configAbs), rootAbs, source: path.basename(configAbs) };
+  const entries = [];
+
+  walkAst(ast.program, (node) => {
+    const aliasValue = readAliasContainer(node);
+    if (!aliasValue) return;
+
+    for (const pair of readAliasPairs(aliasValue)) {
+      const target = evaluatePathExpression(pair.value, ctx);
+      if (!pair.find || !target) continue;
+      entries.push(...toAliasEntries(pair.find, target, ctx.source));
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Return the alias map/array node when `node` declares one:
+ * - `alias: {...}` / `alias: [...]` object properties
+ * - `alias({ entries: ... })` calls (Rollup)
+ */
+function readAliasContainer(node) {
+  if (node.type === "ObjectProperty" && propertyKeyName(node) === "alias") {
+    return node.value;
+  }
+
+  if (node.type === "CallExpression" && node.callee?.type === "Identifier" && node.callee.name === "alias") {
+    const arg = node.arguments?.[0];
+    if (arg?.type !== "ObjectExpression") return null;
+    const entriesProp = arg.properties.find((p) => propertyKeyName(p) === "entries");
+    return entriesProp?.value || null;
+  }
+
+  return null;
+}
+
+/**
+ * Normalize object- and array-style alias declarations to `{find, value}` pairs.
+ */
+function readAliasPairs(container) {
+  if (container?.type === "ObjectExpression") {
+    return container.properties
+      .filter((p) => p.type === "ObjectProperty")
+      .map((p) => ({ find: propertyKeyName(p), value: p.value }));
+  }
+
+  if (container?.type === "ArrayExpression") {
+    return container.elements
+      .filter((el) => el?.type === "ObjectExpression")
+      .map((el) => {
+        const findProp = el.properties.find((p) => propertyKeyName(p) === "find");
+        const replProp = el.properties.find((p) => propertyKeyName(p) === "replacement");
+        const find = findProp?.value?.type === "StringLiteral" ? findProp.value.value : "";
+        return { find, value: replProp?.value };
+      });
+  }
+
+  return [];
+}
+
+/**
+ * Translate one bundler alias (`find` -> directory/file) into path patterns.
+ *
+ * Bundlers match `find` exactly or as a `find/` prefix. webpack's trailing `$`
+ * marks an exact-only alias.
+ */
+function toAliasEntries(find, targetAbs, source) {
+  if (find.endsWith("$")) {
+    return [{ pattern: find.slice(0, -1), targets: [targetAbs], source }];
+  }
+
+  const prefix = find.endsWith("/") ? find.slice(0, -1) : find;
+
+  return [
+    { pattern: prefix, targets: [targetAbs], source },
+    { pattern: `${prefix}/*`, targets: [path.join(targetAbs, "*")], source }
+  ];
+}
+
+/**
+ * Evaluate the handful of path expressions commonly used in bundler configs.
+ *
+ * @returns {string}
+ *   Absolute path, or an empty string when the expression is not static.
+ */
+function evaluatePathExpression(node, ctx) {
+  const parts = evaluatePathParts(node, ctx);
+  if (parts === null) return "";
+
+  const joined = parts.join("");
+  if (!joined) return "";
+
+  // Vite treats "/src" as project-root relative unless it is a real absolute path.
+  if (path.isAbsolute(joined)) {
+    return fs.existsSync(joined) ? path.normalize(joined) : path.join(ctx.rootAbs, joined);
+  }
+
+  return path.resolve(ctx.configDir, joined);
+}
+
+function evaluatePathParts(node, ctx) {
+  if (!node) return null;
+
+  switch (node.type) {
+    case "StringLiteral":
+      return [node.value];
+    case "Identifier":
+      return node.name === "__dirname" ? [ctx.configDir] : null;
+    case "TemplateLiteral":
+      return evaluateTemplateLiteral(node, ctx);
+    case "CallExpression":
+      return evaluatePathCall(node, ctx);
+    case "NewExpression":
+      return evaluateUrlConstructor(node, ctx);
+    case "MemberExpression":
+      // new URL("./src", import.meta.url).pathname
+      return propertyKeyName({ key: node.property }) === "pathname" ? evaluatePathParts(node.object, ctx) : null;
+    case "TSAsExpression":
+    case "TSSatisfiesExpression":
+      return evaluatePathParts(node.expression, ctx);
+    default:
+      return null;
+  }
+}
+
+function evaluateTemplateLiteral(node, ctx) {
+  const out = [];
+  for (let i = 0; i < node.quasis.length; i++) {
+    out.push(node.quasis[i].value.cooked ?? "");
+    if (i >= node.expressions.length) continue;
+
+    const inner = evaluatePathParts(node.expressions[i], ctx);
+    if (inner === null) return null;
+    out.push(inner.join(""));
+  }
+  return out;
+}
+
+/**
+ * `path.resolve(...)`, `path.join(...)`, `resolve(...)`, `join(...)`,
+ * `fileURLToPath(...)` and `process.cwd()`.
+ */
+function evaluatePathCall(node, ctx) {
+  const name = calleeName(node.callee);
+
+  if (name === "cwd") return [ctx.rootAbs];
+  if (name === "fileURLToPath") return evaluatePathParts(node.arguments?.[0], ctx);
+  if (name !== "resolve" && name !== "join") return null;
+
+  const segments = [];
+  for (const arg of node.arguments || []) {
+    const parts = evaluatePathParts(arg, ctx);
+    if (parts === null) return null;
+    segments.push(parts.join(""));
+  }
+
+  if (!segments.length) return null;
+  return [name === "resolve" ? path.resolve(ctx.configDir, ...segments) : path.join(...segments)];
+}
+
+/**
+ * `new URL("./src", import.meta.url)`
+ */
+function evaluateUrlConstructor(node, ctx) {
+  if (calleeName(node.callee) !== "URL") return null;
+
+  const [rel, base] = node.arguments || [];
+  const isImportMetaUrl =
+    base?.type === "MemberExpression" &&
+    base.object?.type === "MetaProperty" &&
+    propertyKeyName({ key: base.property }) === "url";
+
+  if (!isImportMetaUrl || rel?.type !== "StringLiteral") return null;
+  return [path.resolve(ctx.configDir, rel.value)];
+}
+
+function calleeName(callee) {
+  if (callee?.type === "Identifier") return callee.name;
+  if (callee?.type === "MemberExpression") return propertyKeyName({ key: callee.property });
+  return "";
+}
+
+function propertyKeyName(prop) {
+  const key = prop?.key;
+  if (key?.type === "Identifier") return key.name;
+  if (key?.type === "StringLiteral") return key.value;
+  return "";
+}
+
+function parseConfigAst(configAbs) {
+  try {
+    return parse(fs.readFileSync(configAbs, "utf8"), {
+      sourceType: "unambiguous",
+      errorRecovery: true,
+      plugins: ["typescript", "importMeta", "topLevelAwait"]
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Minimal depth-first AST walk (config files are small; no scope tracking needed).
+ */
+function walkAst(node, visit) {
+  if (!node || typeof node.type !== "string") return;
+  visit(node);
+
+  for (const key of Object.keys(node)) {
+    if (key === "loc" || key === "start" || key === "end") continue;
+    const child = node[key];
+
+    if (Array.isArray(child)) {
+      for (const c of child) walkAst(c, visit);
+    } else if (child && typeof child === "object") {
+      walkAst(child, visit);
+    }
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * reExports
+ * ============================================================================
+ *
+ * Barrel / re-export chain resolution.
+ *
+ * Purpose
+ * -------
+ * Projects commonly route imports through `index.js` barrels:
+ *
+ *   // lib/index.js
+ *   export * from "./math.js";
+ *   export { default as Parser } from "./parser.js";
+ *
+ * A call to an imported `Parser` or `clamp` then names the barrel, not the
+ * defining module. This module indexes every file's re-exports (recorded by
+ * `parseJsTsAst`) and follows them to the module that actually defines the
+ * export, so deferred call and inheritance edges land on the real node.
+ *
+ * Chain rules
+ * -----------
+ * 1. a local definition in the current file wins
+ * 2. named re-exports (`export { a as b } from`) are followed by name
+ * 3. namespace re-exports (`export * as ns from`) terminate at the module
+ * 4. star re-exports (`export * from`) are searched in source order and never
+ *    forward `default` (as in ECMAScript)
+ *
+ * Design notes
+ * ------------
+ * - every `(file, name)` pair is visited at most once: cyclic barrels are safe
+ * - chain depth is capped as a second guard against pathological graphs
+ * - only project-internal targets are indexed; package re-exports are skipped
+ */
+
+import path from "node:path";
+import { resolveImports } from "./resolveImports.js";
+import { isInsideRoot } from "./fsPaths.js";
+
+// Real barrel chains are short; anything deeper is almost certainly generated.
+const MAX_REEXPORT_DEPTH = 32;
+
+/**
+ * Record the re-exports and default-export name of one parsed file.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   fileId: string,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   toRelId: (absPath: string) => string,
+ *   reExportIndex: Map<string, {defaultExport: string, entries: Array<{targetFileId: string, imported: string, exported: string}>}>
+ * }} args
+ *   Parsed file and the shared per-file index (mutated).
+ */
+export function indexReExports({ parsed, fileId, absNorm, projectRootAbs, toRelId, reExportIndex }) {
+  const entries = [];
+
+  for (const r of parsed?.reExports || []) {
+    const targetFileId = resolveSourceFileId(r?.source, absNorm, projectRootAbs, toRelId);
+    if (!targetFileId) continue;
+
+    entries.push({
+      targetFileId,
+      imported: String(r.imported || ""),
+      exported: String(r.exported || "")
+    });
+  }
+
+  reExportIndex.set(fileId, {
+    defaultExport: String(parsed?.defaultExport || ""),
+    entries
+  });
+}
+
+/**
+ * Follow re-export chains from `(fileId, exportName)` to its definition.
+ *
+ * @param {{
+ *   reExportIndex: Map<string, {defaultExport: string, entries: Array<{targetFileId: string, imported: string, exported: string}>}>,
+ *   fileId: string,
+ *   exportName: string,
+ *   findLocal: (fileId: string, localName: string) => string | null
+ * }} args
+ *   `findLocal` returns the node id of a definition inside one file.
+ * @returns {{nodeId: string | null, fileId: string} | null}
+ *   - `{nodeId, fileId}`: definition found
+ *   - `{nodeId: null, fileId}`: chain ends at a whole module (namespace re-export)
+ *   - `null`: no definition reachable
+ */
+export function resolveExportChain({ reExportIndex, fileId, exportName, findLocal }) {
+  return visitExport(reExportIndex, findLocal, fileId, String(exportName || ""), new Set(), 0);
+}
+
+/**
+ * Resolve an import / re-export source of one file to a project file id.
+ *
+ * @param {string} source
+ *   Specifier as written (`"./math.js"`, `"@/lib"`).
+ * @param {string} absNorm
+ *   Absolute path of the importing file.
+ * @param {string} projectRootAbs
+ *   Absolute project root.
+ * @param {(absPath: string) => string} toRelId
+ *   Absolute path -> file node id.
+ * @returns {string}
+ *   File id, or `""` for packages, unresolvable and out-of-root targets.
+ */
+export function resolveSourceFileId(source, absNorm, projectRootAbs, toRelId) {
+  const spec = String(source || "").trim();
+  if (!spec) return "";
+
+  const resolvedAbs = resolveImports(absNorm, spec, projectRootAbs);
+  if (!resolvedAbs) return "";
+
+  const targetAbs = path.resolve(resolvedAbs);
+  return isInsideRoot(projectRootAbs, targetAbs) ? toRelId(targetAbs) : "";
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+function visitExport(index, findLocal, fileId, name, seen, depth) {
+  const key = `${fileId}\0${name}`;
+  if (!fileId || !name || seen.has(key) || depth > MAX_REEXPORT_DEPTH) return null;
+  seen.add(key);
+
+  const info = index.get(fileId) || null;
+
+  // Anonymous default exports are emitted under the name "default" (if at all).
+  const localName = name === "default" ? (info?.defaultExport || "default") : name;
+  const local = findLocal(fileId, localName);
+  if (local) return { nodeId: local, fileId };
+
+  const entries = info?.entries || [];
+
+  for (const e of entries) {
+    if (e.exported !== name) continue;
+    if (e.imported === "*") return { nodeId: null, fileId: e.targetFileId };
+
+    const hit = visitExport(index, findLocal, e.targetFileId, e.imported, seen, depth + 1);
+    if (hit) return hit;
+  }
+
+  if (name === "default") return null;
+
+  for (const e of entries) {
+    if (e.exported !== "*") continue;
+
+    const hit = visitExport(index, findLocal, e.targetFileId, name, seen, depth + 1);
+    if (hit?.nodeId) return hit;
+  }
+
+  return null;
+}
@@ -0,0 +1,160 @@
+/**
+ * reachability
+ * ============================================================================
+ *
+ * Which file nodes the entrypoint(s) actually reach (`_reachable`, the
+ * per-entry `_entries` labels and the `meta.reachability` summary).
+ *
+ * Purpose
+ * -------
+ * The structure scan adds every file within `maxDirDepth` through `include`
+ * edges, so orphan modules sit in the graph next to live ones. This module
+ * walks runtime dependencies from every entry file and marks every file node
+ * `_reachable: true|false`. With several entries (server, browser bundle,
+ * workers) each node additionally lists the labels of the entries reaching it
+ * in `_entries`, so the UI can colour or filter the graph per runtime.
+ *
+ * Rules
+ * -----
+ * - followed edges: `use`, `dynamic-use`, `call` and `type-use`; `include`
+ *   (structure), `documents` and `clone` are not
+ * - `type-use` is erased at runtime but still keeps a declaration file alive:
+ *   files reached only through it are reachable and additionally marked
+ *   `_typeOnly: true` (listed in `typeOnlyFiles`)
+ * - an edge from or to a function / class counts for the file that contains it
+ * - only `file` nodes get `_reachable`; assets and docs have no runtime role here
+ * - `_entries` is set on every reached node, symbols inherit it from their file
+ *   (labels in entry order; several entries may share one label)
+ */
+
+import { owningFileId } from "./graphStore.js";
+
+// Edges that load or execute the target at runtime.
+const RUNTIME_LINK_TYPES = new Set(["use", "dynamic-use", "call"]);
+
+// Type-only imports: needed to compile, gone at runtime.
+const TYPE_LINK_TYPES = new Set(["type-use"]);
+
+/**
+ * Mark nodes reachable from the entries and summarize the result.
+ *
+ * @param {{store: import("./graphStore.js").GraphStore, entries: Array<{label: string, id: string}>}} args
+ *   Graph store after all edges are resolved, and the labelled entry file ids.
+ * @returns {{
+ *   entries: string[],
+ *   perEntry: Array<{label: string, id: string, reachable: number}>,
+ *   files: number,
+ *   reachable: number,
+ *   unreachable: number,
+ *   unreachableFiles: string[],
+ *   typeOnly: number,
+ *   typeOnlyFiles: string[]
+ * }}
+ *   Summary for `meta.reachability`; file lists sorted by id.
+ */
+export function markReachability({ store, entries }) {
+  const list = (entries || []).filter((e) => e?.id).map((e) => ({ label: String(e.label || e.id), id: String(e.id) }));
+  const runtime = buildFileAdjacency(store.links, RUNTIME_LINK_TYPES);
+  const types = buildFileAdjacency(store.links, TYPE_LINK_TYPES);
+  const runtimeReached = walkFiles([runtime], list.map((e) => e.id));
+
+  const labelsByOwner = new Map();
+  const perEntry = list.map(({ label, id }) => {
+    const reached = walkFiles([runtime, types], [id]);
+    for (const owner of reached) {
+      let labels = labelsByOwner.get(owner);
+      if (!labels) {
+        labels = new Set();
+        labelsByOwner.set(owner, labels);
+      }
+      labels.add(label);
+    }
+    return { label, id, reachable: countFiles(store, reached) };
+  });
+
+  const unreachableFiles = [];
+  const typeOnlyFiles = [];
+  let files = 0;
+
+  for (const node of store.nodes) {
+    const labels = labelsByOwner.get(owningFileId(node?.id));
+    if (labels) node._entries = [...labels];
+    if (node?.kind !== "file") continue;
+
+    files++;
+    node._reachable = Boolean(labels);
+    if (!node._reachable) unreachableFiles.push(node.id);
+    else if (!runtimeReached.has(node.id)) {
+      node._typeOnly = true;
+      typeOnlyFiles.push(node.id);
+    }
+  }
+
+  unreachableFiles.sort((a, b) => a.localeCompare(b));
+  typeOnlyFiles.sort((a, b) => a.localeCompare(b));
+
+  return {
+    entries: [...new Set(list.map((e) => e.id))],
+    perEntry,
+    files,
+    reachable: files - unreachableFiles.length,
+    unreachable: unreachableFiles.length,
+    unreachableFiles,
+    typeOnly: typeOnlyFiles.length,
+    typeOnlyFiles
+  };
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+/**
+ * @returns {Map<string, Set<string>>} file id -> file ids it depends on over `linkTypes`
+ */
+function buildFileAdjacency(links, linkTypes) {
+  const adjacency = new Map();
+
+  for (const link of links || []) {
+    if (!linkTypes.has(link?.type)) continue;
+
+    const from = owningFileId(link.source);
+    const to = owningFileId(link.target);
+    if (!from || !to || from === to) continue;
+
+    let targets = adjacency.get(from);
+    if (!targets) {
+      targets = new Set();
+      adjacency.set(from, targets);
+    }
+    targets.add(to);
+  }
+
+  return adjacency;
+}
+
+function walkFiles(adjacencies, entries) {
+  const reached = new Set(entries);
+  const queue = [...entries];
+
+  while (queue.length) {
+    const current = queue.shift();
+    for (const adjacency of adjacencies) {
+      for (const next of adjacency.get(current) || []) {
+        if (reached.has(next)) continue;
+        reached.add(next);
+        queue.push(next);
+      }
+    }
+  }
+
+  return reached;
+}
+
+function countFiles(store, reached) {
+  let n = 0;
+  for (const id of reached) {
+    if (store.getExistingNode(id)?.kind === "file") n++;
+  }
+  return n;
+}
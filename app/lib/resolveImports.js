@@ -14,7 +14,7 @@
  * - deterministic, best-effort resolution
  * - only resolves things that exist on disk
  * - never allows resolved paths to escape `projectRoot`
- * - intentionally ignores package / builtin imports
+ * - intentionally ignores package / builtin imports (unless aliased)
  *
  * Supported specifier forms
  * -------------------------
@@ -38,9 +38,22 @@
  * 4. `file:` URLs
  *    - `file:///Users/.../project/app/index.js`
  *
+ * 5. Project-defined aliases (see `pathAliases.js`)
+ *    - tsconfig/jsconfig `paths`: `@/lib/foo`, `~components/Bar`
+ *    - tsconfig/jsconfig `baseUrl`: `components/Button`
+ *    - Vite / webpack / Rollup `alias` maps
+ *
+ * 6. package.json subpath maps (see `packageMaps.js`)
+ *    - `imports`: `#internal/db`
+ *    - `exports` of the importer's own package (self-reference)
+ *
+ * 7. Workspace packages (see `workspaces.js`)
+ *    - `@acme/shared` -> `<root>/packages/shared` (npm / yarn / pnpm workspaces)
+ *
  * Intentionally ignored
  * ---------------------
- * - bare package imports: `express`, `react`, `lodash`
+ * - bare package imports: `express`, `react`, `lodash` (unless they are
+ *   workspace packages of the same repo)
  * - Node builtins: `fs`, `path`, `node:fs`
  *
  * Design notes
@@ -52,7 +65,16 @@
 
 import fs from "node:fs";
 import path from "node:path";
-import { isInsideRoot, normalizeFsPath } from "./fsPaths.js";
+import { existsFile, isInsideRoot, normalizeFsPath } from "./fsPaths.js";
+import { expandBaseUrl, expandPathAlias, resetPathAliasCache } from "./pathAliases.js";
+import {
+  expandPackageExports,
+  expandPackageImports,
+  findPackageScope,
+  resetPackageMapCache,
+  splitPackageSpecifier
+} from "./packageMaps.js";
+import { findWorkspacePackage, resetWorkspaceCache } from "./workspaces.js";
 
 const CODE_EXTENSIONS = Object.freeze([".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx"]);
 const DATA_EXTENSIONS = Object.freeze([".json", ".jsonc", ".yml", ".yaml", ".csv", ".tsv", ".sql", ".env"]);
@@ -84,7 +106,8 @@ function normalizeImportSpecifier(spec) {
 /**
  * Decide whether a specifier should be treated as external / unsupported.
  *
- * Only path-like imports are resolved here. Bare package imports are ignored.
+ * Only path-like imports are resolved directly. Everything else is either a
+ * project mapping (see `tryResolveBareSpecifier`) or a package import that is ignored.
  */
 function isExternalSpecifier(cleaned) {
   // Only resolve relative (./, ../) or path-like imports (/..., file:...)
@@ -145,6 +168,87 @@ function tryResolveAgainstPublicRoots(relWeb, rootAbs) {
   return null;
 }
 
+/**
+ * Resolve a non-path specifier through project-declared mappings.
+ *
+ * Order
+ * -----
+ * 1. `#` subpath imports from the importer's `package.json` `imports`
+ * 2. tsconfig `paths` / bundler aliases
+ * 3. self-references to the importer's own package via `exports`
+ * 4. workspace packages of the same monorepo via `exports` / `main`
+ * 5. tsconfig `baseUrl`
+ *
+ * A bare package name only resolves if a matching project file really exists,
+ * so `express` & co. still fall through to `null`.
+ */
+function tryResolveBareSpecifier(cleaned, fromAbs, rootAbs) {
+  if (cleaned.startsWith("#")) {
+    return firstResolvedCandidate(expandPackageImports(fromAbs, cleaned, rootAbs), rootAbs);
+  }
+
+  const alias = expandPathAlias(fromAbs, cleaned, rootAbs);
+  const aliasHit = firstResolvedCandidate(alias?.candidates || [], rootAbs);
+  if (aliasHit) return aliasHit;
+
+  const selfHit = tryResolvePackageSelfReference(cleaned, fromAbs, rootAbs);
+  if (selfHit) return selfHit;
+
+  const workspaceHit = tryResolveWorkspacePackage(cleaned, rootAbs);
+  if (workspaceHit) return workspaceHit;
+
+  const viaBaseUrl = expandBaseUrl(fromAbs, cleaned, rootAbs);
+  return viaBaseUrl ? resolveInsideRoot(viaBaseUrl, rootAbs) : null;
+}
+
+/**
+ * Resolve `<ownPackageName>/subpath` through the importer's own `exports` map.
+ *
+ * Node only allows self-references when the package declares `exports`.
+ */
+function tryResolvePackageSelfReference(cleaned, fromAbs, rootAbs) {
+  const scope = findPackageScope(fromAbs, rootAbs);
+  if (!scope?.json?.name || scope.json.exports == null) return null;
+
+  const { name, subpath } = splitPackageSpecifier(cleaned);
+  if (name !== scope.json.name) return null;
+
+  return firstResolvedCandidate(expandPackageExports(scope, subpath), rootAbs);
+}
+
+/**
+ * Resolve `@scope/pkg[/subpath]` to a workspace package of the same repo.
+ */
+function tryResolveWorkspacePackage(cleaned, rootAbs) {
+  const { name, subpath } = splitPackageSpecifier(cleaned);
+  const pkg = findWorkspacePackage(rootAbs, name);
+  if (!pkg) return null;
+
+  return firstResolvedCandidate(expandPackageExports(pkg, subpath), rootAbs);
+}
+
+/**
+ * Return the first candidate that exists on disk inside the project root.
+ */
+function firstResolvedCandidate(candidates, rootAbs) {
+  for (const cand of candidates) {
+    const hit = resolveInsideRoot(cand, rootAbs);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/**
+ * Drop all per-run resolver caches (alias configs, package scopes, workspaces).
+ *
+ * Call once at the start of an analysis run so edited configs are honored.
+ */
+export function resetResolverCaches() {
+  resetPathAliasCache();
+  resetPackageMapCache();
+  resetWorkspaceCache();
+}
+
 /**
  * Resolve an import specifier to an absolute file path inside projectRoot.
  *
@@ -157,10 +261,10 @@ export function resolveImports(fromAbs, spec, projectRoot) {
   const cleaned = normalizeImportSpecifier(spec);
   if (!cleaned) return null;
 
-  if (isExternalSpecifier(cleaned)) return null;
-
   const rootAbs = normalizeFsPath(projectRoot);
 
+  if (isExternalSpecifier(cleaned)) return tryResolveBareSpecifier(cleaned, fromAbs, rootAbs);
+
   const fileUrlHit = tryResolveFileUrl(cleaned, rootAbs);
   if (fileUrlHit) return fileUrlHit;
 
@@ -178,10 +282,14 @@ export function resolveImports(fromAbs, spec, projectRoot) {
  * Example:
  * `./app.js?v=1#x` -> `./app.js`
  *
+ * A leading `#` is not a hash but a package.json subpath import (`#internal/db`).
+ *
  * @param {string} s
  */
 function stripQueryAndHash(s) {
-  return String(s || "").split(/[?#]/)[0];
+  const str = String(s || "");
+  if (str.startsWith("#")) return "#" + str.slice(1).split(/[?#]/)[0];
+  return str.split(/[?#]/)[0];
 }
 
 /**
@@ -355,17 +463,6 @@ function getPublicRoots(rootAbs) {
   return roots;
 }
 
-/**
- * Check whether one path exists and is a regular file.
- */
-function existsFile(p) {
-  try {
-    return fs.existsSync(p) && fs.statSync(p).isFile();
-  } catch {
-    return false;
-  }
-}
-
 /**
  * Check whether one path exists and is a directory.
  */
@@ -0,0 +1,700 @@
+/**
+ * routeInventory
+ * ============================================================================
+ *
+ * HTTP API surface: Express / Koa / Fastify route registrations become `route`
+ * nodes linked to the functions that handle them.
+ *
+ * Purpose
+ * -------
+ * The call graph shows who calls a route handler (nobody, statically) but not
+ * which endpoint it serves. Registrations are recorded per file; full paths
+ * only exist once every mount is known, so they are composed after BFS:
+ *
+ * 1. parse time (`recordRouteCall`, called by `parseJsTsAst`): record
+ *      router.get("/apps/:appId", handler)          -> out.routes
+ *      router.route("/x").get(a).post(b)            -> out.routes
+ *      fastify.route({ method, url, handler })      -> out.routes
+ *      app.use("/api", router)                      -> out.routeMounts
+ *      app.use(router.routes())        (Koa)        -> out.routeMounts
+ *      fastify.register(plugin, { prefix: "/api" }) -> out.routeMounts
+ *      attach(router)                               -> out.routeMounts
+ * 2. after BFS (`resolveRoutes`): follow mounts across files to the full path
+ *    and emit
+ *      route node   `route:<METHOD> <path>` (`kind: "route"`, layer `http`)
+ *      handler function ──handles──▶ route node
+ *
+ * Rules
+ * -----
+ * - a receiver counts as a router when it is created by a router factory
+ *   (`express()`, `express.Router()`, `new Router()`, `Fastify()`, `new Koa()`)
+ *   or, when its binding is not created by some other call, is named like one
+ *   (`app`, `router`, `apiRouter`, `server`, `fastify`); this keeps
+ *   `axios.get(...)`, `api = axios.create()` and `cache.get(key, fn)` out of
+ *   the inventory
+ * - imported and parameter names only count by name in a router module (a
+ *   file importing or requiring `express`, `koa`, `@koa/router`, `fastify`,
+ *   ...); elsewhere an import never counts and a parameter only once its
+ *   function is mounted (`fastify.register(plugin)`, `attach(router)`), so
+ *   `import app from "./client.js"; app.post(...)` is not a route
+ * - paths must be static: string literals, constants, `+` / template
+ *   concatenations of those, and `["/", "/x"].forEach((p) => router.post(p, h))`
+ *   expansions; other registrations are skipped
+ * - the handler is the last argument and must be a function, a name bound to
+ *   one (function declaration, import, variable holding a handler), a member
+ *   of an imported namespace, class or instance (`ctrl.show`) or a wrapper call
+ *   around a handler (`asyncHandler(fn)`, unwrapped); request configs and
+ *   payloads (`client.get("/x", { params })`, `client.post("/x", body)`) are
+ *   not routes. Inline anonymous handlers are attributed to the enclosing
+ *   function, or the file at top level
+ * - mounts compose across files through imports and re-exports; a function
+ *   handed a router (`attach(router)`) is mounted into it; a router that is
+ *   never mounted keeps its own paths; a router mounted twice yields both
+ *   paths
+ * - Koa `new Router({ prefix })` prefixes the router's own paths
+ *
+ * Design notes
+ * ------------
+ * - nothing is executed: conditional registration or routers built in loops
+ *   are recorded as written
+ * - `meta.routes` doubles as the route table `httpClientCalls.js` matches
+ *   browser requests against
+ */
+
+import { bindSiteName, fnName, isStaticMember, resolveSiteFunction } from "./callSites.js";
+import { resolveExportChain } from "./reExports.js";
+
+// Registration methods and the HTTP method they stand for.
+const ROUTE_METHODS = Object.freeze({
+  get: "GET",
+  post: "POST",
+  put: "PUT",
+  patch: "PATCH",
+  delete: "DELETE",
+  del: "DELETE",
+  head: "HEAD",
+  options: "OPTIONS",
+  all: "ALL"
+});
+
+// Callee names (last segment, lowercase) that create an app or router.
+const ROUTER_FACTORIES = new Set(["express", "router", "fastify", "koa", "koarouter"]);
+
+// Receiver names treated as routers when their binding says nothing.
+const ROUTER_NAME_RE = /^(?:app|server|fastify|router|\w*Router)$/;
+
+// Packages whose import makes a file a router module.
+const ROUTER_PACKAGES = new Set(["express", "koa", "koa-router", "@koa/router", "fastify", "fastify-plugin", "router"]);
+
+// Program node -> whether the file imports or requires a router package.
+const routerModuleByProgram = new WeakMap();
+
+// Static path expressions expand to at most this many alternatives.
+const MAX_PATH_VARIANTS = 16;
+
+// Mount chains deeper than this are almost certainly cyclic.
+const MAX_MOUNT_DEPTH = 16;
+
+/**
+ * Record a route registration or router mount found at a call expression.
+ *
+ * @param {any} p
+ *   Babel path of a `CallExpression`.
+ * @param {{routes: Array<object>, routeMounts: Array<object>}} out
+ *   Parser output (mutated).
+ * @param {{from: string | null, line: number}} site
+ *   Enclosing emitted function id (`name@line`, `null` at top level) and the
+ *   line of the call.
+ */
+export function recordRouteCall(p, out, { from, line }) {
+  const callee = p?.node?.callee;
+  if (callee?.type === "Identifier") {
+    recordRouterHandoff(p, out, { from, line });
+    return;
+  }
+  if (!isStaticMember(callee)) return;
+
+  const method = callee.property.name;
+
+  if (method === "use" || method === "register") {
+    recordMount(p, out, { from, line });
+    return;
+  }
+
+  if (method === "route") {
+    recordFastifyRoute(p, out, { from, line });
+    return;
+  }
+
+  if (!Object.hasOwn(ROUTE_METHODS, method)) return;
+
+  const chain = readRouteChain(p, callee);
+  const args = p.node.arguments || [];
+  const pathArgs = chain ? [] : args.slice(0, 2);
+  const handlerArgs = chain ? args : args.slice(1);
+
+  if (!handlerArgs.length || !isHandlerNode(p, handlerArgs[handlerArgs.length - 1], 0)) return;
+
+  const receiver = chain ? chain.receiver : callee.object;
+  const receiverKind = routerReceiverKind(p, receiver);
+  if (!receiverKind) return;
+
+  // Koa named routes: `router.get("users", "/users", handler)`.
+  const paths = chain
+    ? chain.paths
+    : readRoutePaths(p, pathArgs[0]).concat(isNamedKoaRoute(pathArgs) ? readRoutePaths(p, pathArgs[1]) : []);
+  if (!paths.length) return;
+
+  pushRoutes(out, {
+    methods: [ROUTE_METHODS[method]],
+    paths,
+    receiver,
+    injected: receiverKind === "param",
+    handlerNode: handlerArgs[handlerArgs.length - 1],
+    p,
+    from,
+    line
+  });
+}
+
+/**
+ * Collect the route inputs of one parsed file (during BFS).
+ *
+ * Handler and mount target names are bound to their defining file here, while
+ * the importing file's path is at hand.
+ *
+ * @param {{
+ *   parsed: Record<string, any>,
+ *   fileId: string,
+ *   absNorm: string,
+ *   projectRootAbs: string,
+ *   toRelId: (absPath: string) => string,
+ *   routeInputs: Array<object>
+ * }} args
+ *   Parsed file and the shared input list (mutated).
+ */
+export function collectRouteInput({ parsed, fileId, absNorm, projectRootAbs, toRelId, routeInputs }) {
+  const routes = Array.isArray(parsed?.routes) ? parsed.routes : [];
+  const mounts = Array.isArray(parsed?.routeMounts) ? parsed.routeMounts : [];
+  if (!routes.length && !mounts.length) return;
+
+  const bind = (name) => bindSiteName({ name, parsed, fileId, absNorm, projectRootAbs, toRelId });
+
+  routeInputs.push({
+    fileId,
+    routes: routes.map((r) => ({ ...r, handlerRef: bind(r.handler) })),
+    mounts: mounts.map((m) => ({ ...m, targetRefs: (m.targets || []).map(bind).filter(Boolean) }))
+  });
+}
+
+/**
+ * Resolve mounts, emit route nodes and `handles` links.
+ *
+ * @param {{
+ *   routeInputs: Array<object>,
+ *   store: import("./graphStore.js").GraphStore,
+ *   reExportIndex: Map<string, object>,
+ *   addNode: Function,
+ *   addLink: Function
+ * }} args
+ * @returns {Array<{id: string, method: string, path: string, file: string, line: number, handler: string}>}
+ *   One entry per registration and full path (for `meta.routes`), sorted by
+ *   path, then method.
+ */
+export function resolveRoutes({ routeInputs, store, reExportIndex, addNode, addLink }) {
+  const routers = indexRouters(routeInputs);
+  const mountsInto = indexMounts({ routeInputs, routers, reExportIndex });
+
+  const inventory = [];
+  for (const input of routeInputs) {
+    for (const route of input.routes) {
+      // A router-like parameter outside a router module only counts once its function is mounted.
+      if (route.injected && !mountsInto.has(routerKey(input.fileId, fnName(route.from)))) continue;
+
+      // Named handlers serve the route; inline ones count for their registering function.
+      const handler = resolveSiteFunction({ ref: route.handlerRef, fileId: input.fileId, from: route.from, store, reExportIndex });
+
+      for (const prefix of routePrefixes({ route, fileId: input.fileId, mountsInto })) {
+        const fullPath = joinRoutePath(joinRoutePath(prefix, route.routerPrefix), route.path);
+        const id = `route:${route.method} ${fullPath}`;
+
+        addNode({
+          id,
+          file: input.fileId,
+          lines: 0,
+          complexity: 0,
+          headerComment: "",
+          kind: "route",
+          name: `${route.method} ${fullPath}`,
+          method: route.method,
+          path: fullPath
+        });
+        addLink(handler, id, "handles");
+
+        inventory.push({ id, method: route.method, path: fullPath, file: input.fileId, line: route.line, handler });
+      }
+    }
+  }
+
+  return inventory.sort((a, b) =>
+    a.path.localeCompare(b.path) ||
+    a.method.localeCompare(b.method) ||
+    a.file.localeCompare(b.file) ||
+    a.line - b.line
+  );
+}
+
+/* ========================================================================== */
+/* INTERNAL HELPERS                                                           */
+/* ========================================================================== */
+
+/**
+ * `router.route("/x").get(a).post(b)`: walk down to the `.route()` call.
+ *
+ * @returns {{receiver: any, paths: string[]} | null}
+ */
+function readRouteChain(p, callee) {
+  let obj = callee.object;
+
+  while (obj?.type === "CallExpression" && isStaticMember(obj.callee)) {
+    const name = obj.callee.property.name;
+    if (name === "route") {
+      return { receiver: obj.callee.object, paths: readRoutePaths(p, obj.arguments?.[0]) };
+    }
+    if (!Object.hasOwn(ROUTE_METHODS, name)) return null;
+    obj = obj.callee.object;
+  }
+
+  return null;
+}
+
+function isNamedKoaRoute(args) {
+  const [name, second] = args;
+  return name?.type === "StringLiteral" && !/^[/*]/.test(name.value) && Boolean(second);
+}
+
+/**
+ * How a receiver qualifies as an app or router (see module rules).
+ *
+ * @returns {"" | "router" | "param"}
+ *   `"param"` for a router-like parameter in a file without a router package
+ *   import; such registrations only count when their function is mounted.
+ */
+function routerReceiverKind(p, receiver) {
+  if (receiver?.type === "CallExpression" || receiver?.type === "NewExpression") {
+    return isRouterFactory(receiver) ? "router" : "";
+  }
+  if (receiver?.type !== "Identifier") return "";
+
+  const binding = p.scope?.getBinding?.(receiver.name);
+  const init = unwrapAwait(binding?.path?.node?.init);
+  if (init?.type === "CallExpression" || init?.type === "NewExpression") return isRouterFactory(init) ? "router" : "";
+  if (!ROUTER_NAME_RE.test(receiver.name)) return "";
+
+  // Imported and injected names only vouch for themselves in a router module.
+  if ((binding?.kind !== "module" && binding?.kind !== "param") || isRouterModule(p)) return "router";
+  return binding.kind === "param" ? "param" : "";
+}
+
+function unwrapAwait(node) {
+  return node?.type === "AwaitExpression" ? node.argument : node;
+}
+
+function isRouterModule(p) {
+  const program = p.scope?.getProgramParent?.();
+  const block = program?.block;
+  if (!block) return false;
+
+  if (!routerModuleByProgram.has(block)) {
+    const bindings = Object.values(program.bindings || {});
+    routerModuleByProgram.set(block, bindings.some((b) => ROUTER_PACKAGES.has(bindingSource(b))));
+  }
+  return routerModuleByProgram.get(block);
+}
+
+// Module a top-level binding comes from: `import x from "m"`, `const x = require("m")(...).y`.
+function bindingSource(binding) {
+  if (binding?.kind === "module") return String(binding.path?.parentPath?.node?.source?.value || "");
+
+  let init = binding?.path?.node?.init;
+  while (init?.type === "MemberExpression" || (init?.type === "CallExpression" && !requireSource(init))) {
+    init = init.type === "MemberExpression" ? init.object : init.callee;
+  }
+  return requireSource(init);
+}
+
+/**
+ * Whether a handler argument is a function, a name bound to one, a member of
+ * an imported namespace, class or instance, or a wrapper call around one.
+ */
+function isHandlerNode(p, node, depth) {
+  if (!node || depth > 2) return false;
+
+  switch (node.type) {
+    case "ArrowFunctionExpression":
+    case "FunctionExpression":
+      return true;
+    case "Identifier":
+      return isFunctionBinding(p.scope?.getBinding?.(node.name), depth);
+    case "MemberExpression":
+      return isStaticMember(node) && node.object?.type === "Identifier" && isHandlerOwner(p.scope?.getBinding?.(node.object.name));
+    case "CallExpression": {
+      const args = node.arguments || [];
+      return isHandlerNode(p, args[args.length - 1], depth + 1);
+    }
+    default:
+      return false;
+  }
+}
+
+// Function declarations, imports (resolved after BFS) and variables holding a handler.
+function isFunctionBinding(binding, depth) {
+  if (binding?.kind === "hoisted" || binding?.kind === "module") return true;
+
+  const init = binding?.path?.node?.init;
+  return Boolean(init) && isHandlerNode(binding.path, init, depth + 1);
+}
+
+// `ctrl.show` with `import * as ctrl`, `UsersController.list`, `users.list` with `users = new Users()`.
+function isHandlerOwner(binding) {
+  if (binding?.kind === "module") return true;
+
+  const node = binding?.path?.node;
+  return node?.type === "ClassDeclaration" || node?.init?.type === "NewExpression";
+}
+
+function isRouterFactory(expr) {
+  if (expr?.type !== "CallExpression" && expr?.type !== "NewExpression") return false;
+
+  const callee = expr.callee;
+  const name = callee?.type === "Identifier"
+    ? callee.name
+    : (isStaticMember(callee) ? callee.property.name : requiredPackageName(callee));
+  return ROUTER_FACTORIES.has(name.toLowerCase());
+}
+
+// `require("fastify")({ logger: true })`, `require("express")()`.
+function requiredPackageName(node) {
+  return requireSource(node).replace(/^@[^/]+\//, "").replace(/[^a-z]/gi, "");
+}
+
+// `"m"` for `require("m")`, else "".
+function requireSource(node) {
+  if (node?.type !== "CallExpression" || node.callee?.type !== "Identifier" || node.callee.name !== "require") return "";
+  const arg = node.arguments?.[0];
+  return arg?.type === "StringLiteral" ? arg.value : "";
+}
+
+function receiverName(receiver) {
+  return receiver?.type === "Identifier" ? receiver.name : "";
+}
+
+/**
+ * Koa `new Router({ prefix: "/api" })` behind a receiver ("" otherwise).
+ */
+function readRouterPrefix(p, receiver) {
+  const binding = receiver?.type === "Identifier" ? p.scope?.getBinding?.(receiver.name) : null;
+  const init = binding?.path?.node?.init;
+  if (init?.type !== "NewExpression" && init?.type !== "CallExpression") return "";
+
+  const options = init.arguments?.[0];
+  const prefix = readObjectProperty(options, "prefix");
+  return prefix ? readRoutePaths(p, prefix)[0] || "" : "";
+}
+
+function readObjectProperty(obj, key) {
+  if (obj?.type !== "ObjectExpression") return null;
+
+  for (const prop of obj.properties || []) {
+    if (prop?.type !== "ObjectProperty" || prop.computed) continue;
+    const name = prop.key?.type === "Identifier" ? prop.key.name : prop.key?.value;
+    if (name === key) return prop.value;
+  }
+  return null;
+}
+
+/**
+ * Static route paths of an argument (several for arrays and forEach params).
+ *
+ * @returns {string[]} paths starting with `/` or `*`; empty when not static
+ */
+function readRoutePaths(p, node) {
+  const values = node?.type === "ArrayExpression"
+    ? (node.elements || []).flatMap((el) => staticStrings(p, el, 0))
+    : staticStrings(p, node, 0);
+
+  return [...new Set(values)].filter((v) => /^[/*]/.test(v));
+}
+
+function staticStrings(p, node, depth) {
+  if (!node || depth > 8) return [];
+
+  switch (node.type) {
+    case "StringLiteral":
+      return [String(node.value)];
+
+    case "TemplateLiteral":
+      return node.quasis.reduce((acc, quasi, i) => {
+        const withQuasi = acc.map((s) => s + String(quasi.value?.cooked ?? ""));
+        const expr = node.expressions[i];
+        return expr ? combine(withQuasi, staticStrings(p, expr, depth + 1)) : withQuasi;
+      }, [""]);
+
+    case "BinaryExpression":
+      if (node.operator !== "+") return [];
+      return combine(staticStrings(p, node.left, depth + 1), staticStrings(p, node.right, depth + 1));
+
+    case "Identifier":
+      return identifierStrings(p, node.name, depth);
+
+    default:
+      return [];
+  }
+}
+
+function combine(left, right) {
+  if (!left.length || !right.length) return [];
+
+  const out = [];
+  for (const a of left) {
+    for (const b of right) {
+      if (out.length >= MAX_PATH_VARIANTS) return out;
+      out.push(a + b);
+    }
+  }
+  return out;
+}
+
+/**
+ * Strings behind a constant (`const API = "/api"`) or the element parameter
+ * of `["/a", "/b"].forEach((p) => ...)`.
+ */
+function identifierStrings(p, name, depth) {
+  const binding = p.scope?.getBinding?.(name);
+  if (!binding) return [];
+
+  if (binding.kind === "const") {
+    return staticStrings(binding.path, binding.path.node?.init, depth + 1);
+  }
+
+  if (binding.kind !== "param") return [];
+
+  const fnPath = binding.path.parentPath;
+  const callPath = fnPath?.parentPath;
+  const call = callPath?.node;
+  if (call?.type !== "CallExpression" || call.arguments?.[0] !== fnPath.node) return [];
+  if (fnPath.node.params?.[0] !== binding.path.node) return [];
+  if (!isStaticMember(call.callee) || !["forEach", "map"].includes(call.callee.property.name)) return [];
+
+  const list = call.callee.object;
+  if (list?.type === "ArrayExpression") {
+    return list.elements.flatMap((el) => staticStrings(callPath, el, depth + 1));
+  }
+  if (list?.type === "Identifier") {
+    const listBinding = callPath.scope?.getBinding?.(list.name);
+    const init = listBinding?.kind === "const" ? listBinding.path.node?.init : null;
+    if (init?.type === "ArrayExpression") {
+      return init.elements.flatMap((el) => staticStrings(listBinding.path, el, depth + 1));
+    }
+  }
+  return [];
+}
+
+/**
+ * Name of the function handling a route as written ("" for inline anonymous
+ * handlers): `handler`, `ctrl.list`, `function named() {}`, `wrap(handler)`.
+ */
+function readHandlerName(node, depth = 0) {
+  if (!node || depth > 2) return "";
+
+  if (node.type === "Identifier") return node.name;
+  if (isStaticMember(node) && node.object?.type === "Identifier") return `${node.object.name}.${node.property.name}`;
+  if (node.type === "FunctionExpression") return node.id?.name || "";
+  if (node.type === "CallExpression") {
+    const args = node.arguments || [];
+    return readHandlerName(args[args.length - 1], depth + 1);
+  }
+  return "";
+}
+
+function pushRoutes(out, { methods, paths, receiver, injected, handlerNode, p, from, line }) {
+  const handler = readHandlerName(handlerNode);
+  const routerPrefix = readRouterPrefix(p, receiver);
+
+  for (const method of methods) {
+    for (const path of paths) {
+      out.routes.push({ method, path, receiver: receiverName(receiver), injected, from: from || null, handler, routerPrefix, line });
+    }
+  }
+}
+
+/**
+ * Fastify `fastify.route({ method: ["GET", "HEAD"], url: "/x", handler })`.
+ */
+function recordFastifyRoute(p, out, { from, line }) {
+  const receiver = p.node.callee.object;
+  const options = p.node.arguments?.[0];
+  const receiverKind = options?.type === "ObjectExpression" ? routerReceiverKind(p, receiver) : "";
+  if (!receiverKind) return;
+
+  const methodNode = readObjectProperty(options, "method");
+  const methodValues = methodNode?.type === "ArrayExpression"
+    ? methodNode.elements.flatMap((el) => staticStrings(p, el, 0))
+    : staticStrings(p, methodNode, 0);
+  const methods = [...new Set(methodValues.map((m) => m.toUpperCase()))];
+
+  const paths = readRoutePaths(p, readObjectProperty(options, "url") || readObjectProperty(options, "path"));
+  if (!methods.length || !paths.length) return;
+
+  pushRoutes(out, {
+    methods,
+    paths,
+    receiver,
+    injected: receiverKind === "param",
+    handlerNode: readObjectProperty(options, "handler"),
+    p,
+    from,
+    line
+  });
+}
+
+/**
+ * `app.use("/api", auth, router)`, `app.use(router.routes())`,
+ * `fastify.register(plugin, { prefix: "/api" })`.
+ */
+/**
+ * `attach(router)`: a function handed a router registers on it, so it is
+ * mounted into that router without a prefix.
+ */
+function recordRouterHandoff(p, out, { from, line }) {
+  const name = p.node.callee.name;
+
+  for (const arg of p.node.arguments || []) {
+    if (arg?.type !== "Identifier" || !routerReceiverKind(p, arg)) continue;
+    out.routeMounts.push({ receiver: arg.name, prefix: "", targets: [name], from: from || null, line });
+  }
+}
+
+function recordMount(p, out, { from, line }) {
+  const receiver = p.node.callee.object;
+  if (!routerReceiverKind(p, receiver)) return;
+
+  const args = p.node.arguments || [];
+  const isRegister = p.node.callee.property.name === "register";
+
+  let prefix = "";
+  let targetArgs = args;
+  if (isRegister) {
+    prefix = readRoutePaths(p, readObjectProperty(args[1], "prefix"))[0] || "";
+    targetArgs = args.slice(0, 1);
+  } else {
+    const paths = readRoutePaths(p, args[0]);
+    if (paths.length) {
+      prefix = paths[0];
+      targetArgs = args.slice(1);
+    }
+  }
+
+  const targets = targetArgs.map(readMountTarget).filter(Boolean);
+  if (!targets.length) return;
+
+  out.routeMounts.push({ receiver: receiverName(receiver), prefix, targets, from: from || null, line });
+}
+
+// `router`, Koa `router.routes()` / `router.middleware()`.
+function readMountTarget(node) {
+  if (node?.type === "Identifier") return node.name;
+  if (node?.type === "CallExpression" && isStaticMember(node.callee) && node.callee.object?.type === "Identifier") {
+    const name = node.callee.property.name;
+    if (name === "routes" || name === "middleware") return node.callee.object.name;
+  }
+  return "";
+}
+
+function routerKey(fileId, name) {
+  return `${fileId}\u0000${name}`;
+}
+
+/**
+ * @returns {Map<string, Set<string>>} file id -> names that stand for a router
+ *   (route / mount receivers and functions registering routes)
+ */
+function indexRouters(routeInputs) {
+  const routers = new Map();
+  const add = (fileId, name) => {
+    if (!name) return;
+    if (!routers.has(fileId)) routers.set(fileId, new Set());
+    routers.get(fileId).add(name);
+  };
+
+  for (const input of routeInputs) {
+    for (const r of input.routes) {
+      add(input.fileId, r.receiver);
+      add(input.fileId, fnName(r.from));
+    }
+    for (const m of input.mounts) {
+      add(input.fileId, m.receiver);
+      add(input.fileId, fnName(m.from));
+    }
+  }
+  return routers;
+}
+
+/**
+ * @returns {Map<string, Array<{parentKeys: string[], prefix: string}>>}
+ *   router key -> mounts that place it under a parent router
+ */
+function indexMounts({ routeInputs, routers, reExportIndex }) {
+  const findLocal = (fileId, name) => (routers.get(fileId)?.has(name) ? name : null);
+  const mountsInto = new Map();
+
+  for (const input of routeInputs) {
+    for (const mount of input.mounts) {
+      const parentKeys = [routerKey(input.fileId, mount.receiver), routerKey(input.fileId, fnName(mount.from))];
+
+      for (const ref of mount.targetRefs) {
+        const hit = resolveExportChain({ reExportIndex, fileId: ref.fileId, exportName: ref.exportName, findLocal });
+        if (!hit?.nodeId) continue;
+
+        const key = routerKey(hit.fileId, hit.nodeId);
+        if (!mountsInto.has(key)) mountsInto.set(key, []);
+        mountsInto.get(key).push({ parentKeys, prefix: mount.prefix });
+      }
+    }
+  }
+  return mountsInto;
+}
+
+/**
+ * Mount prefixes of a route: through its enclosing function when that is
+ * mounted (Fastify plugins), else through its receiver.
+ */
+function routePrefixes({ route, fileId, mountsInto }) {
+  const fnKey = routerKey(fileId, fnName(route.from));
+  const key = route.from && mountsInto.has(fnKey) ? fnKey : routerKey(fileId, route.receiver);
+  return prefixesOf(key, mountsInto, new Set(), 0);
+}
+
+function prefixesOf(key, mountsInto, seen, depth) {
+  const mounts = mountsInto.get(key);
+  if (!mounts?.length || seen.has(key) || depth > MAX_MOUNT_DEPTH) return [""];
+
+  const next = new Set(seen).add(key);
+  const out = new Set();
+  for (const mount of mounts) {
+    // A mount inside a function that is itself mounted inherits that prefix.
+    const parentKey = mount.parentKeys.find((k) => mountsInto.has(k)) || mount.parentKeys[0];
+    for (const parent of prefixesOf(parentKey, mountsInto, next, depth + 1)) {
+      out.add(joinRoutePath(parent, mount.prefix));
+    }
+  }
+  return [...out];
+}
+
+function joinRoutePath(prefix, path) {
+  const head = String(prefix || "").replace(/\/+$/, "");
+  const tail = String(path || "");
+  if (!tail || tail === "/") return head || "/";
+  if (tail === "*" && !head) return "*";
+  return `${head}/${tail.replace(/^\/+/, "")}`;
+}
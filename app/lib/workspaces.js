@@ -0,0 +1,188 @@
+/**
+ * workspaces
+ * ============================================================================
+ *
+ * Monorepo workspace discovery for npm / yarn / pnpm projects.
+ *
+ * Purpose
+ * -------
+ * In a workspace repo a bare specifier such as `@acme/shared` usually points
+ * to `packages/shared` of the same repository, not to a third-party package.
+ * This module finds those local packages so that:
+ * - `resolveImports` can follow cross-package imports
+ * - the graph builder can tag every node with its owning package
+ *
+ * Supported declarations
+ * ----------------------
+ * - root `package.json` `workspaces: [...]` (npm, yarn classic)
+ * - root `package.json` `workspaces: { packages: [...] }` (yarn)
+ * - `pnpm-workspace.yaml` `packages:` list
+ *
+ * Patterns use the shared glob dialect of `fsGlob.js` (`*` one segment, `**`
+ * any depth); `!` negations exclude directories again.
+ *
+ * Design notes
+ * ------------
+ * - only directories inside the project root that contain a named
+ *   `package.json` become workspace packages
+ * - output is sorted by directory so downstream tagging is deterministic
+ * - results are cached per root; `resetWorkspaceCache()` clears them
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { normalizeFsPath, toRelPosix } from "./fsPaths.js";
+import { globToRegExp, walkTree } from "./fsGlob.js";
+import { readJsonFileSafe } from "./jsonFiles.js";
+
+// Workspace globs rarely go deeper than `packages/group/name`.
+const MAX_WORKSPACE_SCAN_DEPTH = 6;
+
+/** @type {Map<string, Array<{name: string, dirAbs: string, dirId: string, json: Record<string, any>}>>} */
+const workspacesByRoot = new Map();
+
+/**
+ * Drop cached workspace discovery results (call once per analysis run).
+ */
+export function resetWorkspaceCache() {
+  workspacesByRoot.clear();
+}
+
+/**
+ * Discover all workspace packages declared by the project root.
+ *
+ * @param {string} projectRootAbs
+ *   Absolute project root.
+ * @returns {Array<{name: string, dirAbs: string, dirId: string, json: Record<string, any>}>}
+ *   Local packages sorted by directory (empty for non-workspace projects).
+ */
+export function discoverWorkspacePackages(projectRootAbs) {
+  const rootAbs = normalizeFsPath(projectRootAbs);
+  const cached = workspacesByRoot.get(rootAbs);
+  if (cached) return cached;
+
+  const patterns = readWorkspacePatterns(rootAbs);
+  const packages = patterns.length ? collectWorkspacePackages(rootAbs, patterns) : [];
+
+  workspacesByRoot.set(rootAbs, packages);
+  return packages;
+}
+
+/**
+ * Find a workspace package by its `package.json` name.
+ *
+ * @param {string} projectRootAbs
+ * @param {string} name
+ * @returns {{name: string, dirAbs: string, dirId: string, json: Record<string, any>} | null}
+ */
+export function findWorkspacePackage(projectRootAbs, name) {
+  return discoverWorkspacePackages(projectRootAbs).find((pkg) => pkg.name === name) || null;
+}
+
+/**
+ * Resolve the owning workspace package for a project-relative graph id.
+ *
+ * Nested packages win over their parents (longest directory prefix).
+ *
+ * @param {Array<{name: string, dirId: string}>} packages
+ * @param {string} relId
+ *   Project-relative POSIX id of a file or directory.
+ * @returns {string}
+ *   Package name, or an empty string when the id is outside all packages.
+ */
+export function owningWorkspacePackage(packages, relId) {
+  const id = String(relId || "");
+  let best = null;
+
+  for (const pkg of packages || []) {
+    const inside = id === pkg.dirId || id.startsWith(pkg.dirId + "/");
+    if (!inside) continue;
+    if (best && pkg.dirId.length <= best.dirId.length) continue;
+    best = pkg;
+  }
+
+  return best ? best.name : "";
+}
+
+/* ========================================================================== */
+/* WORKSPACE DECLARATIONS                                                     */
+/* ========================================================================== */
+
+/**
+ * Read workspace globs from `package.json` and `pnpm-workspace.yaml`.
+ */
+function readWorkspacePatterns(rootAbs) {
+  const pkg = readJsonFileSafe(path.join(rootAbs, "package.json"));
+  const fromPackageJson = Array.isArray(pkg?.workspaces)
+    ? pkg.workspaces
+    : (Array.isArray(pkg?.workspaces?.packages) ? pkg.workspaces.packages : []);
+
+  const fromPnpm = readPnpmWorkspacePatterns(path.join(rootAbs, "pnpm-workspace.yaml"));
+
+  return [...fromPackageJson, ...fromPnpm]
+    .filter((p) => typeof p === "string" && p.trim())
+    .map((p) => p.trim().replace(/^\.\//, "").replace(/\/+$/, ""));
+}
+
+/**
+ * Minimal `pnpm-workspace.yaml` reader for the `packages:` list.
+ *
+ * The file format is tiny in practice, so a line-based reader avoids adding a
+ * YAML dependency just for this list.
+ */
+function readPnpmWorkspacePatterns(fileAbs) {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(fileAbs, "utf8");
+  } catch {
+    return [];
+  }
+
+  const out = [];
+  let inPackages = false;
+
+  for (const line of raw.split(/\r\n|\r|\n/)) {
+    const text = line.replace(/\s+#.*$/, "");
+    if (!text.trim()) continue;
+
+    if (/^\S/.test(text)) {
+      inPackages = /^packages\s*:/.test(text);
+      continue;
+    }
+
+    const item = inPackages ? text.match(/^\s*-\s*(.+?)\s*$/) : null;
+    if (item) out.push(item[1].replace(/^["']|["']$/g, ""));
+  }
+
+  return out;
+}
+
+/* ========================================================================== */
+/* GLOB EXPANSION                                                             */
+/* ========================================================================== */
+
+/**
+ * Expand workspace globs to package directories with a named `package.json`.
+ */
+function collectWorkspacePackages(rootAbs, patterns) {
+  const include = patterns.filter((p) => !p.startsWith("!")).map(globToRegExp);
+  const exclude = patterns.filter((p) => p.startsWith("!")).map((p) => globToRegExp(p.slice(1)));
+
+  const packages = [];
+
+  walkTree(rootAbs, MAX_WORKSPACE_SCAN_DEPTH, (dirAbs, ent) => {
+    if (!ent.isDirectory()) return;
+
+    const relId = toRelPosix(rootAbs, dirAbs);
+    if (!include.some((re) => re.test(relId))) return;
+    if (exclude.some((re) => re.test(relId))) return;
+
+    const json = readJsonFileSafe(path.join(dirAbs, "package.json"));
+    const name = typeof json?.name === "string" ? json.name.trim() : "";
+    if (!name) return;
+
+    packages.push({ name, dirAbs, dirId: relId, json });
+  });
+
+  return packages.sort((a, b) => a.dirId.localeCompare(b.dirId));
+}
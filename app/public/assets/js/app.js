@@ -77,6 +77,8 @@ let selectedNode = null;
 let graphController = null;
 let graphMriController = null;
 let graphTimeController = null;
+let graphDuplicationController = null;
+let graphApiSurfaceController = null;
 let activeGraphAppId = "";
 let appInfoLoadToken = 0;
 let freezeInFlight = false;
@@ -1003,6 +1005,60 @@ function renderCommitsTable(commits, gitAvailable) {
   `;
 }
 
+function renderImportedByCell(importedBy) {
+  const files = Array.isArray(importedBy) ? importedBy : [];
+  if (!files.length) return `<span class="text-secondary">—</span>`;
+  return files.map((file) => buildPathHtml(file)).join("<br>");
+}
+
+function renderDependenciesTable(dependencies) {
+  if (!dependencies?.available) {
+    return `<div class="text-secondary small">No package.json dependencies detected.</div>`;
+  }
+
+  const packages = Array.isArray(dependencies.packages) ? dependencies.packages : [];
+  const builtins = Array.isArray(dependencies.builtins) ? dependencies.builtins : [];
+
+  const rows = [
+    ...packages.map((dep) => `
+      <tr>
+        <td>${esc(toDisplayText(dep?.name))}</td>
+        <td>${esc(toDisplayText(dep?.section))}</td>
+        <td>${esc(toDisplayText(dep?.declaredRange))}</td>
+        <td>${esc(toDisplayText(dep?.resolvedVersion))}</td>
+        <td>${renderImportedByCell(dep?.importedBy)}</td>
+      </tr>
+    `),
+    ...builtins.map((dep) => `
+      <tr>
+        <td>${esc(`node:${toDisplayText(dep?.name)}`)}</td>
+        <td>builtin</td>
+        <td>${esc(toDisplayText(dep?.declaredRange))}</td>
+        <td>—</td>
+        <td>${renderImportedByCell(dep?.importedBy)}</td>
+      </tr>
+    `)
+  ].join("");
+
+  return `
+    <div class="small text-secondary mb-2">Lockfile: ${esc(toDisplayText(dependencies.lockfile))}</div>
+    <div class="table-responsive">
+      <table class="table table-sm appInfoTable appInfoDependenciesTable">
+        <thead>
+          <tr>
+            <th scope="col">Package</th>
+            <th scope="col">Section</th>
+            <th scope="col">Declared</th>
+            <th scope="col">Resolved</th>
+            <th scope="col">Imported by</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
 function gitHistoryChartTimeDomain(points) {
   const first = points[0]?.date;
   const last = points[points.length - 1]?.date;
@@ -1316,7 +1372,13 @@ function renderAppInfoPanel(data) {
     }
   ];
 
-  renderAppInfoSectionInto(APP_INFO_PANEL_IDS.overview, sections[0], app);
+  renderAppInfoSectionsInto(APP_INFO_PANEL_IDS.overview, [
+    sections[0],
+    {
+      title: "Dependencies",
+      contentHtml: renderDependenciesTable(data.dependencies)
+    }
+  ], app);
   renderAppInfoSectionsInto(APP_INFO_PANEL_IDS.git, [
     sections[1],
     {
@@ -2390,10 +2452,14 @@ function resetGraphViews() {
   try { graphController?.destroy?.(); } catch { }
   try { graphMriController?.destroy?.(); } catch { }
   try { graphTimeController?.destroy?.(); } catch { }
+  try { graphDuplicationController?.destroy?.(); } catch { }
+  try { graphApiSurfaceController?.destroy?.(); } catch { }
 
   graphController = null;
   graphMriController = null;
   graphTimeController = null;
+  graphDuplicationController = null;
+  graphApiSurfaceController = null;
   activeGraphAppId = "";
   selectedNode = null;
   clearPanels();
@@ -2428,9 +2494,13 @@ function renderGraph(metrics) {
 function resetSupplementaryGraphViews() {
   try { graphMriController?.destroy?.(); } catch { }
   try { graphTimeController?.destroy?.(); } catch { }
+  try { graphDuplicationController?.destroy?.(); } catch { }
+  try { graphApiSurfaceController?.destroy?.(); } catch { }
 
   graphMriController = null;
   graphTimeController = null;
+  graphDuplicationController = null;
+  graphApiSurfaceController = null;
   clearSvgContent("graphMriView");
   clearSvgContent("graphTimeView");
   syncGraphZoomUi();
@@ -2514,9 +2584,33 @@ async function renderMriViewChart(metrics) {
   syncGraphZoomUi();
 }
 
+async function renderDuplicationReport(metrics) {
+  graphDuplicationController = await renderOptionalChart({
+    elementId: "graphDuplicationPanel",
+    modulePath: "./graph_duplicationView.js",
+    preferredName: "initGraphDuplicationView",
+    fallbackName: "renderGraphDuplicationView",
+    warningLabel: "Duplication report",
+    metrics,
+  });
+}
+
+async function renderApiSurfaceReport(metrics) {
+  graphApiSurfaceController = await renderOptionalChart({
+    elementId: "graphApiSurfacePanel",
+    modulePath: "./graph_apiSurfaceView.js",
+    preferredName: "initGraphApiSurfaceView",
+    fallbackName: "renderGraphApiSurfaceView",
+    warningLabel: "API surface",
+    metrics,
+  });
+}
+
 async function renderSupplementaryCharts(metrics) {
   await renderTimeViewChart(metrics);
   await renderMriViewChart(metrics);
+  await renderDuplicationReport(metrics);
+  await renderApiSurfaceReport(metrics);
 }
 
 function pickNodes(metrics) {
@@ -2598,7 +2692,10 @@ function syncAnalyzeArtifactUi(data) {
 }
 
 function statusDone(data) {
-  setStatus(`Done. Nodes: ${data.summary?.nodes ?? "?"}, Links: ${data.summary?.links ?? "?"}`);
+  setStatus(
+    `Done. Nodes: ${data.summary?.nodes ?? "?"}, Links: ${data.summary?.links ?? "?"}, ` +
+    `Unreachable files: ${data.summary?.unreachableFiles ?? "?"}, Cycles: ${data.summary?.cycles ?? "?"}`
+  );
   syncAnalyzeArtifactUi(data);
   renderAllProjectsOverview().catch((e) => console.warn("Portfolio refresh failed:", e));
 }
@@ -308,7 +308,7 @@ const CodeGraphData = {};
     // simple extension-based asset inference
     const m = p.split("?")[0].match(/\.[a-zA-Z0-9]+$/);
     const ext = (m ? m[0] : "").toLowerCase();
-    if (ext && ![".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx"].includes(ext)) return "asset";
+    if (ext && ![".js", ".mjs", ".cjs", ".ts", ".tsx", ".jsx", ".vue", ".svelte"].includes(ext)) return "asset";
 
     return "file";
   };
@@ -463,12 +463,15 @@ const CodeGraphData = {};
 
   /**
    * Assign cluster IDs based on node types.
+   *
+   * In monorepos the backend tags nodes with their owning workspace package;
+   * that package boundary then wins over the file type so hulls group by package.
    * @param {Array} nodes - The array of node objects.
    * @returns {void}
    */
   CodeGraphData.assignTypeClusters = function assignTypeClusters(nodes) {
     nodes.forEach((n) => {
-      n.clusterId = n.type || "file";
+      n.clusterId = n.workspacePackage || n.type || "file";
     });
   };
 
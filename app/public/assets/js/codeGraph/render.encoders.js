@@ -20,7 +20,10 @@ const GRAPH_ENCODING = {
       code: "var(--cg-node-fill-code, #adb5bd)",
       doc: "var(--cg-node-fill-doc, #2ec4b6)",
       data: "var(--cg-node-fill-data, #ff9933)",
-      image: "var(--cg-node-fill-image, #9d4edd)"
+      image: "var(--cg-node-fill-image, #9d4edd)",
+      external: "var(--cg-node-fill-external, #8d6e63)",
+      route: "var(--cg-node-fill-route, #e09f3e)",
+      event: "var(--cg-node-fill-event, #577590)"
     },
     nodeKindColors: {
       controller: "var(--cg-node-kind-controller, #ff6b6b)",
@@ -72,8 +75,16 @@ const GRAPH_ENCODING = {
     changedColor: "var(--cg-edge-changed, rgba(255,59,48,0.85))",
     callColor: "var(--cg-edge-call, rgba(99,102,241,0.30))",
     useColor: "var(--cg-edge-use, rgba(168,85,247,0.30))",
+    typeUseColor: "var(--cg-edge-type-use, rgba(154,165,177,0.34))",
+    dynamicUseColor: "var(--cg-edge-dynamic-use, rgba(0,180,216,0.34))",
     includeColor: "var(--cg-edge-include, rgba(245,158,11,0.34))",
     extendsColor: "var(--cg-edge-extends, rgba(6,214,160,0.34))",
+    documentsColor: "var(--cg-edge-documents, rgba(46,196,182,0.28))",
+    cloneColor: "var(--cg-edge-clone, rgba(239,71,111,0.4))",
+    handlesColor: "var(--cg-edge-handles, rgba(224,159,62,0.45))",
+    httpColor: "var(--cg-edge-http, rgba(247,127,0,0.5))",
+    publishesColor: "var(--cg-edge-publishes, rgba(144,190,109,0.5))",
+    subscribesColor: "var(--cg-edge-subscribes, rgba(67,170,139,0.5))",
     resourceColors: {
       doc: "var(--cg-edge-resource-doc, rgba(46,196,182,0.16))",
       data: "var(--cg-edge-resource-data, rgba(255,153,51,0.16))",
@@ -654,10 +665,26 @@ export function computeEdgeColor(edge, nodeById = null) {
       return resolveCssColor(GRAPH_ENCODING.edge.callColor);
     case "use":
       return resolveCssColor(GRAPH_ENCODING.edge.useColor);
+    case "type-use":
+      return resolveCssColor(GRAPH_ENCODING.edge.typeUseColor);
+    case "dynamic-use":
+      return resolveCssColor(GRAPH_ENCODING.edge.dynamicUseColor);
     case "include":
       return resolveCssColor(GRAPH_ENCODING.edge.includeColor);
     case "extends":
       return resolveCssColor(GRAPH_ENCODING.edge.extendsColor);
+    case "documents":
+      return resolveCssColor(GRAPH_ENCODING.edge.documentsColor);
+    case "clone":
+      return resolveCssColor(GRAPH_ENCODING.edge.cloneColor);
+    case "handles":
+      return resolveCssColor(GRAPH_ENCODING.edge.handlesColor);
+    case "http":
+      return resolveCssColor(GRAPH_ENCODING.edge.httpColor);
+    case "publishes":
+      return resolveCssColor(GRAPH_ENCODING.edge.publishesColor);
+    case "subscribes":
+      return resolveCssColor(GRAPH_ENCODING.edge.subscribesColor);
     default:
       return resolveCssColor(GRAPH_ENCODING.edge.defaultColor);
   }
@@ -34,15 +34,31 @@ const CODE_STRUCTURE_CONFIG = {
     linkDistanceMul: {
       include: 0.8,
       use: 2.6,
+      "type-use": 2.6,
+      "dynamic-use": 2.6,
       extends: 2.6,
       call: 3.4,
+      documents: 3.0,
+      clone: 3.0,
+      handles: 1.8,
+      http: 3.2,
+      publishes: 2.4,
+      subscribes: 2.4,
       default: 2.2,
     },
     linkStrength: {
       include: 0.08,
       use: 0.22,
+      "type-use": 0.1,
+      "dynamic-use": 0.16,
       extends: 0.22,
       call: 0.16,
+      documents: 0.06,
+      clone: 0.04,
+      handles: 0.3,
+      http: 0.08,
+      publishes: 0.12,
+      subscribes: 0.12,
       default: 0.18,
     }
   }
@@ -126,7 +142,7 @@ function computeAverageRadius(nodes, getRadius) {
 
 /** Count link types used by the layout heuristics. */
 function countLinkTypes(links) {
-  const out = { include: 0, use: 0, call: 0, extends: 0, default: 0 };
+  const out = { include: 0, use: 0, "type-use": 0, "dynamic-use": 0, call: 0, extends: 0, documents: 0, clone: 0, handles: 0, http: 0, publishes: 0, subscribes: 0, default: 0 };
   const arr = Array.isArray(links) ? links : [];
 
   for (const link of arr) {
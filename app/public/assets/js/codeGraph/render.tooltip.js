@@ -29,16 +29,190 @@ export function buildTooltipHtml(d, opts = {}) {
   const display = getTooltipDisplayLabel(d, esc);
   const typeLabel = getTooltipTypeLabel(d, esc);
   const fnDiagHtml = isFunctionNode(d) ? buildFunctionDiagHtml(d, opts) : "";
+  const classHtml = buildClassHeritageHtml(d, esc);
+  const docHtml = buildDocDriftHtml(d, esc);
+  const memberCallHtml = buildMemberCallHtml(d, esc);
+  const deadExportHtml = buildDeadExportHtml(d, esc);
+  const violationHtml = buildViolationHtml(d, esc);
+  const eventHtml = buildEventHtml(d, esc);
+  const entryHtml = buildEntryHtml(d, esc);
+  const cycleHtml = buildCycleHtml(d, esc);
+  const cognitiveHtml = buildCognitiveHtml(d, esc);
+  const halsteadHtml = buildHalsteadHtml(d, esc);
 
   return (
     `<strong>${display}</strong>` +
     `<br><small>Type: ${typeLabel}</small>` +
     `<br><small>Lines: ${esc(lines)}</small>` +
     `<br><small>Complexity: ${esc(complexity)}</small>` +
+    cognitiveHtml +
+    halsteadHtml +
+    classHtml +
+    docHtml +
+    memberCallHtml +
+    deadExportHtml +
+    violationHtml +
+    eventHtml +
+    entryHtml +
+    cycleHtml +
     fnDiagHtml
   );
 }
 
+/**
+ * Build the cognitive complexity line for code nodes (files, functions, classes).
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildCognitiveHtml(d, esc) {
+  const kind = String(d?.kind || "");
+  if (kind !== "file" && kind !== "function" && kind !== "class") return "";
+
+  const cognitive = Number(d?.cognitiveComplexity);
+  return Number.isFinite(cognitive) ? `<br><small>Cognitive complexity: ${esc(cognitive)}</small>` : "";
+}
+
+/**
+ * Build the Halstead / maintainability lines for measured code nodes.
+ *
+ * Nodes without tokens (empty files, stubs) have a volume of 0 and get no lines.
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildHalsteadHtml(d, esc) {
+  const volume = Number(d?.halsteadVolume) || 0;
+  if (volume <= 0) return "";
+
+  const difficulty = Number(d?.halsteadDifficulty) || 0;
+  const effort = Number(d?.halsteadEffort) || 0;
+  const mi = Number(d?.maintainabilityIndex) || 0;
+
+  return (
+    `<br><small>Halstead: V ${esc(Math.round(volume))} · D ${esc(difficulty.toFixed(1))} · E ${esc(Math.round(effort))}</small>` +
+    `<br><small>Maintainability index: ${esc(mi.toFixed(0))}</small>`
+  );
+}
+
+/**
+ * Build the superclass / interfaces lines for class nodes (base interfaces
+ * for interface nodes).
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildClassHeritageHtml(d, esc) {
+  if (d?.kind === "interface") {
+    const bases = Array.isArray(d?.extends) ? d.extends.filter(Boolean) : [];
+    return bases.length ? `<br><small>Extends: ${esc(bases.join(", "))}</small>` : "";
+  }
+  if (d?.kind !== "class") return "";
+
+  const superClass = String(d?.superClass || "").trim();
+  const interfaces = Array.isArray(d?.implements) ? d.implements.filter(Boolean) : [];
+  const methods = Array.isArray(d?.children) ? d.children.length : 0;
+
+  return (
+    (superClass ? `<br><small>Extends: ${esc(superClass)}</small>` : "") +
+    (interfaces.length ? `<br><small>Implements: ${esc(interfaces.join(", "))}</small>` : "") +
+    `<br><small>Methods: ${esc(methods)}</small>`
+  );
+}
+
+/**
+ * Build the doc drift lines for Markdown nodes (broken / stale references).
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildDocDriftHtml(d, esc) {
+  const broken = Number(d?._brokenDocRefs) || 0;
+
+  return (
+    (broken > 0 ? `<br><small>Broken references: ${esc(broken)}</small>` : "") +
+    (d?._staleDoc === true ? `<br><small>Stale: code changed ${esc(d._docLagDays)} days later</small>` : "")
+  );
+}
+
+/**
+ * Build the ambiguous member call line for file nodes (`obj.method()` calls
+ * whose receiver could not be bound statically).
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildMemberCallHtml(d, esc) {
+  const unresolved = Number(d?.unresolvedMemberCalls) || 0;
+  return unresolved > 0 ? `<br><small>Unresolved member calls: ${esc(unresolved)}</small>` : "";
+}
+
+/**
+ * Build the dead export line for file nodes (exports no analyzed module imports).
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildDeadExportHtml(d, esc) {
+  const dead = Array.isArray(d?.deadExports) ? d.deadExports : [];
+  return dead.length ? `<br><small>Dead exports: ${esc(dead.join(", "))}</small>` : "";
+}
+
+/**
+ * Build the architecture violation line (file nodes with broken rules).
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildViolationHtml(d, esc) {
+  const count = Number(d?.archViolations) || 0;
+  return count > 0 ? `<br><small>Architecture violations: ${esc(count)}</small>` : "";
+}
+
+/**
+ * Build the event channel line (events nobody handles or nobody emits).
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildEventHtml(d, esc) {
+  if (d?._unhandled === true) return `<br><small>${esc("Emitted but never handled")}</small>`;
+  if (d?._unemitted === true) return `<br><small>${esc("Handled but never emitted")}</small>`;
+  return "";
+}
+
+/**
+ * Build the entry line (labels of the entrypoints that reach the node).
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildEntryHtml(d, esc) {
+  const entries = Array.isArray(d?._entries) ? d._entries : [];
+  return entries.length ? `<br><small>Entries: ${esc(entries.join(", "))}</small>` : "";
+}
+
+/**
+ * Build the cycle line (ids of the import / call cycles the node belongs to).
+ *
+ * @param {any} d
+ * @param {(value:any) => string} esc
+ * @returns {string}
+ */
+function buildCycleHtml(d, esc) {
+  const cycles = Array.isArray(d?._cycles) ? d._cycles : [];
+  return cycles.length ? `<br><small>Cycles: ${esc(cycles.join(", "))}</small>` : "";
+}
+
 /**
  * Resolve the HTML escaper used by tooltip rendering.
  *
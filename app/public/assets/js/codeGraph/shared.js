@@ -25,9 +25,14 @@ export function normalizeLinkType(link, fallback = "use") {
 
   if (!rawType) return fallback;
   if (rawType.includes("include")) return "include";
+  if (rawType.includes("dynamic")) return "dynamic-use";
+  if (rawType.includes("document")) return "documents";
+  if (rawType.includes("clone")) return "clone";
   if (rawType.includes("call")) return "call";
   if (rawType.includes("extend")) return "extends";
   if (rawType.includes("inherit")) return "extends";
+  if (rawType.includes("implement")) return "extends";
+  if (rawType.includes("type")) return "type-use";
   if (rawType.includes("import")) return "use";
   if (rawType.includes("use")) return "use";
   return rawType;
@@ -40,3 +45,43 @@ export function clamp01(value) {
   if (n >= 1) return 1;
   return n;
 }
+
+// "Color by entry" palette; nodes reached by several entries share one color.
+const ENTRY_COLORS = ["#E76F51", "#2A9D8F", "#3A86FF", "#FFB703", "#8338EC", "#FB5607"];
+export const SHARED_ENTRY_COLOR = "#343A40";
+
+export function collectEntryLabels(nodes) {
+  const labels = new Set();
+  for (const node of nodes || []) {
+    for (const label of Array.isArray(node?._entries) ? node._entries : []) labels.add(String(label));
+  }
+  return [...labels].sort((a, b) => a.localeCompare(b));
+}
+
+export function entryColor(label, labels) {
+  const index = (labels || []).indexOf(String(label));
+  return index < 0 ? SHARED_ENTRY_COLOR : ENTRY_COLORS[index % ENTRY_COLORS.length];
+}
+
+export function nodeEntryColor(node, labels) {
+  const entries = Array.isArray(node?._entries) ? node._entries : [];
+  if (!entries.length) return "";
+  return entries.length === 1 ? entryColor(entries[0], labels) : SHARED_ENTRY_COLOR;
+}
+
+// Cycles in backend order (`use` before `call`, then by number) with their member counts.
+export function collectCycles(nodes) {
+  const sizes = new Map();
+  for (const node of nodes || []) {
+    for (const id of Array.isArray(node?._cycles) ? node._cycles : []) sizes.set(String(id), (sizes.get(String(id)) || 0) + 1);
+  }
+
+  return [...sizes].map(([id, size]) => {
+    const match = /^(.+)-cycle-(\d+)$/.exec(id);
+    return { id, type: match ? match[1] : "", index: match ? Number(match[2]) : 0, size };
+  }).sort((a, b) => cycleTypeRank(a.type) - cycleTypeRank(b.type) || a.index - b.index);
+}
+
+function cycleTypeRank(type) {
+  return type === "use" ? 0 : 1;
+}
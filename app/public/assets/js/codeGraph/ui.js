@@ -22,7 +22,7 @@
 
 
 
-import { escapeHtml, normalizeLinkType } from "./shared.js";
+import { collectCycles, collectEntryLabels, escapeHtml, nodeEntryColor, normalizeLinkType } from "./shared.js";
 import { buildLegendFilterPanel as buildLegendFilterPanelModule } from "./ui.panel.js";
 
 // ---------------------------------------------------------------------------
@@ -43,6 +43,8 @@ export function buildLegendFilterPanel(svgId, nodes, links, opts = {}) {
     dispatchFiltersChanged,
     updateGroupFilter,
     updateLinkFilter,
+    updateEntryFilter,
+    updateCycleFilter,
     updateOptionFilter,
     escapeHtml,
   });
@@ -78,6 +80,10 @@ export const stateBySvgId = new Map();
  *   Visibility flags for link/edge relationship types.
  *   Used to filter edges during graph rendering.
  *
+ * @returns {Object.<string, boolean>} returns.visibleEntries
+ *   Visibility flags per entry label (multi-entry analyses).
+ *   Nodes hide once every entry reaching them is `false`.
+ *
  * @returns {boolean} returns.showFilesDirs
  *   Toggle visibility of file and directory nodes.
  *
@@ -90,6 +96,21 @@ export const stateBySvgId = new Map();
  * @returns {boolean} returns.unusedOnly
  *   If enabled, the graph will display only unused nodes.
  *
+ * @returns {boolean} returns.deadExportsOnly
+ *   If enabled, only files with dead exports (and their symbols) stay visible.
+ *
+ * @returns {boolean} returns.dimUnreachable
+ *   If enabled, files the entry never reaches (and their symbols) are faded.
+ *
+ * @returns {boolean} returns.hideUnreachable
+ *   If enabled, files the entry never reaches (and their symbols) are hidden.
+ *
+ * @returns {boolean} returns.colorByEntry
+ *   If enabled, nodes get a ring in the color of the entry reaching them.
+ *
+ * @returns {string} returns.selectedCycle
+ *   Id of the highlighted `meta.cycles` entry; empty for none.
+ *
  * @returns {boolean} returns.showVisitorHandlers
  *   Toggle visibility of visitor handler nodes.
  *
@@ -109,23 +130,43 @@ function defaultState() {
       doc: true,    // documentation files
       data: true,   // data/config files
       image: true,  // image/media assets
+      external: true, // npm packages and node: builtins (opt-in analysis)
+      route: true,    // HTTP endpoints (Express / Koa / Fastify registrations)
+      event: true,    // named event channels (EventEmitter / CustomEvent / SSE)
     },
 
     // Visibility configuration for edge/link types
     visibleLinkTypes: {
       include: true, // include/import relationship
       use: true,     // usage relationship
+      "type-use": true, // type-only import relationship
+      "dynamic-use": true, // lazy import()/glob relationship
       call: true,    // function call relationship
       extends: true, // inheritance/extension relationship
+      documents: true, // Markdown doc mentions a file/dir
+      clone: true,   // duplicated code (original -> copy)
+      handles: true, // function handles an HTTP route
+      http: true,    // browser request reaches a route handler
+      publishes: true, // function emits a named event
+      subscribes: true, // function listens to a named event
     },
 
+    // Visibility per entry label; missing labels are visible
+    visibleEntries: {},
+
     // General visibility options
     showFilesDirs: true,       // show file and directory nodes
     showFunctions: true,       // show function nodes
     showUnused: false,         // highlight/include unused nodes
     unusedOnly: false,         // show only unused nodes
+    deadExportsOnly: false,    // show only files with dead exports
+    dimUnreachable: false,     // fade files not reached from the entry
+    hideUnreachable: false,    // hide files not reached from the entry
+    colorByEntry: false,       // ring nodes in the color of their entry
+    selectedCycle: "",         // highlighted cycle id ("" = none)
     showVisitorHandlers: true, // show AST visitor handler nodes
     hideIsolates: false,       // hide nodes without edges
+    hideTypeCoupling: false,   // hide type-only imports and type declaration nodes
   };
 }
 
@@ -162,10 +203,36 @@ function isFunctionNode(n) {
   return String(n?.kind || n?.type || "") === "function";
 }
 
+// Symbol-level nodes (functions, classes, TS declarations) share the "Show functions" toggle.
+function isSymbolNode(n) {
+  const kind = String(n?.kind || "");
+  return isFunctionNode(n) || kind === "class" || kind === "interface" || kind === "type" || kind === "enum";
+}
+
+// Interfaces and type aliases vanish at runtime (enums compile to objects).
+function isTypeOnlyNode(n) {
+  const kind = String(n?.kind || "");
+  return kind === "interface" || kind === "type";
+}
+
 function isUnusedFunctionNode(n) {
   return Boolean(n?._unused === true);
 }
 
+function hasDeadExports(n) {
+  return Array.isArray(n?.deadExports) && n.deadExports.length > 0;
+}
+
+function isUnreachableFileNode(n) {
+  return String(n?.kind || "") === "file" && n?._reachable === false;
+}
+
+// Root and directory nodes keep the structure readable when files are filtered.
+function isStructuralNode(n) {
+  const kind = String(n?.kind || "");
+  return kind === "root" || kind === "dir";
+}
+
 function hasVisitorHandlerRole(n) {
   return n?._role === "visitor-handler";
 }
@@ -276,6 +343,23 @@ export function updateLinkFilter(st, key, checked) {
   st.visibleLinkTypes = { ...(st.visibleLinkTypes || {}), [type]: checked };
 }
 
+/**
+ * Mutate one entry visibility flag.
+ */
+export function updateEntryFilter(st, key, checked) {
+  const label = key.slice("entry:".length);
+  st.visibleEntries = { ...(st.visibleEntries || {}), [label]: checked };
+}
+
+/**
+ * Select or clear the highlighted cycle (at most one cycle is selected).
+ */
+export function updateCycleFilter(st, key, checked) {
+  const cycleId = key.slice("cycle:".length);
+  if (checked) st.selectedCycle = cycleId;
+  else if (st.selectedCycle === cycleId) st.selectedCycle = "";
+}
+
 function optionNameFromKey(key) {
   return String(key || "").slice("opt:".length);
 }
@@ -390,9 +474,9 @@ export function attachLegendFilterWiring(svgId, nodes, links, sels) {
   }
 
   function isHiddenByKindFilters(n, st) {
-    const isFn = isFunctionNode(n);
-    if (st.showFunctions === false && isFn) return true;
-    if (st.showFilesDirs === false && !isFn) return true;
+    const isSymbol = isSymbolNode(n);
+    if (st.showFunctions === false && isSymbol) return true;
+    if (st.showFilesDirs === false && !isSymbol) return true;
     return false;
   }
 
@@ -407,33 +491,76 @@ export function attachLegendFilterWiring(svgId, nodes, links, sels) {
     return false;
   }
 
+  function isHiddenByDeadExportFilter(n, st, deadExportFiles) {
+    if (st.deadExportsOnly !== true) return false;
+    if (isStructuralNode(n)) return false;
+    return !deadExportFiles.has(String(n?.file || n?.id || ""));
+  }
+
+  function isHiddenByReachabilityFilter(n, st, unreachableFiles) {
+    return st.hideUnreachable === true && unreachableFiles.has(String(n?.file || n?.id || ""));
+  }
+
+  // Nodes without `_entries` (structure, unreachable files) ignore entry filters.
+  function isHiddenByEntryFilter(n, st) {
+    const labels = Array.isArray(n?._entries) ? n._entries : [];
+    if (!labels.length) return false;
+    const visible = st.visibleEntries || {};
+    return labels.every((label) => visible[label] === false);
+  }
+
   function isHiddenByVisitorHandlerFilter(n, st) {
     if (st.showVisitorHandlers !== false) return false;
     if (!isFunctionNode(n)) return false;
     return isVisitorHandlerNode(n);
   }
 
+  function isHiddenByTypeCouplingFilter(n, st) {
+    return st.hideTypeCoupling === true && isTypeOnlyNode(n);
+  }
+
   function isHiddenByIsolateFilter(n, st, deg) {
     if (st.hideIsolates !== true) return false;
     return isIsolateNode(n, deg);
   }
 
-  function shouldHideNode(n, st, effShowUnused, deg) {
+  function shouldHideNode(n, st, effShowUnused, deg, deadExportFiles, unreachableFiles) {
     if (isGroupHidden(n, st)) return true;
     if (isHiddenByKindFilters(n, st)) return true;
     if (isHiddenByUnusedFilters(n, st, effShowUnused)) return true;
+    if (isHiddenByDeadExportFilter(n, st, deadExportFiles)) return true;
+    if (isHiddenByReachabilityFilter(n, st, unreachableFiles)) return true;
+    if (isHiddenByEntryFilter(n, st)) return true;
     if (isHiddenByVisitorHandlerFilter(n, st)) return true;
+    if (isHiddenByTypeCouplingFilter(n, st)) return true;
     if (isHiddenByIsolateFilter(n, st, deg)) return true;
     return false;
   }
 
-  function collectHiddenNodeIds(nodes, st, effShowUnused, deg) {
+  function collectDeadExportFileIds(nodes) {
+    const ids = new Set();
+    for (const n of nodes || []) {
+      if (hasDeadExports(n)) ids.add(getNodeId(n));
+    }
+    return ids;
+  }
+
+  function collectUnreachableFileIds(nodes) {
+    const ids = new Set();
+    for (const n of nodes || []) {
+      if (isUnreachableFileNode(n)) ids.add(getNodeId(n));
+    }
+    return ids;
+  }
+
+  function collectHiddenNodeIds(nodes, st, effShowUnused, deg, unreachableFiles) {
     const hidden = new Set();
+    const deadExportFiles = collectDeadExportFileIds(nodes);
 
     for (const n of nodes || []) {
       const nid = getNodeId(n);
       if (!nid) continue;
-      if (!shouldHideNode(n, st, effShowUnused, deg)) continue;
+      if (!shouldHideNode(n, st, effShowUnused, deg, deadExportFiles, unreachableFiles)) continue;
       hidden.add(nid);
     }
 
@@ -474,9 +601,14 @@ export function attachLegendFilterWiring(svgId, nodes, links, sels) {
     return visible[ty] === false;
   }
 
+  function isHiddenByTypeCouplingLink(l, st) {
+    return st?.hideTypeCoupling === true && readLinkFilterType(l) === "type-use";
+  }
+
   function isHiddenLink(l, hidden, st) {
     if (isHiddenByHiddenEndpoint(l, hidden)) return true;
     if (isHiddenByLinkTypeFilter(l, st)) return true;
+    if (isHiddenByTypeCouplingLink(l, st)) return true;
     return false;
   }
 
@@ -486,6 +618,43 @@ export function attachLegendFilterWiring(svgId, nodes, links, sels) {
     labelSel.style("display", nodeDisplay);
   }
 
+  // Fading uses a class: repaint owns the inline opacity of bodies and labels.
+  function applyUnreachableDimming(nodeShapeSel, labelSel, st, unreachableFiles) {
+    const dim = st.dimUnreachable === true;
+    const isDimmed = (d) => dim && unreachableFiles.has(String(d?.file || d?.id || ""));
+
+    nodeShapeSel.classed("is-unreachable", isDimmed);
+    labelSel.classed("is-unreachable", isDimmed);
+  }
+
+  // The entry ring follows the current body radius (repaint may resize bodies).
+  function applyEntryColoring(nodeShapeSel, st, entryLabels) {
+    const ringSel = nodeShapeSel.select("circle.node-entry-ring");
+    if (ringSel.empty()) return;
+
+    const on = st.colorByEntry === true;
+    ringSel
+      .attr("r", function () {
+        const body = this.parentNode?.querySelector("circle.node-body");
+        return (Number(body?.getAttribute("r")) || 0) + 7;
+      })
+      .attr("stroke", (d) => (on && nodeEntryColor(d, entryLabels)) || "none");
+  }
+
+  // A selected cycle keeps its members and edges in front and fades the rest.
+  function applyCycleHighlight(nodeShapeSel, labelSel, linkSel, st, cycleIds) {
+    const selected = cycleIds.has(st.selectedCycle) ? st.selectedCycle : "";
+    const isMember = (d) => Array.isArray(d?._cycles) && d._cycles.includes(selected);
+    const isCycleEdge = (l) => Boolean(selected) && l?.cycle === selected;
+
+    nodeShapeSel.classed("is-cycle-faded", (d) => Boolean(selected) && !isMember(d));
+    labelSel.classed("is-cycle-faded", (d) => Boolean(selected) && !isMember(d));
+    linkSel
+      .classed("is-cycle-edge", isCycleEdge)
+      .classed("is-cycle-closing", (l) => isCycleEdge(l) && l.cycleClosing === true)
+      .classed("is-cycle-faded", (l) => Boolean(selected) && !isCycleEdge(l));
+  }
+
   function applyUnusedBadgeVisibility(unusedBadgeSel, hidden, effShowUnused) {
     if (!unusedBadgeSel) return;
 
@@ -520,10 +689,16 @@ export function attachLegendFilterWiring(svgId, nodes, links, sels) {
     const st = normalizeFilterState(state);
     const effShowUnused = shouldShowUnused(st);
     const deg = computeDegrees(nodes, links);
+    const unreachableFiles = collectUnreachableFileIds(nodes);
+    const entryLabels = collectEntryLabels(nodes);
+    const cycleIds = new Set(collectCycles(nodes).map((c) => c.id));
 
-    const hidden = collectHiddenNodeIds(nodes, st, effShowUnused, deg);
+    const hidden = collectHiddenNodeIds(nodes, st, effShowUnused, deg, unreachableFiles);
 
     applyNodeVisibility(nodeShapeSel, labelSel, hidden);
+    applyUnreachableDimming(nodeShapeSel, labelSel, st, unreachableFiles);
+    applyEntryColoring(nodeShapeSel, st, entryLabels);
+    applyCycleHighlight(nodeShapeSel, labelSel, linkSel, st, cycleIds);
     applyUnusedBadgeVisibility(unusedBadgeSel, hidden, effShowUnused);
     applyLinkVisibility(linkSel, hidden, st);
   };
@@ -1,4 +1,11 @@
-import { escapeHtml, normalizeLinkType } from "./shared.js";
+import {
+  collectCycles,
+  collectEntryLabels,
+  entryColor,
+  escapeHtml,
+  normalizeLinkType,
+  SHARED_ENTRY_COLOR,
+} from "./shared.js";
 
 /**
  * CodeGraph legend/filter panel.
@@ -20,6 +27,8 @@ export function buildLegendFilterPanel(svgId, nodes, links, opts = {}) {
   const dispatchFiltersChanged = opts.dispatchFiltersChanged;
   const updateGroupFilter = opts.updateGroupFilter;
   const updateLinkFilter = opts.updateLinkFilter;
+  const updateEntryFilter = opts.updateEntryFilter;
+  const updateCycleFilter = opts.updateCycleFilter;
   const updateOptionFilter = opts.updateOptionFilter;
   const stateBySvgId = opts.stateBySvgId;
   const escape = typeof opts.escapeHtml === "function"
@@ -43,6 +52,8 @@ export function buildLegendFilterPanel(svgId, nodes, links, opts = {}) {
     dispatchFiltersChanged,
     updateGroupFilter,
     updateLinkFilter,
+    updateEntryFilter,
+    updateCycleFilter,
     updateOptionFilter,
     stateBySvgId,
   });
@@ -76,6 +87,27 @@ function buildLegendPanelViewModel({ state, nodes, links, opts }) {
     },
   ];
 
+  // Single-entry analyses have nothing to tell apart.
+  const entryLabels = collectEntryLabels(nodes);
+  if (entryLabels.length > 1) {
+    sections.splice(2, 0, {
+      key: "entries",
+      title: "Entries",
+      subtitle: "Which entrypoints reach the visible nodes.",
+      items: buildEntryItems(state, nodes, entryLabels),
+    });
+  }
+
+  const cycles = collectCycles(nodes);
+  if (cycles.length) {
+    sections.splice(sections.length - 1, 0, {
+      key: "cycles",
+      title: "Cycles",
+      subtitle: "Circular imports and mutually recursive functions.",
+      items: buildCycleItems(state, cycles, linkColors),
+    });
+  }
+
   return {
     sections: sections.map((section) => ({
       ...section,
@@ -159,6 +191,36 @@ function buildNodeGroupItems(state, nodes, groupColors) {
       count: countNodesByGroup(nodes, "image"),
       checked: state.showNodeGroups.image !== false,
     }),
+    createLegendItem({
+      key: "external",
+      label: "External deps",
+      kind: "group",
+      title: "External dependency nodes",
+      description: "npm packages and Node builtins imported by the app (only present when externals are enabled).",
+      badgeColor: groupColors.external,
+      count: countNodesByGroup(nodes, "external"),
+      checked: state.showNodeGroups.external !== false,
+    }),
+    createLegendItem({
+      key: "route",
+      label: "API routes",
+      kind: "group",
+      title: "Route nodes",
+      description: "HTTP endpoints registered on Express, Koa or Fastify routers, with mount prefixes resolved.",
+      badgeColor: groupColors.route,
+      count: countNodesByGroup(nodes, "route"),
+      checked: state.showNodeGroups.route !== false,
+    }),
+    createLegendItem({
+      key: "event",
+      label: "Events",
+      kind: "group",
+      title: "Event channel nodes",
+      description: "Named events (EventEmitter, CustomEvent, SSE); dashed outlines mark events nobody handles or nobody emits.",
+      badgeColor: groupColors.event,
+      count: countNodesByGroup(nodes, "event"),
+      checked: state.showNodeGroups.event !== false,
+    }),
   ];
 }
 
@@ -184,6 +246,26 @@ function buildLinkTypeItems(state, links, linkColors) {
       count: countLinksByType(links, "use"),
       checked: state.visibleLinkTypes.use !== false,
     }),
+    createLegendItem({
+      key: "type-use",
+      label: "Type imports",
+      kind: "link",
+      title: "Type use relationship",
+      description: "A file imports only types from another file (import type); the coupling disappears at runtime.",
+      badgeColor: linkColors["type-use"],
+      count: countLinksByType(links, "type-use"),
+      checked: state.visibleLinkTypes["type-use"] !== false,
+    }),
+    createLegendItem({
+      key: "dynamic-use",
+      label: "Lazy imports",
+      kind: "link",
+      title: "Dynamic use relationship",
+      description: "A file loads another file lazily via import(), import.meta.glob or require.context.",
+      badgeColor: linkColors["dynamic-use"],
+      count: countLinksByType(links, "dynamic-use"),
+      checked: state.visibleLinkTypes["dynamic-use"] !== false,
+    }),
     createLegendItem({
       key: "call",
       label: "Function calls",
@@ -199,14 +281,119 @@ function buildLinkTypeItems(state, links, linkColors) {
       label: "Inheritance",
       kind: "link",
       title: "Extends relationship",
-      description: "A class or structure derives from another base type.",
+      description: "A class extends a base class or implements an interface.",
       badgeColor: linkColors.extends,
       count: countLinksByType(links, "extends"),
       checked: state.visibleLinkTypes.extends !== false,
     }),
+    createLegendItem({
+      key: "documents",
+      label: "Docs",
+      kind: "link",
+      title: "Documents relationship",
+      description: "A Markdown doc links to or mentions a file or directory.",
+      badgeColor: linkColors.documents,
+      count: countLinksByType(links, "documents"),
+      checked: state.visibleLinkTypes.documents !== false,
+    }),
+    createLegendItem({
+      key: "clone",
+      label: "Clones",
+      kind: "link",
+      title: "Clone relationship",
+      description: "Duplicated code: the edge points from the first occurrence of a token run to a copy of it.",
+      badgeColor: linkColors.clone,
+      count: countLinksByType(links, "clone"),
+      checked: state.visibleLinkTypes.clone !== false,
+    }),
+    createLegendItem({
+      key: "handles",
+      label: "Route handlers",
+      kind: "link",
+      title: "Handles relationship",
+      description: "A function handles an HTTP route; inline handlers count for their enclosing function or file.",
+      badgeColor: linkColors.handles,
+      count: countLinksByType(links, "handles"),
+      checked: state.visibleLinkTypes.handles !== false,
+    }),
+    createLegendItem({
+      key: "http",
+      label: "HTTP requests",
+      kind: "link",
+      title: "HTTP relationship",
+      description: "A browser fetch, XHR or EventSource request (also through fetch wrappers) reaches the handler of a matching route.",
+      badgeColor: linkColors.http,
+      count: countLinksByType(links, "http"),
+      checked: state.visibleLinkTypes.http !== false,
+    }),
+    createLegendItem({
+      key: "publishes",
+      label: "Publishes",
+      kind: "link",
+      title: "Publishes relationship",
+      description: "A function emits, dispatches or broadcasts a named event (also through emit wrappers).",
+      badgeColor: linkColors.publishes,
+      count: countLinksByType(links, "publishes"),
+      checked: state.visibleLinkTypes.publishes !== false,
+    }),
+    createLegendItem({
+      key: "subscribes",
+      label: "Subscribes",
+      kind: "link",
+      title: "Subscribes relationship",
+      description: "A function listens to a named event; inline listeners count for their enclosing function or file.",
+      badgeColor: linkColors.subscribes,
+      count: countLinksByType(links, "subscribes"),
+      checked: state.visibleLinkTypes.subscribes !== false,
+    }),
   ];
 }
 
+function buildEntryItems(state, nodes, entryLabels) {
+  const visible = state.visibleEntries || {};
+
+  return [
+    createLegendItem({
+      key: "colorByEntry",
+      label: "Color by entry",
+      kind: "opt",
+      title: "Color nodes by entry",
+      description: "Rings every reached node in the color of its entry; nodes reached by several entries share the dark ring.",
+      badgeColor: SHARED_ENTRY_COLOR,
+      checked: state.colorByEntry === true,
+    }),
+    ...entryLabels.map((label) =>
+      createLegendItem({
+        key: label,
+        label,
+        kind: "entry",
+        title: `Entry "${label}"`,
+        description: "Shows the nodes this entry reaches. Nodes reached by several entries stay visible while one of them is checked.",
+        badgeColor: entryColor(label, entryLabels),
+        count: countNodesByEntry(nodes, label),
+        checked: visible[label] !== false,
+      })
+    ),
+  ];
+}
+
+function buildCycleItems(state, cycles, linkColors) {
+  return cycles.map((cycle) =>
+    createLegendItem({
+      key: cycle.id,
+      label: `${cycle.type} cycle ${cycle.index}`,
+      kind: "cycle",
+      title: cycle.type === "use" ? "Import cycle" : "Call cycle",
+      description: cycle.type === "use"
+        ? "Files that import each other in a loop. Highlights its members and edges; the dashed edges close the loop."
+        : "Functions that call each other in a loop. Highlights its members and edges; the dashed edges close the loop.",
+      badgeColor: linkColors[cycle.type],
+      count: cycle.size,
+      checked: state.selectedCycle === cycle.id,
+    })
+  );
+}
+
 function buildOptionItems(state) {
   return [
     createLegendItem({
@@ -221,8 +408,8 @@ function buildOptionItems(state) {
       key: "showFunctions",
       label: "Show functions",
       kind: "opt",
-      title: "Show function nodes",
-      description: "Displays function-level nodes in addition to file-level structure.",
+      title: "Show function and class nodes",
+      description: "Displays function- and class-level nodes in addition to file-level structure.",
       checked: state.showFunctions !== false,
     }),
     createLegendItem({
@@ -249,6 +436,30 @@ function buildOptionItems(state) {
       description: "Reduces the graph to unused function candidates only.",
       checked: state.unusedOnly === true,
     }),
+    createLegendItem({
+      key: "deadExportsOnly",
+      label: "Dead exports only",
+      kind: "opt",
+      title: "Focus files with dead exports",
+      description: "Reduces the graph to files exporting names that no analyzed module imports, plus their functions and classes.",
+      checked: state.deadExportsOnly === true,
+    }),
+    createLegendItem({
+      key: "dimUnreachable",
+      label: "Dim unreachable",
+      kind: "opt",
+      title: "Fade unreachable files",
+      description: "Fades files no entry reaches over use, dynamic import or call edges, plus their functions and classes.",
+      checked: state.dimUnreachable === true,
+    }),
+    createLegendItem({
+      key: "hideUnreachable",
+      label: "Hide unreachable",
+      kind: "opt",
+      title: "Hide unreachable files",
+      description: "Hides files no entry reaches over use, dynamic import or call edges, plus their functions and classes.",
+      checked: state.hideUnreachable === true,
+    }),
     createLegendItem({
       key: "showVisitorHandlers",
       label: "Show visitor handlers",
@@ -265,6 +476,14 @@ function buildOptionItems(state) {
       description: "Hides nodes without visible incoming or outgoing links.",
       checked: state.hideIsolates === true,
     }),
+    createLegendItem({
+      key: "hideTypeCoupling",
+      label: "Runtime only",
+      kind: "opt",
+      title: "Hide type coupling",
+      description: "Hides type-only imports plus interface and type alias nodes to show the pure runtime architecture.",
+      checked: state.hideTypeCoupling === true,
+    }),
   ];
 }
 
@@ -385,6 +604,15 @@ function countNodesByGroup(list, group) {
   return count;
 }
 
+function countNodesByEntry(list, label) {
+  let count = 0;
+  for (const node of list || []) {
+    if (!Array.isArray(node?._entries) || !node._entries.includes(label)) continue;
+    count += 1;
+  }
+  return count;
+}
+
 function countLinksByType(list, type) {
   let count = 0;
   for (const link of list || []) {
@@ -423,6 +651,16 @@ function applyFilterUpdate(state, key, checked, deps) {
     return true;
   }
 
+  if (key.startsWith("entry:") && typeof deps.updateEntryFilter === "function") {
+    deps.updateEntryFilter(state, key, checked);
+    return true;
+  }
+
+  if (key.startsWith("cycle:") && typeof deps.updateCycleFilter === "function") {
+    deps.updateCycleFilter(state, key, checked);
+    return true;
+  }
+
   if (key.startsWith("opt:")) {
     deps.updateOptionFilter(state, key, checked);
     return true;
@@ -442,11 +680,22 @@ function handleLegendFilterChange(ev, id, deps) {
   const state = deps.getState(id);
 
   if (!applyFilterUpdate(state, key, checked, deps)) return;
+  if (key.startsWith("cycle:")) syncCycleCheckboxes(el, state);
 
   deps.stateBySvgId.set(id, state);
   deps.dispatchFiltersChanged(id);
 }
 
+// Only one cycle is highlighted at a time; the cycle checkboxes behave like radios.
+function syncCycleCheckboxes(el, state) {
+  const section = el.closest("[data-legend-section]");
+  if (!section) return;
+
+  for (const box of section.querySelectorAll("input.legendFilterCheckbox")) {
+    box.checked = readFilterKey(box) === `cycle:${state.selectedCycle}`;
+  }
+}
+
 function handleLegendFilterSearch(ev) {
   const el = ev?.target;
   if (!(el instanceof HTMLInputElement)) return;
@@ -68,15 +68,26 @@ const NODE_GROUP_COLORS = {
   code: "#adb5bd",   // neutral grey (tone varies by complexity)
   doc: "#2ec4b6",    // teal
   data: "#ff9933",   // orange
-  image: "#9d4edd"   // purple
+  image: "#9d4edd",  // purple
+  external: "#8d6e63", // brown
+  route: "#e09f3e",  // amber
+  event: "#577590"   // slate blue
 };
 
 // Semantic edge colors shared with the legend/filter panel.
 const LINK_TYPE_COLORS = {
   include: "#FF6B6B",
   use: "#4D96FF",
+  "type-use": "#9AA5B1",
+  "dynamic-use": "#00B4D8",
   extends: "#06D6A0",
   call: "#8338EC",
+  documents: "#2EC4B6",
+  clone: "#EF476F",
+  handles: "#E09F3E",
+  http: "#F77F00",
+  publishes: "#90BE6D",
+  subscribes: "#43AA8B",
   default: "#BBBBBB"
 };
 
@@ -419,6 +430,7 @@ export function initcodeStructureChart(svgId, metrics, opts = {}) {
       .enter()
       .append("line")
       .attr("class", (d) => `link ${normalizeLinkType(d, "use")}`)
+      .classed("is-violation", (d) => Array.isArray(d?.violatesRules) && d.violatesRules.length > 0)
       .attr("data-link-type", (d) => normalizeLinkType(d, "use"))
       .attr("stroke", (d) => getEdgeColor(d))
       .attr("stroke-width", (d) => getEdgeWidth(d))
@@ -426,14 +438,15 @@ export function initcodeStructureChart(svgId, metrics, opts = {}) {
   }
 
   /**
-   * Render node groups, bodies, function rings, and unused badges.
+   * Render node groups, bodies, function rings, entry rings, and unused badges.
    */
   function renderNodes(nodeShapeGroup, nodes, enc) {
     const nodeShapeSel = nodeShapeGroup.selectAll("g")
       .data(nodes)
       .enter()
       .append("g")
-      .attr("class", "node");
+      .attr("class", "node")
+      .classed("is-orphan-event", (d) => d?._unhandled === true || d?._unemitted === true);
 
     const nodeBodySel = nodeShapeSel.append("circle")
       .attr("class", "node-body")
@@ -454,6 +467,15 @@ export function initcodeStructureChart(svgId, metrics, opts = {}) {
       .attr("stroke-width", (d) => (isFunctionNode(d) ? getFunctionRingWidth(d) : 0))
       .attr("pointer-events", "none");
 
+    // Stroke is set by the "Color by entry" option (ui.js filter wiring).
+    nodeShapeSel.append("circle")
+      .attr("class", "node-entry-ring")
+      .attr("r", (d) => enc.getRadius(d) + 7)
+      .attr("fill", "none")
+      .attr("stroke", "none")
+      .attr("stroke-width", 2.5)
+      .attr("pointer-events", "none");
+
     const unusedBadgeSel = nodeShapeSel.append("text")
       .attr("class", "badge-unused")
       .attr("text-anchor", "middle")
@@ -750,6 +772,8 @@ export function initcodeStructureChart(svgId, metrics, opts = {}) {
       dispatchFiltersChanged: CodeGraphUI?.dispatchFiltersChanged,
       updateGroupFilter: CodeGraphUI?.updateGroupFilter,
       updateLinkFilter: CodeGraphUI?.updateLinkFilter,
+      updateEntryFilter: CodeGraphUI?.updateEntryFilter,
+      updateCycleFilter: CodeGraphUI?.updateCycleFilter,
       updateOptionFilter: CodeGraphUI?.updateOptionFilter,
     };
   }
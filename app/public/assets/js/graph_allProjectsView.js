@@ -521,6 +521,13 @@ function buildProjectMetricTileConfigs(app) {
       sparklineSvg: buildSparklineSvg(app.history, (run) => run?.ccDensity ?? run?.ccTotal, "cc"),
       note: coverageLabel(latest.ccCoverage)
     },
+    {
+      label: "Arch violations",
+      value: latest.archViolationsTotal,
+      displayValue: formatIntegerMetric(latest.archViolationsTotal),
+      sparklineSvg: buildSparklineSvg(app.history, (run) => run?.archViolationsTotal, "violations"),
+      note: Number.isFinite(latest.archViolationsTotal) ? "" : "no architecture rules"
+    },
     {
       label: "Last Git change",
       value: latest.lastTouchedEpoch ?? latest.lastTouchedAt,
@@ -0,0 +1,177 @@
+// public/assets/js/graph_apiSurfaceView.js
+// ---------------------------------------------------------------------------
+// Optional API surface report for the NodeAnalyzer UI.
+//
+// This module renders the HTTP route inventory the analyzer stores in
+// `metrics.meta.routes` (see `app/lib/routeInventory.js`): one row per
+// endpoint with its method, full path, handler and registering file. Browser
+// requests matched to the routes (`metrics.meta.httpRequests`, see
+// `app/lib/httpClientCalls.js`) add a client count per route and a list of
+// requests no route serves.
+//
+// Expected public contract:
+//   initGraphApiSurfaceView(elementId, { appId, metrics })
+// ---------------------------------------------------------------------------
+"use strict";
+
+import { escapeHtml, formatInteger } from "./browserShared.js";
+
+// Long reports stay readable; the full list remains in the metrics JSON.
+const MAX_ROUTE_ROWS = 200;
+const MAX_UNMATCHED_ROWS = 50;
+
+function coerceNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Symbol ids are `<fileId>::<name>@<line>`; any other id is its own owner.
+function owningFileId(nodeId) {
+  const id = String(nodeId || "");
+  const cut = id.indexOf("::");
+  return cut > 0 ? id.slice(0, cut) : id;
+}
+
+function formatHandlerLabel(route) {
+  const handler = String(route?.handler || "");
+  const fileId = owningFileId(handler);
+  if (!handler || handler === fileId) return "inline";
+
+  const name = handler.slice(fileId.length + 2).split("@")[0];
+  return fileId === String(route?.file || "") ? name : `${name} (${fileId})`;
+}
+
+function summarizeMethods(routes) {
+  const counts = new Map();
+  for (const route of routes) {
+    const method = String(route?.method || "");
+    counts.set(method, (counts.get(method) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([method, count]) => `${method} ${formatInteger(count)}`)
+    .join(", ");
+}
+
+function countClientsByRoute(requests) {
+  const counts = new Map();
+  for (const request of requests) {
+    for (const routeId of request?.routes || []) {
+      counts.set(routeId, (counts.get(routeId) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+function resolveApiSurfaceElements(hostId) {
+  const host = document.getElementById(hostId);
+  if (!host) return null;
+
+  return {
+    host,
+    meta: host.querySelector('[data-role="api-surface-meta"]'),
+    empty: host.querySelector('[data-role="api-surface-empty"]'),
+    report: host.querySelector('[data-role="api-surface-report"]'),
+  };
+}
+
+function setApiSurfaceMeta(elements, text) {
+  if (elements.meta) elements.meta.textContent = text;
+}
+
+function showApiSurfaceEmpty(elements, message) {
+  if (elements.empty) {
+    elements.empty.textContent = message;
+    elements.empty.classList.remove("d-none");
+  }
+  if (elements.report) {
+    elements.report.innerHTML = "";
+    elements.report.classList.add("d-none");
+  }
+}
+
+function renderRouteTable(routes, clientCounts) {
+  const rows = routes.slice(0, MAX_ROUTE_ROWS).map((route) => `
+      <tr>
+        <td><code>${escapeHtml(route?.method)}</code></td>
+        <td><code>${escapeHtml(route?.path)}</code></td>
+        <td>${escapeHtml(formatHandlerLabel(route))}</td>
+        <td>${escapeHtml(route?.file)}:${escapeHtml(coerceNumber(route?.line))}</td>
+        <td class="text-end">${escapeHtml(formatInteger(clientCounts.get(route?.id) || 0))}</td>
+      </tr>
+    `).join("");
+
+  return `
+    <div class="table-responsive">
+      <table class="table table-sm appInfoTable">
+        <thead>
+          <tr>
+            <th scope="col">Method</th>
+            <th scope="col">Path</th>
+            <th scope="col">Handler</th>
+            <th scope="col">Registered in</th>
+            <th scope="col" class="text-end">Client calls</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${routes.length > MAX_ROUTE_ROWS ? `<div class="small text-secondary">${escapeHtml(formatInteger(routes.length - MAX_ROUTE_ROWS))} more routes in the metrics JSON.</div>` : ""}
+  `;
+}
+
+function renderUnmatchedRequests(requests) {
+  const unmatched = requests.filter((request) => !request?.routes?.length);
+  if (!unmatched.length) return "";
+
+  const items = unmatched.slice(0, MAX_UNMATCHED_ROWS).map((request) => `
+      <li><code>${escapeHtml(request?.method)} ${escapeHtml(request?.url)}</code>
+        <span class="text-secondary">${escapeHtml(request?.file)}:${escapeHtml(coerceNumber(request?.line))}</span></li>
+    `).join("");
+
+  return `
+    <div class="small fw-semibold mt-2">Client requests without a matching route (${escapeHtml(formatInteger(unmatched.length))})</div>
+    <ul class="small mb-0">${items}</ul>
+  `;
+}
+
+export function initGraphApiSurfaceView(elementId, { metrics } = {}) {
+  const elements = resolveApiSurfaceElements(elementId);
+  if (!elements) {
+    console.warn("API surface panel not found", elementId);
+    return null;
+  }
+
+  const routes = metrics?.meta?.routes || metrics?.data?.meta?.routes;
+  if (!Array.isArray(routes)) {
+    setApiSurfaceMeta(elements, "No route inventory in this analysis run.");
+    showApiSurfaceEmpty(elements, "Run the analysis again to list the HTTP endpoints.");
+    return null;
+  }
+
+  if (!routes.length) {
+    setApiSurfaceMeta(elements, "0 endpoints");
+    showApiSurfaceEmpty(elements, "No Express, Koa or Fastify routes found in the analyzed files.");
+    return null;
+  }
+
+  const files = new Set(routes.map((route) => String(route?.file || "")));
+  setApiSurfaceMeta(
+    elements,
+    `${formatInteger(routes.length)} endpoints in ${formatInteger(files.size)} files · ${summarizeMethods(routes)}`
+  );
+
+  if (elements.empty) elements.empty.classList.add("d-none");
+  if (elements.report) {
+    const requests = metrics?.meta?.httpRequests || metrics?.data?.meta?.httpRequests || [];
+    elements.report.innerHTML = renderRouteTable(routes, countClientsByRoute(requests)) + renderUnmatchedRequests(requests);
+    elements.report.classList.remove("d-none");
+  }
+
+  return {
+    destroy() {
+      setApiSurfaceMeta(elements, "Select an app to load the API surface.");
+      showApiSurfaceEmpty(elements, "Select an app to load the API surface.");
+    },
+  };
+}
@@ -0,0 +1,177 @@
+// public/assets/js/graph_duplicationView.js
+// ---------------------------------------------------------------------------
+// Optional duplication report for the NodeAnalyzer UI.
+//
+// This module renders the token clone report the analyzer stores in
+// `metrics.meta.clones` (see `app/lib/cloneDetection.js`):
+//
+// 1) a per-file table with duplicated tokens / lines and the duplicated share
+// 2) the largest clone groups with the line ranges of every fragment
+//
+// Expected public contract:
+//   initGraphDuplicationView(elementId, { appId, metrics })
+// ---------------------------------------------------------------------------
+"use strict";
+
+import { escapeHtml, formatInteger } from "./browserShared.js";
+
+// Long reports stay readable; the full lists remain in the metrics JSON.
+const MAX_FILE_ROWS = 50;
+const MAX_GROUP_ROWS = 25;
+
+function coerceNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function formatPercent(value) {
+  return `${coerceNumber(value).toFixed(1)} %`;
+}
+
+function formatLineRange(fragment) {
+  const start = coerceNumber(fragment?.startLine);
+  const end = coerceNumber(fragment?.endLine, start);
+  return end > start ? `${start}–${end}` : String(start);
+}
+
+function formatFragmentLabel(fragment) {
+  const fileId = String(fragment?.fileId || "");
+  const nodeId = String(fragment?.nodeId || "");
+  const owner = nodeId.startsWith(`${fileId}::`) ? nodeId.slice(fileId.length + 2) : "";
+  const location = `${fileId}:${formatLineRange(fragment)}`;
+  return owner ? `${location} (${owner})` : location;
+}
+
+function resolveDuplicationElements(hostId) {
+  const host = document.getElementById(hostId);
+  if (!host) return null;
+
+  return {
+    host,
+    meta: host.querySelector('[data-role="duplication-meta"]'),
+    empty: host.querySelector('[data-role="duplication-empty"]'),
+    report: host.querySelector('[data-role="duplication-report"]'),
+  };
+}
+
+function setDuplicationMeta(elements, text) {
+  if (elements.meta) elements.meta.textContent = text;
+}
+
+function showDuplicationEmpty(elements, message) {
+  if (elements.empty) {
+    elements.empty.textContent = message;
+    elements.empty.classList.remove("d-none");
+  }
+  if (elements.report) {
+    elements.report.innerHTML = "";
+    elements.report.classList.add("d-none");
+  }
+}
+
+function renderFileTable(files) {
+  const rows = files.slice(0, MAX_FILE_ROWS).map((file) => `
+      <tr>
+        <td>${escapeHtml(file?.fileId)}</td>
+        <td class="text-end">${escapeHtml(formatPercent(file?.percentage))}</td>
+        <td class="text-end">${escapeHtml(formatInteger(coerceNumber(file?.duplicatedLines)))}</td>
+        <td class="text-end">${escapeHtml(formatInteger(coerceNumber(file?.duplicatedTokens)))} / ${escapeHtml(formatInteger(coerceNumber(file?.tokens)))}</td>
+      </tr>
+    `).join("");
+
+  return `
+    <div class="small fw-semibold mb-1">Duplicated code per file</div>
+    <div class="table-responsive">
+      <table class="table table-sm appInfoTable">
+        <thead>
+          <tr>
+            <th scope="col">File</th>
+            <th scope="col" class="text-end">Duplicated</th>
+            <th scope="col" class="text-end">Lines</th>
+            <th scope="col" class="text-end">Tokens</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${files.length > MAX_FILE_ROWS ? `<div class="small text-secondary mb-2">${escapeHtml(formatInteger(files.length - MAX_FILE_ROWS))} more files in the metrics JSON.</div>` : ""}
+  `;
+}
+
+function renderGroupTable(groups) {
+  const rows = groups.slice(0, MAX_GROUP_ROWS).map((group) => {
+    const fragments = Array.isArray(group?.fragments) ? group.fragments : [];
+    const [original, ...copies] = fragments;
+    const copyItems = copies.map((copy) => `<div>${escapeHtml(formatFragmentLabel(copy))}</div>`).join("");
+
+    return `
+      <tr>
+        <td>${escapeHtml(group?.id)}</td>
+        <td class="text-end">${escapeHtml(formatInteger(coerceNumber(group?.tokens)))}</td>
+        <td>${escapeHtml(original ? formatFragmentLabel(original) : "—")}</td>
+        <td>${copyItems || "—"}</td>
+      </tr>
+    `;
+  }).join("");
+
+  return `
+    <div class="small fw-semibold mb-1">Largest clone groups</div>
+    <div class="table-responsive">
+      <table class="table table-sm appInfoTable">
+        <thead>
+          <tr>
+            <th scope="col">Group</th>
+            <th scope="col" class="text-end">Tokens</th>
+            <th scope="col">Original</th>
+            <th scope="col">Copies</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${groups.length > MAX_GROUP_ROWS ? `<div class="small text-secondary">${escapeHtml(formatInteger(groups.length - MAX_GROUP_ROWS))} smaller groups in the metrics JSON.</div>` : ""}
+  `;
+}
+
+export function initGraphDuplicationView(elementId, { metrics } = {}) {
+  const elements = resolveDuplicationElements(elementId);
+  if (!elements) {
+    console.warn("Duplication panel not found", elementId);
+    return null;
+  }
+
+  const clones = metrics?.meta?.clones || metrics?.data?.meta?.clones;
+  if (!clones) {
+    setDuplicationMeta(elements, "No clone report in this analysis run.");
+    showDuplicationEmpty(elements, "Run the analysis again to detect duplicated code.");
+    return null;
+  }
+
+  const files = Array.isArray(clones.files) ? clones.files : [];
+  const groups = Array.isArray(clones.groups) ? clones.groups : [];
+  const totals = clones.totals || {};
+
+  setDuplicationMeta(
+    elements,
+    `${formatPercent(totals.percentage)} of ${formatInteger(coerceNumber(totals.tokens))} tokens duplicated · ` +
+    `${formatInteger(groups.length)} clone groups · min. ${formatInteger(coerceNumber(clones.minTokens))} tokens`
+  );
+
+  if (!groups.length) {
+    showDuplicationEmpty(elements, "No duplicated fragments above the token threshold.");
+    return null;
+  }
+
+  if (elements.empty) elements.empty.classList.add("d-none");
+  if (elements.report) {
+    elements.report.innerHTML = renderFileTable(files) + renderGroupTable(groups);
+    elements.report.classList.remove("d-none");
+  }
+
+  return {
+    destroy() {
+      setDuplicationMeta(elements, "Select an app to load the duplication report.");
+      showDuplicationEmpty(elements, "Select an app to load the duplication report.");
+    },
+  };
+}
@@ -12,6 +12,29 @@ import {
 const CODE_FILE_EXT_RE = /\.(js|mjs|cjs|ts|tsx|jsx)$/i;
 const MRI_COMPLEXITY_REFERENCE = 25;
 
+// Alternative node encodings: size metric, fill pressure and legend texts.
+const MRI_ENCODINGS = Object.freeze({
+  hotspot: {
+    size: (node) => node.lines,
+    fillStrength: (nodes) => {
+      const scale = normalizedMetricScale(nodes, (node) => node.hotspotScore);
+      return (node) => scale(node.hotspotScore);
+    },
+    sizeLegend: "Code module node size reflects LOC.",
+    fillLegend: "Warmer fill means stronger hotspot pressure.",
+  },
+  maintainability: {
+    size: (node) => node.halsteadVolume,
+    fillStrength: maintainabilityPressureScale,
+    sizeLegend: "Code module node size reflects Halstead volume.",
+    fillLegend: "Warmer fill means lower maintainability index.",
+  },
+});
+const MRI_DEFAULT_ENCODING = "hotspot";
+
+let mriUiState = { encoding: MRI_DEFAULT_ENCODING };
+let latestMriContext = null;
+
 function coerceNumber(value, fallback = 0) {
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
@@ -113,6 +136,8 @@ function buildGraph(rows) {
       label: basename(file),
       lines: coerceNumber(row?.lines, 0),
       complexity: coerceNumber(row?.complexity, 0),
+      halsteadVolume: coerceNumber(row?.halsteadVolume, 0),
+      maintainabilityIndex: coerceNumber(row?.maintainabilityIndex, 0),
       hotspotScore: coerceNumber(row?.hotspotScore, 0),
       changeFreq: coerceNumber(row?.changeFreq, 0),
       layer: normalizeText(row?.layer),
@@ -257,11 +282,17 @@ function positionNodes(graph, width, height) {
   // 3) Force layout fallback
   // -------------------------------------------------------
 
+  // Leave room for the larger radius of both encodings so a switch never overlaps.
+  const radii = Object.values(MRI_ENCODINGS).map((encoding) => {
+    const size = sizeScale(graph.nodes, encoding.size);
+    return (node) => size(encoding.size(node));
+  });
+
   const simulation = d3.forceSimulation(graph.nodes)
     .force("link", d3.forceLink(graph.links).id((d) => d.id).distance(140))
     .force("charge", d3.forceManyBody().strength(-320))
     .force("center", d3.forceCenter(width / 2, height / 2))
-    .force("collision", d3.forceCollide((d) => sizeScale(graph.nodes)(d.lines) + 12))
+    .force("collision", d3.forceCollide((d) => d3.max(radii, (radius) => radius(d)) + 12))
     .stop();
 
   for (let i = 0; i < 300; i += 1) simulation.tick();
@@ -270,9 +301,9 @@ function positionNodes(graph, width, height) {
   return { layoutName, layerLabels };
 }
 
-function sizeScale(nodes) {
+function sizeScale(nodes, readValue = (d) => d.lines) {
   return d3.scaleSqrt()
-    .domain([0, d3.max(nodes, (d) => d.lines) || 1])
+    .domain([0, d3.max(nodes, (d) => Number(readValue(d) || 0)) || 1])
     .range([5, 30]);
 }
 
@@ -295,6 +326,26 @@ function normalizedMetricScale(nodes, readValue) {
     .clamp(true);
 }
 
+/**
+ * Fill pressure for the maintainability encoding: the lowest index in the run
+ * maps to 1, the highest to 0. Files without a measured index stay neutral.
+ */
+function maintainabilityPressureScale(nodes) {
+  const measured = nodes.filter((node) => node.maintainabilityIndex > 0);
+  const [min = 0, max = 0] = d3.extent(measured, (node) => node.maintainabilityIndex);
+
+  const scale = d3.scaleLinear()
+    .domain([max, Math.min(min, max - 1)])
+    .range([0, 1])
+    .clamp(true);
+
+  return (node) => (node.maintainabilityIndex > 0 ? scale(node.maintainabilityIndex) : 0);
+}
+
+function readMriEncoding(encoding = mriUiState.encoding) {
+  return MRI_ENCODINGS[encoding] || MRI_ENCODINGS[MRI_DEFAULT_ENCODING];
+}
+
 function importanceScore(node) {
   return (
     node.hotspotScore * 5
@@ -305,9 +356,10 @@ function importanceScore(node) {
 }
 
 function buildMriVisualEncodings(graph) {
-  const size = sizeScale(graph.nodes);
+  const encoding = readMriEncoding();
+  const size = sizeScale(graph.nodes, encoding.size);
   const haloRadius = haloScale(graph.nodes);
-  const hotspotStrength = normalizedMetricScale(graph.nodes, (node) => node.hotspotScore);
+  const fillStrength = encoding.fillStrength(graph.nodes);
   const changeStrength = normalizedMetricScale(graph.nodes, (node) => node.changeFreq);
   const fanOutWidth = fanOutScale(graph.nodes);
 
@@ -317,7 +369,7 @@ function buildMriVisualEncodings(graph) {
 
   function nodeFill(node) {
     const base = computeNodeColor(node);
-    const emphasis = hotspotStrength(node.hotspotScore) * 0.55;
+    const emphasis = fillStrength(node) * 0.55;
     return d3.interpolateRgb(base, changedAccent)(emphasis);
   }
 
@@ -333,8 +385,8 @@ function buildMriVisualEncodings(graph) {
     linkColor: defaultEdgeColor,
     linkWidth: (link) => computeEdgeWidth(link),
     haloColor: changedAccent,
-    nodeRadius: (node) => size(node.lines),
-    haloRadius: (node) => size(node.lines) + haloRadius(node.changeFreq),
+    nodeRadius: (node) => size(encoding.size(node)),
+    haloRadius: (node) => size(encoding.size(node)) + haloRadius(node.changeFreq),
     haloOpacity,
     nodeFill,
     nodeStroke: defaultNodeStroke,
@@ -343,6 +395,64 @@ function buildMriVisualEncodings(graph) {
   };
 }
 
+/**
+ * Re-apply size and fill of the rendered nodes after an encoding switch; the
+ * layout stays put so both encodings can be compared in place.
+ */
+function applyMriEncoding() {
+  if (!latestMriContext) return;
+
+  const { svg, graph } = latestMriContext;
+  const visuals = buildMriVisualEncodings(graph);
+
+  svg.selectAll("circle.mriNode")
+    .attr("r", (d) => visuals.nodeRadius(d))
+    .attr("fill", (d) => visuals.nodeFill(d));
+  svg.selectAll("circle.halo")
+    .attr("r", (d) => visuals.haloRadius(d));
+}
+
+function syncMriControls(container) {
+  if (!container?.querySelectorAll) return;
+
+  container.querySelectorAll("[data-graph-mri-encoding]").forEach((button) => {
+    const isActive = button.getAttribute("data-graph-mri-encoding") === mriUiState.encoding;
+    button.classList.toggle("active", isActive);
+    button.setAttribute("aria-pressed", isActive ? "true" : "false");
+  });
+
+  const encoding = readMriEncoding();
+  const sizeLegend = container.querySelector("[data-role='mri-legend-size']");
+  const fillLegend = container.querySelector("[data-role='mri-legend-fill']");
+  if (sizeLegend) sizeLegend.textContent = encoding.sizeLegend;
+  if (fillLegend) fillLegend.textContent = encoding.fillLegend;
+}
+
+function bindMriControls(container) {
+  if (!container || container.dataset.mriControlsBound === "true") {
+    syncMriControls(container);
+    return;
+  }
+
+  container.addEventListener("click", (event) => {
+    const target = event?.target;
+    if (!(target instanceof Element)) return;
+
+    const button = target.closest("[data-graph-mri-encoding]");
+    if (!(button instanceof HTMLElement) || !container.contains(button)) return;
+
+    const encoding = button.getAttribute("data-graph-mri-encoding");
+    if (!Object.prototype.hasOwnProperty.call(MRI_ENCODINGS, encoding) || encoding === mriUiState.encoding) return;
+
+    mriUiState.encoding = encoding;
+    syncMriControls(container);
+    applyMriEncoding();
+  });
+
+  container.dataset.mriControlsBound = "true";
+  syncMriControls(container);
+}
+
 function renderGraph(svg, graph, width, height, file) {
   svg.selectAll("*").remove();
   svg
@@ -355,6 +465,7 @@ function renderGraph(svg, graph, width, height, file) {
   const layerLabels = layoutInfo.layerLabels || [];
 
   setMriLegendMeta(`${file} · ${layoutName}`);
+  latestMriContext = { svg, graph };
 
   const visuals = buildMriVisualEncodings(graph);
   const topLabelNodes = graph.nodes
@@ -488,6 +599,7 @@ function renderGraph(svg, graph, width, height, file) {
     .data(graph.nodes)
     .enter()
     .append("circle")
+    .attr("class", "mriNode")
     .attr("cx", (d) => d.x)
     .attr("cy", (d) => d.y)
     .attr("r", (d) => visuals.nodeRadius(d))
@@ -499,6 +611,8 @@ function renderGraph(svg, graph, width, height, file) {
     d.file,
     `lines: ${d.lines}`,
     `complexity: ${d.complexity}`,
+    `halsteadVolume: ${d.halsteadVolume}`,
+    `maintainabilityIndex: ${d.maintainabilityIndex}`,
     `hotspotScore: ${d.hotspotScore}`,
     `changeFreq: ${d.changeFreq}`,
     `fanOut: ${d.fanOut}`,
@@ -545,6 +659,7 @@ export async function initGraphMriView(svgId, { appId } = {}) {
   }
 
   setMriLegendMeta("Loading latest MRI run…");
+  bindMriControls(document.getElementById("graphMriPanel") || svg.node().parentElement);
 
   const { width, height } = getSvgSize(svg);
 
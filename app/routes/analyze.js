@@ -5,10 +5,14 @@ import crypto from "crypto";
 import { activateAnalysis } from "../lib/liveChangeFeed.js";
 import {
   resolveAppRootAbs,
-  resolveEntryAbs
+  resolveEntryList
 } from "../lib/appsRegistry.js";
 import { hasGitRepo, runGitOrThrow } from "../lib/gitShell.js";
 import { clamp01 } from "../lib/numberUtils.js";
+import { detectStaleDocs, STALE_DOC_LAG_DAYS } from "../lib/docDrift.js";
+import { DEFAULT_CLONE_MIN_TOKENS } from "../lib/cloneDetection.js";
+import { parseCacheFileForApp } from "../lib/parseCache.js";
+import { DEFAULT_PARSE_TIMEOUT_MS, DEFAULT_PARSE_WORKERS, MAX_PARSE_WORKERS } from "../lib/parsePool.js";
 import {
   resolveConfiguredApp,
   sendBadRequest,
@@ -75,18 +79,34 @@ function newRunToken() {
 // Metrics summary + hotspot enrichment
 // ---------------------------------------------------------------------------
 
+// Selectable "understanding cost" input of the hotspot model -> node field.
+const HOTSPOT_COMPLEXITY_FIELDS = Object.freeze({
+  cyclomatic: "complexity",
+  cognitive: "cognitiveComplexity"
+});
+
+const DEFAULT_HOTSPOT_COMPLEXITY = "cyclomatic";
+
 /**
  * Build a compact summary from the full metrics payload.
  *
  * @param {Record<string, unknown>} metrics
- *   Metrics payload containing graph arrays.
- * @returns {{nodes: number, links: number}}
+ *   Metrics payload containing graph arrays, `meta.reachability` and `meta.cycles`.
+ * @returns {{nodes: number, links: number, reachableFiles: number, unreachableFiles: number, typeOnlyFiles: number, cycles: number}}
  *   Lightweight count summary for response payloads.
  */
 function summaryFromMetrics(metrics) {
   const nodes = Array.isArray(metrics?.nodes) ? metrics.nodes.length : 0;
   const links = Array.isArray(metrics?.links) ? metrics.links.length : 0;
-  return { nodes, links };
+  const reachability = metrics?.meta?.reachability;
+  return {
+    nodes,
+    links,
+    reachableFiles: Number(reachability?.reachable) || 0,
+    unreachableFiles: Number(reachability?.unreachable) || 0,
+    typeOnlyFiles: Number(reachability?.typeOnly) || 0,
+    cycles: Array.isArray(metrics?.meta?.cycles) ? metrics.meta.cycles.length : 0
+  };
 }
 
 /**
@@ -143,11 +163,13 @@ function normalizeGraphFileId(v) {
  *
  * @param {Record<string, unknown>} node
  *   Graph node payload.
+ * @param {"cyclomatic"|"cognitive"} [metric="cyclomatic"]
+ *   Complexity flavor used as hotspot input.
  * @returns {number}
  *   Normalized complexity value.
  */
-function readNodeComplexity(node) {
-  return toPositiveNumber(node?.complexity);
+function readNodeComplexity(node, metric = DEFAULT_HOTSPOT_COMPLEXITY) {
+  return toPositiveNumber(node?.[HOTSPOT_COMPLEXITY_FIELDS[metric] || "complexity"]);
 }
 
 /**
@@ -344,11 +366,13 @@ function normalizeByLogScale(value, maxValue) {
  *   Git-derived change statistics for the file.
  * @param {{maxCommits: number, maxComplexity: number, maxLines: number}} maxima
  *   Population maxima used for normalization.
+ * @param {"cyclomatic"|"cognitive"} complexityMetric
+ *   Complexity flavor used as understanding cost.
  * @returns {number}
  *   Hotspot score in `[0, 1]`.
  */
-function computeFileHotspotScore(node, gitStat, maxima) {
-  const complexity01 = normalizeByLogScale(readNodeComplexity(node), maxima.maxComplexity);
+function computeFileHotspotScore(node, gitStat, maxima, complexityMetric) {
+  const complexity01 = normalizeByLogScale(readNodeComplexity(node, complexityMetric), maxima.maxComplexity);
   const lines01 = normalizeByLogScale(readNodeLines(node), maxima.maxLines);
   const changeFreq01 = normalizeByLogScale(gitStat?.commits || 0, maxima.maxCommits);
 
@@ -381,10 +405,12 @@ function splitNodesForHotspots(nodes) {
  *   File nodes participating in hotspot scoring.
  * @param {Map<string, {commits: number}>} gitStats
  *   Git-derived file statistics.
+ * @param {"cyclomatic"|"cognitive"} complexityMetric
+ *   Complexity flavor used as understanding cost.
  * @returns {{maxCommits: number, maxComplexity: number, maxLines: number}}
  *   Population maxima used by the scoring model.
  */
-function collectHotspotMaxima(fileNodes, gitStats) {
+function collectHotspotMaxima(fileNodes, gitStats, complexityMetric) {
   const maxima = {
     maxCommits: 0,
     maxComplexity: 0,
@@ -396,7 +422,7 @@ function collectHotspotMaxima(fileNodes, gitStats) {
     const stat = gitStats.get(fileId);
 
     maxima.maxCommits = Math.max(maxima.maxCommits, toPositiveNumber(stat?.commits));
-    maxima.maxComplexity = Math.max(maxima.maxComplexity, readNodeComplexity(fileNode));
+    maxima.maxComplexity = Math.max(maxima.maxComplexity, readNodeComplexity(fileNode, complexityMetric));
     maxima.maxLines = Math.max(maxima.maxLines, readNodeLines(fileNode));
   }
 
@@ -412,15 +438,17 @@ function collectHotspotMaxima(fileNodes, gitStats) {
  *   Git-derived file statistics.
  * @param {{maxCommits: number, maxComplexity: number, maxLines: number}} maxima
  *   Population maxima used for normalization.
+ * @param {"cyclomatic"|"cognitive"} complexityMetric
+ *   Complexity flavor used as understanding cost.
  */
-function enrichFileNodesWithHotspots(fileNodes, gitStats, maxima) {
+function enrichFileNodesWithHotspots(fileNodes, gitStats, maxima, complexityMetric) {
   for (const fileNode of fileNodes) {
     const fileId = normalizeGraphFileId(fileNode?.file || fileNode?.id);
     const stat = gitStats.get(fileId) || { commits: 0, lastTouchedEpoch: 0 };
 
     fileNode._changeFreq = toPositiveNumber(stat.commits);
     fileNode._lastTouchedAt = safeIsoDateFromEpochSeconds(stat.lastTouchedEpoch);
-    fileNode._hotspotScore = computeFileHotspotScore(fileNode, stat, maxima);
+    fileNode._hotspotScore = computeFileHotspotScore(fileNode, stat, maxima, complexityMetric);
   }
 }
 
@@ -465,13 +493,20 @@ function inheritHotspotsToFunctionNodes(functionNodes, fileById) {
  *
  * @param {Record<string, unknown>} metrics
  *   Metrics payload being enriched.
+ * @param {"cyclomatic"|"cognitive"} complexityMetric
+ *   Complexity flavor used as understanding cost.
  */
-function attachHotspotModelMeta(metrics) {
+function attachHotspotModelMeta(metrics, complexityMetric) {
   if (!metrics.meta || typeof metrics.meta !== "object") metrics.meta = {};
 
   metrics.meta.hotspotModel = {
     kind: "codescene-like",
-    basedOn: ["git_commit_frequency", "file_complexity", "file_loc"],
+    basedOn: [
+      "git_commit_frequency",
+      complexityMetric === "cognitive" ? "file_cognitive_complexity" : "file_complexity",
+      "file_loc"
+    ],
+    complexityMetric,
     note: "Approximates CodeScene hotspots as frequently changed, cognitively expensive code."
   };
 }
@@ -560,12 +595,75 @@ function rankByHotspot(nodes) {
  *
  * @param {Record<string, unknown>} metrics
  *   Metrics payload to enrich.
+ * @param {Map<string, {commits: number, lastTouchedEpoch: number}>} gitStats
+ *   Git-derived file statistics.
+ * @param {"cyclomatic"|"cognitive"} complexityMetric
+ *   Complexity flavor used as understanding cost.
+ * @returns {Record<string, unknown>}
+ *   The same metrics object after in-place enrichment.
+ */
+function enrichMetricsWithHotspots(metrics, gitStats, complexityMetric) {
+  const { fileNodes, functionNodes } = splitNodesForHotspots(metrics.nodes);
+  const maxima = collectHotspotMaxima(fileNodes, gitStats, complexityMetric);
+
+  enrichFileNodesWithHotspots(fileNodes, gitStats, maxima, complexityMetric);
+  rankByHotspot(fileNodes);
+
+  const fileById = mapFileNodesById(fileNodes);
+  inheritHotspotsToFunctionNodes(functionNodes, fileById);
+  attachHotspotModelMeta(metrics, complexityMetric);
+
+  return metrics;
+}
+
+/**
+ * Flag Markdown docs that lag far behind the code they document.
+ *
+ * Uses the `documents` edges from the builder and the same git history as the
+ * hotspot model; results land in `meta.docDrift.staleDocs`.
+ *
+ * @param {Record<string, unknown>} metrics
+ *   Metrics payload to enrich.
+ * @param {Map<string, {commits: number, lastTouchedEpoch: number}>} gitStats
+ *   Git-derived file statistics.
+ * @returns {Record<string, unknown>}
+ *   The same metrics object after in-place enrichment.
+ */
+function enrichMetricsWithDocDrift(metrics, gitStats) {
+  if (!metrics.meta || typeof metrics.meta !== "object") metrics.meta = {};
+
+  const staleDocs = detectStaleDocs({
+    nodes: metrics.nodes,
+    links: Array.isArray(metrics.links) ? metrics.links : [],
+    lastTouchedEpochById: (id) => gitStats.get(normalizeGraphFileId(id))?.lastTouchedEpoch || 0
+  });
+
+  metrics.meta.docDrift = {
+    brokenReferences: [],
+    ...(metrics.meta.docDrift || {}),
+    staleDocs,
+    staleAfterDays: STALE_DOC_LAG_DAYS
+  };
+
+  return metrics;
+}
+
+/**
+ * Enrich the metrics payload with everything derived from Git history.
+ *
+ * The history scan runs once and feeds both the hotspot model and the stale
+ * doc detection.
+ *
+ * @param {Record<string, unknown>} metrics
+ *   Metrics payload to enrich.
  * @param {string} projectRootAbs
  *   Absolute project root path.
+ * @param {"cyclomatic"|"cognitive"} [hotspotComplexity="cyclomatic"]
+ *   Complexity flavor used as hotspot understanding cost.
  * @returns {Record<string, unknown>}
  *   The same metrics object after in-place enrichment.
  */
-function enrichMetricsWithHotspots(metrics, projectRootAbs) {
+function enrichMetricsWithGitHistory(metrics, projectRootAbs, hotspotComplexity = DEFAULT_HOTSPOT_COMPLEXITY) {
   const nodes = Array.isArray(metrics?.nodes) ? metrics.nodes : [];
   if (!nodes.length) return metrics;
   if (!hasGitRepo(projectRootAbs)) return metrics;
@@ -573,15 +671,8 @@ function enrichMetricsWithHotspots(metrics, projectRootAbs) {
   const gitStats = listGitFileStats(projectRootAbs);
   if (!gitStats.size) return metrics;
 
-  const { fileNodes, functionNodes } = splitNodesForHotspots(nodes);
-  const maxima = collectHotspotMaxima(fileNodes, gitStats);
-
-  enrichFileNodesWithHotspots(fileNodes, gitStats, maxima);
-  rankByHotspot(fileNodes);
-
-  const fileById = mapFileNodesById(fileNodes);
-  inheritHotspotsToFunctionNodes(functionNodes, fileById);
-  attachHotspotModelMeta(metrics);
+  enrichMetricsWithHotspots(metrics, gitStats, hotspotComplexity);
+  enrichMetricsWithDocDrift(metrics, gitStats);
 
   return metrics;
 }
@@ -600,14 +691,27 @@ function enrichMetricsWithHotspots(metrics, projectRootAbs) {
  * active refactor and allows route-time failure reporting instead of boot-time
  * crashes.
  *
- * @param {{projectRootAbs: string, entryAbs: string, urlInfo: object, maxDirDepth: number}} params
+ * @param {{projectRootAbs: string, entryAbs: string, entries?: Array<{label: string, entryAbs: string}>, urlInfo: object, maxDirDepth: number, includeExternals?: boolean, includeTypeNodes?: boolean, cloneMinTokens?: number, parseCacheFile?: string, parseWorkers?: number, parseTimeoutMs?: number, architectureRulesFile?: string}} params
  *   Analyzer invocation parameters.
  * @returns {Promise<Record<string, unknown>>}
  *   Built metrics payload.
  * @throws {Error}
  *   Thrown when the analyzer export is missing or the analyzer fails.
  */
-async function buildMetrics({ projectRootAbs, entryAbs, urlInfo, maxDirDepth }) {
+async function buildMetrics({
+  projectRootAbs,
+  entryAbs,
+  entries,
+  urlInfo,
+  maxDirDepth,
+  includeExternals = false,
+  includeTypeNodes = false,
+  cloneMinTokens = DEFAULT_CLONE_MIN_TOKENS,
+  parseCacheFile = "",
+  parseWorkers = DEFAULT_PARSE_WORKERS,
+  parseTimeoutMs = DEFAULT_PARSE_TIMEOUT_MS,
+  architectureRulesFile = ""
+}) {
   const mod = await import("../lib/buildMetricsFromEntrypoint.js");
   const fn = mod?.buildMetricsFromEntrypoint;
   if (typeof fn !== "function") {
@@ -619,8 +723,16 @@ async function buildMetrics({ projectRootAbs, entryAbs, urlInfo, maxDirDepth })
   return fn({
     projectRoot: projectRootAbs,
     entryAbs,
+    entries,
     urlInfo,
     maxDirDepth,
+    includeExternals,
+    includeTypeNodes,
+    cloneMinTokens,
+    parseCacheFile,
+    parseWorkers,
+    parseTimeoutMs,
+    architectureRulesFile,
   });
 }
 
@@ -637,6 +749,163 @@ function parseMaxDirDepth(body) {
   return Number.isFinite(n) && n > 0 ? n : 3;
 }
 
+/**
+ * Decide whether external dependency nodes should be materialized.
+ *
+ * The request body wins; otherwise the app config (`includeExternals` in
+ * `apps.json`) provides the per-app default.
+ *
+ * @param {Record<string, unknown>} body
+ *   Request body payload.
+ * @param {object} app
+ *   Application config record.
+ * @returns {boolean}
+ *   `true` when `external` nodes should be added to the graph.
+ */
+function parseIncludeExternals(body, app) {
+  if (typeof body?.includeExternals === "boolean") return body.includeExternals;
+  return app?.includeExternals === true;
+}
+
+/**
+ * Decide whether exported TypeScript declarations become graph nodes.
+ *
+ * Same precedence as `parseIncludeExternals`: request body, then the
+ * `includeTypeNodes` flag in `apps.json`.
+ *
+ * @param {Record<string, unknown>} body
+ *   Request body payload.
+ * @param {object} app
+ *   Application config record.
+ * @returns {boolean}
+ *   `true` when `interface` / `type` / `enum` nodes should be added.
+ */
+function parseIncludeTypeNodes(body, app) {
+  if (typeof body?.includeTypeNodes === "boolean") return body.includeTypeNodes;
+  return app?.includeTypeNodes === true;
+}
+
+/**
+ * Read the minimum clone length (in tokens) for duplication detection.
+ *
+ * The request body wins; otherwise the app config (`cloneMinTokens` in
+ * `apps.json`); anything but a positive integer falls back to the default.
+ *
+ * @param {Record<string, unknown>} body
+ *   Request body payload.
+ * @param {object} app
+ *   Application config record.
+ * @returns {number}
+ *   Minimum number of tokens a duplicated fragment must span.
+ */
+function parseCloneMinTokens(body, app) {
+  for (const raw of [body?.cloneMinTokens, app?.cloneMinTokens]) {
+    const n = Number(raw);
+    if (Number.isInteger(n) && n > 0) return n;
+  }
+  return DEFAULT_CLONE_MIN_TOKENS;
+}
+
+/**
+ * Resolve the persistent parse cache file for one analysis run.
+ *
+ * The cache is on by default; `parseCache: false` in the request body or in
+ * `apps.json` disables it (the body wins).
+ *
+ * @param {Record<string, unknown>} body
+ *   Request body payload.
+ * @param {string} appId
+ *   Requested application identifier.
+ * @param {object} app
+ *   Application config record.
+ * @returns {string}
+ *   Absolute cache file path, or `""` when the cache is disabled.
+ */
+function parseParseCacheFile(body, appId, app) {
+  const enabled = typeof body?.parseCache === "boolean" ? body.parseCache : app?.parseCache !== false;
+  return enabled ? parseCacheFileForApp(appId) : "";
+}
+
+/**
+ * Read the number of parse worker threads.
+ *
+ * The request body wins; otherwise the app config (`parseWorkers` in
+ * `apps.json`); `0` parses in-process, larger counts are clamped to the
+ * CPU count (`MAX_PARSE_WORKERS`), anything but a non-negative integer falls
+ * back to the default (CPU count - 1, at least 1, at most 4).
+ *
+ * @param {Record<string, unknown>} body
+ *   Request body payload.
+ * @param {object} app
+ *   Application config record.
+ * @returns {number}
+ *   Worker thread count, `0..MAX_PARSE_WORKERS`.
+ */
+function parseParseWorkers(body, app) {
+  for (const raw of [body?.parseWorkers, app?.parseWorkers]) {
+    if (raw === undefined || raw === null || raw === "") continue;
+    const n = Number(raw);
+    if (Number.isInteger(n) && n >= 0) return Math.min(n, MAX_PARSE_WORKERS);
+  }
+  return DEFAULT_PARSE_WORKERS;
+}
+
+/**
+ * Read the per-file parse timeout in milliseconds (same precedence as
+ * `parseCloneMinTokens`, key `parseTimeoutMs`).
+ *
+ * @param {Record<string, unknown>} body
+ *   Request body payload.
+ * @param {object} app
+ *   Application config record.
+ * @returns {number}
+ *   Positive timeout; slower files become `parse-timeout` warnings.
+ */
+function parseParseTimeoutMs(body, app) {
+  for (const raw of [body?.parseTimeoutMs, app?.parseTimeoutMs]) {
+    const n = Number(raw);
+    if (Number.isInteger(n) && n > 0) return n;
+  }
+  return DEFAULT_PARSE_TIMEOUT_MS;
+}
+
+/**
+ * Read the architecture rules file of one app (`architectureRules` in
+ * `apps.json`, relative to the app root).
+ *
+ * Only the app config names it: the file decides what counts as a violation,
+ * so one request cannot swap it for another.
+ *
+ * @param {object} app
+ *   Application config record.
+ * @returns {string}
+ *   Configured path, or `""` for the default `architecture-rules.json`.
+ */
+function parseArchitectureRulesFile(app) {
+  return typeof app?.architectureRules === "string" ? app.architectureRules.trim() : "";
+}
+
+/**
+ * Pick the complexity flavor used as hotspot "understanding cost".
+ *
+ * The request body wins; otherwise the app config (`hotspotComplexity` in
+ * `apps.json`); unknown values fall back to cyclomatic complexity.
+ *
+ * @param {Record<string, unknown>} body
+ *   Request body payload.
+ * @param {object} app
+ *   Application config record.
+ * @returns {"cyclomatic"|"cognitive"}
+ *   Selected complexity flavor.
+ */
+function parseHotspotComplexity(body, app) {
+  for (const raw of [body?.hotspotComplexity, app?.hotspotComplexity]) {
+    const metric = String(raw || "").trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(HOTSPOT_COMPLEXITY_FIELDS, metric)) return metric;
+  }
+  return DEFAULT_HOTSPOT_COMPLEXITY;
+}
+
 // ---------------------------------------------------------------------------
 // Routes
 // ---------------------------------------------------------------------------
@@ -711,25 +980,25 @@ function resolveAndValidateAppRoot(app) {
 }
 
 /**
- * Resolve and validate the analyzer entry file for one application.
+ * Resolve and validate the analyzer entry files for one application.
  *
  * @param {string} appRootAbs
  *   Absolute application root directory.
  * @param {object} app
  *   Application config record.
- * @returns {{ok: true, entryAbs: string} | {ok: false, kind: string, payload: object}}
- *   Success or unsupported-result object.
+ * @returns {{ok: true, entryAbs: string, entries: Array<{label: string, entryAbs: string}>} | {ok: false, kind: string, payload: object}}
+ *   Success (first entry plus all labelled entries) or unsupported-result object.
  */
 function resolveAndValidateEntryAbs(appRootAbs, app) {
-  const entryAbs = resolveEntryAbs(appRootAbs, app);
-  if (entryAbs) return { ok: true, entryAbs };
+  const entries = resolveEntryList(appRootAbs, app);
+  if (entries.length) return { ok: true, entryAbs: entries[0].entryAbs, entries };
 
   return {
     ok: false,
     kind: "unsupported",
     payload: {
       reason: "missing-entry",
-      message: "Cannot resolve entry file automatically. Add a conventional server/main file or configure 'entry' explicitly if needed.",
+      message: "Cannot resolve entry file automatically. Add a conventional server/main file or configure 'entry' / 'entries' explicitly if needed.",
       details: app
     }
   };
@@ -806,7 +1075,7 @@ function resolveAnalyzeApp(req) {
  *
  * @param {object} app
  *   Application config record.
- * @returns {{ok: true, appRootAbs: string, entryAbs: string} | {ok: false, kind: string, payload: object}}
+ * @returns {{ok: true, appRootAbs: string, entryAbs: string, entries: Array<{label: string, entryAbs: string}>} | {ok: false, kind: string, payload: object}}
  *   Success or unsupported-result object.
  */
 function resolveAnalyzeTarget(app) {
@@ -819,7 +1088,8 @@ function resolveAnalyzeTarget(app) {
   return {
     ok: true,
     appRootAbs: rootResult.appRootAbs,
-    entryAbs: entryResult.entryAbs
+    entryAbs: entryResult.entryAbs,
+    entries: entryResult.entries
   };
 }
 
@@ -850,7 +1120,7 @@ function sendAnalyzeFailure(res, result) {
  *   Requested application identifier.
  * @param {object} app
  *   Application config record.
- * @returns {{appId: string, app: object, maxDirDepth: number, urlInfo: object, runToken: string, timestampIso: string}}
+ * @returns {{appId: string, app: object, maxDirDepth: number, includeExternals: boolean, includeTypeNodes: boolean, cloneMinTokens: number, parseCacheFile: string, parseWorkers: number, parseTimeoutMs: number, architectureRulesFile: string, hotspotComplexity: "cyclomatic"|"cognitive", urlInfo: object, runToken: string, timestampIso: string}}
  *   Request-scoped analysis context.
  */
 function buildAnalyzeContext(req, appId, app) {
@@ -858,6 +1128,14 @@ function buildAnalyzeContext(req, appId, app) {
     appId,
     app,
     maxDirDepth: parseMaxDirDepth(req.body),
+    includeExternals: parseIncludeExternals(req.body, app),
+    includeTypeNodes: parseIncludeTypeNodes(req.body, app),
+    cloneMinTokens: parseCloneMinTokens(req.body, app),
+    parseCacheFile: parseParseCacheFile(req.body, appId, app),
+    parseWorkers: parseParseWorkers(req.body, app),
+    parseTimeoutMs: parseParseTimeoutMs(req.body, app),
+    architectureRulesFile: parseArchitectureRulesFile(app),
+    hotspotComplexity: parseHotspotComplexity(req.body, app),
     urlInfo: buildUrlInfo(appId, app),
     runToken: newRunToken(),
     timestampIso: new Date().toISOString()
@@ -867,22 +1145,31 @@ function buildAnalyzeContext(req, appId, app) {
 /**
  * Build and enrich the metrics payload for one analysis request.
  *
- * @param {{urlInfo: object, maxDirDepth: number}} context
+ * @param {{urlInfo: object, maxDirDepth: number, includeExternals: boolean, includeTypeNodes: boolean, cloneMinTokens: number, parseCacheFile: string, parseWorkers: number, parseTimeoutMs: number, architectureRulesFile: string, hotspotComplexity: "cyclomatic"|"cognitive"}} context
  *   Request-scoped analysis context.
- * @param {{appRootAbs: string, entryAbs: string}} target
+ * @param {{appRootAbs: string, entryAbs: string, entries: Array<{label: string, entryAbs: string}>}} target
  *   Validated analysis target.
  * @returns {Promise<Record<string, unknown>>}
- *   Built and hotspot-enriched metrics payload.
+ *   Built and git-history-enriched metrics payload.
  */
 async function buildAnalyzeMetrics(context, target) {
-  return enrichMetricsWithHotspots(
+  return enrichMetricsWithGitHistory(
     await buildMetrics({
       projectRootAbs: target.appRootAbs,
       entryAbs: target.entryAbs,
+      entries: target.entries,
       urlInfo: context.urlInfo,
-      maxDirDepth: context.maxDirDepth
+      maxDirDepth: context.maxDirDepth,
+      includeExternals: context.includeExternals,
+      includeTypeNodes: context.includeTypeNodes,
+      cloneMinTokens: context.cloneMinTokens,
+      parseCacheFile: context.parseCacheFile,
+      parseWorkers: context.parseWorkers,
+      parseTimeoutMs: context.parseTimeoutMs,
+      architectureRulesFile: context.architectureRulesFile
     }),
-    target.appRootAbs
+    target.appRootAbs,
+    context.hotspotComplexity
   );
 }
 
@@ -923,7 +1210,7 @@ function writeAnalyzeScreenshotsManifest(context, target, metrics) {
  * 1. Resolve the requested app
  * 2. Validate root directory and entry file
  * 3. Build graph metrics
- * 4. Enrich metrics with hotspot metadata
+ * 4. Enrich metrics with git history (hotspots, stale docs)
  * 5. Persist artifacts
  * 6. Activate live analysis state
  * 7. Return response payload